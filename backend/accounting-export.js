@@ -0,0 +1,335 @@
+const fs = require("fs");
+const path = require("path");
+const { HOME_CURRENCY } = require("./currency");
+
+// Accounting-system exports of saved receipts (GET /receipts/export with
+// format=iif|qbo|ofx|xero, see receipt-export.js). Every receipt becomes one
+// expense paid from the payment account and booked to the ledger account of
+// its category:
+//   iif  - QuickBooks Desktop import file, one TRNS/SPL pair per receipt
+//   qbo  - QuickBooks Online Web Connect file (OFX with Intuit's bank id)
+//   ofx  - OFX 1.02 credit card statement for other accounting software
+//   xero - Xero bills import CSV, one bill per receipt
+// Accounts come from the chart-of-accounts mapping (chart-of-accounts.json,
+// or ACCOUNT_MAPPING_FILE).
+
+const ACCOUNTING_FORMATS = {
+  iif: { extension: 'iif', contentType: 'text/plain; charset=utf-8' },
+  qbo: { extension: 'qbo', contentType: 'application/vnd.intu.qbo' },
+  ofx: { extension: 'ofx', contentType: 'application/x-ofx' },
+  xero: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// Payee names longer than this are cut, OFX 1.02 allows 32 characters
+const OFX_NAME_LENGTH = 32;
+
+const XERO_COLUMNS = [
+  '*ContactName', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate',
+  'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'
+];
+
+let defaultMapping;
+
+// Reads and checks a mapping file; relative paths are resolved against this directory
+function loadAccountMapping(filePath = process.env.ACCOUNT_MAPPING_FILE || 'chart-of-accounts.json') {
+  const resolved = path.isAbsolute(filePath) ? filePath : path.join(__dirname, filePath);
+  const mapping = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+  if (!mapping.paymentAccount?.name || !mapping.defaultAccount?.name) {
+    throw new Error(`Account mapping ${filePath} needs paymentAccount.name and defaultAccount.name`);
+  }
+  return { categories: {}, qbo: {}, xero: {}, ...mapping };
+}
+
+function getAccountMapping() {
+  if (!defaultMapping) {
+    defaultMapping = loadAccountMapping();
+  }
+  return defaultMapping;
+}
+
+// Ledger account of a receipt category, the default account for unmapped ones
+function mapCategory(mapping, category) {
+  return { ...mapping.defaultAccount, ...(mapping.categories[category] || {}) };
+}
+
+// Writes receipts to `output` in an accounting format. Returns
+// { addReceipt(receipt) -> transactions written, skippedCount(), finish() }.
+// Foreign receipts without an exchange rate have no home currency amount:
+// iif, qbo and ofx leave them out and count them in skippedCount().
+function createAccountingWriter(format, output, { mapping = getAccountMapping(), now = new Date() } = {}) {
+  if (format === 'iif') return createIifWriter(output, mapping);
+  if (format === 'xero') return createXeroWriter(output, mapping);
+  if (format === 'qbo' || format === 'ofx') return createOfxWriter(output, mapping, { intuit: format === 'qbo', now });
+  throw new Error(`Unknown accounting format '${format}'`);
+}
+
+// --- Shared -----------------------------------------------------------------
+
+// Amount booked for a receipt in the home currency: the converted total, or
+// the printed one of home currency receipts. null for a foreign receipt
+// without an exchange rate.
+function bookedAmount(receipt) {
+  const converted = receipt.homeTotalFormatted !== null && receipt.homeTotalFormatted !== undefined;
+  if (!converted && isForeign(receipt)) {
+    return null;
+  }
+  const amount = Number(converted ? receipt.homeTotalFormatted : (receipt.totalFormatted ?? receipt.total));
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : 0;
+}
+
+// "Vendor - Category", plus the printed amount of foreign receipts
+function describeReceipt(receipt) {
+  const parts = [`${receipt.vendor || receipt.merchant || 'Unknown vendor'} - ${receipt.category || 'Other'}`];
+  if (isForeign(receipt)) {
+    parts.push(`(${receipt.currency} ${receipt.totalFormatted})`);
+  }
+  if (receipt.notes) {
+    parts.push(receipt.notes);
+  }
+  return parts.join(' ');
+}
+
+function isForeign(receipt) {
+  return Boolean(receipt.currency) && receipt.currency !== (receipt.homeCurrency || HOME_CURRENCY);
+}
+
+// "2024-03-15" -> pattern with YYYY, MM and DD
+function formatDate(date, pattern) {
+  const [year, month, day] = String(date || '').split('-');
+  return pattern.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
+
+function writeText(output, text) {
+  return output.write(text)
+    ? Promise.resolve()
+    : new Promise(resolve => output.once('drain', resolve));
+}
+
+// --- QuickBooks IIF ---------------------------------------------------------
+// Tab separated; the TRNS line credits the payment account, the SPL line
+// debits the expense account with the opposite amount.
+
+function createIifWriter(output, mapping) {
+  const { paymentAccount } = mapping;
+  const transactionType = paymentAccount.iifTransactionType || 'CREDIT CARD';
+  const header = ['TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'];
+
+  output.write([
+    ['!TRNS', ...header].join('\t'),
+    ['!SPL', 'SPLID', ...header.slice(1)].join('\t'),
+    '!ENDTRNS'
+  ].join('\r\n') + '\r\n');
+  let skipped = 0;
+
+  return {
+    addReceipt: async receipt => {
+      const amount = bookedAmount(receipt);
+      if (amount === null) {
+        skipped++;
+        return 0;
+      }
+      const account = mapCategory(mapping, receipt.category);
+      const date = formatDate(receipt.date, 'MM/DD/YYYY');
+      const name = iifField(receipt.vendor || receipt.merchant || 'Unknown vendor');
+      const docnum = iifField(receipt.receiptId);
+      const memo = iifField(describeReceipt(receipt));
+
+      await writeText(output, [
+        ['TRNS', '', transactionType, date, iifField(paymentAccount.name), name, (-amount).toFixed(2), docnum, memo].join('\t'),
+        ['SPL', '', transactionType, date, iifField(account.name), name, amount.toFixed(2), docnum, memo].join('\t'),
+        'ENDTRNS'
+      ].join('\r\n') + '\r\n');
+      return 1;
+    },
+    skippedCount: () => skipped,
+    finish: async () => {
+      output.end();
+    }
+  };
+}
+
+// IIF has no quoting: tabs and line breaks would start a new field or line
+function iifField(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ').replace(/"/g, "'").trim();
+}
+
+// --- OFX / QBO --------------------------------------------------------------
+// A credit card statement of the receipts. The statement period is only known
+// once every receipt was read, so transactions are collected and the file is
+// written by finish().
+
+function createOfxWriter(output, mapping, { intuit, now }) {
+  const transactions = [];
+  let skipped = 0;
+
+  return {
+    addReceipt: async receipt => {
+      const amount = bookedAmount(receipt);
+      if (amount === null) {
+        skipped++;
+        return 0;
+      }
+      transactions.push({
+        date: receipt.date,
+        amount,
+        fitId: receipt.receiptId,
+        name: receipt.vendor || receipt.merchant || 'Unknown vendor',
+        memo: `${mapCategory(mapping, receipt.category).name}: ${describeReceipt(receipt)}`
+      });
+      return 1;
+    },
+    skippedCount: () => skipped,
+    finish: async () => {
+      await writeText(output, buildOfx(transactions, mapping, { intuit, now }));
+      output.end();
+    }
+  };
+}
+
+function buildOfx(transactions, mapping, { intuit, now }) {
+  const serverTime = ofxDateTime(now);
+  const dates = transactions.map(transaction => transaction.date).filter(Boolean).sort();
+  const start = dates.length > 0 ? ofxDate(dates[0]) : serverTime.substring(0, 8);
+  const end = dates.length > 0 ? ofxDate(dates[dates.length - 1]) : serverTime.substring(0, 8);
+
+  // Charges are negative on a card statement, refunds positive
+  const statementLines = transactions.map(transaction => [
+    '<STMTTRN>',
+    `<TRNTYPE>${transaction.amount < 0 ? 'CREDIT' : 'DEBIT'}`,
+    `<DTPOSTED>${ofxDate(transaction.date)}`,
+    `<TRNAMT>${(-transaction.amount).toFixed(2)}`,
+    `<FITID>${ofxText(transaction.fitId)}`,
+    `<NAME>${ofxText(transaction.name.substring(0, OFX_NAME_LENGTH))}`,
+    `<MEMO>${ofxText(transaction.memo)}`,
+    '</STMTTRN>'
+  ].join('\r\n'));
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    `<DTSERVER>${serverTime}`,
+    '<LANGUAGE>ENG',
+    // QuickBooks Online only imports Web Connect files from a bank it knows
+    ...(intuit ? [`<INTU.BID>${ofxText(mapping.qbo.intuBid || '3000')}`] : []),
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<CREDITCARDMSGSRSV1>',
+    '<CCSTMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    '<CCSTMTRS>',
+    `<CURDEF>${HOME_CURRENCY}`,
+    '<CCACCTFROM>',
+    `<ACCTID>${ofxText(mapping.paymentAccount.accountId || mapping.paymentAccount.name)}`,
+    '</CCACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${start}`,
+    `<DTEND>${end}`,
+    ...statementLines,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>',
+    '<BALAMT>0.00',
+    `<DTASOF>${serverTime}`,
+    '</LEDGERBAL>',
+    '</CCSTMTRS>',
+    '</CCSTMTTRNRS>',
+    '</CREDITCARDMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\r\n');
+}
+
+function ofxDate(date) {
+  return String(date || '').replace(/-/g, '');
+}
+
+function ofxDateTime(date) {
+  return date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+// SGML: no markup characters, ASCII only (CHARSET 1252 is declared, but
+// importers disagree on anything beyond ASCII)
+function ofxText(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, ' ')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// --- Xero bills CSV ---------------------------------------------------------
+// One single-line bill per receipt, due the day it was paid, in the receipt
+// currency. Amounts are tax inclusive: pick "Tax inclusive" when importing.
+
+function createXeroWriter(output, mapping) {
+  const dateFormat = mapping.xero.dateFormat || 'DD/MM/YYYY';
+
+  output.write(`${XERO_COLUMNS.join(',')}\r\n`);
+
+  return {
+    addReceipt: async receipt => {
+      const account = mapCategory(mapping, receipt.category);
+      const date = formatDate(receipt.date, dateFormat);
+      const total = Number(receipt.totalFormatted ?? receipt.total) || 0;
+
+      await writeText(output, [
+        receipt.vendor || receipt.merchant || 'Unknown vendor',
+        receipt.receiptId,
+        'SnapTally',
+        date,
+        date,
+        describeReceipt(receipt),
+        1,
+        total.toFixed(2),
+        account.code,
+        account.taxCode,
+        receipt.currency || HOME_CURRENCY
+      ].map(xeroField).join(',') + '\r\n');
+      return 1;
+    },
+    skippedCount: () => 0,
+    finish: async () => {
+      output.end();
+    }
+  };
+}
+
+// Text starting like a formula is prefixed with ' like csvField in
+// receipt-export.js; amounts such as "-12.99" are left as they are
+function xeroField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  ACCOUNTING_FORMATS,
+  loadAccountMapping,
+  mapCategory,
+  createAccountingWriter
+};
@@ -0,0 +1,45 @@
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+const { applyReceiptChange } = require("./analytics");
+const { evaluateBudgets } = require("./budgets");
+
+// Receipts table stream -> monthly spending aggregates (see analytics.js),
+// then the budgets of the categories that went up (see budgets.js). Only a
+// failure to aggregate fails a record.
+// Records are applied in order; on a failure the rest of the batch is left
+// for the retry, which starts at the failed record (ReportBatchItemFailures).
+exports.handler = async (event) => {
+  const records = event.Records || [];
+  let changedBuckets = 0;
+  let alerts = 0;
+
+  for (const record of records) {
+    try {
+      const oldReceipt = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const newReceipt = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+
+      const changed = await applyReceiptChange(oldReceipt, newReceipt, {
+        eventId: record.eventID,
+        changedAt: new Date(record.dynamodb.ApproximateCreationDateTime * 1000).toISOString()
+      });
+      changedBuckets += changed.length;
+
+      // Budget trouble never holds the aggregates up: undelivered alerts are
+      // retried by budget-alerts-retry-function.js, and a threshold that
+      // could not be checked is checked again by the next receipt
+      if (newReceipt && changed.length > 0) {
+        try {
+          alerts += (await evaluateBudgets(changed, newReceipt)).length;
+        } catch (budgetError) {
+          console.error(`❌ Could not check budgets of receipt ${newReceipt.receiptId}:`, budgetError);
+        }
+      }
+
+    } catch (error) {
+      console.error(`❌ Could not aggregate ${record.eventName} of receipt ${record.dynamodb?.Keys?.receiptId?.S}:`, error);
+      return { batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }] };
+    }
+  }
+
+  console.log(`✅ Aggregated ${records.length} receipt changes into ${changedBuckets} analytics buckets, ${alerts} budget alerts`);
+  return { batchItemFailures: [] };
+};
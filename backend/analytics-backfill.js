@@ -0,0 +1,71 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, ScanCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { replaceUserAggregates } = require("./analytics");
+
+// One-off rebuild of the analytics aggregates from the receipts table, for
+// receipts saved before the receipts stream was enabled, or after a stream
+// batch landed in the SnapTally-AnalyticsStreamFailures queue. Run from
+// backend/ with AWS credentials:
+//
+//   node analytics-backfill.js                 every user (scans the table)
+//   node analytics-backfill.js <userId> ...    only these users
+//
+// A user's aggregates are replaced as a whole, so receipts of that user
+// changed while the rebuild runs may be off; run it again for them.
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+
+// Only what receiptContributions reads
+const PROJECTION = 'receiptId, #ts, userId, monthYear, recordType, category, vendor, vendorLower, ' +
+  'totalAmount, currency, homeCurrency, homeTotal';
+
+async function readReceipts(userId) {
+  const receipts = [];
+  let startKey;
+  do {
+    const page = await docClient.send(userId
+      ? new QueryCommand({
+        TableName: RECEIPTS_TABLE,
+        IndexName: 'UserTimestampIndex',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ProjectionExpression: PROJECTION,
+        ExpressionAttributeNames: { '#ts': 'timestamp' },
+        ExclusiveStartKey: startKey
+      })
+      : new ScanCommand({
+        TableName: RECEIPTS_TABLE,
+        ProjectionExpression: PROJECTION,
+        ExpressionAttributeNames: { '#ts': 'timestamp' },
+        ExclusiveStartKey: startKey
+      }));
+    receipts.push(...(page.Items || []));
+    startKey = page.LastEvaluatedKey;
+  } while (startKey);
+  return receipts;
+}
+
+async function backfill(userIds) {
+  const receipts = userIds.length > 0
+    ? (await Promise.all(userIds.map(readReceipts))).flat()
+    : await readReceipts();
+  const users = userIds.length > 0 ? userIds : [...new Set(receipts.map(receipt => receipt.userId).filter(Boolean))];
+
+  console.log(`Rebuilding analytics of ${users.length} users from ${receipts.length} receipt records`);
+  for (const userId of users) {
+    const { written, deleted } = await replaceUserAggregates(userId, receipts);
+    console.log(`✅ ${userId}: ${written} buckets written, ${deleted} stale buckets deleted`);
+  }
+}
+
+if (require.main === module) {
+  backfill(process.argv.slice(2)).catch(error => {
+    console.error('❌ Analytics backfill failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { backfill };
@@ -0,0 +1,224 @@
+const { getCallerIdentity } = require("./auth");
+const { HOME_CURRENCY } = require("./currency");
+const { ANALYTICS_DIMENSIONS, queryAggregates } = require("./analytics");
+
+const DEFAULT_MONTHS = 6;
+const MAX_MONTHS = 36;
+const DEFAULT_TOP_VENDORS = 5;
+const MAX_TOP_VENDORS = 25;
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, OPTIONS"
+};
+
+// GET /analytics/summary?groupBy=month|category|vendor&from=YYYY-MM&to=YYYY-MM&top=5
+// Spending of the caller over whole months (the last 6 by default), grouped
+// by month, category or vendor, with the top vendors and the change against
+// the period of the same length right before. Reads the aggregates kept by
+// analytics-aggregator-function.js, never the receipts themselves.
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    let request;
+    try {
+      request = parseSummaryRequest(event.queryStringParameters || {});
+    } catch (validationError) {
+      return buildResponse(400, {
+        success: false,
+        error: "Invalid query parameters",
+        details: validationError.message
+      });
+    }
+
+    const { groupBy, from, to, top } = request;
+    const months = listMonths(from, to);
+    const previousFrom = addMonths(from, -months.length);
+    const previousTo = addMonths(from, -1);
+
+    console.log(`Summarizing spending of user ${identity.userId} by ${groupBy}:`, JSON.stringify({ from, to, previousFrom }));
+
+    // Both periods in one go per dimension
+    const [monthItems, vendorItems, groupItems] = await Promise.all([
+      queryAggregates(identity.userId, 'month', previousFrom, to),
+      queryAggregates(identity.userId, 'vendor', previousFrom, to),
+      groupBy === 'category' ? queryAggregates(identity.userId, 'category', previousFrom, to) : Promise.resolve(null)
+    ]);
+
+    const inPeriod = item => item.monthYear >= from;
+    const current = summarize(monthItems.filter(inPeriod));
+    const previous = summarize(monthItems.filter(item => !inPeriod(item)));
+
+    let groups;
+    if (groupBy === 'month') {
+      // Every month of the period, each compared with the month before
+      const byMonth = sumByGroup(monthItems);
+      groups = months.map(month => toGroup(month, month, byMonth.get(month), byMonth.get(addMonths(month, -1))));
+    } else {
+      const items = groupBy === 'vendor' ? vendorItems : groupItems;
+      const currentGroups = sumByGroup(items.filter(inPeriod));
+      const previousGroups = sumByGroup(items.filter(item => !inPeriod(item)));
+      groups = [...currentGroups.entries()]
+        .map(([key, totals]) => toGroup(key, totals.label, totals, previousGroups.get(key)))
+        .sort(byTotalDescending);
+    }
+
+    const currentVendors = sumByGroup(vendorItems.filter(inPeriod));
+    const previousVendors = sumByGroup(vendorItems.filter(item => !inPeriod(item)));
+    const topVendors = [...currentVendors.entries()]
+      .map(([key, totals]) => toGroup(key, totals.label, totals, previousVendors.get(key)))
+      .sort(byTotalDescending)
+      .slice(0, top);
+
+    console.log(`✅ ${current.count} receipts, ${groups.length} ${groupBy} groups`);
+
+    return buildResponse(200, {
+      success: true,
+      groupBy,
+      currency: HOME_CURRENCY,
+      period: { from, to, months: months.length },
+      previousPeriod: { from: previousFrom, to: previousTo },
+      totals: {
+        ...toAmounts(current),
+        unconvertedCount: current.unconverted,
+        previous: toAmounts(previous),
+        delta: compare(current, previous)
+      },
+      groups,
+      topVendors
+    });
+
+  } catch (error) {
+    console.error('❌ Analytics summary error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to summarize spending',
+      details: error.message
+    });
+  }
+};
+
+function parseSummaryRequest(params) {
+  const groupBy = (params.groupBy || 'month').toLowerCase();
+  if (!ANALYTICS_DIMENSIONS[groupBy]) {
+    throw new Error(`'groupBy' must be one of: ${Object.keys(ANALYTICS_DIMENSIONS).join(', ')}`);
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (params[key] && !/^\d{4}-(0[1-9]|1[0-2])$/.test(params[key])) {
+      throw new Error(`'${key}' must be a month in YYYY-MM format`);
+    }
+  });
+
+  const to = params.to || new Date().toISOString().substring(0, 7);
+  const from = params.from || addMonths(to, -(DEFAULT_MONTHS - 1));
+  if (from > to) {
+    throw new Error("'from' must not be after 'to'");
+  }
+  if (listMonths(from, to).length > MAX_MONTHS) {
+    throw new Error(`The period must not be longer than ${MAX_MONTHS} months`);
+  }
+
+  const top = params.top === undefined || params.top === '' ? DEFAULT_TOP_VENDORS : Number(params.top);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_VENDORS) {
+    throw new Error(`'top' must be a whole number between 1 and ${MAX_TOP_VENDORS}`);
+  }
+
+  return { groupBy, from, to, top };
+}
+
+// "2024-03" + 2 -> "2024-05"
+function addMonths(month, count) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + count, 1));
+  return date.toISOString().substring(0, 7);
+}
+
+function listMonths(from, to) {
+  const months = [];
+  for (let month = from; month <= to; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  return months;
+}
+
+function summarize(items) {
+  return items.reduce((sum, item) => ({
+    cents: sum.cents + (item.totalCents || 0),
+    count: sum.count + (item.receiptCount || 0),
+    unconverted: sum.unconverted + (item.unconvertedCount || 0)
+  }), { cents: 0, count: 0, unconverted: 0 });
+}
+
+// groupKey -> summed totals and the latest label, over all months of `items`
+function sumByGroup(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    const group = groups.get(item.groupKey) || { cents: 0, count: 0, unconverted: 0, label: item.label };
+    group.cents += item.totalCents || 0;
+    group.count += item.receiptCount || 0;
+    group.unconverted += item.unconvertedCount || 0;
+    group.label = item.label || group.label;
+    groups.set(item.groupKey, group);
+  });
+  return groups;
+}
+
+function toGroup(key, label, totals, previousTotals) {
+  const current = totals || { cents: 0, count: 0, unconverted: 0 };
+  const previous = previousTotals || { cents: 0, count: 0, unconverted: 0 };
+  return {
+    key,
+    label: label || key,
+    ...toAmounts(current),
+    unconvertedCount: current.unconverted,
+    previous: toAmounts(previous),
+    delta: compare(current, previous)
+  };
+}
+
+function toAmounts({ cents, count }) {
+  return {
+    total: cents / 100,
+    count,
+    averageTicket: count > 0 ? Math.round(cents / count) / 100 : null
+  };
+}
+
+// Percentages are null when there was nothing to compare with
+function compare(current, previous) {
+  const now = toAmounts(current);
+  const before = toAmounts(previous);
+  return {
+    total: (current.cents - previous.cents) / 100,
+    totalPercent: previous.cents !== 0 ? Math.round(((current.cents - previous.cents) / Math.abs(previous.cents)) * 1000) / 10 : null,
+    count: current.count - previous.count,
+    averageTicket: now.averageTicket !== null && before.averageTicket !== null
+      ? Math.round((now.averageTicket - before.averageTicket) * 100) / 100
+      : null
+  };
+}
+
+function byTotalDescending(a, b) {
+  return b.total - a.total || b.count - a.count || a.label.localeCompare(b.label);
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
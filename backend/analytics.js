@@ -0,0 +1,240 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, QueryCommand, TransactWriteCommand, DeleteCommand, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { HOME_CURRENCY } = require("./currency");
+
+// Monthly spending aggregates, kept up to date from the receipts table stream
+// (analytics-aggregator-function.js) and read by GET /analytics/summary
+// (analytics-function.js). One item per user, month and grouping:
+//   MONTH#2024-03                         all receipts of the month
+//   CATEGORY#2024-03#Grocery              receipts of a category
+//   VENDOR#2024-03#green valley market    receipts of a vendor (vendorLower)
+// holding totalCents (home currency), receiptCount and unconvertedCount -
+// foreign receipts without an exchange rate are counted there and left out
+// of the totals. Items that drop back to no receipts are deleted. Receipts
+// saved before the stream was enabled, and stream batches that ended up in
+// the failure queue, are only counted after a rebuild (analytics-backfill.js).
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const ANALYTICS_TABLE = process.env.ANALYTICS_TABLE || 'SnapTally-Analytics';
+
+const ANALYTICS_DIMENSIONS = {
+  month: 'MONTH',
+  category: 'CATEGORY',
+  vendor: 'VENDOR'
+};
+
+// What a stored receipt adds to the aggregates: { bucket: { dimension,
+// monthYear, groupKey, label, cents, count, unconverted } }. Group photos,
+// failures and rejected duplicates are not spending.
+function receiptContributions(receipt) {
+  if (!receipt || !receipt.userId || !/^\d{4}-\d{2}$/.test(receipt.monthYear || '')) return {};
+  if (['group', 'failure', 'duplicate'].includes(receipt.recordType)) return {};
+
+  const homeCurrency = receipt.homeCurrency || HOME_CURRENCY;
+  const homeTotal = receipt.homeTotal ?? (!receipt.currency || receipt.currency === homeCurrency ? receipt.totalAmount : null);
+  const amount = Number(homeTotal);
+  const converted = homeTotal !== null && homeTotal !== undefined && Number.isFinite(amount);
+  const contribution = {
+    cents: converted ? Math.round(amount * 100) : 0,
+    count: converted ? 1 : 0,
+    unconverted: converted ? 0 : 1
+  };
+
+  const month = receipt.monthYear;
+  const category = receipt.category || 'Other';
+  const vendorKey = receipt.vendorLower || (receipt.vendor || '').toLowerCase() || 'unknown vendor';
+
+  return {
+    [`MONTH#${month}`]: { dimension: 'MONTH', monthYear: month, groupKey: month, label: month, ...contribution },
+    [`CATEGORY#${month}#${category}`]: { dimension: 'CATEGORY', monthYear: month, groupKey: category, label: category, ...contribution },
+    [`VENDOR#${month}#${vendorKey}`]: { dimension: 'VENDOR', monthYear: month, groupKey: vendorKey, label: receipt.vendor || vendorKey, ...contribution }
+  };
+}
+
+// Applies a change of a receipt (either image may be null) to the
+// aggregates. `eventId` (the stream event id) makes a retried change count
+// once: every bucket remembers the last event applied to it, and the
+// transaction token covers retries within 10 minutes provided `changedAt`
+// is the same. Returns the changed buckets, also when the change had
+// already been applied.
+async function applyReceiptChange(oldReceipt, newReceipt, { eventId, changedAt = new Date().toISOString() } = {}) {
+  const userId = newReceipt?.userId || oldReceipt?.userId;
+  const deltas = {};
+
+  [[oldReceipt, -1], [newReceipt, 1]].forEach(([receipt, sign]) => {
+    Object.entries(receiptContributions(receipt)).forEach(([bucket, contribution]) => {
+      const delta = deltas[bucket] || { ...contribution, cents: 0, count: 0, unconverted: 0 };
+      delta.cents += sign * contribution.cents;
+      delta.count += sign * contribution.count;
+      delta.unconverted += sign * contribution.unconverted;
+      if (sign > 0) delta.label = contribution.label;
+      deltas[bucket] = delta;
+    });
+  });
+
+  // Edits of notes, tags or review fields leave the aggregates alone
+  const changed = Object.entries(deltas)
+    .filter(([, delta]) => delta.cents !== 0 || delta.count !== 0 || delta.unconverted !== 0);
+  if (!userId || changed.length === 0) return [];
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      ClientRequestToken: eventId,
+      TransactItems: changed.map(([bucket, delta]) => ({
+        Update: {
+          TableName: ANALYTICS_TABLE,
+          Key: { userId, bucket },
+          UpdateExpression: 'ADD totalCents :cents, receiptCount :count, unconvertedCount :unconverted ' +
+            'SET dimension = :dimension, monthYear = :monthYear, groupKey = :groupKey, #label = :label, updatedAt = :now' +
+            (eventId ? ', lastEventId = :eventId' : ''),
+          ...(eventId ? { ConditionExpression: 'attribute_not_exists(lastEventId) OR lastEventId <> :eventId' } : {}),
+          ExpressionAttributeNames: { '#label': 'label' },
+          ExpressionAttributeValues: {
+            ':cents': delta.cents,
+            ':count': delta.count,
+            ':unconverted': delta.unconverted,
+            ':dimension': delta.dimension,
+            ':monthYear': delta.monthYear,
+            ':groupKey': delta.groupKey,
+            ':label': delta.label,
+            ':now': changedAt,
+            ...(eventId ? { ':eventId': eventId } : {})
+          }
+        }
+      }))
+    }));
+  } catch (error) {
+    // All buckets are written in one transaction, so a bucket that already
+    // saw this event means the whole change was applied before
+    const alreadyApplied = error.name === 'TransactionCanceledException' &&
+      (error.CancellationReasons || []).some(reason => reason.Code === 'ConditionalCheckFailed');
+    if (!alreadyApplied) throw error;
+    console.log(`ℹ️ Receipt change ${eventId} was already aggregated`);
+  }
+
+  // Buckets whose last receipt went away (deleted, erased or moved to
+  // another month or category)
+  const emptied = changed.filter(([, delta]) => delta.count < 0 || delta.unconverted < 0);
+  for (const [bucket] of emptied) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: ANALYTICS_TABLE,
+        Key: { userId, bucket },
+        ConditionExpression: 'receiptCount <= :zero AND unconvertedCount <= :zero',
+        ExpressionAttributeValues: { ':zero': 0 }
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+
+  return changed.map(([bucket, delta]) => ({ bucket, ...delta }));
+}
+
+// The aggregates the stream would have built from `receipts` (every stored
+// record counts, like its INSERT event): { bucket: { dimension, monthYear,
+// groupKey, label, cents, count, unconverted } }
+function buildAggregates(receipts) {
+  const aggregates = {};
+  receipts.forEach(receipt => {
+    Object.entries(receiptContributions(receipt)).forEach(([bucket, contribution]) => {
+      const aggregate = aggregates[bucket] || { ...contribution, cents: 0, count: 0, unconverted: 0 };
+      aggregate.cents += contribution.cents;
+      aggregate.count += contribution.count;
+      aggregate.unconverted += contribution.unconverted;
+      aggregates[bucket] = aggregate;
+    });
+  });
+  return aggregates;
+}
+
+// Replaces every aggregate of a user with the ones built from `receipts`,
+// all of the user's stored records. Returns { written, deleted }.
+async function replaceUserAggregates(userId, receipts) {
+  const aggregates = buildAggregates(receipts.filter(receipt => receipt.userId === userId));
+  const now = new Date().toISOString();
+
+  for (const [bucket, aggregate] of Object.entries(aggregates)) {
+    await docClient.send(new PutCommand({
+      TableName: ANALYTICS_TABLE,
+      Item: {
+        userId,
+        bucket,
+        dimension: aggregate.dimension,
+        monthYear: aggregate.monthYear,
+        groupKey: aggregate.groupKey,
+        label: aggregate.label,
+        totalCents: aggregate.cents,
+        receiptCount: aggregate.count,
+        unconvertedCount: aggregate.unconverted,
+        updatedAt: now
+      }
+    }));
+  }
+
+  const stale = [];
+  let startKey;
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: ANALYTICS_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ProjectionExpression: 'bucket',
+      ExclusiveStartKey: startKey
+    }));
+    stale.push(...(page.Items || []).map(item => item.bucket).filter(bucket => !aggregates[bucket]));
+    startKey = page.LastEvaluatedKey;
+  } while (startKey);
+
+  for (const bucket of stale) {
+    await docClient.send(new DeleteCommand({ TableName: ANALYTICS_TABLE, Key: { userId, bucket } }));
+  }
+
+  return { written: Object.keys(aggregates).length, deleted: stale.length };
+}
+
+// A single aggregate, e.g. getAggregate(userId, 'CATEGORY#2024-03#Grocery');
+// null when the bucket has no receipts
+async function getAggregate(userId, bucket) {
+  const result = await docClient.send(new GetCommand({
+    TableName: ANALYTICS_TABLE,
+    Key: { userId, bucket },
+    ConsistentRead: true
+  }));
+  return result.Item || null;
+}
+
+// Aggregates of one dimension for the months from..to (YYYY-MM)
+async function queryAggregates(userId, dimension, from, to) {
+  const prefix = ANALYTICS_DIMENSIONS[dimension];
+  const range = dimension === 'month'
+    ? [`${prefix}#${from}`, `${prefix}#${to}`]
+    : [`${prefix}#${from}#`, `${prefix}#${to}#\uffff`];
+  const items = [];
+
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: ANALYTICS_TABLE,
+      KeyConditionExpression: 'userId = :userId AND bucket BETWEEN :from AND :to',
+      ExpressionAttributeValues: { ':userId': userId, ':from': range[0], ':to': range[1] },
+      ExclusiveStartKey: startKey
+    }));
+    items.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  return items;
+}
+
+module.exports = {
+  ANALYTICS_DIMENSIONS,
+  receiptContributions,
+  applyReceiptChange,
+  buildAggregates,
+  replaceUserAggregates,
+  getAggregate,
+  queryAggregates
+};
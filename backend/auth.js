@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// JWT verification against a JWKS key set. Works with Cognito or any OIDC
+// issuer. The key set is loaded from (first match wins):
+//   JWKS_FILE - path to a local JSON key set (handy for local testing)
+//   JWKS_JSON - the key set inline as a JSON string
+//   JWKS_URL  - remote key set, defaults to {AUTH_ISSUER}/.well-known/jwks.json
+const AUTH_ISSUER = process.env.AUTH_ISSUER;
+const AUTH_AUDIENCE = process.env.AUTH_AUDIENCE;
+const JWKS_CACHE_MS = 60 * 60 * 1000; // Refresh remote keys hourly
+const JWKS_FORCED_REFRESH_MS = 60 * 1000; // Unknown kids refetch at most once a minute
+const CLOCK_SKEW_SECONDS = 60;
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+let cachedJwks = null;
+let cachedJwksAt = 0;
+let forcedRefreshAt = 0;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+async function verifyToken(token, options = {}) {
+  const issuer = options.issuer !== undefined ? options.issuer : AUTH_ISSUER;
+  const audience = options.audience !== undefined ? options.audience : AUTH_AUDIENCE;
+  const now = options.now || Math.floor(Date.now() / 1000);
+
+  if (!token || typeof token !== 'string') {
+    throw new AuthError('Missing token');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const jwk = await findSigningKey(header.kid, options.jwks);
+  if (!jwk) {
+    throw new AuthError('Token signed with an unknown key');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const signatureValid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    algorithm.dsaEncoding ? { key: publicKey, dsaEncoding: algorithm.dsaEncoding } : publicKey,
+    Buffer.from(parts[2], 'base64url')
+  );
+
+  if (!signatureValid) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError('Token expired');
+  }
+
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('Token not yet valid');
+  }
+
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError('Token issuer mismatch');
+  }
+
+  if (audience) {
+    // ID tokens carry `aud`; Cognito access tokens carry `client_id` instead
+    const audiences = [].concat(claims.aud || claims.client_id || []);
+    if (!audiences.includes(audience)) {
+      throw new AuthError('Token audience mismatch');
+    }
+  }
+
+  if (!claims.sub) {
+    throw new AuthError('Token has no subject');
+  }
+
+  return claims;
+}
+
+async function findSigningKey(kid, jwksOverride) {
+  if (jwksOverride) {
+    return selectKey(jwksOverride, kid);
+  }
+
+  let jwks = await loadJwks(false);
+  let key = selectKey(jwks, kid);
+
+  // Unknown kid: a remote issuer may have rotated keys since we cached them.
+  // Rate limited, or every forged token would cost a fetch from the issuer.
+  const isLocalKeySet = !!(process.env.JWKS_FILE || process.env.JWKS_JSON);
+  if (!key && !isLocalKeySet && Date.now() - forcedRefreshAt >= JWKS_FORCED_REFRESH_MS) {
+    forcedRefreshAt = Date.now();
+    jwks = await loadJwks(true);
+    key = selectKey(jwks, kid);
+  }
+
+  return key;
+}
+
+function selectKey(jwks, kid) {
+  const keys = (jwks && jwks.keys) || [];
+  const signingKeys = keys.filter(key => !key.use || key.use === 'sig');
+  return kid
+    ? signingKeys.find(key => key.kid === kid) || null
+    : (signingKeys.length === 1 ? signingKeys[0] : null);
+}
+
+async function loadJwks(forceRefresh) {
+  if (process.env.JWKS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.JWKS_FILE, 'utf8'));
+  }
+
+  if (process.env.JWKS_JSON) {
+    return JSON.parse(process.env.JWKS_JSON);
+  }
+
+  if (!forceRefresh && cachedJwks && Date.now() - cachedJwksAt < JWKS_CACHE_MS) {
+    return cachedJwks;
+  }
+
+  const jwksUrl = process.env.JWKS_URL || (AUTH_ISSUER && `${AUTH_ISSUER.replace(/\/$/, '')}/.well-known/jwks.json`);
+  if (!jwksUrl) {
+    throw new Error('No JWKS source configured (set JWKS_FILE, JWKS_JSON, JWKS_URL or AUTH_ISSUER)');
+  }
+
+  console.log(`Fetching JWKS from ${jwksUrl}`);
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS: HTTP ${response.status}`);
+  }
+
+  cachedJwks = await response.json();
+  cachedJwksAt = Date.now();
+  return cachedJwks;
+}
+
+// Maps verified token claims to the identity we store on receipts and pass
+// to backend Lambdas through the API Gateway authorizer context.
+function claimsToIdentity(claims) {
+  const groups = claims['cognito:groups'] || claims.groups || [];
+
+  return {
+    userId: claims.sub,
+    organizationId: claims['custom:organizationId'] || claims.org_id || 'default',
+    email: claims.email || '',
+    // Only a verified address may receive mail on the user's behalf
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    groups: Array.isArray(groups) ? groups : String(groups).split(',').filter(Boolean)
+  };
+}
+
+// Reads the caller identity placed on the request by authorizer-function.js.
+// Returns null when the request did not pass through the authorizer.
+function getCallerIdentity(event) {
+  const context = event.requestContext?.authorizer;
+  if (!context || !(context.userId || context.principalId)) {
+    return null;
+  }
+
+  return {
+    userId: context.userId || context.principalId,
+    organizationId: context.organizationId || 'default',
+    email: context.email || '',
+    emailVerified: context.emailVerified === true || context.emailVerified === 'true',
+    groups: context.groups ? String(context.groups).split(',').filter(Boolean) : []
+  };
+}
+
+function isAdmin(identity) {
+  const adminGroup = process.env.ADMIN_GROUP || 'admin';
+  return !!identity && identity.groups.includes(adminGroup);
+}
+
+// Reviewers work the review queue of their whole organization (review-function.js)
+function isReviewer(identity) {
+  const reviewerGroup = process.env.REVIEWER_GROUP || 'reviewer';
+  return !!identity && (identity.groups.includes(reviewerGroup) || isAdmin(identity));
+}
+
+module.exports = {
+  AuthError,
+  verifyToken,
+  claimsToIdentity,
+  getCallerIdentity,
+  isAdmin,
+  isReviewer
+};
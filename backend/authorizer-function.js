@@ -0,0 +1,51 @@
+const { verifyToken, claimsToIdentity } = require("./auth");
+
+// API Gateway TOKEN authorizer. Verifies the bearer JWT against the
+// configured JWKS and passes the caller identity to backend Lambdas
+// through requestContext.authorizer. Also the REQUEST authorizer of the
+// WebSocket API, where browsers can only send the token as ?token=.
+exports.handler = async (event) => {
+  const token = (event.authorizationToken || event.queryStringParameters?.token || '').replace(/^Bearer\s+/i, '');
+
+  let claims;
+  try {
+    claims = await verifyToken(token);
+  } catch (error) {
+    console.warn(`❌ Token rejected: ${error.message}`);
+    // API Gateway maps this exact message to a 401 response
+    throw new Error('Unauthorized');
+  }
+
+  const identity = claimsToIdentity(claims);
+  console.log(`✅ Authorized user ${identity.userId} (org: ${identity.organizationId})`);
+
+  return {
+    principalId: identity.userId,
+    policyDocument: {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Action: 'execute-api:Invoke',
+          Effect: 'Allow',
+          // Allow the whole stage so cached decisions work across routes
+          Resource: toStageWildcard(event.methodArn)
+        }
+      ]
+    },
+    // Authorizer context values must be strings, numbers or booleans
+    context: {
+      userId: identity.userId,
+      organizationId: identity.organizationId,
+      email: identity.email,
+      emailVerified: identity.emailVerified,
+      groups: identity.groups.join(',')
+    }
+  };
+};
+
+function toStageWildcard(methodArn) {
+  // arn:aws:execute-api:region:account:apiId/stage/METHOD/resource
+  // (WebSocket: arn:aws:execute-api:region:account:apiId/stage/$connect)
+  const [arnPrefix, stage] = methodArn.split('/');
+  return `${arnPrefix}/${stage}/*`;
+}
@@ -1,29 +1,45 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require("@aws-sdk/client-bedrock-runtime");
 const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { sniffMediaType } = require("./media-type");
+const { detectCurrency, convertToHomeCurrency } = require("./currency");
+const { normalizeReceiptDate, extractTime } = require("./date-normalizer");
+const { getModelProvider } = require("./model-providers");
+const { SCHEMA_VERSION, parseExtraction, cleanPrice } = require("./extraction-schema");
+const { classifyError } = require("./pipeline-errors");
+const { assessReview } = require("./review");
+const { SUBTOTAL_LINE_KINDS } = require("./reconciliation");
+const { scoreReceiptFields } = require("./field-confidence");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { recordStageStart } = require("./processing-status");
 
 // Initialize AWS clients
-const bedrock = new BedrockRuntimeClient({ region: 'us-east-1' });
 const s3Client = new S3Client({ region: 'us-east-1' });
 
-const NOVA_MODEL_ID = 'amazon.nova-lite-v1:0';
+// The extraction model comes from model-providers.js: event.modelProvider
+// for a single request, otherwise MODEL_PROVIDER for the deployment
+
+// First call plus repair calls
+const MAX_EXTRACTION_ATTEMPTS = parseInt(process.env.MAX_EXTRACTION_ATTEMPTS || '3', 10);
 
 exports.handler = async (event) => {
   try {
-    console.log('Bedrock Nova Lite processing started');
+    console.log('Bedrock processing started');
     
-    const { receiptId, textractResult, s3Bucket, s3Key } = event;
+    const { receiptId, textractResult, s3Bucket, s3Key, userId, organizationId, originalS3Key, originalMimeType } = event;
     
     if (!receiptId || !textractResult) {
       throw new Error('Missing required parameters: receiptId or textractResult');
     }
+    await recordStageStart(event, 'bedrock');
 
-    console.log(`Processing receipt ${receiptId} with Nova Lite multimodal AI`);
+    const provider = getModelProvider(event.modelProvider);
+    console.log(`Processing receipt ${receiptId} with ${provider.name} (${provider.modelId})`);
 
-    // Download image from S3 for Nova Lite vision processing
+    // Download image from S3 for vision processing
     let imageBase64 = null;
+    let mimeType = event.mimeType;
     if (s3Bucket && s3Key) {
       try {
-        console.log('Downloading image from S3 for Nova Lite vision...');
+        console.log('Downloading image from S3 for vision processing...');
         const getObjectCommand = new GetObjectCommand({
           Bucket: s3Bucket,
           Key: s3Key
@@ -38,95 +54,105 @@ exports.handler = async (event) => {
         }
         const imageBuffer = Buffer.concat(chunks);
         imageBase64 = imageBuffer.toString('base64');
+        mimeType = sniffMediaType(imageBuffer) || mimeType;
         
-        console.log(`✅ Downloaded image for Nova Lite: ${Math.round(imageBuffer.length / 1024)} KB`);
+        console.log(`✅ Downloaded image: ${Math.round(imageBuffer.length / 1024)} KB (${mimeType})`);
         
       } catch (s3Error) {
-        console.error('❌ Failed to download image from S3 for Nova Lite:', s3Error);
-        // Continue without image for Nova Lite (text-only processing)
+        console.error('❌ Failed to download image from S3:', s3Error);
+        // Continue without image (text-only processing)
       }
     }
 
-    // Create enhanced prompt for Nova Lite using Textract data
-    const prompt = createNovaReceiptParsingPrompt(textractResult);
-    
-    console.log('Calling Nova Lite with multimodal input...');
-    
-    // Prepare Nova Lite request with both text and image
-    const novaRequest = {
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              text: prompt
-            }
-          ]
-        }
-      ],
-      inferenceConfig: {
-        maxTokens: 4000,
-        temperature: 0.1,
-        topP: 0.9
-      }
-    };
+    // Create enhanced prompt using Textract data
+    const prompt = createReceiptParsingPrompt(textractResult);
 
-    // Add image for vision processing if available
-    if (imageBase64) {
-      novaRequest.messages[0].content.push({
-        image: {
-          format: "jpeg",
-          source: {
-            bytes: imageBase64
-          }
-        }
-      });
-      console.log('Added image to Nova Lite request for vision processing');
-    } else {
-      console.log('Processing with text-only (no image available)');
-    }
+    // PDFs go to models that can't read them as text plus Textract data only
+    const image = imageBase64 && (mimeType !== 'application/pdf' || provider.supportsDocuments)
+      ? { base64: imageBase64, mimeType }
+      : null;
 
-    const command = new InvokeModelCommand({
-      modelId: NOVA_MODEL_ID,
-      contentType: 'application/json',
-      body: JSON.stringify(novaRequest)
-    });
+    console.log(`Calling ${provider.name} (${provider.modelId}) ${image ? `with ${mimeType}` : 'text-only'}...`);
 
-    const response = await bedrock.send(command);
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-    const novaText = responseBody.output.message.content[0].text;
-
-    console.log('✅ Nova Lite processing completed');
-    console.log('Nova Lite response length:', novaText.length);
-
-    // Extract JSON from Nova Lite response
-    let parsedData;
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = novaText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsedData = JSON.parse(jsonMatch[0]);
-        console.log('✅ Successfully parsed JSON from Nova Lite response');
-      } else {
-        throw new Error('No JSON found in Nova Lite response');
-      }
-    } catch (parseError) {
-      console.warn('⚠️ Failed to parse Nova Lite JSON, using fallback data:', parseError.message);
+    // The reply must match the extraction schema. Invalid replies are sent
+    // back with the validation errors for repair, up to MAX_EXTRACTION_ATTEMPTS.
+    const extraction = await extractWithRepair(provider, { prompt, image, textractResult });
+    const { modelText, usage } = extraction;
+
+    let parsedData = extraction.data;
+    if (!parsedData) {
+      console.warn(`⚠️ No valid ${provider.name} response after ${extraction.attempts.length} attempt(s), using fallback data`);
       parsedData = createFallbackData(textractResult);
     }
 
     // Enhance parsed data with additional processing
-    const enhancedData = enhanceParsedData(parsedData, textractResult);
+    const enhancedData = enhanceParsedData(parsedData, textractResult, provider, usage);
+    enhancedData.extraction = {
+      schemaVersion: SCHEMA_VERSION,
+      succeededOnAttempt: extraction.succeededOnAttempt,
+      usedFallback: !extraction.data,
+      attempts: extraction.attempts
+    };
+
+    // Currency from Textract, printed codes/symbols, locale cues or the model,
+    // plus the total converted to the home currency for the receipt date
+    const receiptText = [textractResult.rawText || '', ...Object.values(textractResult.summaryFields || {})].join('\n');
+    const detected = detectCurrency({
+      textractCurrencyCodes: textractResult.currencyCodes,
+      rawText: receiptText,
+      modelCurrency: parsedData.currency
+    });
+    enhancedData.currency = detected.currency;
+    enhancedData.currencySource = detected.source;
+
+    // Date as printed, read in the receipt's locale, plus the time of day
+    const modelDate = parsedData.date;
+    const normalizedDate = normalizeReceiptDate({
+      printedDate: textractResult.summaryFields?.invoice_receipt_date,
+      modelDate: parsedData.date,
+      rawText: receiptText,
+      currency: detected.currency
+    });
+    enhancedData.date = normalizedDate.date;
+    enhancedData.time = normalizedDate.time || extractTime(parsedData.time || '', null);
+    enhancedData.dateResolution = normalizedDate.dateResolution;
 
-    // Add confidence scoring
-    enhancedData.metadata.confidence = calculateOverallConfidence(enhancedData, textractResult);
+    // Confidence and provenance (Textract, model or both) of every field and
+    // line; the overall confidence is their weighted average
+    const fieldConfidence = scoreReceiptFields({
+      parsedData: enhancedData,
+      textractResult,
+      extraction: enhancedData.extraction,
+      modelDate
+    });
+    enhancedData.items = (enhancedData.items || []).map((item, index) => ({ ...item, ...fieldConfidence.items[index] }));
+    enhancedData.fieldConfidence = {
+      fields: fieldConfidence.fields,
+      overall: fieldConfidence.overall,
+      uncertainFields: fieldConfidence.uncertainFields
+    };
+    enhancedData.metadata.confidence = fieldConfidence.overall;
+
+    enhancedData.currencyConversion = await convertToHomeCurrency(enhancedData.total, detected.currency, enhancedData.date);
 
     console.log(`✅ Bedrock processing completed for receipt ${receiptId}`);
     console.log(`   - Merchant: ${enhancedData.merchant || enhancedData.vendor}`);
-    console.log(`   - Total: ${enhancedData.total}`);
+    console.log(`   - Date: ${enhancedData.date}${enhancedData.time ? ` ${enhancedData.time}` : ''} (${enhancedData.dateResolution.method})`);
+    console.log(`   - Total: ${enhancedData.total} ${enhancedData.currency} (${enhancedData.currencySource})`);
     console.log(`   - Items: ${enhancedData.items?.length || 0}`);
     console.log(`   - Confidence: ${Math.round(enhancedData.metadata.confidence * 100)}%`);
 
+    // Low confidence, validation errors or amounts that don't add up send the
+    // receipt to the review queue before it is saved
+    const review = assessReview({ receiptId, parsedData: enhancedData, textractResult });
+    if (review.required) {
+      console.log(`⚠️ Receipt ${receiptId} needs review: ${review.reasons.map(reason => reason.code).join(', ')}`);
+    }
+
+    await publishProgress({ receiptId, parentReceiptId: event.parentReceiptId, userId }, PROGRESS_STAGES.MODEL_COMPLETED, {
+      reviewRequired: review.required
+    });
+
     return {
       receiptId,
       parsedData: enhancedData,
@@ -134,35 +160,32 @@ exports.handler = async (event) => {
       s3Bucket, // Pass individual components
       s3Key,
       s3Location: `s3://${s3Bucket}/${s3Key}`,
+      mimeType,
+      originalS3Key,
+      originalMimeType,
+      parentReceiptId: event.parentReceiptId, // Set for receipts split out of a group photo
+      imageHash: event.imageHash, // Set by the Textract step for images (see duplicates.js)
+      userId, // Caller identity for the stored record
+      organizationId,
       status: 'BEDROCK_COMPLETED',
       timestamp: new Date().toISOString(),
-      novaResponse: novaText.substring(0, 500) + (novaText.length > 500 ? '...' : ''), // Truncate for logging
-      processingMethod: imageBase64 ? 'nova-lite-multimodal' : 'nova-lite-text-only'
+      modelResponse: truncate(modelText, 500), // Truncate for logging
+      modelProvider: provider.name,
+      modelId: provider.modelId,
+      processingMethod: `${provider.name}-${image ? 'multimodal' : 'text-only'}`,
+      review
     };
 
   } catch (error) {
     console.error('❌ Bedrock processing failed:', error);
-    
-    // Return fallback data in case of error
-    const fallbackData = event.textractResult ? createFallbackData(event.textractResult) : {
-      merchant: 'Unknown',
-      total: '0.00',
-      items: [],
-      date: formatTodayDate()
-    };
 
-    return {
-      receiptId: event.receiptId || 'unknown',
-      parsedData: fallbackData,
-      status: 'BEDROCK_FAILED',
-      error: error.message,
-      timestamp: new Date().toISOString(),
-      processingMethod: 'fallback'
-    };
+    // Throttled or unavailable models are retried by the state machine;
+    // anything else stops the execution with a failure record
+    throw classifyError(error, 'bedrock');
   }
 };
 
-function createNovaReceiptParsingPrompt(textractResult) {
+function createReceiptParsingPrompt(textractResult) {
   const { summaryFields, lineItems, rawText } = textractResult;
   
   let prompt = `You are an expert receipt data extraction AI. Analyze this receipt data and extract structured information.
@@ -179,13 +202,18 @@ Please extract and return ONLY a valid JSON object with this exact structure:
   "merchant": "store name",
   "vendor": "store name (same as merchant)",
   "date": "YYYY-MM-DD format",
+  "time": "HH:MM 24-hour time of the transaction, or null if not printed",
   "total": "X.XX (final total amount)",
-  "subtotal": "X.XX (before tax)",
+  "subtotal": "X.XX (before tax, the sum of the ${SUBTOTAL_LINE_KINDS.join(', ')} lines)",
   "tax": "X.XX (tax amount)",
+  "tip": "X.XX (tip or gratuity, 0.00 if none)",
+  "fees": "X.XX (service charges, bag fees and other surcharges added after the subtotal, never deposits, 0.00 if none)",
+  "currency": "ISO 4217 code of the receipt currency, e.g. USD, EUR, GBP, JPY",
   "items": [
     {
+      "kind": "item | discount | coupon | tip | service_fee | deposit | rounding",
       "name": "item description",
-      "price": "X.XX",
+      "price": "X.XX (negative for discounts and coupons, e.g. -2.00)",
       "quantity": "1"
     }
   ]
@@ -198,12 +226,66 @@ IMPORTANT RULES:
 4. Ensure all prices are in X.XX format
 5. Extract individual items with their prices when possible
 6. If you can see the receipt image, use visual information to improve accuracy
+7. Do not convert amounts between currencies; report them as printed
+8. List every priced line in "items" with its kind: "discount" for markdowns and savings, "coupon" for coupons and vouchers, "tip" for gratuity, "service_fee" for service charges and surcharges, "deposit" for bottle or container deposits (part of the subtotal, not the fees), "rounding" for cash rounding; everything else is "item"
 
 Extract the data now:`;
 
   return prompt;
 }
 
+// Calls the model until its reply passes the extraction schema. Every
+// attempt is recorded with its validation errors; `data` is null when no
+// attempt produced valid output.
+async function extractWithRepair(provider, { prompt, image, textractResult }) {
+  const attempts = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let attemptPrompt = prompt;
+  let modelText = '';
+
+  for (let attempt = 1; attempt <= MAX_EXTRACTION_ATTEMPTS; attempt++) {
+    const response = await provider.invoke({ prompt: attemptPrompt, image, textractResult });
+    modelText = response.text;
+    usage.inputTokens += response.usage.inputTokens;
+    usage.outputTokens += response.usage.outputTokens;
+
+    const { data, errors } = parseExtraction(modelText);
+    attempts.push({
+      attempt,
+      valid: errors.length === 0,
+      errors,
+      responseExcerpt: truncate(modelText, 500),
+      usage: response.usage
+    });
+
+    if (errors.length === 0) {
+      console.log(`✅ Valid ${provider.name} response on attempt ${attempt} (${modelText.length} chars)`);
+      return { data, modelText, usage, attempts, succeededOnAttempt: attempt };
+    }
+
+    console.warn(`⚠️ Attempt ${attempt} failed schema validation: ${errors.join('; ')}`);
+    attemptPrompt = createRepairPrompt(prompt, modelText, errors);
+  }
+
+  return { data: null, modelText, usage, attempts, succeededOnAttempt: null };
+}
+
+function createRepairPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+Your previous answer was:
+${truncate(previousResponse, 4000)}
+
+It is not valid. Fix these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object.`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
 function createFallbackData(textractResult) {
   const { summaryFields, lineItems } = textractResult;
   
@@ -211,10 +293,12 @@ function createFallbackData(textractResult) {
   const fallbackData = {
     merchant: summaryFields?.vendor || summaryFields?.name || 'Unknown Store',
     vendor: summaryFields?.vendor || summaryFields?.name || 'Unknown Store',
-    date: summaryFields?.date || formatTodayDate(),
+    date: summaryFields?.invoice_receipt_date || summaryFields?.date || formatTodayDate(),
     total: summaryFields?.total || '0.00',
     subtotal: summaryFields?.subtotal || '0.00',
     tax: summaryFields?.tax || '0.00',
+    tip: summaryFields?.gratuity || '0.00',
+    fees: summaryFields?.service_charge || '0.00',
     items: []
   };
 
@@ -222,7 +306,7 @@ function createFallbackData(textractResult) {
   if (lineItems && lineItems.length > 0) {
     fallbackData.items = lineItems.map(item => ({
       name: item.item || item.description || 'Unknown Item',
-      price: item.price || item.amount || '0.00',
+      price: cleanPrice(item.price || item.amount || '0.00'),
       quantity: item.quantity || '1'
     }));
   }
@@ -230,7 +314,7 @@ function createFallbackData(textractResult) {
   return fallbackData;
 }
 
-function enhanceParsedData(parsedData, textractResult) {
+function enhanceParsedData(parsedData, textractResult, provider, usage) {
   // Clean and validate the parsed data
   if (parsedData.total) {
     parsedData.total = cleanPrice(parsedData.total);
@@ -244,6 +328,14 @@ function enhanceParsedData(parsedData, textractResult) {
     parsedData.tax = cleanPrice(parsedData.tax);
   }
 
+  if (parsedData.tip) {
+    parsedData.tip = cleanPrice(parsedData.tip);
+  }
+
+  if (parsedData.fees) {
+    parsedData.fees = cleanPrice(parsedData.fees);
+  }
+
   // Clean item prices
   if (parsedData.items && Array.isArray(parsedData.items)) {
     parsedData.items = parsedData.items.map(item => ({
@@ -255,49 +347,18 @@ function enhanceParsedData(parsedData, textractResult) {
 
   // Add metadata
   parsedData.metadata = {
-    processedBy: 'bedrock-nova-lite',
+    processedBy: provider.name,
+    modelId: provider.modelId,
+    usage: usage,
     processingTimestamp: new Date().toISOString(),
     textractFieldsUsed: Object.keys(textractResult.summaryFields || {}).length,
     lineItemsFound: (textractResult.lineItems || []).length,
-    confidence: 0.85 // Will be calculated separately
+    confidence: 0.85 // Replaced by the field confidence score
   };
 
   return parsedData;
 }
 
-function cleanPrice(price) {
-  if (!price) return '0.00';
-  
-  // Remove currency symbols and extra spaces
-  const cleaned = price.toString().replace(/[$£€¥,\s]/g, '');
-  
-  // Extract number
-  const match = cleaned.match(/\d+\.?\d*/);
-  if (match) {
-    const num = parseFloat(match[0]);
-    return num.toFixed(2);
-  }
-  
-  return '0.00';
-}
-
-function calculateOverallConfidence(parsedData, textractResult) {
-  let confidence = 0.5; // Base confidence
-  
-  // Boost confidence based on data quality
-  if (parsedData.merchant && parsedData.merchant !== 'Unknown Store') confidence += 0.2;
-  if (parsedData.total && parseFloat(parsedData.total) > 0) confidence += 0.15;
-  if (parsedData.items && parsedData.items.length > 0) confidence += 0.1;
-  if (parsedData.date && parsedData.date !== formatTodayDate()) confidence += 0.05;
-  
-  // Factor in Textract confidence
-  if (textractResult.confidence && textractResult.confidence.overall) {
-    confidence = (confidence + textractResult.confidence.overall / 100) / 2;
-  }
-  
-  return Math.min(confidence, 1.0);
-}
-
 function formatTodayDate() {
   return new Date().toISOString().split('T')[0];
 }
\ No newline at end of file
@@ -0,0 +1,9 @@
+const { retryPendingAlerts } = require("./budgets");
+
+// Scheduled every 15 minutes: delivers the budget alerts no notifier took
+// when the threshold was crossed (see evaluateBudgets in budgets.js).
+exports.handler = async () => {
+  const result = await retryPendingAlerts();
+  console.log(`✅ Pending budget alerts: ${result.delivered} delivered, ${result.failed} still failing, ${result.dropped} dropped`);
+  return result;
+};
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+
+// Where budget alerts go (see budgets.js). Chosen with BUDGET_NOTIFIERS, a
+// comma separated list of:
+//   sns   - publish to the BUDGET_ALERT_TOPIC_ARN topic
+//   email - send through SES from BUDGET_ALERT_EMAIL_FROM to the address of the budget
+//   log   - a log line (the default, handy when running locally)
+//   file  - append a JSON line to BUDGET_ALERT_FILE
+//
+// Alert: { type, userId, category, month, threshold, monthlyLimit, spent,
+//          percentUsed, currency, notifyEmail, receiptId, at }
+
+// --- Notifiers --------------------------------------------------------------
+// Every notifier implements notify(alert) and resolves once it was delivered.
+
+function createSnsNotifier(topicArn) {
+  let snsClient;
+
+  return {
+    name: 'sns',
+    async notify(alert) {
+      if (!topicArn) {
+        throw new Error('BUDGET_ALERT_TOPIC_ARN is not set');
+      }
+      // Loaded on first use, only the sns notifier needs it
+      const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
+      snsClient = snsClient || new SNSClient({ region: 'us-east-1' });
+
+      await snsClient.send(new PublishCommand({
+        TopicArn: topicArn,
+        Subject: describeAlert(alert).substring(0, 100),
+        Message: JSON.stringify(alert, null, 2),
+        MessageAttributes: {
+          userId: { DataType: 'String', StringValue: alert.userId },
+          category: { DataType: 'String', StringValue: alert.category },
+          threshold: { DataType: 'Number', StringValue: String(alert.threshold) }
+        }
+      }));
+    }
+  };
+}
+
+function createEmailNotifier(fromAddress) {
+  let sesClient;
+
+  return {
+    name: 'email',
+    async notify(alert) {
+      if (!fromAddress) {
+        throw new Error('BUDGET_ALERT_EMAIL_FROM is not set');
+      }
+      if (!alert.notifyEmail) {
+        console.warn(`⚠️ No email address for the ${alert.category} budget of user ${alert.userId}, alert not emailed`);
+        return;
+      }
+      // Loaded on first use, only the email notifier needs it
+      const { SESClient, SendEmailCommand } = require("@aws-sdk/client-ses");
+      sesClient = sesClient || new SESClient({ region: 'us-east-1' });
+
+      await sesClient.send(new SendEmailCommand({
+        Source: fromAddress,
+        Destination: { ToAddresses: [alert.notifyEmail] },
+        Message: {
+          Subject: { Data: describeAlert(alert) },
+          Body: {
+            Text: {
+              Data: `${describeAlert(alert)}.\n\n` +
+                `Spent ${alert.spent.toFixed(2)} of ${alert.monthlyLimit.toFixed(2)} ${alert.currency} ` +
+                `(${alert.percentUsed}%) on ${alert.category} in ${alert.month}.\n`
+            }
+          }
+        }
+      }));
+    }
+  };
+}
+
+function createLogNotifier() {
+  return {
+    name: 'log',
+    async notify(alert) {
+      console.log(`🔔 ${describeAlert(alert)}:`, JSON.stringify(alert));
+    }
+  };
+}
+
+// Relative paths are resolved against the working directory
+function createFileNotifier(filePath) {
+  return {
+    name: 'file',
+    async notify(alert) {
+      await fs.promises.appendFile(path.resolve(filePath), `${JSON.stringify(alert)}\n`);
+    }
+  };
+}
+
+const NOTIFIERS = {
+  sns: () => createSnsNotifier(process.env.BUDGET_ALERT_TOPIC_ARN),
+  email: () => createEmailNotifier(process.env.BUDGET_ALERT_EMAIL_FROM),
+  log: () => createLogNotifier(),
+  file: () => createFileNotifier(process.env.BUDGET_ALERT_FILE || 'budget-alerts.jsonl')
+};
+
+let defaultNotifiers;
+
+function getNotifiers() {
+  if (!defaultNotifiers) {
+    const names = (process.env.BUDGET_NOTIFIERS || 'log').split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !NOTIFIERS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown BUDGET_NOTIFIERS '${unknown.join(', ')}'`);
+    }
+    defaultNotifiers = names.map(name => NOTIFIERS[name]());
+  }
+  return defaultNotifiers;
+}
+
+// "Grocery budget at 80% for 2024-03"
+function describeAlert(alert) {
+  return `${alert.category} budget ${alert.threshold >= 100 ? 'exceeded' : `at ${alert.threshold}%`} for ${alert.month}`;
+}
+
+// Hands the alert to every notifier. Throws when any of them failed, after
+// trying all of them.
+async function sendBudgetAlert(alert, notifiers = getNotifiers()) {
+  const results = await Promise.allSettled(notifiers.map(notifier => notifier.notify(alert)));
+  const failures = results
+    .map((result, index) => result.status === 'rejected' ? `${notifiers[index].name}: ${result.reason.message}` : null)
+    .filter(Boolean);
+
+  if (failures.length > 0) {
+    throw new Error(`Budget alert not delivered (${failures.join('; ')})`);
+  }
+}
+
+module.exports = {
+  NOTIFIERS,
+  sendBudgetAlert
+};
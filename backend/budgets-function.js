@@ -0,0 +1,179 @@
+const { getCallerIdentity } = require("./auth");
+const { HOME_CURRENCY } = require("./currency");
+const { queryAggregates } = require("./analytics");
+const { DEFAULT_THRESHOLDS, listBudgets, putBudget, deleteBudget, describeBudgetProgress } = require("./budgets");
+
+const MAX_CATEGORY_LENGTH = 64;
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS"
+};
+
+// GET    /budgets?month=YYYY-MM     budgets of the caller with that month's spending (this month by default)
+// PUT    /budgets/{category}        { monthlyLimit, thresholds?: [80, 100], notifyEmail? }
+//   notifyEmail is the caller's own verified address (the default) or null
+// DELETE /budgets/{category}
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    let category;
+    try {
+      // Path parameters arrive URL encoded ("Home%20Office")
+      category = event.pathParameters?.category ? decodeURIComponent(event.pathParameters.category) : undefined;
+    } catch (decodeError) {
+      return buildResponse(400, { success: false, error: "Invalid category", details: decodeError.message });
+    }
+
+    if (event.httpMethod === 'GET' && !category) {
+      return await listBudgetProgress(identity, event.queryStringParameters || {});
+    }
+
+    if (!category || !category.trim() || category.length > MAX_CATEGORY_LENGTH) {
+      return buildResponse(400, {
+        success: false,
+        error: "Invalid category",
+        details: `A category of 1 to ${MAX_CATEGORY_LENGTH} characters is required`
+      });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      let settings;
+      try {
+        settings = parseBudgetSettings(event.body, identity);
+      } catch (validationError) {
+        return buildResponse(400, {
+          success: false,
+          error: "Invalid budget",
+          details: validationError.message
+        });
+      }
+
+      const { budget, created } = await putBudget(identity.userId, category.trim(), settings);
+      console.log(`✅ ${created ? 'Created' : 'Updated'} ${budget.category} budget of ${budget.monthlyLimit} ${budget.currency} for user ${identity.userId}`);
+      return buildResponse(created ? 201 : 200, { success: true, budget: toBudgetResponse(budget) });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const deleted = await deleteBudget(identity.userId, category.trim());
+      if (!deleted) {
+        return buildResponse(404, { success: false, error: "Budget not found" });
+      }
+      console.log(`🗑️ Deleted ${category} budget of user ${identity.userId}`);
+      return buildResponse(200, { success: true, category: category.trim() });
+    }
+
+    return buildResponse(405, { success: false, error: `Method ${event.httpMethod} not allowed` });
+
+  } catch (error) {
+    console.error('❌ Budgets error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to handle budgets',
+      details: error.message
+    });
+  }
+};
+
+// Spending comes from the category aggregates of the month (see analytics.js)
+async function listBudgetProgress(identity, params) {
+  const month = params.month || new Date().toISOString().substring(0, 7);
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return buildResponse(400, {
+      success: false,
+      error: "Invalid query parameters",
+      details: "'month' must be a month in YYYY-MM format"
+    });
+  }
+
+  const [budgets, categories] = await Promise.all([
+    listBudgets(identity.userId),
+    queryAggregates(identity.userId, 'category', month, month)
+  ]);
+  const spentCents = new Map(categories.map(item => [item.groupKey, item.totalCents || 0]));
+
+  return buildResponse(200, {
+    success: true,
+    month,
+    currency: HOME_CURRENCY,
+    budgets: budgets
+      .map(budget => ({
+        ...toBudgetResponse(budget),
+        ...describeBudgetProgress(budget, spentCents.get(budget.category) || 0)
+      }))
+      .sort((a, b) => (b.percentUsed ?? 0) - (a.percentUsed ?? 0) || a.category.localeCompare(b.category))
+  });
+}
+
+function parseBudgetSettings(body, identity) {
+  let input;
+  try {
+    input = JSON.parse(body || '{}');
+  } catch (error) {
+    throw new Error('Body must be JSON');
+  }
+
+  const monthlyLimit = Number(input.monthlyLimit);
+  if (input.monthlyLimit === undefined || input.monthlyLimit === null || !Number.isFinite(monthlyLimit) || monthlyLimit <= 0) {
+    throw new Error("'monthlyLimit' must be a positive number");
+  }
+
+  let thresholds = DEFAULT_THRESHOLDS;
+  if (input.thresholds !== undefined) {
+    if (!Array.isArray(input.thresholds) || input.thresholds.length === 0 ||
+        input.thresholds.some(value => !Number.isInteger(value) || value < 1 || value > 500)) {
+      throw new Error("'thresholds' must be a list of whole percentages between 1 and 500");
+    }
+    thresholds = [...new Set(input.thresholds)].sort((a, b) => a - b);
+  }
+
+  // Alerts are only emailed to the caller, so nobody can have alerts sent
+  // to addresses that never asked for them
+  const ownEmail = identity.emailVerified ? identity.email : '';
+  let notifyEmail = ownEmail;
+  if (input.notifyEmail !== undefined && input.notifyEmail !== null && input.notifyEmail !== '') {
+    if (typeof input.notifyEmail !== 'string' || !ownEmail || input.notifyEmail.toLowerCase() !== ownEmail.toLowerCase()) {
+      throw new Error("'notifyEmail' can only be your own verified email address, or null for no email");
+    }
+  } else if (input.notifyEmail !== undefined) {
+    notifyEmail = null;
+  }
+
+  return {
+    monthlyLimit: Math.round(monthlyLimit * 100) / 100,
+    thresholds,
+    notifyEmail: notifyEmail || null
+  };
+}
+
+function toBudgetResponse(budget) {
+  return {
+    category: budget.category,
+    monthlyLimit: budget.monthlyLimit,
+    currency: budget.currency || HOME_CURRENCY,
+    thresholds: budget.thresholds,
+    notifyEmail: budget.notifyEmail || null,
+    createdAt: budget.createdAt,
+    updatedAt: budget.updatedAt
+  };
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
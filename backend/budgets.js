@@ -0,0 +1,275 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, DeleteCommand, UpdateCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+const { HOME_CURRENCY } = require("./currency");
+const { getAggregate } = require("./analytics");
+const { sendBudgetAlert } = require("./budget-notifiers");
+
+// Monthly budgets per receipt category, in the home currency. One item per
+// user and category:
+//   monthlyLimit   amount per calendar month
+//   thresholds     percentages of the limit that raise an alert, [80, 100] by default
+//   notifyEmail    where the email notifier sends alerts
+//   alertsSent     { "2024-03#80": time } so every threshold alerts once a month
+//   pendingAlerts  { "2024-03#80": { alert, attempts, lastError } } alerts no
+//                  notifier took, retried by budget-alerts-retry-function.js
+// Budgets are checked whenever a receipt adds to the spending of its
+// category (evaluateBudgets, called by analytics-aggregator-function.js).
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const BUDGETS_TABLE = process.env.BUDGETS_TABLE || 'SnapTally-Budgets';
+
+const DEFAULT_THRESHOLDS = [80, 100];
+
+// A pending alert is dropped after this many failed deliveries
+const MAX_ALERT_ATTEMPTS = 10;
+
+async function listBudgets(userId) {
+  const budgets = [];
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: BUDGETS_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }));
+    budgets.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return budgets;
+}
+
+async function getBudget(userId, category) {
+  const result = await docClient.send(new GetCommand({
+    TableName: BUDGETS_TABLE,
+    Key: { userId, category }
+  }));
+  return result.Item || null;
+}
+
+// Creates or replaces a budget. Alerts already sent this month are kept
+// unless the limit or thresholds changed.
+async function putBudget(userId, category, { monthlyLimit, thresholds = DEFAULT_THRESHOLDS, notifyEmail }) {
+  const current = await getBudget(userId, category);
+  const now = new Date().toISOString();
+  const unchanged = current && current.monthlyLimit === monthlyLimit &&
+    JSON.stringify(current.thresholds) === JSON.stringify(thresholds);
+
+  const budget = {
+    userId,
+    category,
+    monthlyLimit,
+    thresholds,
+    currency: HOME_CURRENCY,
+    notifyEmail: notifyEmail || null,
+    alertsSent: unchanged ? current.alertsSent || {} : {},
+    pendingAlerts: unchanged ? current.pendingAlerts || {} : {},
+    createdAt: current?.createdAt || now,
+    updatedAt: now
+  };
+
+  await docClient.send(new PutCommand({ TableName: BUDGETS_TABLE, Item: budget }));
+  return { budget, created: !current };
+}
+
+// Resolves to false when there was no such budget
+async function deleteBudget(userId, category) {
+  try {
+    await docClient.send(new DeleteCommand({
+      TableName: BUDGETS_TABLE,
+      Key: { userId, category },
+      ConditionExpression: 'attribute_exists(userId)'
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+}
+
+// Budgets and their alert email go with the user's data (erasure-function.js)
+async function deleteUserBudgets(userId) {
+  const budgets = await listBudgets(userId);
+  for (const budget of budgets) {
+    await deleteBudget(userId, budget.category);
+  }
+  return budgets.length;
+}
+
+// Spending against a budget: `spentCents` of the month
+function describeBudgetProgress(budget, spentCents) {
+  const spent = spentCents / 100;
+  const ratio = budget.monthlyLimit > 0 ? (spent / budget.monthlyLimit) * 100 : null;
+  const percentUsed = ratio === null ? null : Math.round(ratio * 10) / 10;
+  const crossed = ratio === null ? [] : budget.thresholds.filter(threshold => ratio >= threshold);
+
+  return {
+    spent,
+    remaining: Math.round((budget.monthlyLimit - spent) * 100) / 100,
+    percentUsed,
+    crossedThresholds: crossed,
+    status: ratio !== null && ratio >= 100 ? 'exceeded' : crossed.length > 0 ? 'warning' : 'ok'
+  };
+}
+
+// `changes` are the buckets applyReceiptChange updated for `receipt`. For
+// every category whose spending went up, alerts thresholds of its budget
+// crossed for the first time that month.
+async function evaluateBudgets(changes, receipt) {
+  const increases = changes.filter(change => change.dimension === 'CATEGORY' && change.cents > 0);
+  const alerts = [];
+
+  for (const change of increases) {
+    const userId = receipt.userId;
+    const budget = await getBudget(userId, change.groupKey);
+    if (!budget) continue;
+
+    const aggregate = await getAggregate(userId, change.bucket);
+    const progress = describeBudgetProgress(budget, aggregate?.totalCents || 0);
+
+    for (const threshold of progress.crossedThresholds) {
+      const alertKey = `${change.monthYear}#${threshold}`;
+      if ((budget.alertsSent || {})[alertKey]) continue;
+
+      const alert = {
+        type: 'budget.threshold_crossed',
+        userId,
+        category: budget.category,
+        month: change.monthYear,
+        threshold,
+        monthlyLimit: budget.monthlyLimit,
+        spent: progress.spent,
+        percentUsed: progress.percentUsed,
+        currency: budget.currency || HOME_CURRENCY,
+        notifyEmail: budget.notifyEmail || null,
+        receiptId: receipt.receiptId,
+        at: new Date().toISOString()
+      };
+
+      // Claimed before sending so concurrent receipts alert once. A failed
+      // delivery is left for the retry function, the receipt change that
+      // crossed the threshold has been aggregated either way
+      if (!(await markAlertSent(budget, alertKey, alert.at))) continue;
+      try {
+        await sendBudgetAlert(alert);
+      } catch (error) {
+        console.warn(`⚠️ Budget alert ${alertKey} of the ${budget.category} budget of user ${userId} not delivered, retrying later: ${error.message}`);
+        await markAlertPending(budget, alertKey, { alert, attempts: 1, lastError: error.message });
+        continue;
+      }
+
+      console.log(`🔔 ${budget.category} budget of user ${userId} at ${progress.percentUsed}% for ${change.monthYear} (threshold ${threshold}%)`);
+      alerts.push(alert);
+    }
+  }
+
+  return alerts;
+}
+
+async function markAlertSent(budget, alertKey, at) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: BUDGETS_TABLE,
+      Key: { userId: budget.userId, category: budget.category },
+      UpdateExpression: 'SET alertsSent.#alert = :at',
+      ConditionExpression: 'attribute_exists(userId) AND attribute_not_exists(alertsSent.#alert)',
+      ExpressionAttributeNames: { '#alert': alertKey },
+      ExpressionAttributeValues: { ':at': at }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+}
+
+// Nothing is kept when the budget was deleted in the meantime
+async function markAlertPending(budget, alertKey, pending) {
+  const key = { userId: budget.userId, category: budget.category };
+  try {
+    // Budgets from before pending alerts have no map to add to yet
+    await docClient.send(new UpdateCommand({
+      TableName: BUDGETS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET pendingAlerts = if_not_exists(pendingAlerts, :empty)',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeValues: { ':empty': {} }
+    }));
+    await docClient.send(new UpdateCommand({
+      TableName: BUDGETS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET pendingAlerts.#alert = :pending',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeNames: { '#alert': alertKey },
+      ExpressionAttributeValues: { ':pending': pending }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+  }
+}
+
+// Delivers the alerts evaluateBudgets could not. Returns { delivered,
+// failed, dropped }.
+async function retryPendingAlerts() {
+  const result = { delivered: 0, failed: 0, dropped: 0 };
+  let startKey;
+
+  do {
+    const page = await docClient.send(new ScanCommand({
+      TableName: BUDGETS_TABLE,
+      FilterExpression: 'size(pendingAlerts) > :zero',
+      ExpressionAttributeValues: { ':zero': 0 },
+      ExclusiveStartKey: startKey
+    }));
+
+    for (const budget of page.Items || []) {
+      for (const [alertKey, pending] of Object.entries(budget.pendingAlerts)) {
+        try {
+          await sendBudgetAlert(pending.alert);
+          await clearAlertPending(budget, alertKey);
+          console.log(`🔔 Delivered pending alert ${alertKey} of the ${budget.category} budget of user ${budget.userId}`);
+          result.delivered++;
+        } catch (error) {
+          const attempts = (pending.attempts || 0) + 1;
+          if (attempts >= MAX_ALERT_ATTEMPTS) {
+            console.error(`❌ Dropping alert ${alertKey} of the ${budget.category} budget of user ${budget.userId} after ${attempts} attempts: ${error.message}`);
+            await clearAlertPending(budget, alertKey);
+            result.dropped++;
+          } else {
+            await markAlertPending(budget, alertKey, { ...pending, attempts, lastError: error.message });
+            result.failed++;
+          }
+        }
+      }
+    }
+    startKey = page.LastEvaluatedKey;
+  } while (startKey);
+
+  return result;
+}
+
+async function clearAlertPending(budget, alertKey) {
+  await docClient.send(new UpdateCommand({
+    TableName: BUDGETS_TABLE,
+    Key: { userId: budget.userId, category: budget.category },
+    UpdateExpression: 'REMOVE pendingAlerts.#alert',
+    ConditionExpression: 'attribute_exists(userId)',
+    ExpressionAttributeNames: { '#alert': alertKey }
+  })).catch(error => {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+  });
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  listBudgets,
+  getBudget,
+  putBudget,
+  deleteBudget,
+  deleteUserBudgets,
+  describeBudgetProgress,
+  evaluateBudgets,
+  retryPendingAlerts
+};
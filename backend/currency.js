@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+
+// Currency detection and conversion to the home currency.
+//
+// Rates come from a pluggable source chosen with FX_RATE_SOURCE:
+//   file        - a local JSON rate table (FX_RATES_FILE, see fx-rates.example.json)
+//   frankfurter - daily ECB reference rates from api.frankfurter.app
+//   none        - no conversion
+
+const HOME_CURRENCY = (process.env.HOME_CURRENCY || 'USD').toUpperCase();
+
+// ISO 4217 codes we recognise on receipts
+const KNOWN_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK',
+  'PLN', 'CZK', 'HUF', 'MXN', 'BRL', 'INR', 'KRW', 'SGD', 'HKD', 'THB', 'ZAR', 'TRY',
+  'AED', 'ILS', 'ISK', 'RON', 'PHP', 'IDR', 'MYR', 'TWD', 'VND'
+];
+
+// Symbols that identify exactly one currency. Checked longest first so that
+// "C$" wins over "$".
+const CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'],
+  ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'], ['NT$', 'TWD'],
+  ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['₩', 'KRW'], ['₺', 'TRY'], ['₪', 'ILS'],
+  ['₫', 'VND'], ['฿', 'THB'], ['₱', 'PHP'], ['zł', 'PLN'], ['Kč', 'CZK'], ['元', 'CNY'],
+  ['RMB', 'CNY'], ['円', 'JPY']
+];
+
+// Hints for the ambiguous "$", "¥" and "kr" symbols: tax names, country
+// names and phone prefixes printed on receipts
+const LOCALE_CUES = [
+  [/\b(ABN|GST\s+incl|Australia|NSW|VIC|QLD)\b|\+61\b/i, 'AUD'],
+  [/\b(HST|QST|PST|Canada|Ontario|Quebec|Qu[ée]bec|Alberta|British Columbia)\b|\bGST\/HST\b/i, 'CAD'],
+  [/\b(New Zealand|GST\s+No)\b|\+64\b/i, 'NZD'],
+  [/\b(Mexico|M[ée]xico|RFC)\b|\+52\b/i, 'MXN'],
+  [/\b(Singapore)\b|\+65\b/i, 'SGD'],
+  [/\b(Hong Kong)\b|\+852\b/i, 'HKD'],
+  [/(消費税|税込|Japan)|\+81\b/i, 'JPY'],
+  [/(增值税|发票|China)|\+86\b/i, 'CNY'],
+  [/\b(MwSt|USt|Mehrwertsteuer|TVA|IVA|BTW|Deutschland|France|Italia|Espa[ñn]a|Nederland)\b|\+(49|33|39|34|31|43|32|351|353)\b/i, 'EUR'],
+  [/\b(VAT\s+Reg|United Kingdom|London)\b|\+44\b/i, 'GBP'],
+  [/\b(moms|Sverige)\b|\+46\b/i, 'SEK'],
+  [/\b(mva|Norge)\b|\+47\b/i, 'NOK'],
+  [/\b(Danmark)\b|\+45\b/i, 'DKK'],
+  [/\b(Sales\s+Tax|USA|United States)\b|\+1\b/i, 'USD']
+];
+
+function isKnownCurrency(code) {
+  return typeof code === 'string' && KNOWN_CURRENCIES.includes(code.toUpperCase());
+}
+
+// Works out the receipt currency from the strongest evidence available.
+// Returns { currency, source } where source explains how it was found.
+function detectCurrency({ textractCurrencyCodes = [], rawText = '', modelCurrency } = {}) {
+  // 1. Textract reports a currency code for some amount fields
+  const textractCode = textractCurrencyCodes.find(isKnownCurrency);
+  if (textractCode) {
+    return { currency: textractCode.toUpperCase(), source: 'textract' };
+  }
+
+  // 2. An ISO code printed next to an amount ("TOTAL EUR 12,50", "12.50 CHF")
+  const codes = KNOWN_CURRENCIES.join('|');
+  const codeMatch = rawText.match(new RegExp(`\\b(${codes})\\s?-?\\d|\\d\\s?(${codes})\\b`));
+  if (codeMatch) {
+    return { currency: codeMatch[1] || codeMatch[2], source: 'code' };
+  }
+
+  // 3. A symbol that belongs to exactly one currency
+  const symbol = CURRENCY_SYMBOLS.find(([sym]) => rawText.includes(sym));
+  if (symbol) {
+    return { currency: symbol[1], source: 'symbol' };
+  }
+
+  // 4. "$", "¥" or "kr" plus a locale cue
+  const ambiguousSymbol = /[$¥]|\bkr\b/i.test(rawText);
+  const cue = LOCALE_CUES.find(([pattern]) => pattern.test(rawText));
+  if (ambiguousSymbol && cue) {
+    return { currency: cue[1], source: 'locale' };
+  }
+
+  // 5. What the model read from the image
+  if (isKnownCurrency(modelCurrency)) {
+    return { currency: modelCurrency.toUpperCase(), source: 'model' };
+  }
+
+  if (rawText.includes('¥')) {
+    return { currency: 'JPY', source: 'symbol' };
+  }
+
+  if (rawText.includes('$')) {
+    return { currency: 'USD', source: 'symbol' };
+  }
+
+  if (cue) {
+    return { currency: cue[1], source: 'locale' };
+  }
+
+  return { currency: HOME_CURRENCY, source: 'default' };
+}
+
+// --- Rate sources -----------------------------------------------------------
+// Every source implements getRate(from, to, date) and resolves to
+// { rate, rateDate } or null when no rate is known.
+
+// Rate table file: { "base": "EUR", "rates": { "YYYY-MM-DD": { "USD": 1.09, ... } } }
+// The most recent table on or before the receipt date is used, so weekends
+// and holidays fall back to the previous business day, but never one older
+// than maxAgeDays.
+function createFileRateSource(filePath, maxAgeDays = 7) {
+  let table;
+
+  const load = () => {
+    if (!table) {
+      const resolved = path.isAbsolute(filePath) ? filePath : path.join(__dirname, filePath);
+      table = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    }
+    return table;
+  };
+
+  return {
+    name: 'file',
+    async getRate(from, to, date) {
+      const { base, rates } = load();
+      const rateDate = Object.keys(rates).sort().filter(day => day <= date).pop();
+      if (!rateDate || (Date.parse(date) - Date.parse(rateDate)) / 86400000 > maxAgeDays) return null;
+
+      const day = { ...rates[rateDate], [base]: 1 };
+      if (!day[from] || !day[to]) return null;
+
+      return { rate: day[to] / day[from], rateDate };
+    }
+  };
+}
+
+// ECB reference rates, published on business days
+function createFrankfurterRateSource(baseUrl) {
+  const cache = new Map();
+
+  return {
+    name: 'frankfurter',
+    async getRate(from, to, date) {
+      const cacheKey = `${from}-${to}-${date}`;
+      if (!cache.has(cacheKey)) {
+        const response = await fetch(`${baseUrl}/${date}?from=${from}&to=${to}`);
+        if (!response.ok) {
+          throw new Error(`Rate lookup failed with HTTP ${response.status}`);
+        }
+        const body = await response.json();
+        cache.set(cacheKey, body.rates && body.rates[to] ? { rate: body.rates[to], rateDate: body.date } : null);
+      }
+      return cache.get(cacheKey);
+    }
+  };
+}
+
+const RATE_SOURCES = {
+  file: () => createFileRateSource(process.env.FX_RATES_FILE || 'fx-rates.json', parseInt(process.env.FX_MAX_RATE_AGE_DAYS || '7', 10)),
+  frankfurter: () => createFrankfurterRateSource(process.env.FX_RATES_URL || 'https://api.frankfurter.app'),
+  none: () => ({ name: 'none', async getRate() { return null; } })
+};
+
+let defaultRateSource;
+
+function getRateSource() {
+  if (!defaultRateSource) {
+    const name = process.env.FX_RATE_SOURCE || 'frankfurter';
+    if (!RATE_SOURCES[name]) {
+      throw new Error(`Unknown FX_RATE_SOURCE '${name}'`);
+    }
+    defaultRateSource = RATE_SOURCES[name]();
+  }
+  return defaultRateSource;
+}
+
+// Converts a receipt total to the home currency using the rate for the
+// receipt date. Never throws: a missing rate leaves the home amount empty and
+// records why.
+async function convertToHomeCurrency(amount, currency, date, rateSource = getRateSource()) {
+  const value = parseFloat(amount || '0');
+  const rateDay = /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : new Date().toISOString().split('T')[0];
+
+  if (currency === HOME_CURRENCY) {
+    return {
+      homeCurrency: HOME_CURRENCY,
+      homeTotal: value.toFixed(2),
+      exchangeRate: 1,
+      exchangeRateDate: rateDay,
+      exchangeRateSource: 'identity'
+    };
+  }
+
+  try {
+    const result = await rateSource.getRate(currency, HOME_CURRENCY, rateDay);
+    if (!result) {
+      console.warn(`⚠️ No ${currency}->${HOME_CURRENCY} rate for ${rateDay} from ${rateSource.name}`);
+      return { homeCurrency: HOME_CURRENCY, homeTotal: null, exchangeRate: null, exchangeRateDate: null, exchangeRateSource: rateSource.name, conversionError: 'Rate not available' };
+    }
+
+    return {
+      homeCurrency: HOME_CURRENCY,
+      homeTotal: (value * result.rate).toFixed(2),
+      exchangeRate: Number(result.rate.toFixed(6)),
+      exchangeRateDate: result.rateDate,
+      exchangeRateSource: rateSource.name
+    };
+  } catch (error) {
+    console.error(`❌ Currency conversion ${currency}->${HOME_CURRENCY} failed:`, error.message);
+    return { homeCurrency: HOME_CURRENCY, homeTotal: null, exchangeRate: null, exchangeRateDate: null, exchangeRateSource: rateSource.name, conversionError: error.message };
+  }
+}
+
+// Stored record fields for a conversion result
+function toHomeCurrencyFields(conversion) {
+  const homeTotal = conversion && conversion.homeTotal !== null && conversion.homeTotal !== undefined
+    ? conversion.homeTotal
+    : null;
+
+  return {
+    homeCurrency: conversion?.homeCurrency || HOME_CURRENCY,
+    homeTotal: homeTotal === null ? null : parseFloat(homeTotal),
+    homeTotalFormatted: homeTotal,
+    exchangeRate: conversion?.exchangeRate ?? null,
+    exchangeRateDate: conversion?.exchangeRateDate ?? null,
+    exchangeRateSource: conversion?.exchangeRateSource ?? null
+  };
+}
+
+module.exports = {
+  HOME_CURRENCY,
+  KNOWN_CURRENCIES,
+  isKnownCurrency,
+  detectCurrency,
+  createFileRateSource,
+  createFrankfurterRateSource,
+  getRateSource,
+  convertToHomeCurrency,
+  toHomeCurrencyFields
+};
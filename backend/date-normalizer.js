@@ -0,0 +1,283 @@
+// Turns the receipt date printed on the receipt (Textract), found in the raw
+// text or returned by the model into an ISO YYYY-MM-DD date plus the time of
+// day when one is printed. Ambiguous dates like 03/04/2024 are resolved with,
+// in order: other unambiguous dates on the same receipt, a locale hint from
+// the currency or address, agreement with the model's answer and finally the
+// default order for the home currency. How it was resolved is recorded.
+
+const { HOME_CURRENCY } = require("./currency");
+
+const RETENTION_YEARS = 7;
+
+// Receipts can be dated "tomorrow" relative to UTC in eastern time zones
+const FUTURE_TOLERANCE_DAYS = 1;
+
+// Field order by receipt currency. Anything not listed is day first.
+const MONTH_FIRST_CURRENCIES = ['USD', 'PHP'];
+const YEAR_FIRST_CURRENCIES = ['CNY', 'JPY', 'KRW', 'TWD', 'HUF'];
+
+// Address cues that settle the order regardless of currency
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY';
+const ADDRESS_CUES = [
+  [new RegExp(`,\\s*(${US_STATES})\\s+\\d{5}(-\\d{4})?\\b|\\b(USA|United States)\\b`), 'MDY', 'US address'],
+  [/\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b|\bUnited Kingdom\b/, 'DMY', 'UK postcode'],
+  [/\b[A-Z]\d[A-Z]\s\d[A-Z]\d\b/, 'DMY', 'Canadian postcode'],
+  [/\b\d{5}\s+[A-ZÄÖÜ][a-zäöüß]+\b.*\b(Deutschland|Germany|France|Italia|Espa[ñn]a)\b/s, 'DMY', 'European address']
+];
+
+const MONTH_NAMES = {
+  jan: 1, january: 1, januar: 1, janvier: 1, enero: 1, gennaio: 1, januari: 1,
+  feb: 2, february: 2, februar: 2, fevrier: 2, février: 2, febrero: 2, febbraio: 2, februari: 2,
+  mar: 3, march: 3, märz: 3, maerz: 3, mars: 3, marzo: 3, mrt: 3, maart: 3,
+  apr: 4, april: 4, avril: 4, abril: 4, aprile: 4,
+  may: 5, mai: 5, mayo: 5, maggio: 5, mei: 5,
+  jun: 6, june: 6, juni: 6, juin: 6, junio: 6, giugno: 6,
+  jul: 7, july: 7, juli: 7, juillet: 7, julio: 7, luglio: 7,
+  aug: 8, august: 8, aout: 8, août: 8, agosto: 8, augustus: 8,
+  sep: 9, sept: 9, september: 9, septembre: 9, septiembre: 9, settembre: 9,
+  oct: 10, october: 10, okt: 10, oktober: 10, octobre: 10, octubre: 10, ottobre: 10,
+  nov: 11, november: 11, novembre: 11, noviembre: 11,
+  dec: 12, december: 12, dez: 12, dezember: 12, decembre: 12, décembre: 12, diciembre: 12, dicembre: 12
+};
+
+const MONTH_PATTERN = Object.keys(MONTH_NAMES).sort((a, b) => b.length - a.length).join('|');
+
+const NUMERIC_DATE = /\b(\d{1,4})([./-])(\d{1,2})\2(\d{2,4})\b/g;
+const NAMED_DATE = new RegExp(
+  `\\b(?:(\\d{1,2})\\.?[\\s-]*(${MONTH_PATTERN})\\.?[\\s,-]*(\\d{2,4})|(${MONTH_PATTERN})\\.?[\\s-]*(\\d{1,2})(?:st|nd|rd|th)?,?[\\s-]*(\\d{2,4}))\\b`,
+  'gi'
+);
+// "14:32", "14:32:05", "2:32 PM", "14h32". Times with a dot need am/pm so
+// that prices are not mistaken for times.
+const TIME_PATTERN = /\b([01]?\d|2[0-3])(?::([0-5]\d)(?::([0-5]\d))?|h([0-5]\d)|\.([0-5]\d)(?=\s*[ap]\.?m\b))\s*([ap])?\.?m?\.?(?![\w])/gi;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function expandYear(year) {
+  const value = parseInt(year, 10);
+  return year.length <= 2 ? 2000 + value : value;
+}
+
+function toIsoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null; // e.g. 31/02
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Every calendar-valid reading of a printed date, keyed by field order
+function interpretDate(text) {
+  const value = String(text || '').trim();
+  const readings = {};
+
+  NUMERIC_DATE.lastIndex = 0;
+  const numeric = NUMERIC_DATE.exec(value);
+  if (numeric) {
+    const [, first, separator, second, third] = numeric;
+    if (first.length === 4) {
+      readings.YMD = toIsoDate(parseInt(first, 10), parseInt(second, 10), parseInt(third, 10));
+    } else if (third.length === 4 || third.length === 2) {
+      const year = expandYear(third);
+      readings.DMY = toIsoDate(year, parseInt(second, 10), parseInt(first, 10));
+      readings.MDY = toIsoDate(year, parseInt(first, 10), parseInt(second, 10));
+    }
+    return { readings: compact(readings), separator, printed: numeric[0] };
+  }
+
+  NAMED_DATE.lastIndex = 0;
+  const named = NAMED_DATE.exec(value);
+  if (named) {
+    const [, day, month, year, monthFirst, dayAfter, yearAfter] = named;
+    const iso = day
+      ? toIsoDate(expandYear(year), MONTH_NAMES[month.toLowerCase()], parseInt(day, 10))
+      : toIsoDate(expandYear(yearAfter), MONTH_NAMES[monthFirst.toLowerCase()], parseInt(dayAfter, 10));
+    return { readings: compact({ NAMED: iso }), separator: null, printed: named[0] };
+  }
+
+  return { readings: {}, separator: null, printed: value };
+}
+
+function compact(readings) {
+  return Object.fromEntries(Object.entries(readings).filter(([, iso]) => iso));
+}
+
+function uniqueDates(readings) {
+  return [...new Set(Object.values(readings))];
+}
+
+// Why a date cannot be the receipt date, or null when it can
+function checkDateWindow(isoDate, now = new Date()) {
+  const time = Date.parse(`${isoDate}T00:00:00Z`);
+  if (isNaN(time)) return 'invalid date';
+
+  const latest = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + FUTURE_TOLERANCE_DAYS);
+  if (time > latest) return 'date is in the future';
+
+  const earliest = Date.UTC(now.getUTCFullYear() - RETENTION_YEARS, now.getUTCMonth(), now.getUTCDate());
+  if (time < earliest) return `date is older than the ${RETENTION_YEARS}-year retention window`;
+
+  return null;
+}
+
+function getCurrencyOrder(currency) {
+  if (YEAR_FIRST_CURRENCIES.includes(currency)) return 'YMD';
+  return MONTH_FIRST_CURRENCIES.includes(currency) ? 'MDY' : 'DMY';
+}
+
+// Field order suggested by the receipt itself, its address or its currency
+function getLocaleHint(rawText, currency) {
+  const address = ADDRESS_CUES.find(([pattern]) => pattern.test(rawText));
+  if (address) {
+    return { order: address[1], reason: address[2] };
+  }
+  if (currency) {
+    return { order: getCurrencyOrder(currency), reason: `currency ${currency}` };
+  }
+  return null;
+}
+
+// Order used by the other dates printed on the receipt (e.g. "25/03/2024"
+// elsewhere proves the receipt is day first)
+function getTextEvidence(rawText, separator) {
+  const orders = new Set();
+  for (const match of rawText.matchAll(NUMERIC_DATE)) {
+    if (separator && match[2] !== separator) continue;
+    const { readings } = interpretDate(match[0]);
+    if (readings.DMY && !readings.MDY) orders.add('DMY');
+    if (readings.MDY && !readings.DMY) orders.add('MDY');
+  }
+  return orders.size === 1 ? [...orders][0] : null;
+}
+
+// Time of day printed on the receipt, preferring one on the same line as the
+// date. Returns "HH:MM" or "HH:MM:SS" in 24-hour time.
+function extractTime(rawText, printedDate) {
+  const lines = String(rawText || '').split('\n');
+  const dateLine = printedDate ? lines.find(line => line.includes(printedDate)) : null;
+  const candidates = dateLine ? [dateLine, ...lines] : lines;
+
+  for (const line of candidates) {
+    TIME_PATTERN.lastIndex = 0;
+    const match = TIME_PATTERN.exec(line);
+    if (!match) continue;
+
+    const [, hourText, minute, second, minuteH, minuteDot, meridiem] = match;
+    let hour = parseInt(hourText, 10);
+    if (meridiem) {
+      if (hour > 12 || hour === 0) continue;
+      if (meridiem.toLowerCase() === 'p' && hour < 12) hour += 12;
+      if (meridiem.toLowerCase() === 'a' && hour === 12) hour = 0;
+    }
+    const minutes = minute || minuteH || minuteDot;
+    return `${pad(hour)}:${minutes}${second ? `:${second}` : ''}`;
+  }
+
+  return null;
+}
+
+// Resolves one printed date. Returns { date, method, order, alternatives }
+// or { rejected } when no reading is a plausible receipt date.
+function resolveCandidate(text, { rawText, localeHint, modelDate, homeCurrency, now }) {
+  const { readings, separator, printed } = interpretDate(text);
+  const rejected = [];
+
+  Object.entries(readings).forEach(([order, iso]) => {
+    const reason = checkDateWindow(iso, now);
+    if (reason) {
+      rejected.push({ value: iso, order, reason });
+      delete readings[order];
+    }
+  });
+
+  const dates = uniqueDates(readings);
+  if (dates.length === 0) {
+    return { rejected, printed };
+  }
+
+  const pick = (order, method) => ({
+    date: readings[order], method, order, printed, alternatives: dates.filter(date => date !== readings[order]), rejected
+  });
+
+  if (readings.YMD) return pick('YMD', 'iso');
+  if (readings.NAMED) return pick('NAMED', 'month-name');
+
+  const orders = Object.keys(readings);
+  if (dates.length === 1) return pick(orders[0], orders.length === 1 ? 'unambiguous' : 'day-equals-month');
+
+  const evidence = getTextEvidence(rawText, separator);
+  if (evidence && readings[evidence]) return pick(evidence, 'text-evidence');
+
+  // "03.04.2024" is day first everywhere dots are used
+  if (separator === '.') return pick('DMY', 'separator');
+
+  if (localeHint && readings[localeHint.order]) return pick(localeHint.order, 'locale-hint');
+
+  const modelOrder = orders.find(order => readings[order] === modelDate);
+  if (modelOrder) return pick(modelOrder, 'model-agreement');
+
+  // Year-first countries put the month first when the year comes last
+  const defaultOrder = getCurrencyOrder(homeCurrency);
+  return pick(defaultOrder === 'DMY' ? 'DMY' : 'MDY', 'default-order');
+}
+
+// Main entry point. `printedDate` is Textract's receipt date field,
+// `modelDate` the model's (supposedly ISO) answer, `homeCurrency` decides the
+// default order. Returns the fields stored on the receipt record:
+//   { date, time, dateResolution: { source, method, order, printed, localeHint, alternatives, rejected } }
+function normalizeReceiptDate({ printedDate, modelDate, rawText = '', currency, homeCurrency = HOME_CURRENCY, now = new Date() } = {}) {
+  const localeHint = getLocaleHint(rawText, currency);
+  const context = { rawText, localeHint, modelDate, homeCurrency, now };
+  const rejected = [];
+
+  // The printed forms come first: the model may already have swapped day and month
+  const textDates = (rawText.match(NUMERIC_DATE) || []).concat(rawText.match(NAMED_DATE) || []);
+  const candidates = [
+    ...(printedDate ? [{ value: printedDate, source: 'textract' }] : []),
+    ...textDates.map(value => ({ value, source: 'raw-text' })),
+    ...(modelDate ? [{ value: modelDate, source: 'model' }] : [])
+  ];
+
+  for (const candidate of candidates) {
+    const result = resolveCandidate(candidate.value, context);
+    rejected.push(...result.rejected.map(entry => ({ ...entry, source: candidate.source })));
+    if (result.date) {
+      return {
+        date: result.date,
+        time: extractTime(rawText, result.printed),
+        dateResolution: {
+          source: candidate.source,
+          method: result.method,
+          order: result.order,
+          printed: result.printed,
+          localeHint,
+          alternatives: result.alternatives,
+          rejected
+        }
+      };
+    }
+  }
+
+  // Nothing usable: fall back to the processing date and say so
+  return {
+    date: now.toISOString().split('T')[0],
+    time: extractTime(rawText, null),
+    dateResolution: {
+      source: 'fallback',
+      method: 'processing-date',
+      order: null,
+      printed: printedDate || modelDate || null,
+      localeHint,
+      alternatives: [],
+      rejected
+    }
+  };
+}
+
+module.exports = {
+  RETENTION_YEARS,
+  normalizeReceiptDate,
+  checkDateWindow,
+  extractTime
+};
@@ -0,0 +1,243 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand, BatchWriteCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Duplicate receipt detection, so the same receipt uploaded twice (a phone
+// photo and the emailed PDF, or two people submitting it) is not reimbursed
+// twice. Two signals:
+//   image       - a 64-bit difference hash (dHash) of the uploaded image,
+//                 computed in the Textract step. Re-compressing or
+//                 re-photographing a receipt only flips a few of its bits.
+//   fingerprint - normalized vendor|date|total|card last 4 after extraction,
+//                 which also matches a photo against a PDF of the same receipt.
+// Both are stored per organization in the duplicate index table and checked
+// by the save step (dynamodb-function.js) before a receipt is stored.
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const DUPLICATE_INDEX_TABLE = process.env.DUPLICATE_INDEX_TABLE || 'SnapTally-DuplicateIndex';
+
+// warn:   save the receipt and flag it with links to the matching receipts
+// reject: keep it out of the receipts, GET /status reports it as DUPLICATE
+// off:    no duplicate checks
+const DUPLICATE_POLICIES = ['warn', 'reject', 'off'];
+const DUPLICATE_POLICY = DUPLICATE_POLICIES.includes(process.env.DUPLICATE_POLICY) ? process.env.DUPLICATE_POLICY : 'warn';
+
+// Images whose hashes differ in at most this many of the 64 bits match
+const MAX_IMAGE_DISTANCE = 6;
+// The hash is indexed in 8 one-byte bands: two hashes at most 7 bits apart
+// always share a band, so querying the bands finds every match
+const HASH_BANDS = 8;
+
+// Words that differ between two readings of the same vendor name
+const VENDOR_NOISE_WORDS = ['the', 'inc', 'llc', 'ltd', 'co', 'corp', 'company', 'store', 'restaurant'];
+
+// "**** 1234", "XXXX1234", "ending in 1234", "Card # 1234", "Acct: 1234"
+const CARD_LAST4_PATTERN = /(?:[*xX•]{2,}|\bending(?:\s+in)?|\bcard\s*(?:no\.?|#)?|\bacct\.?|\baccount)[\s:#*xX•-]*(\d{4})\b/i;
+
+// Difference hash: the image shrunk to 9x8 grey pixels, one bit per
+// horizontal neighbour pair (is the right one brighter?). 16 hex characters.
+async function computeImageHash(imageBuffer) {
+  const sharp = require("sharp");
+  const pixels = await sharp(imageBuffer)
+    .rotate() // Upright as displayed, whatever the EXIF orientation
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// "The Home Depot #4521" -> "home depot"
+function normalizeVendor(vendor) {
+  return String(vendor || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/#\s*\d+|\bno\.?\s*\d+/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !VENDOR_NOISE_WORDS.includes(word) && !/^\d+$/.test(word))
+    .slice(0, 2)
+    .join(' ');
+}
+
+function extractCardLast4(text) {
+  const match = String(text || '').match(CARD_LAST4_PATTERN);
+  return match ? match[1] : null;
+}
+
+// Transaction fingerprint "home depot|2024-03-15|4599|1234" (total in cents,
+// card last 4 may be empty). Null when the receipt lacks a vendor, date or total.
+function buildFingerprint({ vendor, date, total, cardLast4 }) {
+  const normalizedVendor = normalizeVendor(vendor);
+  const cents = Math.round(Math.abs(Number(total) || 0) * 100);
+
+  if (!normalizedVendor || normalizedVendor === 'unknown' || !/^\d{4}-\d{2}-\d{2}$/.test(date || '') || cents === 0) {
+    return null;
+  }
+
+  return `${normalizedVendor}|${date}|${cents}|${cardLast4 || ''}`;
+}
+
+// Index keys of a receipt. The card number is left out of the fingerprint
+// key: it is often only printed on one of the two copies (see isSameCard).
+function lookupKeys({ organizationId, imageHash, fingerprint }) {
+  const org = organizationId || 'default';
+  const keys = [];
+
+  if (imageHash) {
+    for (let band = 0; band < HASH_BANDS; band++) {
+      keys.push(`${org}#image#${band}#${imageHash.substr(band * 2, 2)}`);
+    }
+  }
+  if (fingerprint) {
+    keys.push(`${org}#fingerprint#${fingerprint.split('|').slice(0, 3).join('|')}`);
+  }
+  return keys;
+}
+
+// Both copies name a card and the cards differ: two separate payments
+function isSameCard(fingerprintA, fingerprintB) {
+  const cardA = fingerprintA.split('|')[3];
+  const cardB = fingerprintB.split('|')[3];
+  return !cardA || !cardB || cardA === cardB;
+}
+
+// Receipts of the organization that look like the same purchase. Returns
+//   [{ receiptId, userId, timestamp, vendor, date, total, matchedOn, imageDistance, link }]
+// with matchedOn a list of 'image' and/or 'fingerprint'.
+async function findDuplicates({ receiptId, organizationId, imageHash, fingerprint }) {
+  const matches = new Map();
+  const addMatch = (entry, signal, extra = {}) => {
+    const match = matches.get(entry.receiptId) || {
+      receiptId: entry.receiptId,
+      userId: entry.userId,
+      timestamp: entry.timestamp,
+      vendor: entry.vendor,
+      date: entry.date,
+      total: entry.total,
+      matchedOn: [],
+      imageDistance: null,
+      link: `/status/${entry.receiptId}`
+    };
+    if (!match.matchedOn.includes(signal)) match.matchedOn.push(signal);
+    matches.set(entry.receiptId, { ...match, ...extra });
+  };
+
+  const keys = lookupKeys({ organizationId, imageHash, fingerprint });
+  for (const lookupKey of keys) {
+    const entries = await queryLookupKey(lookupKey);
+
+    entries
+      .filter(entry => entry.receiptId !== receiptId)
+      .forEach(entry => {
+        if (lookupKey.includes('#image#')) {
+          const distance = entry.imageHash ? hammingDistance(imageHash, entry.imageHash) : Infinity;
+          if (distance <= MAX_IMAGE_DISTANCE) {
+            addMatch(entry, 'image', { imageDistance: distance });
+          }
+        } else if (entry.fingerprint && isSameCard(fingerprint, entry.fingerprint)) {
+          addMatch(entry, 'fingerprint');
+        }
+      });
+  }
+
+  return [...matches.values()];
+}
+
+async function queryLookupKey(lookupKey) {
+  const entries = [];
+  let startKey;
+
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: DUPLICATE_INDEX_TABLE,
+      KeyConditionExpression: 'lookupKey = :lookupKey',
+      ExpressionAttributeValues: { ':lookupKey': lookupKey },
+      ExclusiveStartKey: startKey
+    }));
+    entries.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  return entries;
+}
+
+// Writes a saved receipt's index entries. With `previous` (the record before
+// an edit) entries whose key changed are removed.
+async function updateDuplicateIndex(record, previous = null) {
+  const keys = lookupKeys(record);
+  const staleKeys = previous ? lookupKeys(previous).filter(key => !keys.includes(key)) : [];
+
+  const entry = {
+    receiptId: record.receiptId,
+    timestamp: record.timestamp,
+    userId: record.userId,
+    vendor: record.vendor,
+    date: record.date,
+    total: record.totalFormatted,
+    ...(record.imageHash ? { imageHash: record.imageHash } : {}),
+    ...(record.fingerprint ? { fingerprint: record.fingerprint } : {})
+  };
+
+  await batchWrite([
+    ...keys.map(lookupKey => ({ PutRequest: { Item: { lookupKey, ...entry } } })),
+    ...staleKeys.map(lookupKey => ({ DeleteRequest: { Key: { lookupKey, receiptId: record.receiptId } } }))
+  ]);
+}
+
+async function removeFromDuplicateIndex(record) {
+  await batchWrite(lookupKeys(record).map(lookupKey => ({
+    DeleteRequest: { Key: { lookupKey, receiptId: record.receiptId } }
+  })));
+}
+
+async function batchWrite(requests) {
+  for (let start = 0; start < requests.length; start += 25) {
+    let pending = requests.slice(start, start + 25);
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      if (attempt > 5) {
+        throw new Error(`Could not write ${pending.length} duplicate index entries`);
+      }
+      const result = await docClient.send(new BatchWriteCommand({
+        RequestItems: { [DUPLICATE_INDEX_TABLE]: pending }
+      }));
+      pending = result.UnprocessedItems?.[DUPLICATE_INDEX_TABLE] || [];
+      if (pending.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100 * attempt));
+      }
+    }
+  }
+}
+
+module.exports = {
+  DUPLICATE_POLICY,
+  MAX_IMAGE_DISTANCE,
+  computeImageHash,
+  hammingDistance,
+  normalizeVendor,
+  extractCardLast4,
+  buildFingerprint,
+  findDuplicates,
+  updateDuplicateIndex,
+  removeFromDuplicateIndex
+};
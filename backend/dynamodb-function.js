@@ -1,5 +1,10 @@
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { buildReceiptRecord } = require("./receipt-record");
+const { FatalError, classifyError } = require("./pipeline-errors");
+const { DUPLICATE_POLICY, findDuplicates, updateDuplicateIndex } = require("./duplicates");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { recordStageStart } = require("./processing-status");
 
 // Initialize DynamoDB client
 const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
@@ -11,103 +16,34 @@ exports.handler = async (event) => {
   try {
     console.log('DynamoDB Lambda processing receipt data...');
     
-    const { receiptId, parsedData, textractResult, timestamp, s3Location } = event;
+    const { receiptId, parsedData, textractResult, timestamp, s3Location, userId, organizationId } = event;
     
     if (!receiptId || !parsedData) {
-      throw new Error('Missing required parameters: receiptId or parsedData');
+      throw new FatalError('Missing required parameters: receiptId or parsedData', { stage: 'dynamodb' });
     }
+    await recordStageStart(event, 'dynamodb');
 
     console.log(`Saving receipt ${receiptId} to DynamoDB with complete item details`);
 
     // Prepare comprehensive receipt record with ALL details
-    const receiptRecord = {
-      // Primary Keys
-      receiptId: receiptId,
-      timestamp: timestamp || new Date().toISOString(),
-      
-      // Basic Receipt Info
-      vendor: parsedData.merchant || parsedData.vendor || 'Unknown',
-      merchant: parsedData.merchant || parsedData.vendor || 'Unknown',
-      date: parsedData.date || new Date().toISOString().split('T')[0],
-      
-      // Financial Details
-      total: parseFloat(parsedData.total || '0'),
-      totalFormatted: parsedData.total || '0.00',
-      subtotal: parseFloat(parsedData.subtotal || '0'),
-      subtotalFormatted: parsedData.subtotal || '0.00',
-      tax: parseFloat(parsedData.tax || '0'),
-      taxFormatted: parsedData.tax || '0.00',
-      
-      // COMPLETE ITEM DETAILS - This was missing!
-      items: (parsedData.items || []).map((item, index) => ({
-        itemId: `${receiptId}-item-${index + 1}`,
-        name: item.name || item.description || `Item ${index + 1}`,
-        price: parseFloat(item.price || '0'),
-        priceFormatted: item.price || '0.00',
-        quantity: parseInt(item.quantity || '1'),
-        quantityFormatted: item.quantity || '1',
-        lineTotal: parseFloat(item.price || '0') * parseInt(item.quantity || '1'),
-        lineTotalFormatted: (parseFloat(item.price || '0') * parseInt(item.quantity || '1')).toFixed(2),
-        category: determineItemCategory(item.name || item.description || ''),
-        order: index + 1
-      })),
-      
-      // Item Summary Statistics
-      itemCount: (parsedData.items || []).length,
-      totalItems: (parsedData.items || []).reduce((sum, item) => sum + parseInt(item.quantity || '1'), 0),
-      averageItemPrice: (parsedData.items || []).length > 0 
-        ? ((parsedData.items || []).reduce((sum, item) => sum + parseFloat(item.price || '0'), 0) / (parsedData.items || []).length).toFixed(2)
-        : '0.00',
-      
-      // Processing Status
-      processed: true,
-      processingMethod: event.processingMethod || 'textract-bedrock-nova',
-      confidence: parsedData.metadata?.confidence || 0.85,
-      
-      // Raw Processing Data (for debugging/analysis)
-      rawData: {
-        textractSummaryFields: textractResult?.summaryFields || {},
-        textractLineItems: textractResult?.lineItems || [],
-        textractConfidence: textractResult?.confidence || {},
-        bedrockResponse: parsedData.metadata || {},
-        processingTimestamp: new Date().toISOString()
-      },
-      
-      // Metadata & Timestamps
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      processingDuration: parsedData.metadata?.processingTime || 0,
-      
-      // User & Organization (for future use)
-      userId: 'anonymous', // Will be replaced with actual user ID when Cognito is added
-      organizationId: 'default',
-      tags: [],
-      notes: '',
-      
-      // Classification & Search
-      category: determineReceiptCategory(parsedData.merchant || parsedData.vendor || ''),
-      vendorLower: (parsedData.merchant || parsedData.vendor || '').toLowerCase(),
-      totalAmount: parseFloat(parsedData.total || '0'), // For GSI queries
-      
-      // Storage & Lifecycle
-      s3Location: s3Location || '',
-      ttl: Math.floor(Date.now() / 1000) + (7 * 365 * 24 * 60 * 60), // 7 years retention
-      
-      // Analytics Fields
-      dayOfWeek: new Date(parsedData.date || new Date()).toLocaleDateString('en-US', { weekday: 'long' }),
-      monthYear: new Date(parsedData.date || new Date()).toISOString().substring(0, 7), // YYYY-MM
-      year: new Date(parsedData.date || new Date()).getFullYear(),
-      
-      // Receipt Validation
-      isValid: validateReceiptData(parsedData),
-      validationErrors: getValidationErrors(parsedData),
-      
-      // Feature Flags
-      hasItems: (parsedData.items || []).length > 0,
-      hasTax: parseFloat(parsedData.tax || '0') > 0,
-      hasSubtotal: parseFloat(parsedData.subtotal || '0') > 0,
-      isLargeReceipt: (parsedData.items || []).length > 10
-    };
+    const receiptRecord = buildReceiptRecord({
+      receiptId,
+      timestamp,
+      parsedData,
+      textractResult,
+      s3Location,
+      mimeType: event.mimeType,
+      // A split receipt's original is the group photo, which belongs to the parent
+      originalS3Location: event.originalS3Key && !event.parentReceiptId ? `s3://${event.s3Bucket}/${event.originalS3Key}` : undefined,
+      parentReceiptId: event.parentReceiptId,
+      processingMethod: event.processingMethod,
+      modelProvider: event.modelProvider,
+      modelId: event.modelId,
+      review: event.review,
+      imageHash: event.imageHash,
+      userId,
+      organizationId
+    });
 
     console.log(`Receipt record prepared:
     - Vendor: ${receiptRecord.vendor}
@@ -126,6 +62,23 @@ exports.handler = async (event) => {
       console.log('⚠️ No individual items found in parsed data');
     }
 
+    // Same receipt uploaded before? Depending on DUPLICATE_POLICY the receipt
+    // is saved with links to the matches, or kept out of the receipts.
+    if (DUPLICATE_POLICY !== 'off') {
+      receiptRecord.duplicates = await findDuplicates(receiptRecord);
+
+      if (receiptRecord.duplicates.length > 0) {
+        receiptRecord.duplicateStatus = DUPLICATE_POLICY === 'reject' ? 'rejected' : 'suspected';
+        console.warn(`⚠️ Receipt ${receiptId} looks like a duplicate of ${receiptRecord.duplicates.map(match => `${match.receiptId} (${match.matchedOn.join(' + ')})`).join(', ')}`);
+      }
+    }
+
+    const rejected = receiptRecord.duplicateStatus === 'rejected';
+    if (rejected) {
+      receiptRecord.recordType = 'duplicate';
+      receiptRecord.status = 'DUPLICATE';
+    }
+
     // Save to DynamoDB with condition to prevent overwrites
     const command = new PutCommand({
       TableName: RECEIPTS_TABLE,
@@ -133,8 +86,21 @@ exports.handler = async (event) => {
       ConditionExpression: 'attribute_not_exists(receiptId)'
     });
 
-    await docClient.send(command);
-    console.log(`✅ Receipt ${receiptId} saved to DynamoDB successfully with complete item details`);
+    try {
+      await docClient.send(command);
+      console.log(`✅ Receipt ${receiptId} saved to DynamoDB successfully with complete item details`);
+    } catch (putError) {
+      // A retried save whose first attempt already went through
+      if (putError.name !== 'ConditionalCheckFailedException') throw putError;
+      console.log(`ℹ️ Receipt ${receiptId} was already saved - not saving again`);
+    }
+
+    // Rejected duplicates are not indexed, later copies match the original
+    if (!rejected) {
+      await updateDuplicateIndex(receiptRecord);
+    }
+
+    await publishProgress(event, PROGRESS_STAGES.SAVED, { duplicateStatus: receiptRecord.duplicateStatus });
 
     // Return summary for Step Function
     const savedSummary = {
@@ -145,12 +111,14 @@ exports.handler = async (event) => {
       itemCount: receiptRecord.itemCount,
       totalItems: receiptRecord.totalItems,
       category: receiptRecord.category,
-      confidence: receiptRecord.confidence
+      confidence: receiptRecord.confidence,
+      duplicateOf: receiptRecord.duplicates.map(match => match.receiptId)
     };
 
     return {
       receiptId,
-      status: 'DYNAMODB_COMPLETED',
+      // Receipt groups count rejected duplicates as not saved
+      status: rejected ? 'DUPLICATE_REJECTED' : 'DYNAMODB_COMPLETED',
       savedData: savedSummary,
       itemDetails: receiptRecord.items.map(item => ({
         name: item.name,
@@ -159,91 +127,13 @@ exports.handler = async (event) => {
         total: item.lineTotalFormatted
       })),
       timestamp: new Date().toISOString(),
-      message: `Receipt saved with ${receiptRecord.itemCount} items`
+      message: rejected
+        ? `Receipt rejected as a duplicate of ${receiptRecord.duplicates.map(match => match.receiptId).join(', ')}`
+        : `Receipt saved with ${receiptRecord.itemCount} items`
     };
 
   } catch (error) {
     console.error('❌ DynamoDB save failed:', error);
-    
-    return {
-      receiptId: event.receiptId || 'unknown',
-      status: 'DYNAMODB_FAILED',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
+    throw classifyError(error, 'dynamodb');
   }
 };
-
-function determineReceiptCategory(vendor) {
-  const vendorLower = vendor.toLowerCase();
-  
-  // Grocery stores
-  if (vendorLower.includes('market') || vendorLower.includes('grocery') || 
-      vendorLower.includes('food') || vendorLower.includes('super')) {
-    return 'Grocery';
-  }
-  
-  // Restaurants
-  if (vendorLower.includes('restaurant') || vendorLower.includes('cafe') || 
-      vendorLower.includes('pizza') || vendorLower.includes('burger')) {
-    return 'Restaurant';
-  }
-  
-  // Gas stations
-  if (vendorLower.includes('gas') || vendorLower.includes('fuel') || 
-      vendorLower.includes('shell') || vendorLower.includes('exxon')) {
-    return 'Gas';
-  }
-  
-  // Retail
-  if (vendorLower.includes('store') || vendorLower.includes('shop') || 
-      vendorLower.includes('retail')) {
-    return 'Retail';
-  }
-  
-  return 'Other';
-}
-
-function determineItemCategory(itemName) {
-  const itemLower = itemName.toLowerCase();
-  
-  if (itemLower.includes('food') || itemLower.includes('bread') || itemLower.includes('milk')) {
-    return 'Food';
-  }
-  if (itemLower.includes('drink') || itemLower.includes('soda') || itemLower.includes('water')) {
-    return 'Beverage';
-  }
-  if (itemLower.includes('gas') || itemLower.includes('fuel')) {
-    return 'Fuel';
-  }
-  
-  return 'General';
-}
-
-function validateReceiptData(parsedData) {
-  // Basic validation rules
-  if (!parsedData.merchant && !parsedData.vendor) return false;
-  if (!parsedData.total || parseFloat(parsedData.total) <= 0) return false;
-  if (!parsedData.date) return false;
-  
-  return true;
-}
-
-function getValidationErrors(parsedData) {
-  const errors = [];
-  
-  if (!parsedData.merchant && !parsedData.vendor) {
-    errors.push('Missing merchant/vendor name');
-  }
-  if (!parsedData.total || parseFloat(parsedData.total) <= 0) {
-    errors.push('Invalid or missing total amount');
-  }
-  if (!parsedData.date) {
-    errors.push('Missing receipt date');
-  }
-  if (!parsedData.items || parsedData.items.length === 0) {
-    errors.push('No individual items found');
-  }
-  
-  return errors;
-}
\ No newline at end of file
@@ -0,0 +1,446 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand, DeleteCommand } = require("@aws-sdk/lib-dynamodb");
+const { S3Client, ListObjectsV2Command, DeleteObjectsCommand } = require("@aws-sdk/client-s3");
+const { SFNClient, DescribeExecutionCommand, StopExecutionCommand } = require("@aws-sdk/client-sfn");
+const { getCallerIdentity, isAdmin } = require("./auth");
+const { getExecutionArn } = require("./processing");
+const { removeFromDuplicateIndex } = require("./duplicates");
+const { deleteProcessingStatus, listUserStatusReceiptIds } = require("./processing-status");
+const { deleteUserBudgets } = require("./budgets");
+const { deleteUserIdempotencyKeys } = require("./idempotency");
+const { deleteUserConnections } = require("./progress");
+const { listUserExportJobs, deleteExportJob } = require("./export-jobs");
+
+// Initialize AWS clients
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const s3Client = new S3Client({ region: 'us-east-1' });
+const sfnClient = new SFNClient({ region: 'us-east-1' });
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+const REVIEW_QUEUE_TABLE = process.env.REVIEW_QUEUE_TABLE || 'SnapTally-ReviewQueue';
+const S3_BUCKET = process.env.S3_BUCKET || 'snaptally-receipts';
+const STEP_FUNCTION_ARN = process.env.STEP_FUNCTION_ARN;
+
+// Stop starting new receipts when a bulk erasure gets this close to the
+// Lambda timeout; the caller resumes with the returned cursor.
+const BULK_TIME_BUFFER_MS = 10000;
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "DELETE, OPTIONS"
+};
+
+exports.handler = async (event, context) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    const receiptId = event.pathParameters?.receiptId;
+    const userId = event.pathParameters?.userId;
+
+    if (receiptId) {
+      return await eraseSingleReceipt(receiptId, identity);
+    }
+
+    if (userId) {
+      // Users may erase their own data; admins handle erasure requests for anyone
+      if (userId !== identity.userId && !isAdmin(identity)) {
+        console.warn(`🚫 User ${identity.userId} denied erasure of user ${userId}`);
+        return buildResponse(403, { success: false, error: "Access denied" });
+      }
+
+      const cursor = event.queryStringParameters?.cursor;
+      let startKey;
+      try {
+        startKey = (cursor ? decodeCursor(cursor) : null) || undefined;
+      } catch (cursorError) {
+        return buildResponse(400, { success: false, error: cursorError.message });
+      }
+      return await eraseUserData(userId, startKey, context);
+    }
+
+    return buildResponse(400, { success: false, error: "Receipt ID or user ID is required" });
+
+  } catch (error) {
+    console.error('❌ Erasure error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to erase receipt data',
+      details: error.message
+    });
+  }
+};
+
+async function eraseSingleReceipt(receiptId, identity) {
+  console.log(`Erasing receipt: ${receiptId}`);
+
+  // A receipt that is still processing has no record yet; fall back to the
+  // owner recorded in the workflow input
+  const records = await queryAllRecords(receiptId);
+  const owners = new Set(records.map(record => record.userId));
+  if (owners.size === 0) {
+    const executionOwner = await getExecutionOwner(receiptId);
+    if (executionOwner) owners.add(executionOwner);
+  }
+
+  if (owners.size === 0 && !isAdmin(identity)) {
+    return buildResponse(404, { success: false, error: "Receipt not found", receiptId });
+  }
+
+  if ([...owners].some(owner => owner !== identity.userId) && !isAdmin(identity)) {
+    console.warn(`🚫 User ${identity.userId} denied erasure of receipt ${receiptId}`);
+    return buildResponse(403, { success: false, error: "Access denied", receiptId });
+  }
+
+  const report = await eraseReceipt(receiptId);
+
+  // Erasing a multi-receipt photo also erases the receipts split out of it
+  const childReceiptIds = [...new Set(records.flatMap(record => record.childReceiptIds || []))];
+  if (childReceiptIds.length > 0) {
+    report.children = [];
+    for (const childReceiptId of childReceiptIds) {
+      report.children.push(await eraseReceipt(childReceiptId));
+    }
+  }
+
+  if (report.dynamodb.itemsDeleted === 0 && report.s3.objectsDeleted === 0 && !report.stepFunctions.executionFound) {
+    return buildResponse(404, { success: false, error: "Receipt not found", receiptId });
+  }
+
+  console.log(`✅ Receipt ${receiptId} erased`);
+
+  return buildResponse(200, {
+    success: true,
+    receiptId,
+    message: 'Receipt erased',
+    report
+  });
+}
+
+async function eraseUserData(userId, startKey, context) {
+  console.log(`Erasing all receipts for user: ${userId}`);
+
+  const reports = [];
+  let exclusiveStartKey = startKey;
+  let complete = true;
+  const outOfTime = () => context?.getRemainingTimeInMillis && context.getRemainingTimeInMillis() < BULK_TIME_BUFFER_MS;
+
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: RECEIPTS_TABLE,
+      IndexName: 'UserTimestampIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ProjectionExpression: 'receiptId, #ts',
+      ExpressionAttributeNames: { '#ts': 'timestamp' },
+      ExclusiveStartKey: exclusiveStartKey,
+      Limit: 25
+    }));
+
+    // The user index holds one entry per stored record, so a receipt may
+    // appear more than once; eraseReceipt removes all of its records.
+    const receiptIds = [...new Set((page.Items || []).map(item => item.receiptId))]
+      .filter(id => !reports.some(report => report.receiptId === id));
+
+    for (const receiptId of receiptIds) {
+      reports.push(await eraseReceipt(receiptId));
+    }
+
+    exclusiveStartKey = page.LastEvaluatedKey;
+
+    if (exclusiveStartKey && outOfTime()) {
+      complete = false;
+      break;
+    }
+  } while (exclusiveStartKey);
+
+  // Receipts without a saved record: still processing (running workflow,
+  // uploaded image) or waiting in the review queue with their parsed data.
+  // Both tables know the uploader. Erased receipts leave both, so a resumed
+  // erasure (null cursor) only finds the ones still left.
+  let pendingReceiptsErased = 0;
+  if (complete) {
+    const pendingReceiptIds = [...new Set([
+      ...await listUserStatusReceiptIds(userId),
+      ...await listUserReviewReceiptIds(userId)
+    ])].filter(id => !reports.some(report => report.receiptId === id));
+
+    for (const receiptId of pendingReceiptIds) {
+      if (outOfTime()) {
+        complete = false;
+        break;
+      }
+      reports.push(await eraseReceipt(receiptId));
+      pendingReceiptsErased++;
+    }
+  }
+
+  // Budgets (and the email address alerts go to), the Idempotency-Key
+  // responses naming the erased receipts, open WebSocket connections and
+  // exported spreadsheets, once every receipt is gone
+  const budgetsDeleted = complete ? await deleteUserBudgets(userId) : 0;
+  const idempotencyKeysDeleted = complete ? await deleteUserIdempotencyKeys(userId) : 0;
+  const webSocketItemsDeleted = complete ? await deleteUserConnections(userId) : 0;
+  const exportsDeleted = complete ? await eraseUserExports(userId) : 0;
+
+  console.log(`✅ Erased ${reports.length} receipts for user ${userId} (complete: ${complete})`);
+
+  return buildResponse(complete ? 200 : 202, {
+    success: true,
+    userId,
+    complete,
+    message: complete
+      ? `All receipt data erased for user ${userId}`
+      : 'Erasure partially complete - call again with nextCursor to continue',
+    nextCursor: complete ? null : encodeCursor(exclusiveStartKey || null),
+    summary: {
+      receiptsErased: reports.length,
+      pendingReceiptsErased,
+      dynamoItemsDeleted: reports.reduce((sum, report) => sum + report.dynamodb.itemsDeleted, 0),
+      s3ObjectsDeleted: reports.reduce((sum, report) => sum + report.s3.objectsDeleted, 0),
+      executionsStopped: reports.filter(report => report.stepFunctions.action === 'stopped').length,
+      budgetsDeleted,
+      idempotencyKeysDeleted,
+      webSocketItemsDeleted,
+      exportsDeleted
+    },
+    reports,
+    erasedAt: new Date().toISOString()
+  });
+}
+
+async function listUserReviewReceiptIds(userId) {
+  const receiptIds = [];
+  let startKey;
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: REVIEW_QUEUE_TABLE,
+      IndexName: 'UserQueueIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }));
+    (page.Items || []).forEach(item => receiptIds.push(item.receiptId));
+    startKey = page.LastEvaluatedKey;
+  } while (startKey);
+  return receiptIds;
+}
+
+// Export files are found through their jobs, their keys don't name the
+// user. Files of jobs whose record already expired are gone as well, the
+// lifecycle rule deletes both after a day.
+async function eraseUserExports(userId) {
+  const jobs = await listUserExportJobs(userId);
+  for (const job of jobs) {
+    await deleteObjects([job.s3Key]);
+    await deleteExportJob(job);
+  }
+  return jobs.length;
+}
+
+// Removes every trace of a receipt we control: all of its table records,
+// every S3 object under its prefix and any in-flight workflow execution.
+async function eraseReceipt(receiptId) {
+  // Stop the workflow first so it cannot re-create the record afterwards
+  const stepFunctions = await stopProcessing(receiptId);
+
+  const records = await queryAllRecords(receiptId);
+  for (const record of records) {
+    await docClient.send(new DeleteCommand({
+      TableName: RECEIPTS_TABLE,
+      Key: { receiptId: record.receiptId, timestamp: record.timestamp }
+    }));
+    // Image hash and fingerprint entries used for duplicate detection
+    await removeFromDuplicateIndex(record);
+  }
+
+  // A receipt waiting for review keeps a copy of its parsed data in the queue
+  const reviewEntry = await docClient.send(new DeleteCommand({
+    TableName: REVIEW_QUEUE_TABLE,
+    Key: { receiptId },
+    ReturnValues: 'ALL_OLD'
+  }));
+
+  // Stage timings and errors of the receipt's processing
+  await deleteProcessingStatus(receiptId);
+
+  // Legacy uploads live under receipts/, presigned uploads under uploads/
+  const keys = new Set([
+    ...await listObjectKeys(`receipts/${receiptId}/`),
+    ...await listObjectKeys(`uploads/${receiptId}/`)
+  ]);
+  records.forEach(record => {
+    [record.s3Location, record.originalS3Location].forEach(location => {
+      const key = parseS3Key(location);
+      if (key) keys.add(key);
+    });
+  });
+
+  const deletedKeys = await deleteObjects([...keys]);
+
+  return {
+    receiptId,
+    dynamodb: {
+      table: RECEIPTS_TABLE,
+      itemsDeleted: records.length,
+      reviewQueueEntryDeleted: !!reviewEntry.Attributes
+    },
+    s3: {
+      bucket: S3_BUCKET,
+      objectsDeleted: deletedKeys.length,
+      keys: deletedKeys
+    },
+    stepFunctions,
+    erasedAt: new Date().toISOString()
+  };
+}
+
+async function queryAllRecords(receiptId) {
+  const records = [];
+  let exclusiveStartKey;
+
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: RECEIPTS_TABLE,
+      KeyConditionExpression: 'receiptId = :receiptId',
+      ExpressionAttributeValues: { ':receiptId': receiptId },
+      ProjectionExpression: 'receiptId, #ts, s3Location, originalS3Location, userId, childReceiptIds',
+      ExpressionAttributeNames: { '#ts': 'timestamp' },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    records.push(...(page.Items || []));
+    exclusiveStartKey = page.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return records;
+}
+
+async function listObjectKeys(prefix) {
+  const keys = [];
+  let continuationToken;
+
+  do {
+    const page = await s3Client.send(new ListObjectsV2Command({
+      Bucket: S3_BUCKET,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }));
+
+    (page.Contents || []).forEach(object => keys.push(object.Key));
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return keys;
+}
+
+async function deleteObjects(keys) {
+  const deleted = [];
+
+  // DeleteObjects accepts at most 1000 keys per request
+  for (let i = 0; i < keys.length; i += 1000) {
+    const batch = keys.slice(i, i + 1000);
+    const result = await s3Client.send(new DeleteObjectsCommand({
+      Bucket: S3_BUCKET,
+      Delete: {
+        Objects: batch.map(key => ({ Key: key })),
+        Quiet: false
+      }
+    }));
+
+    if (result.Errors && result.Errors.length > 0) {
+      console.error('❌ Some S3 objects could not be deleted:', JSON.stringify(result.Errors));
+      throw new Error(`Failed to delete ${result.Errors.length} S3 object(s) for erasure`);
+    }
+
+    (result.Deleted || []).forEach(object => deleted.push(object.Key));
+  }
+
+  return deleted;
+}
+
+// Step Functions keeps execution history (including the state outputs) for
+// 90 days and offers no API to delete it. We stop a running execution so it
+// cannot write new data and report the retained history in the erasure report.
+async function stopProcessing(receiptId) {
+  if (!STEP_FUNCTION_ARN) {
+    return { executionFound: false, action: 'skipped', reason: 'STEP_FUNCTION_ARN not configured' };
+  }
+
+  const executionArn = getExecutionArn(receiptId);
+
+  try {
+    const execution = await sfnClient.send(new DescribeExecutionCommand({ executionArn }));
+
+    if (execution.status === 'RUNNING') {
+      await sfnClient.send(new StopExecutionCommand({
+        executionArn,
+        error: 'ReceiptErased',
+        cause: 'Receipt data was erased on request'
+      }));
+      console.log(`🛑 Stopped running execution for receipt ${receiptId}`);
+      return { executionFound: true, executionArn, action: 'stopped', historyRetainedUntil: retentionEnd(execution.startDate) };
+    }
+
+    return { executionFound: true, executionArn, action: 'none', status: execution.status, historyRetainedUntil: retentionEnd(execution.startDate) };
+
+  } catch (error) {
+    if (error.name === 'ExecutionDoesNotExist') {
+      return { executionFound: false, action: 'none' };
+    }
+    throw error;
+  }
+}
+
+async function getExecutionOwner(receiptId) {
+  if (!STEP_FUNCTION_ARN) return null;
+
+  try {
+    const execution = await sfnClient.send(new DescribeExecutionCommand({ executionArn: getExecutionArn(receiptId) }));
+    return JSON.parse(execution.input || '{}').userId || null;
+  } catch (error) {
+    if (error.name === 'ExecutionDoesNotExist') return null;
+    throw error;
+  }
+}
+
+function retentionEnd(startDate) {
+  if (!startDate) return null;
+  return new Date(new Date(startDate).getTime() + 90 * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function parseS3Key(s3Location) {
+  const prefix = `s3://${S3_BUCKET}/`;
+  return s3Location && s3Location.startsWith(prefix) ? s3Location.substring(prefix.length) : null;
+}
+
+function encodeCursor(lastEvaluatedKey) {
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor is malformed');
+  }
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
@@ -0,0 +1,172 @@
+const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { getCallerIdentity } = require("./auth");
+const { EXPORT_FORMATS, ROW_LEVELS, selectColumns } = require("./receipt-export");
+const { ACCOUNTING_FORMATS } = require("./accounting-export");
+const { EXPORT_JOB_STATUS, createExportJob, getExportJob } = require("./export-jobs");
+
+// Initialize AWS clients
+const s3Client = new S3Client({ region: 'us-east-1' });
+
+const S3_BUCKET = process.env.S3_BUCKET || 'snaptally-receipts';
+const DOWNLOAD_URL_EXPIRY_SECONDS = parseInt(process.env.EXPORT_URL_EXPIRY_SECONDS || '900', 10);
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, OPTIONS"
+};
+
+// GET /receipts/export?format=csv|xlsx&from=YYYY-MM-DD&to=YYYY-MM-DD
+//                     &rows=receipt|item&columns=date,vendor,total
+// GET /receipts/export?format=iif|qbo|ofx|xero&from=YYYY-MM-DD&to=YYYY-MM-DD
+//   starts an export job and answers 202 with its jobId
+// GET /receipts/export/{jobId}
+//   status of the job, with a presigned download link once COMPLETED
+// The file is written by export-worker-function.js, so exports taking
+// longer than an API request still finish.
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    if (event.pathParameters?.jobId) {
+      return await describeExportJob(identity, event.pathParameters.jobId);
+    }
+
+    let request;
+    try {
+      request = parseExportRequest(event.queryStringParameters || {});
+    } catch (validationError) {
+      return buildResponse(400, {
+        success: false,
+        error: "Invalid export parameters",
+        details: validationError.message
+      });
+    }
+
+    const format = EXPORT_FORMATS[request.format];
+    const suffix = request.level === 'item' ? '-items' : request.format === 'xero' ? '-xero' : '';
+    const fileName = `receipts-${request.from || 'start'}-to-${request.to || 'today'}${suffix}.${format.extension}`;
+
+    const job = await createExportJob(identity.userId, {
+      fileName,
+      request: {
+        format: request.format,
+        level: request.level,
+        columns: request.columns ? request.columns.map(column => column.key) : null,
+        from: request.from || null,
+        to: request.to || null
+      }
+    });
+
+    console.log(`Started export ${job.jobId} of ${request.level || 'receipt'} rows as ${request.format} for user ${identity.userId}`);
+
+    return buildResponse(202, {
+      success: true,
+      ...toExportJobResponse(job),
+      statusUrl: `/receipts/export/${job.jobId}`
+    });
+
+  } catch (error) {
+    console.error('❌ Receipt export error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to export receipts',
+      details: error.message
+    });
+  }
+};
+
+// Download links are signed on every call, a link is only handed out
+// while it is valid
+async function describeExportJob(identity, jobId) {
+  const job = await getExportJob(identity.userId, jobId);
+  if (!job) {
+    return buildResponse(404, { success: false, error: "Export not found" });
+  }
+
+  const response = { success: true, ...toExportJobResponse(job) };
+  if (job.status === EXPORT_JOB_STATUS.COMPLETED) {
+    response.downloadUrl = await getSignedUrl(s3Client, new GetObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: job.s3Key,
+      ResponseContentDisposition: `attachment; filename="${job.fileName}"`
+    }), { expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS });
+    response.expiresAt = new Date(Date.now() + DOWNLOAD_URL_EXPIRY_SECONDS * 1000).toISOString();
+    response.receiptCount = job.summary.receiptCount;
+    response.rowCount = job.summary.rowCount;
+    response.skippedCount = job.summary.skippedCount || 0; // Not booked: no exchange rate
+  }
+  if (job.status === EXPORT_JOB_STATUS.FAILED) {
+    response.error = job.error;
+  }
+  return buildResponse(200, response);
+}
+
+function toExportJobResponse(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    fileName: job.fileName,
+    format: job.request.format,
+    rows: job.request.level,
+    columns: job.request.columns,
+    filters: { from: job.request.from, to: job.request.to },
+    createdAt: job.createdAt
+  };
+}
+
+function parseExportRequest(params) {
+  const format = (params.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`'format' must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  let request;
+  if (ACCOUNTING_FORMATS[format]) {
+    // One transaction per receipt, laid out by the accounting format
+    if (params.rows || params.columns) {
+      throw new Error(`'rows' and 'columns' only apply to csv and xlsx exports`);
+    }
+    request = { format, level: null, columns: null };
+  } else {
+    const level = (params.rows || 'receipt').toLowerCase();
+    if (!ROW_LEVELS.includes(level)) {
+      throw new Error(`'rows' must be one of: ${ROW_LEVELS.join(', ')}`);
+    }
+    request = { format, level, columns: selectColumns(level, params.columns) };
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (params[key]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(params[key]) || isNaN(Date.parse(params[key]))) {
+        throw new Error(`'${key}' must be a date in YYYY-MM-DD format`);
+      }
+      request[key] = params[key];
+    }
+  });
+
+  if (request.from && request.to && request.from > request.to) {
+    throw new Error("'from' must not be after 'to'");
+  }
+
+  return request;
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
@@ -0,0 +1,121 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, QueryCommand, DeleteCommand } = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+// Exports run outside of the API request, which API Gateway ends after 29
+// seconds. One record per requested export:
+//   status       PENDING | RUNNING | COMPLETED | FAILED
+//   request      { format, level, columns, from, to }, columns by key
+//   fileName     name the download link hands the browser
+//   s3Key        where the file is written (exports/<jobId>/<fileName>)
+//   summary      { receiptCount, rowCount, skippedCount } once completed
+//   error        message once failed
+// GET /receipts/export creates the record, whose insert starts
+// export-worker-function.js through the table's stream. The record goes
+// with its file, after a day.
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const EXPORT_JOBS_TABLE = process.env.EXPORT_JOBS_TABLE || 'SnapTally-ExportJobs';
+// Same as the lifecycle rule deleting the files under exports/
+const EXPORT_JOB_TTL_HOURS = 24;
+const EXPORT_PREFIX = 'exports/';
+
+const EXPORT_JOB_STATUS = {
+  PENDING: 'PENDING',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+async function createExportJob(userId, { request, fileName }) {
+  const jobId = uuidv4();
+  const now = new Date();
+  const job = {
+    userId,
+    jobId,
+    status: EXPORT_JOB_STATUS.PENDING,
+    request,
+    fileName,
+    s3Key: `${EXPORT_PREFIX}${jobId}/${fileName}`,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    ttl: Math.floor(now.getTime() / 1000) + EXPORT_JOB_TTL_HOURS * 3600
+  };
+
+  await docClient.send(new PutCommand({
+    TableName: EXPORT_JOBS_TABLE,
+    Item: job,
+    ConditionExpression: 'attribute_not_exists(jobId)'
+  }));
+  return job;
+}
+
+// Jobs are only found under the user that requested them
+async function getExportJob(userId, jobId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: EXPORT_JOBS_TABLE,
+    Key: { userId, jobId }
+  }));
+  return result.Item || null;
+}
+
+async function updateExportJob(job, status, fields = {}) {
+  const names = {};
+  const values = {};
+  const assignments = Object.entries({ ...fields, status, updatedAt: new Date().toISOString() }).map(([name, value]) => {
+    names[`#${name}`] = name;
+    values[`:${name}`] = value;
+    return `#${name} = :${name}`;
+  });
+
+  await docClient.send(new UpdateCommand({
+    TableName: EXPORT_JOBS_TABLE,
+    Key: { userId: job.userId, jobId: job.jobId },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ConditionExpression: 'attribute_exists(jobId)',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }));
+}
+
+const markExportRunning = (job) => updateExportJob(job, EXPORT_JOB_STATUS.RUNNING);
+const markExportCompleted = (job, summary) => updateExportJob(job, EXPORT_JOB_STATUS.COMPLETED, { summary });
+const markExportFailed = (job, message) => updateExportJob(job, EXPORT_JOB_STATUS.FAILED, { error: message });
+
+// Jobs of a user, so their files can be erased (erasure-function.js)
+async function listUserExportJobs(userId) {
+  const jobs = [];
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: EXPORT_JOBS_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ProjectionExpression: 'userId, jobId, s3Key',
+      ExclusiveStartKey: startKey
+    }));
+    jobs.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return jobs;
+}
+
+async function deleteExportJob(job) {
+  await docClient.send(new DeleteCommand({
+    TableName: EXPORT_JOBS_TABLE,
+    Key: { userId: job.userId, jobId: job.jobId }
+  }));
+}
+
+module.exports = {
+  EXPORT_JOB_STATUS,
+  createExportJob,
+  getExportJob,
+  markExportRunning,
+  markExportCompleted,
+  markExportFailed,
+  listUserExportJobs,
+  deleteExportJob
+};
@@ -0,0 +1,61 @@
+const { PassThrough } = require("stream");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+const { EXPORT_FORMATS, selectColumns, writeExport } = require("./receipt-export");
+const { markExportRunning, markExportCompleted, markExportFailed } = require("./export-jobs");
+
+// Initialize AWS clients
+const s3Client = new S3Client({ region: 'us-east-1' });
+
+const S3_BUCKET = process.env.S3_BUCKET || 'snaptally-receipts';
+
+// Export jobs table stream (new jobs only) -> the export file in S3 (see
+// export-jobs.js). The file is written while the receipts are read, so
+// exports of any size fit. A failed export is recorded on its job for
+// GET /receipts/export/{jobId}; only a job that could not be updated is
+// retried.
+exports.handler = async (event) => {
+  for (const record of event.Records || []) {
+    if (record.eventName !== 'INSERT') continue;
+    const job = unmarshall(record.dynamodb.NewImage);
+
+    await markExportRunning(job);
+    try {
+      const summary = await runExport(job);
+      await markExportCompleted(job, summary);
+      console.log(`✅ Exported ${summary.rowCount} rows from ${summary.receiptCount} receipts to s3://${S3_BUCKET}/${job.s3Key}`);
+      if (summary.skippedCount > 0) {
+        console.warn(`⚠️ Left ${summary.skippedCount} foreign receipts without an exchange rate out of export ${job.jobId}`);
+      }
+    } catch (error) {
+      console.error(`❌ Export ${job.jobId} of user ${job.userId} failed:`, error);
+      await markExportFailed(job, error.message);
+    }
+  }
+};
+
+async function runExport(job) {
+  const { request } = job;
+  const format = EXPORT_FORMATS[request.format];
+  const columns = request.columns ? selectColumns(request.level, request.columns.join(',')) : null;
+
+  console.log(`Exporting ${request.level || 'receipt'} rows as ${request.format} for user ${job.userId}:`, JSON.stringify({ jobId: job.jobId, from: request.from, to: request.to }));
+
+  // Loaded on first use, only exports stream uploads
+  const { Upload } = require("@aws-sdk/lib-storage");
+  const body = new PassThrough();
+  const upload = new Upload({
+    client: s3Client,
+    params: { Bucket: S3_BUCKET, Key: job.s3Key, Body: body, ContentType: format.contentType }
+  });
+
+  const [summary] = await Promise.all([
+    writeExport({ ...request, columns, userId: job.userId }, body).catch(error => {
+      body.destroy(error);
+      throw error;
+    }),
+    upload.done()
+  ]);
+
+  return { receiptCount: summary.receiptCount, rowCount: summary.rowCount, skippedCount: summary.skippedCount };
+}
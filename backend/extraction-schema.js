@@ -0,0 +1,174 @@
+const Ajv = require("ajv");
+const { LINE_KINDS } = require("./receipt-record");
+
+// JSON Schema for the receipt data the extraction model must return (see
+// createReceiptParsingPrompt in bedrock-function.js), plus helpers to pull
+// the JSON out of a model reply and explain what is wrong with it.
+
+const SCHEMA_VERSION = 1;
+
+// "12.50", "-2.00" or a plain number
+const amount = {
+  description: 'an amount like "12.50" (negative for discounts, e.g. "-2.00")',
+  anyOf: [
+    { type: "string", pattern: "^-?\\d+(\\.\\d{1,2})?$" },
+    { type: "number" }
+  ]
+};
+
+const EXTRACTION_SCHEMA = {
+  type: "object",
+  required: ["merchant", "date", "total", "items"],
+  properties: {
+    merchant: { type: "string", minLength: 1 },
+    vendor: { type: "string" },
+    date: { type: ["string", "null"] },
+    time: { type: ["string", "null"], pattern: "^([01]?\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$" },
+    total: amount,
+    subtotal: amount,
+    tax: amount,
+    tip: amount,
+    fees: amount,
+    currency: { type: ["string", "null"], pattern: "^[A-Za-z]{3}$" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "price"],
+        properties: {
+          kind: { type: "string", enum: LINE_KINDS },
+          name: { type: "string", minLength: 1 },
+          price: amount,
+          quantity: {
+            description: 'a whole number like "1"',
+            anyOf: [
+              { type: "string", pattern: "^\\d+$" },
+              { type: "integer", minimum: 1 }
+            ]
+          }
+        }
+      }
+    }
+  }
+};
+
+// Any printed amount ("$12.50", "12,50 €", "(2.00)", "2.00 CR") in the
+// schema's format: "12.50", "-2.00" for credits, "0.00" when unreadable
+function cleanPrice(price) {
+  if (!price) return '0.00';
+
+  // Credits are printed as "-2.00", "2.00-", "(2.00)" or "2.00 CR"
+  const text = price.toString().trim();
+  const negative = /^[-\u2212\u2013]|[-\u2212\u2013]$|^\(.*\)$|\bCR$/i.test(text);
+
+  // Remove currency symbols, codes and extra spaces
+  let cleaned = text.replace(/[^\d.,]/g, '');
+
+  // "12,50" and "1.234,56" use a decimal comma
+  if (/,\d{1,2}$/.test(cleaned)) {
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+  
+  // Extract number
+  const match = cleaned.match(/\d+\.?\d*/);
+  if (match) {
+    const num = parseFloat(match[0]);
+    return (negative && num > 0 ? -num : num).toFixed(2);
+  }
+  
+  return '0.00';
+}
+
+// verbose: errors carry their schema, used for the anyOf descriptions
+const ajv = new Ajv({ allErrors: true, verbose: true });
+const validate = ajv.compile(EXTRACTION_SCHEMA);
+
+// At most this many errors are reported back to the model and stored
+const MAX_REPORTED_ERRORS = 10;
+
+// Finds the JSON object in a model reply. Models wrap it in prose or code
+// fences, so the first balanced {...} that parses is used.
+function extractJson(text) {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+
+  try {
+    return { data: JSON.parse(source.trim()) };
+  } catch (error) {
+    // Not bare JSON, look for an embedded object
+  }
+
+  let lastError = 'No JSON object found in the response';
+  for (let start = source.indexOf('{'); start !== -1; start = source.indexOf('{', start + 1)) {
+    const end = findClosingBrace(source, start);
+    if (end === -1) {
+      lastError = 'JSON object is not closed (response truncated?)';
+      break;
+    }
+    try {
+      return { data: JSON.parse(source.slice(start, end + 1)) };
+    } catch (error) {
+      lastError = `Invalid JSON: ${error.message}`;
+    }
+  }
+
+  return { data: null, error: lastError };
+}
+
+function findClosingBrace(source, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+// Parses and validates a model reply. Returns { data, errors } where errors
+// are readable strings such as "/items/0/price must match pattern ...".
+function parseExtraction(text) {
+  const { data, error } = extractJson(text);
+  if (error) {
+    return { data: null, errors: [error] };
+  }
+
+  return { data, errors: validateExtraction(data) };
+}
+
+// Validates receipt data that is already an object (model reply or reviewer
+// corrections). Returns readable error strings, empty when valid.
+function validateExtraction(data) {
+  if (validate(data)) {
+    return [];
+  }
+
+  // Errors from inside an anyOf are summed up by the anyOf's description
+  return validate.errors
+    .filter(err => !err.schemaPath.includes('/anyOf/'))
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(err => err.keyword === 'anyOf'
+      ? `${err.instancePath} must be ${err.parentSchema.description}`
+      : `${err.instancePath || '/'} ${err.message}${err.params?.allowedValues ? ` (${err.params.allowedValues.join(', ')})` : ''}`);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  EXTRACTION_SCHEMA,
+  cleanPrice,
+  extractJson,
+  parseExtraction,
+  validateExtraction
+};
@@ -0,0 +1,64 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { buildFailureRecord } = require("./receipt-record");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+
+// Initialize DynamoDB client
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+
+// Dead-letter step of the state machine: a stage failed for good (fatal error
+// or retries used up), so a failure record is saved under the receipt's key.
+// Input: { execution (the original execution input), stage, error, executionArn }.
+// Never throws - the execution ends in its Fail state either way.
+exports.handler = async (event) => {
+  const execution = event.execution || {};
+
+  try {
+    if (!execution.receiptId) {
+      console.error('❌ Cannot record failure without a receiptId:', JSON.stringify(event));
+      return { status: 'FAILURE_NOT_RECORDED' };
+    }
+
+    const failureRecord = buildFailureRecord({
+      receiptId: execution.receiptId,
+      timestamp: execution.timestamp,
+      failedStage: event.stage,
+      error: event.error,
+      executionArn: event.executionArn,
+      s3Location: execution.s3Bucket && execution.s3Key ? `s3://${execution.s3Bucket}/${execution.s3Key}` : undefined,
+      mimeType: execution.mimeType,
+      userId: execution.userId,
+      organizationId: execution.organizationId
+    });
+
+    console.warn(`⚠️ Receipt ${failureRecord.receiptId} failed at stage '${failureRecord.failedStage}': ${failureRecord.errorType} - ${failureRecord.errorMessage}`);
+
+    await docClient.send(new PutCommand({
+      TableName: RECEIPTS_TABLE,
+      Item: failureRecord
+    }));
+
+    console.log(`✅ Failure record saved for receipt ${failureRecord.receiptId}`);
+
+    await publishProgress(execution, PROGRESS_STAGES.FAILED, {
+      failedStage: failureRecord.failedStage,
+      errorType: failureRecord.errorType,
+      error: failureRecord.errorMessage,
+      retryable: failureRecord.retryable
+    });
+
+    return {
+      receiptId: failureRecord.receiptId,
+      status: 'FAILURE_RECORDED',
+      failedStage: failureRecord.failedStage,
+      errorType: failureRecord.errorType
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to save failure record:', error);
+    return { receiptId: execution.receiptId, status: 'FAILURE_NOT_RECORDED', error: error.message };
+  }
+};
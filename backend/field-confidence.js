@@ -0,0 +1,433 @@
+// Per-field confidence and provenance for a parsed receipt. Every summary
+// field and line item gets
+//   { confidence: 0-1, provenance, conflict? }
+// provenance: 'both'     - Textract and the model read the same value
+//             'textract' - only Textract had it (or the model's answer was unusable)
+//             'model'    - only the model had it
+//             'default'  - nobody found it, a placeholder was stored
+//             'manual'   - entered or corrected by a person
+// conflict is set when Textract read a different value than the one stored.
+// Computed in the Bedrock step, stored on the record (see receipt-record.js)
+// and updated by edits and reviews.
+
+// Below this a field is shown as uncertain
+const UNCERTAIN_CONFIDENCE = 0.6;
+
+// The model reports no confidences of its own. Its answers count for more
+// when the value can also be found in the receipt text.
+const MODEL_CONFIDENCE = 0.7;
+const MODEL_SEEN_IN_TEXT_CONFIDENCE = 0.8;
+const MODEL_UNSEEN_CONFIDENCE = 0.55;
+// Each repair round (see extractWithRepair in bedrock-function.js) costs this much
+const REPAIR_PENALTY = 0.1;
+const DEFAULT_CONFIDENCE = 0.1;
+const MIN_CONFIDENCE = 0.05;
+
+// Textract summary field types for each receipt field, most specific first
+const TEXTRACT_FIELDS = {
+  merchant: ['vendor_name', 'name', 'vendor'],
+  date: ['invoice_receipt_date'],
+  total: ['total', 'amount_paid'],
+  subtotal: ['subtotal'],
+  tax: ['tax'],
+  tip: ['gratuity'],
+  fees: ['service_charge']
+};
+
+const AMOUNT_FIELDS = ['total', 'subtotal', 'tax', 'tip', 'fees'];
+const SCORED_FIELDS = ['merchant', 'date', ...AMOUNT_FIELDS, 'currency'];
+// Amounts that are usually absent, so a model "0.00" is a fine answer
+const OPTIONAL_AMOUNT_FIELDS = ['subtotal', 'tax', 'tip', 'fees'];
+
+// Weights of the fields in the overall score
+const FIELD_WEIGHTS = {
+  total: 3,
+  merchant: 2,
+  date: 2,
+  items: 2,
+  subtotal: 1,
+  tax: 1,
+  currency: 1,
+  tip: 0.5,
+  fees: 0.5
+};
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// "$1,234.50", "12,50 €" -> 1234.5 / 12.5
+function toAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.replace(/[^\d.,-]/g, '');
+  if (/,\d{2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function amountsAgree(a, b) {
+  return a !== null && b !== null && Math.abs(Math.abs(a) - Math.abs(b)) < 0.005;
+}
+
+function tokens(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 1);
+}
+
+// Share of the shorter name's words found in the other (abbreviations count)
+function nameSimilarity(a, b) {
+  const left = tokens(a);
+  const right = tokens(b);
+  if (left.length === 0 || right.length === 0) return 0;
+
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  const matches = shorter.filter(token => longer.some(other =>
+    other === token || (token.length >= 3 && other.length >= 3 && (other.startsWith(token) || token.startsWith(other)))
+  ));
+  return matches.length / shorter.length;
+}
+
+function appearsInText(value, rawText, isAmount) {
+  if (!rawText || value === null || value === undefined || value === '') return false;
+
+  if (isAmount) {
+    const amount = Math.abs(toAmount(value));
+    if (amount === null || amount === 0) return false;
+    const fixed = amount.toFixed(2);
+    return rawText.includes(fixed) || rawText.includes(fixed.replace('.', ','));
+  }
+
+  return nameSimilarity(value, rawText) >= 0.5;
+}
+
+// Both sources independently read the same value
+function combine(textractConfidence, modelConfidence) {
+  return 1 - (1 - textractConfidence) * (1 - modelConfidence);
+}
+
+// Textract read something else: the more sure Textract was, the less the stored value is trusted
+function contested(textractConfidence, modelConfidence) {
+  return Math.max(MIN_CONFIDENCE, Math.min(modelConfidence, 1 - textractConfidence));
+}
+
+function score(confidence, provenance, extra = {}) {
+  return { confidence: round(confidence), provenance, ...extra };
+}
+
+// How much to trust a model answer: found in the receipt text or not, minus
+// the repair penalty already in modelConfidence
+function modelEvidence(value, rawText, isAmount, modelConfidence) {
+  const base = appearsInText(value, rawText, isAmount) ? MODEL_SEEN_IN_TEXT_CONFIDENCE : MODEL_UNSEEN_CONFIDENCE;
+  return base - (MODEL_CONFIDENCE - modelConfidence);
+}
+
+// Scores one summary field against the matching Textract summary field
+function scoreField({ value, textract, modelConfidence, usedFallback, rawText, isAmount, isDefault }) {
+  if (isDefault) {
+    return textract
+      ? score(contested(textract.confidence, DEFAULT_CONFIDENCE), 'default', { conflict: true })
+      : score(DEFAULT_CONFIDENCE, 'default');
+  }
+
+  if (usedFallback) {
+    return textract ? score(textract.confidence, 'textract') : score(DEFAULT_CONFIDENCE, 'default');
+  }
+
+  const evidence = modelEvidence(value, rawText, isAmount, modelConfidence);
+
+  if (!textract) {
+    return score(evidence, 'model');
+  }
+
+  const agrees = isAmount
+    ? amountsAgree(toAmount(value), toAmount(textract.value))
+    : nameSimilarity(value, textract.value) >= 0.5;
+
+  return agrees
+    ? score(combine(textract.confidence, evidence), 'both')
+    : score(contested(textract.confidence, evidence), 'model', { conflict: true, textractValue: textract.value });
+}
+
+function findTextractField(field, textractResult) {
+  const summaryFields = textractResult.summaryFields || {};
+  const confidences = textractResult.confidence?.fields || {};
+  const key = (TEXTRACT_FIELDS[field] || []).find(name => summaryFields[name]);
+
+  return key
+    ? { value: summaryFields[key], confidence: (confidences[key] ?? 80) / 100 }
+    : null;
+}
+
+// `modelDate` is the model's answer before date normalization
+function scoreDate(parsedData, modelDate, textractResult, modelConfidence, usedFallback) {
+  const resolution = parsedData.dateResolution || {};
+  const textract = findTextractField('date', textractResult);
+  // Day/month order picked from a locale hint or by default may be wrong
+  const ambiguity = (resolution.alternatives || []).length > 0 ? 0.8 : 1;
+
+  if (resolution.source === 'fallback' || !parsedData.date) {
+    return score(DEFAULT_CONFIDENCE, 'default');
+  }
+
+  if (resolution.source === 'manual') {
+    return score(1, 'manual');
+  }
+
+  const modelAgrees = !usedFallback && resolution.source !== 'model' && modelDate === parsedData.date;
+
+  if (resolution.source === 'textract' && textract) {
+    return modelAgrees
+      ? score(combine(textract.confidence, modelConfidence) * ambiguity, 'both')
+      : score(textract.confidence * ambiguity, 'textract');
+  }
+
+  if (resolution.source === 'raw-text') {
+    return modelAgrees
+      ? score(combine(MODEL_SEEN_IN_TEXT_CONFIDENCE, modelConfidence) * ambiguity, 'both')
+      : score(MODEL_SEEN_IN_TEXT_CONFIDENCE * ambiguity, 'textract');
+  }
+
+  return textract
+    ? score(contested(textract.confidence, modelConfidence) * ambiguity, 'model', { conflict: true, textractValue: textract.value })
+    : score((MODEL_UNSEEN_CONFIDENCE - (MODEL_CONFIDENCE - modelConfidence)) * ambiguity, 'model');
+}
+
+function scoreCurrency(parsedData) {
+  switch (parsedData.currencySource) {
+    case 'textract':
+      return score(0.9, 'textract');
+    case 'code':
+    case 'symbol':
+      return score(0.85, 'textract');
+    case 'locale':
+      return score(0.6, 'textract');
+    case 'model':
+      return score(MODEL_UNSEEN_CONFIDENCE, 'model');
+    case 'manual':
+      return score(1, 'manual');
+    default:
+      return score(0.4, 'default');
+  }
+}
+
+// Pairs every parsed line with the Textract line it most likely came from
+// (same amount and/or similar name); each Textract line is used once.
+function matchLineItems(items, textractResult) {
+  const lineItems = textractResult.lineItems || [];
+  const used = new Set();
+
+  return items.map(item => {
+    const price = toAmount(item.price);
+    const quantity = parseInt(item.quantity || '1', 10) || 1;
+    let best = null;
+
+    lineItems.forEach((line, index) => {
+      if (used.has(index)) return;
+      const linePrice = toAmount(line.price || line.amount || line.unit_price);
+      const priceMatch = amountsAgree(price, linePrice) || amountsAgree(price * quantity, linePrice);
+      const similarity = nameSimilarity(item.name, line.item || line.description || line.product_code);
+      const matchScore = (priceMatch ? 1 : 0) + similarity;
+
+      if ((priceMatch || similarity >= 0.5) && (!best || matchScore > best.matchScore)) {
+        best = { index, line, priceMatch, similarity, matchScore };
+      }
+    });
+
+    if (best) used.add(best.index);
+    return best;
+  });
+}
+
+function scoreLineItems(items, textractResult, modelConfidence, usedFallback) {
+  const rawText = textractResult.rawText || '';
+  const lineConfidences = textractResult.confidence?.lineItems || [];
+  const matches = matchLineItems(items, textractResult);
+
+  return items.map((item, index) => {
+    const match = matches[index];
+    const lineConfidence = match ? (lineConfidences[match.index] || {}) : {};
+    const textractConfidence = (key, fallbackKey) => ((lineConfidence[key] ?? lineConfidence[fallbackKey] ?? 80) / 100);
+
+    let fields;
+    if (usedFallback) {
+      // Fallback items are the Textract lines themselves
+      fields = {
+        name: score(textractConfidence('item', 'description'), 'textract'),
+        price: score(textractConfidence('price', 'amount'), 'textract'),
+        quantity: score(textractConfidence('quantity'), 'textract')
+      };
+    } else {
+      const nameEvidence = modelEvidence(item.name, rawText, false, modelConfidence);
+      const priceEvidence = modelEvidence(item.price, rawText, true, modelConfidence);
+
+      fields = {
+        name: match && match.similarity >= 0.5
+          ? score(combine(textractConfidence('item', 'description'), nameEvidence), 'both')
+          : score(nameEvidence, 'model'),
+        price: !match
+          ? score(priceEvidence, 'model')
+          : match.priceMatch
+            ? score(combine(textractConfidence('price', 'amount'), priceEvidence), 'both')
+            : score(contested(textractConfidence('price', 'amount'), priceEvidence), 'model', { conflict: true, textractValue: match.line.price || match.line.amount || null }),
+        quantity: !match
+          ? score(modelConfidence, 'model')
+          : !match.line.quantity
+            // Textract leaves out the quantity of single items
+            ? (parseInt(item.quantity || '1', 10) || 1) === 1
+              ? score(combine(textractConfidence('item', 'description'), modelConfidence), 'both')
+              : score(modelConfidence, 'model')
+            : parseInt(match.line.quantity, 10) === (parseInt(item.quantity || '1', 10) || 1)
+              ? score(combine(textractConfidence('quantity'), modelConfidence), 'both')
+              : score(contested(textractConfidence('quantity'), modelConfidence), 'model', { conflict: true, textractValue: match.line.quantity })
+      };
+    }
+
+    return summarizeItem(fields);
+  });
+}
+
+// A line is as certain as its least certain part
+function summarizeItem(fields) {
+  const values = Object.values(fields);
+  const provenances = [...new Set(values.map(field => field.provenance))];
+
+  return {
+    confidence: round(Math.min(...values.map(field => field.confidence))),
+    provenance: provenances.length === 1 ? provenances[0] : provenances.includes('manual') ? 'manual' : 'model',
+    ...(values.some(field => field.conflict) ? { conflict: true } : {}),
+    fieldConfidence: fields
+  };
+}
+
+function overallConfidence(fields, itemScores) {
+  const entries = Object.entries(fields).map(([field, result]) => [FIELD_WEIGHTS[field] || 1, result.confidence]);
+  if (itemScores.length > 0) {
+    const itemsConfidence = itemScores.reduce((sum, item) => sum + item.confidence, 0) / itemScores.length;
+    entries.push([FIELD_WEIGHTS.items, itemsConfidence]);
+  }
+
+  const weight = entries.reduce((sum, [fieldWeight]) => sum + fieldWeight, 0);
+  return round(entries.reduce((sum, [fieldWeight, confidence]) => sum + fieldWeight * confidence, 0) / weight);
+}
+
+// Scores the enhanced parsed data of the Bedrock step. `extraction` is the
+// schema validation summary ({ succeededOnAttempt, usedFallback }), `modelDate`
+// the model's date before normalization.
+// Returns { fields, items, overall, uncertainFields } where items line up
+// with parsedData.items; overall is the weighted extraction-time score.
+function scoreReceiptFields({ parsedData, textractResult = {}, extraction = {}, modelDate }) {
+  const usedFallback = !!extraction.usedFallback;
+  const repairs = Math.max(0, (extraction.succeededOnAttempt || 1) - 1);
+  const modelConfidence = Math.max(MODEL_UNSEEN_CONFIDENCE, MODEL_CONFIDENCE - repairs * REPAIR_PENALTY);
+  const rawText = textractResult.rawText || '';
+
+  const fields = {};
+
+  const merchant = parsedData.merchant || parsedData.vendor;
+  fields.merchant = scoreField({
+    value: merchant,
+    textract: findTextractField('merchant', textractResult),
+    modelConfidence,
+    usedFallback,
+    rawText,
+    isAmount: false,
+    isDefault: !merchant || /^unknown/i.test(merchant)
+  });
+
+  fields.date = scoreDate(parsedData, modelDate, textractResult, modelConfidence, usedFallback);
+
+  AMOUNT_FIELDS.forEach(field => {
+    const textract = findTextractField(field, textractResult);
+    const amount = toAmount(parsedData[field]);
+    const missing = amount === null || amount === 0;
+    const optional = OPTIONAL_AMOUNT_FIELDS.includes(field);
+
+    fields[field] = missing && !textract && optional
+      ? score(modelConfidence, usedFallback ? 'default' : 'model')
+      : scoreField({
+        value: parsedData[field],
+        textract,
+        modelConfidence,
+        usedFallback,
+        rawText,
+        isAmount: true,
+        isDefault: missing && !optional
+      });
+  });
+
+  fields.currency = scoreCurrency(parsedData);
+
+  const items = scoreLineItems(parsedData.items || [], textractResult, modelConfidence, usedFallback);
+
+  return {
+    fields,
+    items,
+    overall: overallConfidence(fields, items),
+    uncertainFields: Object.keys(fields).filter(field => fields[field].confidence < UNCERTAIN_CONFIDENCE)
+  };
+}
+
+// Marks fields a person entered as certain. Record fields are named as on the
+// receipt record ('vendor' is the merchant).
+function markManualFields(fieldConfidence, changedFields) {
+  if (!fieldConfidence) return null;
+
+  const fields = { ...fieldConfidence.fields };
+  changedFields.forEach(field => {
+    const name = field === 'vendor' ? 'merchant' : field;
+    if (SCORED_FIELDS.includes(name)) {
+      fields[name] = score(1, 'manual');
+    }
+  });
+
+  return {
+    ...fieldConfidence,
+    fields,
+    uncertainFields: Object.keys(fields).filter(field => fields[field].confidence < UNCERTAIN_CONFIDENCE)
+  };
+}
+
+// Carries line confidences over an edit: parts that changed (matched by
+// itemId) are manual, the rest keep their score. New lines are manual.
+function carryItemConfidence(editedItems, previousItems = []) {
+  return editedItems.map(item => {
+    const previous = item.itemId ? previousItems.find(candidate => candidate.itemId === item.itemId) : null;
+    const previousFields = previous?.fieldConfidence || {};
+    const changed = {
+      name: !previous || previous.name !== item.name,
+      price: !previous || Number(previous.price).toFixed(2) !== Number(item.price).toFixed(2) || (previous.kind || 'item') !== (item.kind || 'item'),
+      quantity: !previous || String(previous.quantity) !== String(item.quantity)
+    };
+
+    if (previous && !changed.name && !changed.price && !changed.quantity) {
+      return previous.confidence === undefined
+        ? item
+        : {
+          ...item,
+          confidence: previous.confidence,
+          provenance: previous.provenance,
+          ...(previous.conflict ? { conflict: true } : {}),
+          fieldConfidence: previous.fieldConfidence
+        };
+    }
+
+    const fields = {};
+    Object.keys(changed).forEach(key => {
+      fields[key] = changed[key] || !previousFields[key] ? score(1, 'manual') : previousFields[key];
+    });
+    return { ...item, ...summarizeItem(fields) };
+  });
+}
+
+module.exports = {
+  UNCERTAIN_CONFIDENCE,
+  scoreReceiptFields,
+  markManualFields,
+  carryItemConfidence
+};
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Idempotency-Key support for POST /receipt (index.js) and the presigned
+// upload flow (upload-function.js). A client that retries a submission with
+// the same key gets the original receiptId and executionArn back instead of
+// a second upload and execution.
+//
+// Each key (scoped to the caller and the operation) is claimed before any
+// work is done and stored with a hash of the request and, once the request
+// is done, its response. Keys expire after IDEMPOTENCY_TTL_HOURS; the
+// UserKeysIndex finds the keys of a user for erasure.
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const IDEMPOTENCY_TABLE = process.env.IDEMPOTENCY_TABLE || 'SnapTally-Idempotency';
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+
+// A claim that was never completed (the Lambda timed out or crashed) may be
+// taken over after this long. Longer than the POST /receipt Lambda timeout.
+const IN_PROGRESS_TIMEOUT_SECONDS = 60;
+
+// Printable ASCII, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+class IdempotencyKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyKeyError';
+  }
+}
+
+// The Idempotency-Key header, whatever its case. Undefined when not sent.
+function getIdempotencyKey(headers = {}) {
+  const name = Object.keys(headers || {}).find(header => header.toLowerCase() === 'idempotency-key');
+  if (!name) return undefined;
+
+  const key = String(headers[name]).trim();
+  if (!KEY_PATTERN.test(key)) {
+    throw new IdempotencyKeyError('Idempotency-Key must be 1-255 printable ASCII characters');
+  }
+  return key;
+}
+
+// "user-1#abc" for POST /receipt, "user-1#confirm#abc" for an operation, so
+// the upload flow can send one key with both of its requests
+function storageKey({ key, userId, operation }) {
+  return operation ? `${userId}#${operation}#${key}` : `${userId}#${key}`;
+}
+
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+// Claims the key for this request. Returns one of
+//   { outcome: 'claimed', receiptId, timestamp }  - go ahead with these ids
+//   { outcome: 'replay', response, receiptId, timestamp } - send the stored response
+//   { outcome: 'in-progress' }                    - the first request is still running
+//   { outcome: 'mismatch' }                       - key reused for a different request
+// receiptId and timestamp are fixed at the first claim, so a request that
+// takes over an abandoned claim writes the same S3 object and starts the
+// same (named) execution.
+async function claimIdempotencyKey({ key, userId, operation, requestHash, receiptId, timestamp }) {
+  const idempotencyKey = storageKey({ key, userId, operation });
+  const now = Math.floor(Date.now() / 1000);
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: IDEMPOTENCY_TABLE,
+      Item: {
+        idempotencyKey,
+        userId,
+        requestHash,
+        status: 'IN_PROGRESS',
+        receiptId,
+        timestamp,
+        claimedAt: now,
+        ttl: now + (IDEMPOTENCY_TTL_HOURS * 60 * 60)
+      },
+      // DynamoDB deletes expired items lazily, sometimes days late; until
+      // then they count as absent and are overwritten
+      ConditionExpression: 'attribute_not_exists(idempotencyKey) OR #ttl <= :now',
+      ExpressionAttributeNames: { '#ttl': 'ttl' },
+      ExpressionAttributeValues: { ':now': now }
+    }));
+    return { outcome: 'claimed', receiptId, timestamp };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+  }
+
+  const existing = (await docClient.send(new GetCommand({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: { idempotencyKey },
+    ConsistentRead: true
+  }))).Item;
+
+  // Expired between the put and the get
+  if (!existing || existing.ttl <= now) {
+    return claimIdempotencyKey({ key, userId, operation, requestHash, receiptId, timestamp });
+  }
+
+  if (existing.requestHash !== requestHash) {
+    return { outcome: 'mismatch' };
+  }
+
+  if (existing.status === 'COMPLETED') {
+    return { outcome: 'replay', response: existing.response, receiptId: existing.receiptId, timestamp: existing.timestamp };
+  }
+
+  if (now - existing.claimedAt < IN_PROGRESS_TIMEOUT_SECONDS) {
+    return { outcome: 'in-progress' };
+  }
+
+  // Abandoned claim: take it over, unless another retry just did
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: IDEMPOTENCY_TABLE,
+      Key: { idempotencyKey },
+      UpdateExpression: 'SET claimedAt = :now',
+      ConditionExpression: '#status = :inProgress AND claimedAt = :claimedAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':now': now, ':inProgress': 'IN_PROGRESS', ':claimedAt': existing.claimedAt }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return { outcome: 'in-progress' };
+  }
+
+  console.log(`ℹ️ Taking over abandoned Idempotency-Key for receipt ${existing.receiptId}`);
+  return { outcome: 'claimed', receiptId: existing.receiptId, timestamp: existing.timestamp };
+}
+
+// Stores the response replays get. `response` is { statusCode, body }.
+async function completeIdempotencyKey(idempotency, response) {
+  await docClient.send(new UpdateCommand({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: { idempotencyKey: storageKey(idempotency) },
+    UpdateExpression: 'SET #status = :completed, #response = :response, completedAt = :completedAt',
+    ExpressionAttributeNames: { '#status': 'status', '#response': 'response' },
+    ExpressionAttributeValues: {
+      ':completed': 'COMPLETED',
+      ':response': response,
+      ':completedAt': new Date().toISOString()
+    }
+  }));
+}
+
+// Frees the key after a server-side failure so the client can retry with it
+async function releaseIdempotencyKey(idempotency) {
+  await docClient.send(new DeleteCommand({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: { idempotencyKey: storageKey(idempotency) }
+  }));
+}
+
+// Stored responses hold receipt ids and execution ARNs, so they go with the
+// user's data (erasure-function.js). Returns how many keys were deleted.
+async function deleteUserIdempotencyKeys(userId) {
+  let deleted = 0;
+  let startKey;
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: IDEMPOTENCY_TABLE,
+      IndexName: 'UserKeysIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }));
+
+    for (const item of page.Items || []) {
+      await docClient.send(new DeleteCommand({
+        TableName: IDEMPOTENCY_TABLE,
+        Key: { idempotencyKey: item.idempotencyKey }
+      }));
+      deleted++;
+    }
+    startKey = page.LastEvaluatedKey;
+  } while (startKey);
+
+  return deleted;
+}
+
+module.exports = {
+  IdempotencyKeyError,
+  getIdempotencyKey,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  deleteUserIdempotencyKeys
+};
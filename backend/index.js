@@ -1,13 +1,19 @@
-const { SFNClient, StartExecutionCommand } = require("@aws-sdk/client-sfn");
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const { v4: uuidv4 } = require("uuid");
+const { getCallerIdentity } = require("./auth");
+const { startReceiptProcessing } = require("./processing");
+const { sniffMediaType, describeUnsupported, getExtension, UnsupportedMediaTypeError } = require("./media-type");
+const { ALLOWED_PROVIDERS, isAllowedProvider } = require("./model-providers");
+const {
+  IdempotencyKeyError,
+  getIdempotencyKey,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require("./idempotency");
 
 // Initialize AWS clients
-const sfnClient = new SFNClient({ 
-  region: 'us-east-1',
-  maxAttempts: 3
-});
-
 const s3Client = new S3Client({ 
   region: 'us-east-1'
 });
@@ -16,6 +22,9 @@ const STEP_FUNCTION_ARN = process.env.STEP_FUNCTION_ARN;
 const S3_BUCKET = process.env.S3_BUCKET || 'snaptally-receipts';
 
 exports.handler = async (event) => {
+  // Set once an Idempotency-Key has been claimed for this request
+  let idempotency = null;
+
   try {
     // Debug: Log environment variables
     console.log('Environment check:', {
@@ -33,7 +42,7 @@ exports.handler = async (event) => {
         headers: { 
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
           "Access-Control-Allow-Methods": "POST, OPTIONS"
         },
         body: JSON.stringify({ 
@@ -49,13 +58,46 @@ exports.handler = async (event) => {
         statusCode: 200,
         headers: {
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
           "Access-Control-Allow-Methods": "POST, OPTIONS"
         },
         body: JSON.stringify({ message: "CORS preflight" })
       };
     }
 
+    // Caller identity comes from the API Gateway JWT authorizer
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return {
+        statusCode: 401,
+        headers: { 
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+          "Access-Control-Allow-Methods": "POST, OPTIONS"
+        },
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    // Optional Idempotency-Key: a retry with the same key gets the first response
+    let idempotencyKey;
+    try {
+      idempotencyKey = getIdempotencyKey(event.headers);
+    } catch (keyError) {
+      if (!(keyError instanceof IdempotencyKeyError)) throw keyError;
+      return {
+        statusCode: 400,
+        headers: { 
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+          "Access-Control-Allow-Methods": "POST, OPTIONS"
+        },
+        body: JSON.stringify({ error: keyError.message }),
+      };
+    }
+
     const body = JSON.parse(event.body || '{}');
     const imageBase64 = body.image;
 
@@ -65,18 +107,35 @@ exports.handler = async (event) => {
         headers: { 
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
           "Access-Control-Allow-Methods": "POST, OPTIONS"
         },
         body: JSON.stringify({ error: "No image data provided" }),
       };
     }
 
-    // Generate unique receipt ID
-    const receiptId = uuidv4();
-    const timestamp = new Date().toISOString();
+    // Optional per-request extraction model (see model-providers.js)
+    if (body.modelProvider !== undefined && !isAllowedProvider(body.modelProvider)) {
+      return {
+        statusCode: 400,
+        headers: { 
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+          "Access-Control-Allow-Methods": "POST, OPTIONS"
+        },
+        body: JSON.stringify({ 
+          error: `Model provider '${body.modelProvider}' is not available`,
+          supportedProviders: ALLOWED_PROVIDERS
+        }),
+      };
+    }
+
+    // Generate unique receipt ID (a replayed Idempotency-Key reuses the first one)
+    let receiptId = uuidv4();
+    let timestamp = new Date().toISOString();
     
-    console.log(`Processing receipt: ${receiptId}`);
+    console.log(`Processing receipt: ${receiptId} for user ${identity.userId}`);
 
     // Convert base64 to buffer
     const imageBuffer = Buffer.from(imageBase64, 'base64');
@@ -94,7 +153,7 @@ exports.handler = async (event) => {
         headers: { 
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
           "Access-Control-Allow-Methods": "POST, OPTIONS"
         },
         body: JSON.stringify({ 
@@ -105,8 +164,95 @@ exports.handler = async (event) => {
       };
     }
 
+    // Detect the real file type from its magic bytes
+    const mimeType = sniffMediaType(imageBuffer);
+    if (!mimeType) {
+      const unsupportedError = new UnsupportedMediaTypeError(describeUnsupported(imageBuffer));
+      console.warn(`🚫 Rejected upload: ${unsupportedError.message}`);
+      return {
+        statusCode: 415,
+        headers: { 
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+          "Access-Control-Allow-Methods": "POST, OPTIONS"
+        },
+        body: JSON.stringify({ 
+          error: "Unsupported media type",
+          details: unsupportedError.message,
+          detectedType: unsupportedError.detected
+        }),
+      };
+    }
+
+    console.log(`Detected file type: ${mimeType}`);
+
+    // Claimed after validation: rejected requests can be fixed and resent with the same key
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey({
+        key: idempotencyKey,
+        userId: identity.userId,
+        requestHash: hashRequest(event.body),
+        receiptId,
+        timestamp
+      });
+
+      if (claim.outcome === 'replay') {
+        console.log(`ℹ️ Idempotency-Key replay - returning the original response`);
+        return {
+          statusCode: claim.response.statusCode,
+          headers: { 
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+            "Access-Control-Allow-Methods": "POST, OPTIONS",
+            "Access-Control-Expose-Headers": "Idempotent-Replayed",
+            "Idempotent-Replayed": "true"
+          },
+          body: claim.response.body,
+        };
+      }
+
+      if (claim.outcome === 'mismatch') {
+        return {
+          statusCode: 422,
+          headers: { 
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+            "Access-Control-Allow-Methods": "POST, OPTIONS"
+          },
+          body: JSON.stringify({ 
+            error: "Idempotency-Key was already used for a different request",
+            details: "Use a new key for a new receipt"
+          }),
+        };
+      }
+
+      if (claim.outcome === 'in-progress') {
+        return {
+          statusCode: 409,
+          headers: { 
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+            "Access-Control-Allow-Methods": "POST, OPTIONS",
+            "Retry-After": "5"
+          },
+          body: JSON.stringify({ 
+            error: "A request with this Idempotency-Key is still in progress",
+            details: "Retry in a few seconds to get its result"
+          }),
+        };
+      }
+
+      idempotency = { key: idempotencyKey, userId: identity.userId };
+      receiptId = claim.receiptId;
+      timestamp = claim.timestamp;
+    }
+
     // Upload image to S3
-    const s3Key = `receipts/${receiptId}/${timestamp.replace(/[:.]/g, '-')}.jpg`;
+    const s3Key = `receipts/${receiptId}/${timestamp.replace(/[:.]/g, '-')}.${getExtension(mimeType)}`;
     
     try {
       console.log(`Uploading to S3: ${S3_BUCKET}/${s3Key}`);
@@ -115,9 +261,10 @@ exports.handler = async (event) => {
         Bucket: S3_BUCKET,
         Key: s3Key,
         Body: imageBuffer,
-        ContentType: 'image/jpeg',
+        ContentType: mimeType,
         Metadata: {
           receiptId: receiptId,
+          userId: identity.userId,
           uploadTimestamp: timestamp,
           originalSizeKB: imageSizeKB.toString()
         }
@@ -128,12 +275,13 @@ exports.handler = async (event) => {
       
     } catch (s3Error) {
       console.error('❌ S3 upload failed:', s3Error);
+      await releaseIdempotency(idempotency);
       return {
         statusCode: 500,
         headers: { 
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
           "Access-Control-Allow-Methods": "POST, OPTIONS"
         },
         body: JSON.stringify({ 
@@ -151,7 +299,11 @@ exports.handler = async (event) => {
       s3Key: s3Key,
       timestamp: timestamp,
       requestId: event.requestContext?.requestId || 'local-test',
-      imageSizeKB: imageSizeKB
+      imageSizeKB: imageSizeKB,
+      mimeType: mimeType,
+      userId: identity.userId,
+      organizationId: identity.organizationId,
+      modelProvider: body.modelProvider
     };
 
     // Check payload size (should be tiny now)
@@ -162,19 +314,9 @@ exports.handler = async (event) => {
     console.log(`Step Function payload size: ${payloadSizeKB} KB (${payloadSizeBytes} bytes) - Image stored in S3`);
 
     // Start Step Function execution
-    const executionName = `receipt-processing-${receiptId}`;
-    console.log(`Starting Step Function execution: ${executionName}`);
-    
-    const command = new StartExecutionCommand({
-      stateMachineArn: STEP_FUNCTION_ARN,
-      name: executionName,
-      input: payloadString
-    });
-
     let result;
     try {
-      result = await sfnClient.send(command);
-      console.log(`✅ Step Function started successfully: ${result.executionArn}`);
+      result = await startReceiptProcessing(stepFunctionInput);
     } catch (stepFunctionError) {
       console.error('❌ Step Function execution failed:', stepFunctionError);
       
@@ -189,13 +331,15 @@ exports.handler = async (event) => {
       } catch (cleanupError) {
         console.error('Failed to cleanup S3 object:', cleanupError);
       }
+
+      await releaseIdempotency(idempotency);
       
       return {
         statusCode: 500,
         headers: { 
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
           "Access-Control-Allow-Methods": "POST, OPTIONS"
         },
         body: JSON.stringify({ 
@@ -206,35 +350,49 @@ exports.handler = async (event) => {
       };
     }
 
-    return {
+    const response = {
       statusCode: 202, // Accepted - processing started
       headers: { 
         "Content-Type": "application/json",
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
         "Access-Control-Allow-Methods": "POST, OPTIONS"
       },
       body: JSON.stringify({
         success: true,
         receiptId,
-        message: "Receipt processing started",
+        message: result.alreadyStarted ? "Receipt processing already started" : "Receipt processing started",
         executionArn: result.executionArn,
         status: "PROCESSING",
         s3Location: `s3://${S3_BUCKET}/${s3Key}`,
         imageSizeKB: imageSizeKB,
+        mimeType: mimeType,
         payloadSizeKB: payloadSizeKB
       }),
     };
 
+    // Retries with the same Idempotency-Key get this response
+    if (idempotency) {
+      try {
+        await completeIdempotencyKey(idempotency, { statusCode: response.statusCode, body: response.body });
+      } catch (idempotencyError) {
+        // A retry takes the claim over and finds the execution already started
+        console.error('⚠️ Failed to store the Idempotency-Key response:', idempotencyError);
+      }
+    }
+
+    return response;
+
   } catch (err) {
     console.error('Error starting receipt processing:', err);
+    await releaseIdempotency(idempotency);
     
     return {
       statusCode: 500,
       headers: { 
         "Content-Type": "application/json",
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
         "Access-Control-Allow-Methods": "POST, OPTIONS"
       },
       body: JSON.stringify({ 
@@ -245,3 +403,13 @@ exports.handler = async (event) => {
     };
   }
 };
+
+// A failed request leaves nothing to replay, the client may retry with its key
+async function releaseIdempotency(idempotency) {
+  if (!idempotency) return;
+  try {
+    await releaseIdempotencyKey(idempotency);
+  } catch (releaseError) {
+    console.error('Failed to release Idempotency-Key:', releaseError);
+  }
+}
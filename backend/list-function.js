@@ -0,0 +1,285 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { getCallerIdentity } = require("./auth");
+
+// Initialize DynamoDB client
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, OPTIONS"
+};
+
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    const params = event.queryStringParameters || {};
+
+    let filters;
+    let queryInput;
+    try {
+      filters = parseFilters(params, identity.userId);
+      queryInput = buildQuery(filters);
+    } catch (validationError) {
+      return buildResponse(400, {
+        success: false,
+        error: "Invalid query parameters",
+        details: validationError.message
+      });
+    }
+
+    console.log(`Listing receipts via ${queryInput.IndexName}:`, JSON.stringify(filters));
+
+    const result = await docClient.send(new QueryCommand(queryInput));
+    const receipts = (result.Items || []).map(toReceiptSummary);
+
+    console.log(`✅ Found ${receipts.length} receipts (more pages: ${!!result.LastEvaluatedKey})`);
+
+    return buildResponse(200, {
+      success: true,
+      receipts,
+      count: receipts.length,
+      nextCursor: result.LastEvaluatedKey
+        ? encodeCursor(queryInput.IndexName, result.LastEvaluatedKey)
+        : null,
+      filters: {
+        vendor: filters.vendor || null,
+        category: filters.category || null,
+        from: filters.from || null,
+        to: filters.to || null,
+        minTotal: filters.minTotal ?? null,
+        maxTotal: filters.maxTotal ?? null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Receipt listing error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to list receipts',
+      details: error.message
+    });
+  }
+};
+
+function parseFilters(params, userId) {
+  const filters = {
+    userId: userId,
+    limit: DEFAULT_PAGE_SIZE
+  };
+
+  if (params.vendor) {
+    filters.vendor = params.vendor.trim().toLowerCase();
+  }
+
+  if (params.category) {
+    filters.category = params.category.trim();
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (params[key]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(params[key]) || isNaN(Date.parse(params[key]))) {
+        throw new Error(`'${key}' must be a date in YYYY-MM-DD format`);
+      }
+      filters[key] = params[key];
+    }
+  });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error("'from' must not be after 'to'");
+  }
+
+  ['minTotal', 'maxTotal'].forEach(key => {
+    if (params[key] !== undefined && params[key] !== '') {
+      const value = Number(params[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`'${key}' must be a non-negative number`);
+      }
+      filters[key] = value;
+    }
+  });
+
+  if (filters.minTotal !== undefined && filters.maxTotal !== undefined && filters.minTotal > filters.maxTotal) {
+    throw new Error("'minTotal' must not be greater than 'maxTotal'");
+  }
+
+  if (params.limit) {
+    const limit = parseInt(params.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`'limit' must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    filters.limit = limit;
+  }
+
+  if (params.cursor) {
+    filters.cursor = params.cursor;
+  }
+
+  return filters;
+}
+
+// Picks the most selective GSI for the request and turns the remaining
+// filters into a FilterExpression. Newest receipts are returned first.
+function buildQuery(filters) {
+  const names = {};
+  const values = {};
+  const conditions = [];
+
+  let indexName;
+  let keyCondition;
+
+  if (filters.vendor) {
+    indexName = 'VendorLowerIndex';
+    keyCondition = 'vendorLower = :vendorLower';
+    values[':vendorLower'] = filters.vendor;
+  } else if (filters.category) {
+    indexName = 'CategoryTimestampIndex';
+    keyCondition = '#category = :category';
+    names['#category'] = 'category';
+    values[':category'] = filters.category;
+  } else {
+    indexName = 'UserTimestampIndex';
+    keyCondition = 'userId = :userId';
+    values[':userId'] = filters.userId;
+  }
+
+  if (filters.vendor && filters.category) {
+    conditions.push('#category = :category');
+    names['#category'] = 'category';
+    values[':category'] = filters.category;
+  }
+
+  if (indexName !== 'UserTimestampIndex') {
+    conditions.push('userId = :userId');
+    values[':userId'] = filters.userId;
+  }
+
+  // Group records only link the receipts split out of one photo, failure
+  // records stand in for receipts that could not be processed and
+  // duplicate records for receipts rejected as duplicates. Duplicates keep
+  // their vendor and category, so every index needs this.
+  conditions.push('(attribute_not_exists(recordType) OR NOT recordType IN (:groupType, :failureType, :duplicateType))');
+  values[':groupType'] = 'group';
+  values[':failureType'] = 'failure';
+  values[':duplicateType'] = 'duplicate';
+
+  if (filters.from) {
+    conditions.push('#date >= :from');
+    names['#date'] = 'date';
+    values[':from'] = filters.from;
+  }
+
+  if (filters.to) {
+    conditions.push('#date <= :to');
+    names['#date'] = 'date';
+    values[':to'] = filters.to;
+  }
+
+  if (filters.minTotal !== undefined) {
+    conditions.push('totalAmount >= :minTotal');
+    values[':minTotal'] = filters.minTotal;
+  }
+
+  if (filters.maxTotal !== undefined) {
+    conditions.push('totalAmount <= :maxTotal');
+    values[':maxTotal'] = filters.maxTotal;
+  }
+
+  const queryInput = {
+    TableName: RECEIPTS_TABLE,
+    IndexName: indexName,
+    KeyConditionExpression: keyCondition,
+    ExpressionAttributeValues: values,
+    ScanIndexForward: false, // Most recent first
+    Limit: filters.limit
+  };
+
+  if (conditions.length > 0) {
+    queryInput.FilterExpression = conditions.join(' AND ');
+  }
+
+  if (Object.keys(names).length > 0) {
+    queryInput.ExpressionAttributeNames = names;
+  }
+
+  if (filters.cursor) {
+    queryInput.ExclusiveStartKey = decodeCursor(filters.cursor, indexName);
+  }
+
+  return queryInput;
+}
+
+// Cursors are opaque to clients: the LastEvaluatedKey plus the index it
+// belongs to, so a cursor cannot be replayed against a different filter set.
+function encodeCursor(indexName, lastEvaluatedKey) {
+  return Buffer.from(JSON.stringify({ i: indexName, k: lastEvaluatedKey })).toString('base64url');
+}
+
+function decodeCursor(cursor, indexName) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor is malformed');
+  }
+
+  if (!decoded || decoded.i !== indexName || typeof decoded.k !== 'object') {
+    throw new Error('Cursor does not match the requested filters');
+  }
+
+  return decoded.k;
+}
+
+function toReceiptSummary(item) {
+  return {
+    receiptId: item.receiptId,
+    timestamp: item.timestamp,
+    vendor: item.vendor || item.merchant,
+    date: item.date,
+    time: item.time || null,
+    total: item.totalFormatted || item.total,
+    subtotal: item.subtotalFormatted || item.subtotal,
+    tax: item.taxFormatted || item.tax,
+    tip: item.tipFormatted || item.tip || '0.00',
+    fees: item.feesFormatted || item.fees || '0.00',
+    currency: item.currency || 'USD',
+    homeCurrency: item.homeCurrency || item.currency || 'USD',
+    homeTotal: item.homeTotalFormatted ?? null,
+    category: item.category || 'Other',
+    itemCount: item.itemCount || 0,
+    confidence: Math.round((item.confidence || 0.85) * 100),
+    isValid: item.isValid !== false,
+    hasDiscrepancies: item.hasDiscrepancies === true,
+    // Looks like a receipt that was already submitted (see duplicates.js)
+    possibleDuplicate: item.duplicateStatus === 'suspected',
+    duplicateOf: (item.duplicates || []).map(match => match.receiptId),
+    s3Location: item.s3Location || '',
+    parentReceiptId: item.parentReceiptId || null
+  };
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
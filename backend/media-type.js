@@ -0,0 +1,188 @@
+// Content-type handling for uploaded receipts. The declared Content-Type of
+// an upload is never trusted: the real type is sniffed from the magic bytes.
+
+// Supported upload types and how each one is fed to Textract and Bedrock.
+//   textract: Textract reads the bytes as-is (JPEG, PNG, PDF)
+//   bedrock:  Nova content block type and format
+//   convertTo: converted server-side before processing
+const MEDIA_TYPES = {
+  'image/jpeg': { extension: 'jpg', textract: true, bedrock: { block: 'image', format: 'jpeg' } },
+  'image/png': { extension: 'png', textract: true, bedrock: { block: 'image', format: 'png' } },
+  'image/webp': { extension: 'webp', textract: false, bedrock: { block: 'image', format: 'webp' } },
+  'image/heic': { extension: 'heic', textract: false, bedrock: null, convertTo: 'image/jpeg' },
+  'application/pdf': { extension: 'pdf', textract: true, bedrock: { block: 'document', format: 'pdf' } }
+};
+
+// Declared content types we accept for presigned uploads
+const DECLARED_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/heif': 'image/heic'
+};
+
+// HEVC coded HEIF brands. The generic mif1/msf1 brands are shared with AVIF
+// and only count along with one of these among the compatible brands.
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const GENERIC_HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Number of leading bytes sniffMediaType reads (the ftyp box with its
+// compatible brands)
+const SNIFF_BYTES = 1024;
+
+// Before "%PDF-" only a byte order mark or whitespace is tolerated, so other
+// files with a PDF header somewhere inside are not taken for PDFs
+const PDF_PREAMBLE = /^\s*$/; // \s includes the byte order mark
+
+class UnsupportedMediaTypeError extends Error {
+  constructor(detected) {
+    super(`Unsupported file type${detected ? ` (${detected})` : ''}. Supported types: JPEG, PNG, WEBP, HEIC and PDF.`);
+    this.name = 'UnsupportedMediaTypeError';
+    this.detected = detected || null;
+    this.statusCode = 415;
+  }
+}
+
+// Returns the MIME type for a supported file, or null.
+function sniffMediaType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'image/png';
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp' && isHeic(buffer)) {
+    return 'image/heic';
+  }
+
+  const pdfHeader = buffer.subarray(0, SNIFF_BYTES).indexOf('%PDF-');
+  if (pdfHeader === 0 || (pdfHeader > 0 && PDF_PREAMBLE.test(buffer.toString('utf8', 0, pdfHeader)))) {
+    return 'application/pdf';
+  }
+
+  return null;
+}
+
+// The major brand decides; a generic HEIF major brand needs an HEVC brand
+// among the compatible ones (AVIF files list mif1 as well)
+function isHeic(buffer) {
+  const majorBrand = buffer.toString('ascii', 8, 12);
+  if (HEIC_BRANDS.includes(majorBrand)) return true;
+  if (!GENERIC_HEIF_BRANDS.includes(majorBrand)) return false;
+
+  const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    if (HEIC_BRANDS.includes(buffer.toString('ascii', offset, offset + 4))) return true;
+  }
+  return false;
+}
+
+// Best-effort name for an unsupported file, used in 415 error messages
+function describeUnsupported(buffer) {
+  if (!buffer || buffer.length < 4) return 'empty or truncated file';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+  if (buffer.toString('ascii', 0, 4) === 'II*\u0000' || buffer.toString('ascii', 0, 4) === 'MM\u0000*') return 'image/tiff';
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') return `ftyp/${buffer.toString('ascii', 8, 12).trim()}`;
+  return 'unknown';
+}
+
+function assertSupported(buffer) {
+  const mimeType = sniffMediaType(buffer);
+  if (!mimeType) {
+    throw new UnsupportedMediaTypeError(describeUnsupported(buffer));
+  }
+  return mimeType;
+}
+
+function normalizeDeclaredType(contentType) {
+  const type = (contentType || '').toLowerCase().split(';')[0].trim();
+  const normalized = DECLARED_ALIASES[type] || type;
+  return MEDIA_TYPES[normalized] ? normalized : null;
+}
+
+function getExtension(mimeType) {
+  return MEDIA_TYPES[mimeType] ? MEDIA_TYPES[mimeType].extension : 'bin';
+}
+
+// Sniffs an object already in S3 from its first bytes only
+async function sniffS3Object(s3Client, bucket, key) {
+  const { GetObjectCommand } = require("@aws-sdk/client-s3");
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Range: `bytes=0-${SNIFF_BYTES - 1}`
+  }));
+  const buffer = Buffer.from(await response.Body.transformToByteArray());
+
+  const mimeType = sniffMediaType(buffer);
+  return { mimeType, detected: mimeType || describeUnsupported(buffer) };
+}
+
+// iPhone HEIC photos are converted to JPEG, which every stage understands
+async function convertHeicToJpeg(buffer) {
+  const convert = require("heic-convert");
+  const output = await convert({ buffer, format: 'JPEG', quality: 0.92 });
+  return Buffer.from(output);
+}
+
+// Bytes to send to Textract AnalyzeExpense / DetectDocumentText. Textract
+// does not read WEBP, so those are re-encoded as PNG in memory.
+async function toTextractBytes(buffer, mimeType) {
+  if (MEDIA_TYPES[mimeType]?.textract) {
+    return buffer;
+  }
+
+  if (mimeType === 'image/webp') {
+    const sharp = require("sharp");
+    return sharp(buffer).png().toBuffer();
+  }
+
+  throw new UnsupportedMediaTypeError(mimeType);
+}
+
+// Nova message content block for the receipt file
+function toBedrockContentBlock(base64, mimeType) {
+  const bedrock = MEDIA_TYPES[mimeType]?.bedrock;
+  if (!bedrock) {
+    throw new UnsupportedMediaTypeError(mimeType);
+  }
+
+  if (bedrock.block === 'document') {
+    return {
+      document: {
+        format: bedrock.format,
+        name: 'receipt',
+        source: { bytes: base64 }
+      }
+    };
+  }
+
+  return {
+    image: {
+      format: bedrock.format,
+      source: { bytes: base64 }
+    }
+  };
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  SNIFF_BYTES,
+  UnsupportedMediaTypeError,
+  sniffMediaType,
+  describeUnsupported,
+  assertSupported,
+  normalizeDeclaredType,
+  getExtension,
+  sniffS3Object,
+  convertHeicToJpeg,
+  toTextractBytes,
+  toBedrockContentBlock
+};
@@ -0,0 +1,66 @@
+// Bedrock models behind the extraction providers (model-providers.js). Kept
+// free of SDK imports so the CDK stack can read it too: it grants the Bedrock
+// Lambda InvokeModel on exactly these model ids.
+//
+// Every model id can be replaced per deployment, e.g. by a cross-region
+// inference profile such as "us.amazon.nova-lite-v1:0": the CDK context key
+// sets the Lambda environment variable the provider reads.
+
+const BEDROCK_MODELS = {
+  'nova-lite': { defaultModelId: 'amazon.nova-lite-v1:0', modelIdEnv: 'NOVA_LITE_MODEL_ID', contextKey: 'novaLiteModelId' },
+  'nova-pro': { defaultModelId: 'amazon.nova-pro-v1:0', modelIdEnv: 'NOVA_PRO_MODEL_ID', contextKey: 'novaProModelId' },
+  'claude-sonnet': { defaultModelId: 'anthropic.claude-3-5-sonnet-20240620-v1:0', modelIdEnv: 'CLAUDE_SONNET_MODEL_ID', contextKey: 'claudeSonnetModelId' },
+  'claude-haiku': { defaultModelId: 'anthropic.claude-3-haiku-20240307-v1:0', modelIdEnv: 'CLAUDE_HAIKU_MODEL_ID', contextKey: 'claudeHaikuModelId' }
+};
+
+// Providers that never run in a deployed Lambda
+const LOCAL_PROVIDERS = ['mock'];
+
+// Inference profile ids start with their geography, e.g. "us." or "eu."
+const INFERENCE_PROFILE_ID = /^(?:us|us-gov|eu|apac|ca|jp|au|global)\.(.+)$/;
+
+function resolveModelId(name, env = process.env) {
+  const model = BEDROCK_MODELS[name];
+  return env[model.modelIdEnv] || model.defaultModelId;
+}
+
+// Providers a request may choose with "modelProvider": ALLOWED_MODEL_PROVIDERS
+// (comma separated) or every Bedrock model. The local ones are only added
+// outside Lambda.
+function getAllowedProviders(env = process.env) {
+  const bedrockNames = Object.keys(BEDROCK_MODELS);
+  const localNames = env.AWS_LAMBDA_FUNCTION_NAME ? [] : LOCAL_PROVIDERS;
+  if (!env.ALLOWED_MODEL_PROVIDERS) {
+    return [...bedrockNames, ...localNames];
+  }
+  return env.ALLOWED_MODEL_PROVIDERS.split(',')
+    .map(name => name.trim())
+    .filter(name => bedrockNames.includes(name) || localNames.includes(name));
+}
+
+// IAM resources for bedrock:InvokeModel on a model id. An inference profile
+// routes to the foundation model in other regions, so those are granted too.
+function bedrockModelArns(modelId, { region, account }) {
+  if (modelId.startsWith('arn:')) {
+    const profile = modelId.match(/:inference-profile\/(.+)$/);
+    const routed = profile && profile[1].match(INFERENCE_PROFILE_ID);
+    return routed ? [modelId, `arn:aws:bedrock:*::foundation-model/${routed[1]}`] : [modelId];
+  }
+
+  const routed = modelId.match(INFERENCE_PROFILE_ID);
+  if (routed) {
+    return [
+      `arn:aws:bedrock:${region}:${account}:inference-profile/${modelId}`,
+      `arn:aws:bedrock:*::foundation-model/${routed[1]}`
+    ];
+  }
+  return [`arn:aws:bedrock:${region}::foundation-model/${modelId}`];
+}
+
+module.exports = {
+  BEDROCK_MODELS,
+  LOCAL_PROVIDERS,
+  resolveModelId,
+  getAllowedProviders,
+  bedrockModelArns
+};
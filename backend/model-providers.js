@@ -0,0 +1,190 @@
+const { BedrockRuntimeClient, InvokeModelCommand } = require("@aws-sdk/client-bedrock-runtime");
+const { toBedrockContentBlock } = require("./media-type");
+const { cleanPrice } = require("./extraction-schema");
+const { resolveModelId, getAllowedProviders } = require("./model-config");
+
+// Extraction model providers for the Bedrock step (bedrock-function.js).
+// Every provider turns the prompt and the optional receipt image into the
+// model's own request body and reads the reply text back out, so models can
+// be swapped or compared without touching the Lambda.
+//
+// A provider is { name, modelId, family, supportsDocuments, invoke(input) }
+// where input is { prompt, image: { base64, mimeType } | null, textractResult }
+// and invoke resolves to { text, usage: { inputTokens, outputTokens } }.
+//
+// The provider is chosen per request (event.modelProvider) or per deployment
+// (MODEL_PROVIDER, default nova-lite). Requests may only choose the providers
+// the deployment allows (ALLOWED_MODEL_PROVIDERS, see model-config.js).
+
+const bedrock = new BedrockRuntimeClient({ region: 'us-east-1' });
+
+const DEFAULT_PROVIDER = process.env.MODEL_PROVIDER || 'nova-lite';
+
+const MAX_TOKENS = 4000;
+const TEMPERATURE = 0.1;
+
+// --- Amazon Nova ------------------------------------------------------------
+
+const novaFamily = {
+  name: 'nova',
+
+  buildRequest({ prompt, image }) {
+    const content = [{ text: prompt }];
+    if (image) {
+      content.push(toBedrockContentBlock(image.base64, image.mimeType));
+    }
+
+    return {
+      messages: [{ role: "user", content }],
+      inferenceConfig: {
+        maxTokens: MAX_TOKENS,
+        temperature: TEMPERATURE,
+        topP: 0.9
+      }
+    };
+  },
+
+  parseResponse(body) {
+    return {
+      text: body.output.message.content[0].text,
+      usage: {
+        inputTokens: body.usage?.inputTokens || 0,
+        outputTokens: body.usage?.outputTokens || 0
+      }
+    };
+  }
+};
+
+// --- Anthropic Claude (Messages API on Bedrock) -----------------------------
+
+const claudeFamily = {
+  name: 'claude',
+
+  buildRequest({ prompt, image }) {
+    const content = [];
+    if (image) {
+      const source = { type: "base64", media_type: image.mimeType, data: image.base64 };
+      content.push(image.mimeType === 'application/pdf' ? { type: "document", source } : { type: "image", source });
+    }
+    content.push({ type: "text", text: prompt });
+
+    return {
+      anthropic_version: "bedrock-2023-05-31",
+      max_tokens: MAX_TOKENS,
+      temperature: TEMPERATURE,
+      messages: [{ role: "user", content }]
+    };
+  },
+
+  parseResponse(body) {
+    return {
+      text: (body.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: {
+        inputTokens: body.usage?.input_tokens || 0,
+        outputTokens: body.usage?.output_tokens || 0
+      }
+    };
+  }
+};
+
+// supportsDocuments: the model accepts the PDF itself, otherwise PDFs are
+// parsed from the Textract text alone
+function createBedrockProvider(name, modelId, family, { supportsDocuments }) {
+  return {
+    name,
+    modelId,
+    family: family.name,
+    supportsDocuments,
+
+    async invoke({ prompt, image }) {
+      const response = await bedrock.send(new InvokeModelCommand({
+        modelId,
+        contentType: 'application/json',
+        body: JSON.stringify(family.buildRequest({ prompt, image }))
+      }));
+
+      return family.parseResponse(JSON.parse(new TextDecoder().decode(response.body)));
+    }
+  };
+}
+
+// --- Local mock ---------------------------------------------------------------
+// Deterministic, offline provider for local runs and tests: answers with the
+// Textract summary fields and line items in the shape the prompt asks for,
+// amounts and quantities normalized so the answer passes the schema.
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    modelId: 'local-mock',
+    family: 'mock',
+    supportsDocuments: true,
+
+    async invoke({ textractResult }) {
+      const { summaryFields = {}, lineItems = [] } = textractResult || {};
+      const merchant = summaryFields.vendor_name || summaryFields.vendor || summaryFields.name || 'Unknown Store';
+
+      const answer = {
+        merchant,
+        vendor: merchant,
+        date: summaryFields.invoice_receipt_date || summaryFields.date || null,
+        total: cleanPrice(summaryFields.total),
+        subtotal: cleanPrice(summaryFields.subtotal),
+        tax: cleanPrice(summaryFields.tax),
+        tip: cleanPrice(summaryFields.gratuity),
+        fees: cleanPrice(summaryFields.service_charge),
+        currency: null,
+        items: lineItems.map(item => ({
+          name: item.item || item.description || 'Unknown Item',
+          price: cleanPrice(item.price || item.amount),
+          quantity: String(parseInt(item.quantity, 10) || 1)
+        }))
+      };
+
+      return { text: JSON.stringify(answer), usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+  };
+}
+
+// Model ids come from model-config.js, which the CDK stack grants access to
+const PROVIDERS = {
+  'nova-lite': () => createBedrockProvider('nova-lite', resolveModelId('nova-lite'), novaFamily, { supportsDocuments: true }),
+  'nova-pro': () => createBedrockProvider('nova-pro', resolveModelId('nova-pro'), novaFamily, { supportsDocuments: true }),
+  'claude-sonnet': () => createBedrockProvider('claude-sonnet', resolveModelId('claude-sonnet'), claudeFamily, { supportsDocuments: false }),
+  'claude-haiku': () => createBedrockProvider('claude-haiku', resolveModelId('claude-haiku'), claudeFamily, { supportsDocuments: false }),
+  mock: createMockProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Providers this deployment offers to requests
+const ALLOWED_PROVIDERS = getAllowedProviders().filter(name => PROVIDER_NAMES.includes(name));
+
+function isKnownProvider(name) {
+  return typeof name === 'string' && PROVIDER_NAMES.includes(name);
+}
+
+function isAllowedProvider(name) {
+  return typeof name === 'string' && ALLOWED_PROVIDERS.includes(name);
+}
+
+// Returns the provider for a request, falling back to the deployment default
+function getModelProvider(name) {
+  if (name && !isAllowedProvider(name)) {
+    throw new Error(`Model provider '${name}' is not available. Available: ${ALLOWED_PROVIDERS.join(', ')}`);
+  }
+  const selected = name || DEFAULT_PROVIDER;
+  if (!isKnownProvider(selected)) {
+    throw new Error(`Unknown model provider '${selected}'. Available: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  return PROVIDERS[selected]();
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_NAMES,
+  ALLOWED_PROVIDERS,
+  isKnownProvider,
+  isAllowedProvider,
+  getModelProvider
+};
@@ -0,0 +1,101 @@
+// Typed errors for the receipt processing state machine. The pipeline
+// Lambdas throw these instead of returning a *_FAILED status, and the error
+// name is what Step Functions matches in its Retry and Catch rules (see
+// cdk-stack.js):
+//   ThrottlingError - retried with a long backoff
+//   TransientError  - retried a few times with a short backoff
+//   FatalError      - not retried; the execution records the failure and stops
+
+class PipelineError extends Error {
+  constructor(name, message, { stage, retryable, cause } = {}) {
+    super(message);
+    this.name = name;
+    this.stage = stage || null;
+    this.retryable = retryable;
+    if (cause) {
+      this.causeType = cause.name || cause.code || null;
+    }
+  }
+}
+
+class ThrottlingError extends PipelineError {
+  constructor(message, options) {
+    super('ThrottlingError', message, { ...options, retryable: true });
+  }
+}
+
+class TransientError extends PipelineError {
+  constructor(message, options) {
+    super('TransientError', message, { ...options, retryable: true });
+  }
+}
+
+class FatalError extends PipelineError {
+  constructor(message, options) {
+    super('FatalError', message, { ...options, retryable: false });
+  }
+}
+
+// AWS error names that mean "slow down"
+const THROTTLING_ERRORS = [
+  'ThrottlingException',
+  'Throttling',
+  'TooManyRequestsException',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'LimitExceededException',
+  'SlowDown',
+  'ServiceQuotaExceededException'
+];
+
+// AWS and network errors that are worth trying again
+const TRANSIENT_ERRORS = [
+  'InternalServerError',
+  'InternalServerException',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'ServiceUnavailableException',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'TimeoutError',
+  'ModelNotReadyException',
+  'ModelTimeoutException',
+  'ModelStreamErrorException',
+  'TransactionConflictException',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+// Wraps any error thrown inside a pipeline stage in the matching typed error.
+// Errors that are already typed pass through unchanged.
+function classifyError(error, stage) {
+  if (error instanceof PipelineError) {
+    if (!error.stage) error.stage = stage;
+    return error;
+  }
+
+  const name = error.name || error.code || 'Error';
+  const message = `${stage}: ${error.message}`;
+  const httpStatus = error.$metadata?.httpStatusCode;
+
+  if (THROTTLING_ERRORS.includes(name) || error.$retryable?.throttling || httpStatus === 429) {
+    return new ThrottlingError(message, { stage, cause: error });
+  }
+
+  if (TRANSIENT_ERRORS.includes(name) || TRANSIENT_ERRORS.includes(error.code) || error.$retryable || httpStatus >= 500) {
+    return new TransientError(message, { stage, cause: error });
+  }
+
+  return new FatalError(message, { stage, cause: error });
+}
+
+module.exports = {
+  PipelineError,
+  ThrottlingError,
+  TransientError,
+  FatalError,
+  classifyError
+};
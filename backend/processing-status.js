@@ -0,0 +1,206 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Where a receipt is in the pipeline, so GET /status/{receiptId} can answer
+// from the receiptId alone. One record per submitted receipt:
+//   state        SUBMITTED | PROCESSING | IN_REVIEW | COMPLETED | FAILED
+//   stage        the stage that ran last (textract, bedrock, review, dynamodb, ...)
+//   startedAt    { [stage]: first start }
+//   attempts     { [stage]: invocations, retries included }
+//   reached      { [progress stage]: time } (see PROGRESS_STAGES in progress.js)
+//   error        { stage, errorType, message, retryable } once processing failed
+// Written when processing starts (processing.js), at the start of every
+// stage (recordStageStart) and at the end of every stage through
+// publishProgress. Receipts split out of a group photo count towards the
+// photo's record. Tracking is best effort and never fails a stage.
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const PROCESSING_STATUS_TABLE = process.env.PROCESSING_STATUS_TABLE || 'SnapTally-ProcessingStatus';
+// Saved receipts live in the receipts table, the status record is only kept for a while
+const PROCESSING_STATUS_TTL_DAYS = parseInt(process.env.PROCESSING_STATUS_TTL_DAYS || '30', 10);
+
+const PROCESSING_STATES = {
+  SUBMITTED: 'SUBMITTED',
+  PROCESSING: 'PROCESSING',
+  IN_REVIEW: 'IN_REVIEW',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// State a progress event moves the receipt to
+const STATE_BY_PROGRESS = {
+  uploaded: PROCESSING_STATES.PROCESSING,
+  in_review: PROCESSING_STATES.IN_REVIEW,
+  saved: PROCESSING_STATES.COMPLETED,
+  failed: PROCESSING_STATES.FAILED
+};
+
+// `input` is the state machine input. A receipt submitted twice (S3 event
+// and confirm call) keeps its first record.
+async function createProcessingStatus({ receiptId, userId, organizationId, timestamp }) {
+  const now = new Date().toISOString();
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: PROCESSING_STATUS_TABLE,
+      Item: {
+        receiptId,
+        userId,
+        organizationId: organizationId || 'default',
+        state: PROCESSING_STATES.SUBMITTED,
+        stage: 'submitted',
+        submittedAt: timestamp || now,
+        updatedAt: now,
+        startedAt: {},
+        attempts: {},
+        reached: {},
+        attemptCount: 0,
+        error: null,
+        ttl: Math.floor(Date.now() / 1000) + (PROCESSING_STATUS_TTL_DAYS * 24 * 60 * 60)
+      },
+      ConditionExpression: 'attribute_not_exists(receiptId)'
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return;
+    console.warn(`⚠️ Could not create processing status for receipt ${receiptId}: ${error.message}`);
+  }
+}
+
+// Called when a stage Lambda starts; Step Functions retries call it again
+async function recordStageStart(receipt, stage) {
+  if (!receipt || !receipt.receiptId) return;
+
+  const now = new Date().toISOString();
+  await updateStatus(receipt, {
+    UpdateExpression: 'SET #stage = :stage, #state = :processing, updatedAt = :now, ' +
+      'startedAt.#name = if_not_exists(startedAt.#name, :now), ' +
+      'attempts.#name = if_not_exists(attempts.#name, :zero) + :one, ' +
+      'attemptCount = if_not_exists(attemptCount, :zero) + :one',
+    ExpressionAttributeNames: { '#stage': 'stage', '#state': 'state', '#name': stage },
+    ExpressionAttributeValues: { ':stage': stage, ':processing': PROCESSING_STATES.PROCESSING, ':now': now, ':zero': 0, ':one': 1 }
+  }, `start of ${stage}`);
+}
+
+// Called by publishProgress for every progress event of the receipt itself
+// (events of receipts in a group photo only count as stage starts)
+async function recordProgress(receipt, progressStage, details = {}) {
+  if (!receipt || !receipt.receiptId || receipt.parentReceiptId) return;
+
+  const now = new Date().toISOString();
+  const sets = ['reached.#progress = :now', 'updatedAt = :now'];
+  const values = { ':now': now };
+  const state = STATE_BY_PROGRESS[progressStage];
+
+  if (state) {
+    sets.push('#state = :state');
+    values[':state'] = state;
+  }
+  if (details.executionArn) {
+    sets.push('executionArn = :executionArn');
+    values[':executionArn'] = details.executionArn;
+  }
+  if (state === PROCESSING_STATES.COMPLETED || state === PROCESSING_STATES.FAILED) {
+    sets.push('finishedAt = :now');
+  }
+  if (state === PROCESSING_STATES.FAILED) {
+    sets.push('#error = :error');
+    values[':error'] = {
+      stage: details.failedStage || 'unknown',
+      errorType: details.errorType || 'Error',
+      message: details.error || 'Unknown error',
+      retryable: details.retryable === true
+    };
+  }
+
+  await updateStatus(receipt, {
+    UpdateExpression: `SET ${sets.join(', ')}`,
+    ExpressionAttributeNames: {
+      '#progress': progressStage,
+      ...(state ? { '#state': 'state' } : {}),
+      ...(state === PROCESSING_STATES.FAILED ? { '#error': 'error' } : {})
+    },
+    ExpressionAttributeValues: values
+  }, progressStage);
+}
+
+// Only updates existing records: receipts submitted before status tracking
+// (or whose record failed to write) are left alone
+async function updateStatus(receipt, update, description) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: PROCESSING_STATUS_TABLE,
+      Key: { receiptId: receipt.parentReceiptId || receipt.receiptId },
+      ConditionExpression: 'attribute_exists(receiptId)',
+      ...update
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return;
+    console.warn(`⚠️ Could not record ${description} for receipt ${receipt.receiptId}: ${error.message}`);
+  }
+}
+
+async function getProcessingStatus(receiptId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: PROCESSING_STATUS_TABLE,
+    Key: { receiptId },
+    ConsistentRead: true
+  }));
+  return result.Item || null;
+}
+
+async function deleteProcessingStatus(receiptId) {
+  await docClient.send(new DeleteCommand({
+    TableName: PROCESSING_STATUS_TABLE,
+    Key: { receiptId }
+  }));
+}
+
+// Receipts the user submitted that still have a status record, saved or
+// not (erasure-function.js)
+async function listUserStatusReceiptIds(userId) {
+  const receiptIds = [];
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: PROCESSING_STATUS_TABLE,
+      IndexName: 'UserStatusIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }));
+    (result.Items || []).forEach(item => receiptIds.push(item.receiptId));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return receiptIds;
+}
+
+// Stages in the order they started, each lasting until the next one started
+// (the last one until the receipt finished, or until now)
+function describeStages(status, now = new Date()) {
+  const stages = Object.entries(status.startedAt || {})
+    .map(([stage, startedAt]) => ({ stage, startedAt, attempts: (status.attempts || {})[stage] || 0 }))
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+
+  return stages.map((stage, index) => {
+    const endedAt = stages[index + 1]?.startedAt || status.finishedAt || null;
+    const until = endedAt ? new Date(endedAt) : now;
+    return {
+      ...stage,
+      endedAt,
+      durationMs: Math.max(0, until - new Date(stage.startedAt))
+    };
+  });
+}
+
+module.exports = {
+  PROCESSING_STATES,
+  createProcessingStatus,
+  recordStageStart,
+  recordProgress,
+  getProcessingStatus,
+  deleteProcessingStatus,
+  listUserStatusReceiptIds,
+  describeStages
+};
@@ -0,0 +1,86 @@
+const { SFNClient, StartExecutionCommand } = require("@aws-sdk/client-sfn");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { createProcessingStatus } = require("./processing-status");
+
+// Starts the receipt processing state machine. Shared by the legacy
+// POST /receipt handler (index.js) and the direct-to-S3 upload flow
+// (upload-function.js and upload-trigger-function.js).
+
+const sfnClient = new SFNClient({
+  region: 'us-east-1',
+  maxAttempts: 3
+});
+
+const STEP_FUNCTION_ARN = process.env.STEP_FUNCTION_ARN;
+
+// Executions are named after the receipt, so starting the same receipt twice
+// (S3 event and confirm call racing each other) never processes it twice.
+async function startReceiptProcessing(input) {
+  if (!STEP_FUNCTION_ARN) {
+    throw new Error('STEP_FUNCTION_ARN environment variable is not set');
+  }
+
+  const executionName = `receipt-processing-${input.receiptId}`;
+  const payloadString = JSON.stringify(input);
+
+  console.log(`Starting Step Function execution: ${executionName} (${Buffer.byteLength(payloadString, 'utf8')} bytes)`);
+
+  // GET /status reports the receipt from here on, execution or not
+  await createProcessingStatus(input);
+
+  try {
+    const result = await sfnClient.send(new StartExecutionCommand({
+      stateMachineArn: STEP_FUNCTION_ARN,
+      name: executionName,
+      input: payloadString
+    }));
+
+    console.log(`✅ Step Function started successfully: ${result.executionArn}`);
+    await publishProgress(input, PROGRESS_STAGES.UPLOADED, { executionArn: result.executionArn });
+    return { executionArn: result.executionArn, alreadyStarted: false };
+
+  } catch (error) {
+    if (error.name === 'ExecutionAlreadyExists') {
+      console.log(`ℹ️ Execution ${executionName} already exists - not starting again`);
+      return { executionArn: getExecutionArn(input.receiptId), alreadyStarted: true };
+    }
+    await publishProgress(input, PROGRESS_STAGES.FAILED, {
+      failedStage: 'submit',
+      errorType: error.name,
+      error: 'Processing could not be started',
+      retryable: true
+    });
+    throw error;
+  }
+}
+
+function getExecutionArn(receiptId) {
+  return `${STEP_FUNCTION_ARN.replace(':stateMachine:', ':execution:')}:receipt-processing-${receiptId}`;
+}
+
+// Builds the state machine input for an object uploaded with a presigned URL.
+// Everything comes from the object itself (key + signed metadata) so the S3
+// event and the confirm call produce identical input. mimeType is the type
+// sniffed from the uploaded bytes, not the declared Content-Type.
+function buildInputFromUpload(bucket, key, head, mimeType) {
+  const metadata = head.Metadata || {};
+
+  return {
+    receiptId: metadata['receipt-id'],
+    s3Bucket: bucket,
+    s3Key: key,
+    timestamp: metadata['upload-timestamp'],
+    requestId: metadata['request-id'] || 'presigned-upload',
+    imageSizeKB: Math.round((head.ContentLength || 0) / 1024),
+    mimeType: mimeType,
+    userId: metadata['user-id'],
+    organizationId: metadata['organization-id'] || 'default',
+    modelProvider: metadata['model-provider'] // unset: the deployment default
+  };
+}
+
+module.exports = {
+  startReceiptProcessing,
+  buildInputFromUpload,
+  getExecutionArn
+};
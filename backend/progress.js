@@ -0,0 +1,147 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand, DeleteCommand } = require("@aws-sdk/lib-dynamodb");
+const { recordProgress } = require("./processing-status");
+
+// Processing progress pushed to browsers over the WebSocket API. Clients
+// connect, then subscribe to a receiptId (websocket-function.js); every
+// pipeline stage calls publishProgress when it finishes, which also records
+// the stage in the processing status table (processing-status.js).
+// Publishing is best effort and never fails a stage - the frontend falls
+// back to polling GET /status/{receiptId}.
+//
+// Messages: { type: 'progress', receiptId, stage, at, childReceiptId?, ...details }
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const WEBSOCKET_CONNECTIONS_TABLE = process.env.WEBSOCKET_CONNECTIONS_TABLE || 'SnapTally-WebSocketConnections';
+// https://{apiId}.execute-api.{region}.amazonaws.com/{stage}; unset disables publishing
+const WEBSOCKET_ENDPOINT = process.env.WEBSOCKET_ENDPOINT;
+
+// Sort key of the item that describes the connection itself
+const CONNECTION_ITEM = '#connection';
+
+const PROGRESS_STAGES = {
+  UPLOADED: 'uploaded',
+  TEXTRACT_COMPLETED: 'textract_completed',
+  MODEL_COMPLETED: 'model_completed',
+  IN_REVIEW: 'in_review',
+  SAVED: 'saved',
+  FAILED: 'failed'
+};
+
+let managementClient;
+
+// Loaded on first use, only stages that publish need the client
+function getManagementClient() {
+  if (!managementClient) {
+    const { ApiGatewayManagementApiClient } = require("@aws-sdk/client-apigatewaymanagementapi");
+    managementClient = new ApiGatewayManagementApiClient({ region: 'us-east-1', endpoint: WEBSOCKET_ENDPOINT });
+  }
+  return managementClient;
+}
+
+// `receipt` is the stage's event or output ({ receiptId, parentReceiptId?, userId }).
+// Receipts split out of a group photo are published to the subscribers of
+// the photo, with their own id as childReceiptId.
+async function publishProgress(receipt, stage, details = {}) {
+  if (!receipt || !receipt.receiptId) return;
+
+  await recordProgress(receipt, stage, details);
+  if (!WEBSOCKET_ENDPOINT) return;
+
+  const topic = receipt.parentReceiptId || receipt.receiptId;
+
+  try {
+    const subscriptions = (await docClient.send(new QueryCommand({
+      TableName: WEBSOCKET_CONNECTIONS_TABLE,
+      IndexName: 'ReceiptSubscriptionsIndex',
+      KeyConditionExpression: 'receiptId = :receiptId',
+      ExpressionAttributeValues: { ':receiptId': topic }
+    }))).Items || [];
+
+    // Only the uploader hears about a receipt
+    const listeners = subscriptions.filter(subscription => subscription.userId === receipt.userId);
+    if (listeners.length === 0) return;
+
+    const message = {
+      type: 'progress',
+      receiptId: topic,
+      stage,
+      at: new Date().toISOString(),
+      ...(receipt.parentReceiptId ? { childReceiptId: receipt.receiptId } : {}),
+      ...details
+    };
+
+    await Promise.all(listeners.map(listener => sendToConnection(listener.connectionId, message)));
+    console.log(`📣 Published '${stage}' for receipt ${topic} to ${listeners.length} connection(s)`);
+
+  } catch (error) {
+    console.warn(`⚠️ Could not publish '${stage}' for receipt ${topic}: ${error.message}`);
+  }
+}
+
+// Sends a JSON message; a connection that is gone loses its subscriptions
+async function sendToConnection(connectionId, message) {
+  const { PostToConnectionCommand } = require("@aws-sdk/client-apigatewaymanagementapi");
+
+  try {
+    await getManagementClient().send(new PostToConnectionCommand({
+      ConnectionId: connectionId,
+      Data: Buffer.from(JSON.stringify(message))
+    }));
+  } catch (error) {
+    if (error.name !== 'GoneException') throw error;
+    await removeConnection(connectionId);
+  }
+}
+
+// Deletes the connection item and every subscription of the connection
+async function removeConnection(connectionId) {
+  const items = (await docClient.send(new QueryCommand({
+    TableName: WEBSOCKET_CONNECTIONS_TABLE,
+    KeyConditionExpression: 'connectionId = :connectionId',
+    ExpressionAttributeValues: { ':connectionId': connectionId }
+  }))).Items || [];
+
+  for (const item of items) {
+    await docClient.send(new DeleteCommand({
+      TableName: WEBSOCKET_CONNECTIONS_TABLE,
+      Key: { connectionId, receiptId: item.receiptId }
+    }));
+  }
+  return items.length;
+}
+
+// Connections of a user and their subscriptions go with the user's data
+// (erasure-function.js). Returns the number of items deleted.
+async function deleteUserConnections(userId) {
+  const connectionIds = new Set();
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: WEBSOCKET_CONNECTIONS_TABLE,
+      IndexName: 'UserConnectionsIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }));
+    (result.Items || []).forEach(item => connectionIds.add(item.connectionId));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  let deleted = 0;
+  for (const connectionId of connectionIds) {
+    deleted += await removeConnection(connectionId);
+  }
+  return deleted;
+}
+
+module.exports = {
+  PROGRESS_STAGES,
+  CONNECTION_ITEM,
+  publishProgress,
+  sendToConnection,
+  removeConnection,
+  deleteUserConnections
+};
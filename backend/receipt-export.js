@@ -0,0 +1,266 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { ACCOUNTING_FORMATS, createAccountingWriter } = require("./accounting-export");
+
+// Export of saved receipts (GET /receipts/export, see export-function.js).
+// In spreadsheets (csv, xlsx) a row is either a receipt or one of its line
+// items and the columns are picked from RECEIPT_COLUMNS / ITEM_COLUMNS by
+// key; the accounting formats are written by accounting-export.js.
+
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ...ACCOUNTING_FORMATS
+};
+
+const ROW_LEVELS = ['receipt', 'item'];
+
+// { key, header, type, value(receipt, item), optional }. Optional columns
+// are only exported when asked for by key.
+const RECEIPT_COLUMNS = [
+  { key: 'receiptId', header: 'Receipt ID', type: 'string', value: receipt => receipt.receiptId },
+  { key: 'date', header: 'Date', type: 'date', value: receipt => receipt.date },
+  { key: 'time', header: 'Time', type: 'string', value: receipt => receipt.time, optional: true },
+  { key: 'monthYear', header: 'Month', type: 'string', value: receipt => receipt.monthYear },
+  { key: 'vendor', header: 'Vendor', type: 'string', value: receipt => receipt.vendor || receipt.merchant },
+  { key: 'category', header: 'Category', type: 'string', value: receipt => receipt.category },
+  { key: 'currency', header: 'Currency', type: 'string', value: receipt => receipt.currency },
+  { key: 'subtotal', header: 'Subtotal', type: 'amount', value: receipt => receipt.subtotalFormatted ?? receipt.subtotal },
+  { key: 'tax', header: 'Tax', type: 'amount', value: receipt => receipt.taxFormatted ?? receipt.tax },
+  { key: 'tip', header: 'Tip', type: 'amount', value: receipt => receipt.tipFormatted ?? receipt.tip },
+  { key: 'fees', header: 'Fees', type: 'amount', value: receipt => receipt.feesFormatted ?? receipt.fees },
+  { key: 'total', header: 'Total', type: 'amount', value: receipt => receipt.totalFormatted ?? receipt.total },
+  { key: 'homeCurrency', header: 'Home Currency', type: 'string', value: receipt => receipt.homeCurrency, optional: true },
+  { key: 'homeTotal', header: 'Home Total', type: 'amount', value: receipt => receipt.homeTotalFormatted, optional: true },
+  { key: 'exchangeRate', header: 'Exchange Rate', type: 'number', value: receipt => receipt.exchangeRate, optional: true },
+  { key: 'itemCount', header: 'Items', type: 'number', value: receipt => receipt.itemCount },
+  { key: 'confidence', header: 'Confidence %', type: 'number', value: receipt => Math.round((receipt.confidence || 0) * 100), optional: true },
+  { key: 'isValid', header: 'Valid', type: 'boolean', value: receipt => receipt.isValid !== false, optional: true },
+  { key: 'hasDiscrepancies', header: 'Discrepancies', type: 'boolean', value: receipt => receipt.hasDiscrepancies === true, optional: true },
+  { key: 'possibleDuplicate', header: 'Possible Duplicate', type: 'boolean', value: receipt => receipt.duplicateStatus === 'suspected', optional: true },
+  { key: 'notes', header: 'Notes', type: 'string', value: receipt => receipt.notes, optional: true },
+  { key: 'tags', header: 'Tags', type: 'string', value: receipt => (receipt.tags || []).join(', '), optional: true },
+  { key: 'uploadedAt', header: 'Uploaded At', type: 'string', value: receipt => receipt.timestamp, optional: true }
+];
+
+// Line item rows repeat the receipt columns they are asked for
+const ITEM_COLUMNS = [
+  { key: 'receiptId', header: 'Receipt ID', type: 'string', value: receipt => receipt.receiptId },
+  { key: 'date', header: 'Date', type: 'date', value: receipt => receipt.date },
+  { key: 'monthYear', header: 'Month', type: 'string', value: receipt => receipt.monthYear, optional: true },
+  { key: 'vendor', header: 'Vendor', type: 'string', value: receipt => receipt.vendor || receipt.merchant },
+  { key: 'category', header: 'Receipt Category', type: 'string', value: receipt => receipt.category, optional: true },
+  { key: 'currency', header: 'Currency', type: 'string', value: receipt => receipt.currency },
+  { key: 'line', header: 'Line', type: 'number', value: (receipt, item) => item.order },
+  { key: 'kind', header: 'Kind', type: 'string', value: (receipt, item) => item.kind || 'item' },
+  { key: 'name', header: 'Description', type: 'string', value: (receipt, item) => item.name },
+  { key: 'itemCategory', header: 'Item Category', type: 'string', value: (receipt, item) => item.category },
+  { key: 'quantity', header: 'Quantity', type: 'number', value: (receipt, item) => item.quantity },
+  { key: 'price', header: 'Unit Price', type: 'amount', value: (receipt, item) => item.priceFormatted ?? item.price },
+  { key: 'lineTotal', header: 'Line Total', type: 'amount', value: (receipt, item) => item.lineTotalFormatted ?? item.lineTotal },
+  { key: 'receiptTotal', header: 'Receipt Total', type: 'amount', value: receipt => receipt.totalFormatted ?? receipt.total, optional: true },
+  { key: 'itemId', header: 'Item ID', type: 'string', value: (receipt, item) => item.itemId, optional: true }
+];
+
+// Column definitions for `columns` (comma separated keys, in that order) or
+// the default columns of the row level. Throws on unknown keys.
+function selectColumns(level, columns) {
+  const available = level === 'item' ? ITEM_COLUMNS : RECEIPT_COLUMNS;
+  if (!columns) {
+    return available.filter(column => !column.optional);
+  }
+
+  const keys = columns.split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !available.some(column => column.key === key));
+  if (keys.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown ${level} columns: ${unknown.join(', ') || '(none given)'}. ` +
+      `Available: ${available.map(column => column.key).join(', ')}`);
+  }
+  return [...new Set(keys)].map(key => available.find(column => column.key === key));
+}
+
+// Saved receipts of the user whose receipt date is within [from, to],
+// page by page, newest upload first
+async function* queryReceipts({ userId, from, to }) {
+  const names = {};
+  const values = {
+    ':userId': userId,
+    ':groupType': 'group',
+    ':failureType': 'failure',
+    ':duplicateType': 'duplicate'
+  };
+  const conditions = ['(attribute_not_exists(recordType) OR NOT recordType IN (:groupType, :failureType, :duplicateType))'];
+
+  if (from) {
+    conditions.push('#date >= :from');
+    names['#date'] = 'date';
+    values[':from'] = from;
+  }
+  if (to) {
+    conditions.push('#date <= :to');
+    names['#date'] = 'date';
+    values[':to'] = to;
+  }
+
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: RECEIPTS_TABLE,
+      IndexName: 'UserTimestampIndex',
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: conditions.join(' AND '),
+      ...(Object.keys(names).length > 0 ? { ExpressionAttributeNames: names } : {}),
+      ExpressionAttributeValues: values,
+      ScanIndexForward: false,
+      ExclusiveStartKey: startKey
+    }));
+
+    yield result.Items || [];
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+}
+
+function* toRows(receipt, level, columns) {
+  if (level === 'item') {
+    for (const item of receipt.items || []) {
+      yield columns.map(column => toCellValue(column, column.value(receipt, item)));
+    }
+  } else {
+    yield columns.map(column => toCellValue(column, column.value(receipt)));
+  }
+}
+
+// Amounts are stored as "12.50" strings next to the number
+function toCellValue(column, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (column.type === 'amount' || column.type === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (column.type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
+// Writes the export to `output` (a writable stream) and resolves with the
+// number of receipts, rows (transactions for accounting formats) and receipts
+// left out because they could not be booked (see accounting-export.js).
+// Receipts are read and written page by page, so spreadsheet exports are
+// never held in memory.
+async function writeExport({ format, level, columns, userId, from, to }, output) {
+  const writer = ACCOUNTING_FORMATS[format]
+    ? createAccountingWriter(format, output)
+    : createSpreadsheetWriter(format, output, level, columns);
+  let receiptCount = 0;
+  let rowCount = 0;
+
+  for await (const receipts of queryReceipts({ userId, from, to })) {
+    for (const receipt of receipts) {
+      receiptCount++;
+      rowCount += await writer.addReceipt(receipt);
+    }
+  }
+
+  await writer.finish();
+  return { receiptCount, rowCount, skippedCount: writer.skippedCount() };
+}
+
+// { addReceipt(receipt) -> rows written, skippedCount(), finish() } like the
+// accounting writers; spreadsheets have room for every receipt
+function createSpreadsheetWriter(format, output, level, columns) {
+  const writer = format === 'xlsx' ? createXlsxWriter(output, columns) : createCsvWriter(output, columns);
+
+  return {
+    addReceipt: async receipt => {
+      let rows = 0;
+      for (const row of toRows(receipt, level, columns)) {
+        await writer.addRow(row);
+        rows++;
+      }
+      return rows;
+    },
+    skippedCount: () => 0,
+    finish: writer.finish
+  };
+}
+
+function createCsvWriter(output, columns) {
+  // Waits for the S3 upload to catch up when its buffer is full
+  const write = line => output.write(`${line}\r\n`)
+    ? Promise.resolve()
+    : new Promise(resolve => output.once('drain', resolve));
+
+  // Byte order mark: Excel otherwise reads UTF-8 as the local code page
+  output.write('\uFEFF');
+  output.write(`${columns.map(column => csvField(column.header)).join(',')}\r\n`);
+
+  return {
+    // Amounts keep their two decimals
+    addRow: row => write(row.map((value, index) => (
+      columns[index].type === 'amount' && value !== null ? value.toFixed(2) : csvField(value)
+    )).join(',')),
+    finish: async () => {
+      output.end();
+    }
+  };
+}
+
+// Quotes where needed; text starting like a formula is prefixed with ' so
+// spreadsheets show it instead of evaluating it
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createXlsxWriter(output, columns) {
+  // Loaded on first use, only spreadsheet exports need it
+  const ExcelJS = require("exceljs");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Receipts', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+    style: { amount: { numFmt: '#,##0.00' }, date: { numFmt: 'yyyy-mm-dd' } }[column.type] || {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  // Dates become real spreadsheet dates
+  const dateColumns = columns.map(column => column.type === 'date');
+
+  return {
+    addRow: async row => {
+      sheet.addRow(row.map((value, index) => (
+        dateColumns[index] && /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? new Date(`${value}T00:00:00Z`) : value
+      ))).commit();
+    },
+    finish: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ROW_LEVELS,
+  RECEIPT_COLUMNS,
+  ITEM_COLUMNS,
+  selectColumns,
+  writeExport
+};
@@ -0,0 +1,83 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { buildReceiptGroupRecord } = require("./receipt-record");
+const { FatalError, classifyError } = require("./pipeline-errors");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { recordStageStart } = require("./processing-status");
+
+// Initialize DynamoDB client
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+
+// Last step for a photo with several receipts: every child has already been
+// parsed and saved by the Map state, this saves the parent group record that
+// links them (GET /status/{receiptId} returns the whole group). Children
+// whose processing failed arrive with status CHILD_FAILED.
+exports.handler = async (event) => {
+  try {
+    const { receiptId, childResults = [] } = event;
+
+    if (!receiptId) {
+      throw new FatalError('Missing required parameter: receiptId', { stage: 'receipt-group' });
+    }
+    await recordStageStart(event, 'receipt-group');
+
+    console.log(`Saving receipt group ${receiptId} with ${childResults.length} child receipt(s)`);
+
+    const groupRecord = buildReceiptGroupRecord({
+      receiptId,
+      timestamp: event.timestamp,
+      childResults,
+      s3Location: event.s3Location,
+      originalS3Location: event.originalS3Key ? `s3://${event.s3Bucket}/${event.originalS3Key}` : undefined,
+      mimeType: event.mimeType,
+      userId: event.userId,
+      organizationId: event.organizationId
+    });
+
+    if (groupRecord.failedChildReceiptIds.length > 0) {
+      console.warn(`⚠️ ${groupRecord.failedChildReceiptIds.length} child receipt(s) failed to save: ${groupRecord.failedChildReceiptIds.join(', ')}`);
+    }
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: RECEIPTS_TABLE,
+        Item: groupRecord,
+        ConditionExpression: 'attribute_not_exists(receiptId)'
+      }));
+      console.log(`✅ Receipt group ${receiptId} saved (${groupRecord.childCount} receipts)`);
+    } catch (putError) {
+      // A retried save whose first attempt already went through
+      if (putError.name !== 'ConditionalCheckFailedException') throw putError;
+      console.log(`ℹ️ Receipt group ${receiptId} was already saved - not saving again`);
+    }
+
+    // Only published once a receipt was saved; otherwise the failure path reports it
+    if (groupRecord.childCount > 0) {
+      await publishProgress(event, PROGRESS_STAGES.SAVED, {
+        childCount: groupRecord.childCount,
+        failedChildReceiptIds: groupRecord.failedChildReceiptIds
+      });
+    }
+
+    return {
+      receiptId,
+      status: 'GROUP_COMPLETED',
+      savedData: {
+        receiptId,
+        timestamp: groupRecord.timestamp,
+        childReceiptIds: groupRecord.childReceiptIds,
+        childCount: groupRecord.childCount,
+        failedChildReceiptIds: groupRecord.failedChildReceiptIds
+      },
+      timestamp: new Date().toISOString(),
+      message: `Receipt group saved with ${groupRecord.childCount} receipts`
+    };
+
+  } catch (error) {
+    console.error('❌ Receipt group save failed:', error);
+    throw classifyError(error, 'receipt-group');
+  }
+};
@@ -0,0 +1,443 @@
+const { HOME_CURRENCY, toHomeCurrencyFields } = require("./currency");
+const { reconcileReceipt, applyReconciliationPenalty } = require("./reconciliation");
+const { normalizeReceiptDate } = require("./date-normalizer");
+const { extractCardLast4, buildFingerprint } = require("./duplicates");
+
+// Shared helpers for building the stored receipt record. Used by the
+// pipeline save step (dynamodb-function.js) and the edit API
+// (update-function.js) so derived fields are always computed the same way.
+
+// Kinds of receipt line. Discounts and coupons are stored as negative
+// amounts, rounding keeps the sign printed on the receipt and every other
+// kind is positive.
+const LINE_KINDS = ['item', 'discount', 'coupon', 'tip', 'service_fee', 'deposit', 'rounding'];
+const CREDIT_LINE_KINDS = ['discount', 'coupon'];
+const SIGNED_LINE_KINDS = ['rounding'];
+
+const LINE_KIND_ALIASES = {
+  product: 'item',
+  markdown: 'discount',
+  savings: 'discount',
+  voucher: 'coupon',
+  promo: 'coupon',
+  gratuity: 'tip',
+  fee: 'service_fee',
+  service_charge: 'service_fee',
+  surcharge: 'service_fee',
+  bottle_deposit: 'deposit',
+  container_deposit: 'deposit'
+};
+
+// Used when a line arrives without a kind (Textract fallback, older records)
+const LINE_KIND_PATTERNS = [
+  [/\b(coupon|voucher|promo code)\b/i, 'coupon'],
+  [/\b(discount|savings|you saved|markdown|rabatt|remise)\b/i, 'discount'],
+  [/\b(tip|gratuity)\b/i, 'tip'],
+  [/\b(service (fee|charge)|surcharge|delivery fee|bag fee)\b/i, 'service_fee'],
+  [/\b(deposit|crv|pfand)\b/i, 'deposit'],
+  [/\brounding\b/i, 'rounding']
+];
+
+function buildReceiptRecord({ receiptId, timestamp, parsedData, textractResult, s3Location, mimeType, originalS3Location, parentReceiptId, processingMethod, modelProvider, modelId, review, imageHash, userId, organizationId }) {
+  const vendor = parsedData.merchant || parsedData.vendor || 'Unknown';
+  const items = buildReceiptItems(parsedData.items || [], receiptId);
+
+  // The Bedrock step normalizes the date; its fallback data has not been
+  const dated = parsedData.dateResolution
+    ? { date: parsedData.date, time: parsedData.time || null, dateResolution: parsedData.dateResolution }
+    : normalizeReceiptDate({ modelDate: parsedData.date, currency: parsedData.currency });
+
+  // Card number printed on the receipt, part of the duplicate fingerprint
+  const cardLast4 = extractCardLast4(textractResult?.rawText);
+
+  const derived = computeDerivedFields({
+    vendor: parsedData.merchant || parsedData.vendor || '',
+    date: dated.date,
+    total: parsedData.total,
+    subtotal: parsedData.subtotal,
+    tax: parsedData.tax,
+    tip: parsedData.tip,
+    fees: parsedData.fees,
+    items: items
+  });
+
+  return {
+    // Primary Keys
+    receiptId: receiptId,
+    timestamp: timestamp || new Date().toISOString(),
+
+    // Basic Receipt Info
+    vendor: vendor,
+    merchant: vendor,
+    date: dated.date,
+    time: dated.time, // HH:MM when printed on the receipt
+    dateResolution: dated.dateResolution, // how the printed date was read (see date-normalizer.js)
+
+    // Financial Details
+    total: parseFloat(parsedData.total || '0'),
+    totalFormatted: parsedData.total || '0.00',
+    subtotal: parseFloat(parsedData.subtotal || '0'),
+    subtotalFormatted: parsedData.subtotal || '0.00',
+    tax: parseFloat(parsedData.tax || '0'),
+    taxFormatted: parsedData.tax || '0.00',
+    tip: parseFloat(parsedData.tip || '0'),
+    tipFormatted: parsedData.tip || '0.00',
+    fees: parseFloat(parsedData.fees || '0'),
+    feesFormatted: parsedData.fees || '0.00',
+
+    // Currency (ISO 4217) and the total in the home currency
+    currency: parsedData.currency || HOME_CURRENCY,
+    currencySource: parsedData.currencySource || 'default',
+    ...toHomeCurrencyFields(parsedData.currencyConversion),
+
+    // COMPLETE ITEM DETAILS
+    items: items,
+
+    // Processing Status
+    processed: true,
+    processingMethod: processingMethod || 'textract-bedrock-nova',
+    modelProvider: modelProvider || 'nova-lite',
+    modelId: modelId || 'amazon.nova-lite-v1:0',
+    // Extraction confidence, lowered when the amounts do not reconcile
+    confidence: applyReconciliationPenalty(parsedData.metadata?.confidence || 0.85, derived.reconciliation),
+    extractionConfidence: parsedData.metadata?.confidence || 0.85,
+    // Confidence and provenance of every summary field (see field-confidence.js)
+    fieldConfidence: parsedData.fieldConfidence || null,
+    // Why the receipt was held for review and who approved or corrected it (see review.js)
+    review: review && review.required ? review : null,
+
+    // Duplicate detection (see duplicates.js). The save step fills in
+    // duplicates, receipts that look like the same purchase.
+    imageHash: imageHash || null,
+    cardLast4: cardLast4,
+    fingerprint: buildFingerprint({ vendor, date: dated.date, total: parsedData.total, cardLast4 }),
+    duplicates: [],
+    duplicateStatus: null, // 'suspected' or 'rejected' when duplicates were found
+
+    // Raw Processing Data (for debugging/analysis)
+    rawData: {
+      textractSummaryFields: textractResult?.summaryFields || {},
+      textractLineItems: textractResult?.lineItems || [],
+      textractConfidence: textractResult?.confidence || {},
+      bedrockResponse: parsedData.metadata || {},
+      // Schema validation of the model output: which attempt succeeded and why earlier ones failed
+      extraction: parsedData.extraction || null,
+      processingTimestamp: new Date().toISOString()
+    },
+
+    // Metadata & Timestamps
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    processingDuration: parsedData.metadata?.processingTime || 0,
+
+    // User & Organization (from the API Gateway JWT authorizer)
+    userId: userId || 'anonymous',
+    organizationId: organizationId || 'default',
+    tags: [],
+    notes: '',
+
+    // Storage & Lifecycle
+    s3Location: s3Location || '',
+    mimeType: mimeType || 'image/jpeg',
+    originalS3Location: originalS3Location || s3Location || '', // differs when HEIC was converted
+    ...(parentReceiptId ? { parentReceiptId } : {}), // receipt was split out of a group photo
+    ttl: Math.floor(Date.now() / 1000) + (7 * 365 * 24 * 60 * 60), // 7 years retention
+
+    // Revision tracking (see update-function.js)
+    revision: 1,
+    revisions: [],
+
+    // Item statistics, classification, analytics, validation and reconciliation
+    ...derived
+  };
+}
+
+// Record for a photo that contained several receipts. It holds no receipt
+// data of its own, only the child receipts created from it.
+function buildReceiptGroupRecord({ receiptId, timestamp, childResults, s3Location, originalS3Location, mimeType, userId, organizationId }) {
+  const saved = childResults.filter(child => child.status === 'DYNAMODB_COMPLETED');
+  const failed = childResults.filter(child => child.status !== 'DYNAMODB_COMPLETED');
+  const now = new Date().toISOString();
+
+  return {
+    receiptId: receiptId,
+    timestamp: timestamp || now,
+    recordType: 'group',
+    childReceiptIds: saved.map(child => child.receiptId),
+    failedChildReceiptIds: failed.map(child => child.receiptId),
+    childCount: saved.length,
+    processed: true,
+    processingMethod: 'multi-receipt-split',
+    createdAt: now,
+    updatedAt: now,
+    userId: userId || 'anonymous',
+    organizationId: organizationId || 'default',
+    s3Location: s3Location || '',
+    mimeType: mimeType || 'image/jpeg',
+    originalS3Location: originalS3Location || s3Location || '',
+    ttl: Math.floor(Date.now() / 1000) + (7 * 365 * 24 * 60 * 60) // 7 years retention
+  };
+}
+
+// Record written by the state machine's failure path (failure-handler-function.js)
+// in place of the receipt, so GET /status/{receiptId} can report which stage
+// failed and why. `error` is the { Error, Cause } object Step Functions catches.
+function buildFailureRecord({ receiptId, timestamp, failedStage, error, executionArn, s3Location, mimeType, userId, organizationId }) {
+  const now = new Date().toISOString();
+  const { errorType, errorMessage, retryable } = describeStateError(error);
+
+  return {
+    receiptId: receiptId,
+    timestamp: timestamp || now,
+    recordType: 'failure',
+    status: 'FAILED',
+    processed: false,
+    failedStage: failedStage || 'unknown',
+    errorType: errorType,
+    errorMessage: errorMessage,
+    retryable: retryable,
+    executionArn: executionArn || null,
+    createdAt: now,
+    updatedAt: now,
+    userId: userId || 'anonymous',
+    organizationId: organizationId || 'default',
+    s3Location: s3Location || '',
+    mimeType: mimeType || 'image/jpeg',
+    ttl: Math.floor(Date.now() / 1000) + (7 * 365 * 24 * 60 * 60) // 7 years retention
+  };
+}
+
+// Step Functions passes a Lambda error as { Error: name, Cause: JSON string
+// of { errorType, errorMessage, ... } }, other errors with a plain Cause
+function describeStateError(error = {}) {
+  let cause = {};
+  try {
+    cause = JSON.parse(error.Cause || '{}');
+  } catch (parseError) {
+    cause = { errorMessage: error.Cause };
+  }
+
+  const errorType = error.Error || cause.errorType || 'Error';
+
+  return {
+    errorType,
+    errorMessage: cause.errorMessage || error.Cause || 'Unknown error',
+    retryable: errorType === 'ThrottlingError' || errorType === 'TransientError'
+  };
+}
+
+// Turns raw { kind, name, price, quantity } lines into stored item records.
+// Existing itemIds are preserved so edits keep stable references.
+function buildReceiptItems(rawItems, receiptId) {
+  let nextId = rawItems.reduce((max, item) => {
+    const match = /-item-(\d+)$/.exec(item.itemId || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+
+  return rawItems.map((item, index) => {
+    const printedPrice = parseFloat(item.price || '0') || 0;
+    const quantity = parseInt(item.quantity || '1');
+    const name = item.name || item.description || `Item ${index + 1}`;
+    const kind = normalizeLineKind(item.kind, name, printedPrice);
+    const price = applyLineSign(printedPrice, kind);
+    const lineTotal = Math.round(price * quantity * 100) / 100;
+
+    return {
+      itemId: item.itemId || `${receiptId}-item-${++nextId}`,
+      kind: kind,
+      name: name,
+      price: price,
+      priceFormatted: price.toFixed(2),
+      quantity: quantity,
+      quantityFormatted: item.quantity || '1',
+      lineTotal: lineTotal,
+      lineTotalFormatted: lineTotal.toFixed(2),
+      category: kind === 'item' ? determineItemCategory(name) : 'Adjustment',
+      order: index + 1,
+      // How sure we are of this line and where it came from (see field-confidence.js)
+      ...(item.confidence !== undefined ? {
+        confidence: item.confidence,
+        provenance: item.provenance,
+        fieldConfidence: item.fieldConfidence,
+        ...(item.conflict ? { conflict: true } : {})
+      } : {})
+    };
+  });
+}
+
+function normalizeLineKind(kind, name, price) {
+  if (kind) {
+    const key = String(kind).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const normalized = LINE_KIND_ALIASES[key] || key;
+    if (LINE_KINDS.includes(normalized)) return normalized;
+  }
+
+  const pattern = LINE_KIND_PATTERNS.find(([regex]) => regex.test(name || ''));
+  if (pattern) return pattern[1];
+
+  // An unlabelled negative line is a markdown
+  return price < 0 ? 'discount' : 'item';
+}
+
+function applyLineSign(amount, kind) {
+  if (SIGNED_LINE_KINDS.includes(kind)) return amount;
+  return CREDIT_LINE_KINDS.includes(kind) ? -Math.abs(amount) : Math.abs(amount);
+}
+
+// Fields that are derived from the editable receipt data and must be
+// recomputed whenever vendor, date, amounts or items change.
+// `items` are stored item records as produced by buildReceiptItems.
+function computeDerivedFields({ vendor, date, total, subtotal, tax, tip, fees, items, category }) {
+  // Dates are calendar days: read them in UTC so the day can't shift
+  const parsedDate = new Date(`${date}T00:00:00Z`);
+  const receiptDate = isNaN(parsedDate) ? new Date() : parsedDate;
+  const validationInput = {
+    vendor: vendor,
+    date: date,
+    total: total,
+    items: items
+  };
+
+  // Products count towards the item statistics; discounts and coupons
+  // reduce what was paid for them
+  const products = items.filter(item => (item.kind || 'item') === 'item');
+  const credits = items.filter(item => CREDIT_LINE_KINDS.includes(item.kind));
+  const totalItems = products.reduce((sum, item) => sum + item.quantity, 0);
+  const netItemSpend = [...products, ...credits].reduce((sum, item) => sum + item.lineTotal, 0);
+
+  return {
+    // Item Summary Statistics
+    itemCount: products.length,
+    totalItems: totalItems,
+    averageItemPrice: totalItems > 0 ? (netItemSpend / totalItems).toFixed(2) : '0.00',
+    lineKindTotals: summarizeLineKinds(items),
+
+    // Classification & Search
+    category: category || determineReceiptCategory(vendor || ''),
+    vendorLower: (vendor || '').toLowerCase(),
+    totalAmount: parseFloat(total || '0'), // For GSI queries
+
+    // Analytics Fields
+    dayOfWeek: receiptDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+    monthYear: receiptDate.toISOString().substring(0, 7), // YYYY-MM
+    year: receiptDate.getUTCFullYear(),
+
+    // Receipt Validation
+    isValid: validateReceiptData(validationInput),
+    validationErrors: getValidationErrors(validationInput),
+
+    // Arithmetic Reconciliation (see reconciliation.js)
+    ...buildReconciliationFields(reconcileReceipt({ items, subtotal, tax, tip, fees, total })),
+
+    // Feature Flags
+    hasItems: products.length > 0,
+    hasDiscounts: credits.length > 0,
+    hasTax: parseFloat(tax || '0') > 0,
+    hasSubtotal: parseFloat(subtotal || '0') > 0,
+    isLargeReceipt: products.length > 10
+  };
+}
+
+// { kind: sum of line totals } for every kind present on the receipt
+function summarizeLineKinds(items) {
+  return items.reduce((totals, item) => {
+    const kind = item.kind || 'item';
+    totals[kind] = Math.round(((totals[kind] || 0) + item.lineTotal) * 100) / 100;
+    return totals;
+  }, {});
+}
+
+function buildReconciliationFields(reconciliation) {
+  return {
+    reconciliation: reconciliation,
+    hasDiscrepancies: reconciliation.status === 'discrepancies'
+  };
+}
+
+function determineReceiptCategory(vendor) {
+  const vendorLower = vendor.toLowerCase();
+
+  // Grocery stores
+  if (vendorLower.includes('market') || vendorLower.includes('grocery') ||
+      vendorLower.includes('food') || vendorLower.includes('super')) {
+    return 'Grocery';
+  }
+
+  // Restaurants
+  if (vendorLower.includes('restaurant') || vendorLower.includes('cafe') ||
+      vendorLower.includes('pizza') || vendorLower.includes('burger')) {
+    return 'Restaurant';
+  }
+
+  // Gas stations
+  if (vendorLower.includes('gas') || vendorLower.includes('fuel') ||
+      vendorLower.includes('shell') || vendorLower.includes('exxon')) {
+    return 'Gas';
+  }
+
+  // Retail
+  if (vendorLower.includes('store') || vendorLower.includes('shop') ||
+      vendorLower.includes('retail')) {
+    return 'Retail';
+  }
+
+  return 'Other';
+}
+
+function determineItemCategory(itemName) {
+  const itemLower = itemName.toLowerCase();
+
+  if (itemLower.includes('food') || itemLower.includes('bread') || itemLower.includes('milk')) {
+    return 'Food';
+  }
+  if (itemLower.includes('drink') || itemLower.includes('soda') || itemLower.includes('water')) {
+    return 'Beverage';
+  }
+  if (itemLower.includes('gas') || itemLower.includes('fuel')) {
+    return 'Fuel';
+  }
+
+  return 'General';
+}
+
+function validateReceiptData(parsedData) {
+  // Basic validation rules
+  if (!parsedData.merchant && !parsedData.vendor) return false;
+  if (!parsedData.total || parseFloat(parsedData.total) <= 0) return false;
+  if (!parsedData.date) return false;
+
+  return true;
+}
+
+function getValidationErrors(parsedData) {
+  const errors = [];
+
+  if (!parsedData.merchant && !parsedData.vendor) {
+    errors.push('Missing merchant/vendor name');
+  }
+  if (!parsedData.total || parseFloat(parsedData.total) <= 0) {
+    errors.push('Invalid or missing total amount');
+  }
+  if (!parsedData.date) {
+    errors.push('Missing receipt date');
+  }
+  if (!parsedData.items || parsedData.items.length === 0) {
+    errors.push('No individual items found');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  LINE_KINDS,
+  applyLineSign,
+  buildReceiptRecord,
+  buildReceiptGroupRecord,
+  buildFailureRecord,
+  buildReceiptItems,
+  computeDerivedFields,
+  determineReceiptCategory,
+  determineItemCategory,
+  validateReceiptData,
+  getValidationErrors
+};
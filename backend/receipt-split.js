@@ -0,0 +1,79 @@
+// Splits a photo of several receipts into one crop per Textract expense
+// document (see textract-function.js).
+
+// Extra margin around each detected receipt, as a fraction of the image
+const CROP_PADDING = 0.02;
+
+// Textract sometimes reports stray fragments as extra expense documents;
+// only documents with at least one field or line item count as receipts.
+function isReceiptDocument(expenseDoc) {
+  const hasFields = (expenseDoc.SummaryFields || []).some(field => field.ValueDetection?.Text);
+  const hasItems = (expenseDoc.LineItemGroups || []).some(group => (group.LineItems || []).length > 0);
+  return hasFields || hasItems;
+}
+
+// Union of every bounding box in the document, in 0-1 image ratios
+function getDocumentBoundingBox(expenseDoc) {
+  const boxes = [];
+  const addGeometry = (detection) => {
+    if (detection?.Geometry?.BoundingBox) boxes.push(detection.Geometry.BoundingBox);
+  };
+
+  (expenseDoc.Blocks || []).forEach(block => addGeometry(block));
+  (expenseDoc.SummaryFields || []).forEach(field => {
+    addGeometry(field.LabelDetection);
+    addGeometry(field.ValueDetection);
+  });
+  (expenseDoc.LineItemGroups || []).forEach(group => {
+    (group.LineItems || []).forEach(item => {
+      (item.LineItemExpenseFields || []).forEach(field => addGeometry(field.ValueDetection));
+    });
+  });
+
+  if (boxes.length === 0) return null;
+
+  const left = Math.min(...boxes.map(box => box.Left));
+  const top = Math.min(...boxes.map(box => box.Top));
+  const right = Math.max(...boxes.map(box => box.Left + box.Width));
+  const bottom = Math.max(...boxes.map(box => box.Top + box.Height));
+
+  const paddedLeft = Math.max(0, left - CROP_PADDING);
+  const paddedTop = Math.max(0, top - CROP_PADDING);
+
+  return {
+    Left: paddedLeft,
+    Top: paddedTop,
+    Width: Math.min(1, right + CROP_PADDING) - paddedLeft,
+    Height: Math.min(1, bottom + CROP_PADDING) - paddedTop
+  };
+}
+
+// Crops the image to a bounding box and returns it as a JPEG
+async function cropToBoundingBox(imageBuffer, boundingBox) {
+  const sharp = require("sharp");
+  const image = sharp(imageBuffer);
+
+  if (!boundingBox) {
+    return image.jpeg({ quality: 90 }).toBuffer();
+  }
+
+  const { width, height } = await image.metadata();
+  const left = Math.floor(boundingBox.Left * width);
+  const top = Math.floor(boundingBox.Top * height);
+
+  return image
+    .extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, Math.ceil(boundingBox.Width * width))),
+      height: Math.max(1, Math.min(height - top, Math.ceil(boundingBox.Height * height)))
+    })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
+
+module.exports = {
+  isReceiptDocument,
+  getDocumentBoundingBox,
+  cropToBoundingBox
+};
@@ -0,0 +1,132 @@
+// Arithmetic reconciliation of a receipt: do the line items add up to the
+// subtotal, and do subtotal + tax + tip + fees add up to the total?
+// Used for every stored record (see computeDerivedFields in receipt-record.js).
+
+// Allowed difference for a sum of amounts printed with two decimals. Each
+// line may have been rounded on its own, so item sums get a little extra.
+const BASE_TOLERANCE = 0.02;
+const PER_LINE_TOLERANCE = 0.01;
+
+// How much each failed check lowers the extraction confidence
+const CONFIDENCE_PENALTY = {
+  error: 0.15,
+  warning: 0.05
+};
+const MIN_CONFIDENCE = 0.1;
+
+function toAmount(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Line kinds (see receipt-record.js) that are part of the subtotal. Tip and
+// service fee lines are added after it, rounding after everything else.
+// Deposits belong to the subtotal only, the extraction prompt
+// (bedrock-function.js) keeps them out of `fees` with this list.
+const SUBTOTAL_LINE_KINDS = ['item', 'discount', 'coupon', 'deposit'];
+
+function sumLines(items, kinds) {
+  return roundCents(items
+    .filter(item => kinds.includes(item.kind || 'item'))
+    .reduce((sum, item) => sum + toAmount(item.lineTotal), 0));
+}
+
+// `items` are stored item records (kind and signed lineTotal per line). Returns
+//   { status, findings, checks, itemsSum, adjustments, tolerance }
+// status: 'reconciled' | 'discrepancies' | 'insufficient-data'
+function reconcileReceipt({ items = [], subtotal, tax, tip, fees, total }) {
+  const amounts = {
+    subtotal: toAmount(subtotal),
+    tax: toAmount(tax),
+    tip: toAmount(tip),
+    fees: toAmount(fees),
+    total: toAmount(total)
+  };
+  const itemsSum = sumLines(items, SUBTOTAL_LINE_KINDS);
+  const subtotalLines = items.filter(item => SUBTOTAL_LINE_KINDS.includes(item.kind || 'item'));
+
+  // Tip and fee lines stand in for the summary amounts when those are missing
+  const adjustments = {
+    tip: amounts.tip || sumLines(items, ['tip']),
+    fees: amounts.fees || sumLines(items, ['service_fee']),
+    rounding: sumLines(items, ['rounding'])
+  };
+  const extras = amounts.tax + adjustments.tip + adjustments.fees + adjustments.rounding;
+
+  const findings = [];
+  const checks = [];
+
+  const check = (code, fields, expected, actual, tolerance, severity, message) => {
+    const difference = roundCents(actual - expected);
+    const passed = Math.abs(difference) <= tolerance;
+    checks.push({ code, passed });
+    if (!passed) {
+      findings.push({
+        code,
+        severity,
+        fields,
+        expected: roundCents(expected),
+        actual: roundCents(actual),
+        difference,
+        message: message(roundCents(expected), roundCents(actual), difference)
+      });
+    }
+  };
+
+  const itemTolerance = BASE_TOLERANCE + PER_LINE_TOLERANCE * subtotalLines.length;
+
+  // Line items, discounts, coupons and deposits -> subtotal
+  if (subtotalLines.length > 0 && amounts.subtotal > 0) {
+    check('ITEMS_SUBTOTAL_MISMATCH', ['items', 'subtotal'], itemsSum, amounts.subtotal, itemTolerance, 'warning',
+      (expected, actual, difference) => `Line items add up to ${expected.toFixed(2)} but the subtotal is ${actual.toFixed(2)} (${formatDifference(difference)})`);
+  }
+
+  // Subtotal + tax + tip + fees (+ rounding) -> total. Without a subtotal the
+  // lines stand in for it.
+  if (amounts.total > 0 && amounts.subtotal > 0) {
+    check('TOTAL_MISMATCH', ['subtotal', 'tax', 'tip', 'fees', 'total'], amounts.subtotal + extras, amounts.total, BASE_TOLERANCE, 'error',
+      (expected, actual, difference) => `Subtotal + tax + tip + fees is ${expected.toFixed(2)} but the total is ${actual.toFixed(2)} (${formatDifference(difference)})`);
+  } else if (amounts.total > 0 && subtotalLines.length > 0) {
+    check('ITEMS_TOTAL_MISMATCH', ['items', 'tax', 'tip', 'fees', 'total'], itemsSum + extras, amounts.total, itemTolerance, 'error',
+      (expected, actual, difference) => `Line items + tax + tip + fees is ${expected.toFixed(2)} but the total is ${actual.toFixed(2)} (${formatDifference(difference)})`);
+  }
+
+  let status = 'reconciled';
+  if (checks.length === 0) {
+    status = 'insufficient-data';
+  } else if (findings.length > 0) {
+    status = 'discrepancies';
+  }
+
+  return {
+    status,
+    findings,
+    checks,
+    itemsSum,
+    adjustments,
+    tolerance: { base: BASE_TOLERANCE, perLine: PER_LINE_TOLERANCE }
+  };
+}
+
+function formatDifference(difference) {
+  return `${difference > 0 ? '+' : ''}${difference.toFixed(2)}`;
+}
+
+// Lowers a 0-1 confidence score for every failed check
+function applyReconciliationPenalty(confidence, reconciliation) {
+  const penalty = (reconciliation?.findings || [])
+    .reduce((sum, finding) => sum + (CONFIDENCE_PENALTY[finding.severity] || 0), 0);
+
+  if (penalty === 0) return confidence;
+  return Math.max(MIN_CONFIDENCE, Number((confidence - penalty).toFixed(4)));
+}
+
+module.exports = {
+  SUBTOTAL_LINE_KINDS,
+  reconcileReceipt,
+  applyReconciliationPenalty
+};
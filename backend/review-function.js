@@ -0,0 +1,259 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand, GetCommand, DeleteCommand } = require("@aws-sdk/lib-dynamodb");
+const { SFNClient, SendTaskSuccessCommand } = require("@aws-sdk/client-sfn");
+const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { getCallerIdentity, isReviewer } = require("./auth");
+const { applyCorrections } = require("./review");
+const { convertToHomeCurrency } = require("./currency");
+
+// Initialize AWS clients
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const sfnClient = new SFNClient({ region: 'us-east-1' });
+const s3Client = new S3Client({ region: 'us-east-1' });
+
+const REVIEW_QUEUE_TABLE = process.env.REVIEW_QUEUE_TABLE || 'SnapTally-ReviewQueue';
+const IMAGE_URL_EXPIRY_SECONDS = 900;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const REVIEW_ACTIONS = ['approve', 'correct'];
+
+// Task tokens the state machine no longer waits for
+const EXPIRED_TOKEN_ERRORS = ['TaskTimedOut', 'TaskDoesNotExist', 'InvalidToken'];
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+};
+
+// Review queue endpoints:
+//   GET  /review-queue          -> receipts waiting for review, oldest first
+//   POST /review/{receiptId}    -> { action: 'approve' } or
+//                                  { action: 'correct', corrections: {...} }
+// Reviewers (REVIEWER_GROUP or admins) see their whole organization's queue,
+// everyone else only their own receipts.
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    const receiptId = event.pathParameters?.receiptId;
+    if (receiptId) {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch (parseError) {
+        return buildResponse(400, { success: false, error: "Request body must be valid JSON" });
+      }
+
+      return await submitReview(receiptId, body, identity);
+    }
+
+    return await listReviewQueue(event.queryStringParameters || {}, identity);
+
+  } catch (error) {
+    console.error('❌ Review request error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to handle review request',
+      details: error.message
+    });
+  }
+};
+
+async function listReviewQueue(params, identity) {
+  const limit = params.limit ? parseInt(params.limit, 10) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return buildResponse(400, { success: false, error: "Invalid query parameters", details: `'limit' must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  let startKey;
+  if (params.cursor) {
+    try {
+      startKey = JSON.parse(Buffer.from(params.cursor, 'base64url').toString('utf8'));
+    } catch (cursorError) {
+      return buildResponse(400, { success: false, error: "Invalid query parameters", details: 'Cursor is malformed' });
+    }
+  }
+
+  const reviewer = isReviewer(identity);
+  const result = await docClient.send(new QueryCommand({
+    TableName: REVIEW_QUEUE_TABLE,
+    IndexName: 'OrganizationQueueIndex',
+    KeyConditionExpression: 'organizationId = :organizationId',
+    ...(reviewer ? {} : { FilterExpression: 'userId = :userId' }),
+    ExpressionAttributeValues: {
+      ':organizationId': identity.organizationId,
+      ...(reviewer ? {} : { ':userId': identity.userId })
+    },
+    ScanIndexForward: true, // Oldest first
+    Limit: limit,
+    ExclusiveStartKey: startKey
+  }));
+
+  const reviews = await Promise.all((result.Items || []).map(toReviewSummary));
+
+  console.log(`✅ Found ${reviews.length} receipts waiting for review in ${identity.organizationId}${reviewer ? '' : ` for ${identity.userId}`}`);
+
+  return buildResponse(200, {
+    success: true,
+    reviews,
+    count: reviews.length,
+    nextCursor: result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64url')
+      : null
+  });
+}
+
+async function submitReview(receiptId, body, identity) {
+  if (!REVIEW_ACTIONS.includes(body.action)) {
+    return buildResponse(400, { success: false, error: `'action' must be one of: ${REVIEW_ACTIONS.join(', ')}` });
+  }
+
+  const queued = (await docClient.send(new GetCommand({
+    TableName: REVIEW_QUEUE_TABLE,
+    Key: { receiptId }
+  }))).Item;
+
+  if (!queued) {
+    return buildResponse(404, { success: false, error: "Receipt is not waiting for review", receiptId });
+  }
+
+  if (!canReview(queued, identity)) {
+    console.warn(`🚫 User ${identity.userId} denied review of receipt ${receiptId}`);
+    return buildResponse(403, { success: false, error: "Access denied", receiptId });
+  }
+
+  const receipt = JSON.parse(queued.receipt);
+  let parsedData = receipt.parsedData;
+  let correctedFields = [];
+
+  if (body.action === 'correct') {
+    const corrected = applyCorrections(parsedData, body.corrections);
+    if (corrected.errors) {
+      return buildResponse(400, { success: false, error: "Invalid corrections", details: corrected.errors });
+    }
+    ({ parsedData, correctedFields } = corrected);
+
+    // Home currency amount follows the corrected total, currency and date
+    if (['total', 'currency', 'date'].some(field => correctedFields.includes(field))) {
+      parsedData.currencyConversion = await convertToHomeCurrency(parsedData.total, parsedData.currency, parsedData.date);
+    }
+  }
+
+  const reviewedAt = new Date().toISOString();
+  const output = {
+    ...receipt,
+    parsedData,
+    review: {
+      ...receipt.review,
+      status: correctedFields.length > 0 ? 'corrected' : 'approved',
+      reviewedBy: identity.userId,
+      reviewedAt,
+      correctedFields,
+      note: typeof body.note === 'string' ? body.note.slice(0, 1000) : ''
+    }
+  };
+
+  try {
+    await sfnClient.send(new SendTaskSuccessCommand({
+      taskToken: queued.taskToken,
+      output: JSON.stringify(output)
+    }));
+  } catch (error) {
+    if (!EXPIRED_TOKEN_ERRORS.includes(error.name)) throw error;
+
+    // The review stage timed out or the receipt was already reviewed
+    console.warn(`⚠️ Review of receipt ${receiptId} is no longer awaited: ${error.name}`);
+    await deleteQueued(receiptId);
+    return buildResponse(409, { success: false, error: "Receipt is no longer waiting for review", receiptId });
+  }
+
+  await deleteQueued(receiptId);
+
+  console.log(`✅ Receipt ${receiptId} ${output.review.status} by ${identity.userId}${correctedFields.length > 0 ? ` (${correctedFields.join(', ')})` : ''}`);
+
+  return buildResponse(200, {
+    success: true,
+    receiptId,
+    status: output.review.status,
+    correctedFields,
+    message: 'Review submitted, the receipt is being saved'
+  });
+}
+
+function canReview(queued, identity) {
+  if (queued.organizationId !== identity.organizationId) {
+    return false;
+  }
+  return queued.userId === identity.userId || isReviewer(identity);
+}
+
+async function deleteQueued(receiptId) {
+  await docClient.send(new DeleteCommand({
+    TableName: REVIEW_QUEUE_TABLE,
+    Key: { receiptId }
+  }));
+}
+
+// Queue entry plus the extracted fields and a short-lived link to the image
+async function toReviewSummary(item) {
+  const receipt = JSON.parse(item.receipt || '{}');
+  const parsedData = receipt.parsedData || {};
+
+  let imageUrl = null;
+  if (item.s3Bucket && item.s3Key) {
+    imageUrl = await getSignedUrl(s3Client, new GetObjectCommand({ Bucket: item.s3Bucket, Key: item.s3Key }), {
+      expiresIn: IMAGE_URL_EXPIRY_SECONDS
+    });
+  }
+
+  return {
+    receiptId: item.receiptId,
+    queuedAt: item.queuedAt,
+    userId: item.userId,
+    parentReceiptId: item.parentReceiptId || null,
+    reasons: item.reasons || [],
+    confidence: item.confidence,
+    mimeType: item.mimeType,
+    imageUrl,
+    extracted: {
+      merchant: parsedData.merchant || parsedData.vendor || '',
+      date: parsedData.date || null,
+      time: parsedData.time || null,
+      total: parsedData.total || '0.00',
+      subtotal: parsedData.subtotal || '0.00',
+      tax: parsedData.tax || '0.00',
+      tip: parsedData.tip || '0.00',
+      fees: parsedData.fees || '0.00',
+      currency: parsedData.currency || null,
+      items: (parsedData.items || []).map(item => ({
+        kind: item.kind || null,
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity || '1'
+      }))
+    }
+  };
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
@@ -0,0 +1,60 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { FatalError, classifyError } = require("./pipeline-errors");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { recordStageStart } = require("./processing-status");
+
+// Initialize DynamoDB client
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const REVIEW_QUEUE_TABLE = process.env.REVIEW_QUEUE_TABLE || 'SnapTally-ReviewQueue';
+const REVIEW_TIMEOUT_DAYS = parseInt(process.env.REVIEW_TIMEOUT_DAYS || '7', 10);
+
+// Review stage of the state machine (waitForTaskToken). Puts the parsed
+// receipt in the review queue together with the task token; the execution
+// stays paused until review-function.js sends the token back with the
+// approved or corrected receipt. Input: { taskToken, receipt } where receipt
+// is the Bedrock step's output.
+exports.handler = async (event) => {
+  try {
+    const { taskToken, receipt = {} } = event;
+
+    if (!taskToken || !receipt.receiptId || !receipt.parsedData) {
+      throw new FatalError('Missing required parameters: taskToken, receiptId or parsedData', { stage: 'review' });
+    }
+    await recordStageStart(receipt, 'review');
+
+    const now = new Date();
+
+    await docClient.send(new PutCommand({
+      TableName: REVIEW_QUEUE_TABLE,
+      Item: {
+        receiptId: receipt.receiptId,
+        queuedAt: now.toISOString(),
+        taskToken: taskToken,
+        userId: receipt.userId || 'anonymous',
+        organizationId: receipt.organizationId || 'default',
+        reasons: receipt.review?.reasons || [],
+        confidence: receipt.review?.confidence ?? null,
+        s3Bucket: receipt.s3Bucket || null,
+        s3Key: receipt.s3Key || null,
+        mimeType: receipt.mimeType || 'image/jpeg',
+        ...(receipt.parentReceiptId ? { parentReceiptId: receipt.parentReceiptId } : {}),
+        // The whole step output, sent back to the state machine after review
+        receipt: JSON.stringify(receipt),
+        // Removed with the paused execution once the review stage times out
+        ttl: Math.floor(now.getTime() / 1000) + (REVIEW_TIMEOUT_DAYS * 24 * 60 * 60)
+      }
+    }));
+
+    console.log(`✅ Receipt ${receipt.receiptId} queued for review: ${(receipt.review?.reasons || []).map(reason => reason.code).join(', ')}`);
+    await publishProgress(receipt, PROGRESS_STAGES.IN_REVIEW, { reasons: receipt.review?.reasons || [] });
+
+    return { receiptId: receipt.receiptId, status: 'REVIEW_QUEUED' };
+
+  } catch (error) {
+    console.error('❌ Queueing receipt for review failed:', error);
+    throw classifyError(error, 'review');
+  }
+};
@@ -0,0 +1,148 @@
+const { buildReceiptRecord } = require("./receipt-record");
+const { validateExtraction } = require("./extraction-schema");
+const { checkDateWindow } = require("./date-normalizer");
+const { isKnownCurrency } = require("./currency");
+const { markManualFields, carryItemConfidence } = require("./field-confidence");
+
+// Human review of parsed receipts. The Bedrock step asks assessReview whether
+// a receipt can be saved straight away; if not, the state machine pauses it
+// in the review queue (review-request-function.js) until a reviewer approves
+// or corrects it through POST /review/{receiptId} (review-function.js).
+
+// Receipts scoring below this confidence (0-1) are held for review
+const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD || '0.7');
+
+// Receipt fields a reviewer may correct
+const REVIEWABLE_AMOUNT_FIELDS = ['total', 'subtotal', 'tax', 'tip', 'fees'];
+const REVIEWABLE_TEXT_FIELDS = ['merchant', 'date', 'time', 'currency'];
+
+// Scores the receipt the way it would be stored. Returns
+//   { required, reasons: [{ code, message }], confidence, threshold }
+function assessReview({ receiptId, parsedData, textractResult }) {
+  const draft = buildReceiptRecord({ receiptId, parsedData, textractResult });
+  const reasons = [];
+
+  if (draft.confidence < REVIEW_CONFIDENCE_THRESHOLD) {
+    reasons.push({
+      code: 'LOW_CONFIDENCE',
+      message: `Confidence ${Math.round(draft.confidence * 100)}% is below the review threshold of ${Math.round(REVIEW_CONFIDENCE_THRESHOLD * 100)}%`
+    });
+  }
+
+  // No printed date could be read, the receipt carries the processing date
+  if (draft.dateResolution && draft.dateResolution.source === 'fallback') {
+    const printed = draft.dateResolution.printed;
+    reasons.push({
+      code: 'DATE_REJECTED',
+      message: printed
+        ? `Printed date "${printed}" could not be read as a plausible date, the processing date ${draft.date} was used`
+        : `No date found on the receipt, the processing date ${draft.date} was used`
+    });
+  }
+
+  draft.validationErrors.forEach(error => {
+    reasons.push({ code: 'VALIDATION_ERROR', message: error });
+  });
+
+  draft.reconciliation.findings.forEach(finding => {
+    reasons.push({ code: finding.code, message: finding.message });
+  });
+
+  return {
+    required: reasons.length > 0,
+    reasons,
+    confidence: draft.confidence,
+    threshold: REVIEW_CONFIDENCE_THRESHOLD
+  };
+}
+
+// Applies a reviewer's corrections to the parsed data. Amounts are stored as
+// "12.50" strings like the model output. Returns { parsedData, correctedFields }
+// or { errors } when the corrected receipt does not match the extraction schema.
+function applyCorrections(parsedData, corrections = {}) {
+  const corrected = { ...parsedData };
+  const correctedFields = [];
+
+  REVIEWABLE_TEXT_FIELDS.forEach(field => {
+    if (corrections[field] !== undefined && corrections[field] !== parsedData[field]) {
+      corrected[field] = corrections[field];
+      correctedFields.push(field);
+    }
+  });
+
+  REVIEWABLE_AMOUNT_FIELDS.forEach(field => {
+    if (corrections[field] !== undefined) {
+      const amount = formatAmount(corrections[field]);
+      if (amount !== parsedData[field]) {
+        corrected[field] = amount;
+        correctedFields.push(field);
+      }
+    }
+  });
+
+  if (Array.isArray(corrections.items)) {
+    const items = normalizeItems(corrections.items);
+    if (JSON.stringify(items) !== JSON.stringify(normalizeItems(parsedData.items || []))) {
+      corrected.items = items;
+      correctedFields.push('items');
+    }
+  }
+
+  const errors = validateExtraction({ ...corrected, items: corrected.items || [] });
+  if (correctedFields.includes('date')) {
+    const dateProblem = /^\d{4}-\d{2}-\d{2}$/.test(corrected.date || '') ? checkDateWindow(corrected.date) : 'must be YYYY-MM-DD';
+    if (dateProblem) errors.push(`/date ${dateProblem}`);
+  }
+  if (correctedFields.includes('currency') && !isKnownCurrency(String(corrected.currency || '').toUpperCase())) {
+    errors.push('/currency must be a supported ISO 4217 code');
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  if (correctedFields.includes('merchant')) {
+    corrected.vendor = corrected.merchant;
+  }
+  if (correctedFields.includes('date')) {
+    corrected.dateResolution = { source: 'manual', method: 'manual' };
+  }
+  if (correctedFields.includes('currency')) {
+    corrected.currency = corrected.currency.toUpperCase();
+    corrected.currencySource = 'manual';
+  }
+  if (correctedFields.includes('items')) {
+    // Review lines have no ids, they are compared by position
+    const withPosition = items => items.map((item, index) => ({ ...item, itemId: String(index) }));
+    corrected.items = carryItemConfidence(withPosition(corrected.items), withPosition(parsedData.items || []))
+      .map(({ itemId, ...item }) => item);
+  }
+  corrected.fieldConfidence = markManualFields(parsedData.fieldConfidence, correctedFields);
+
+  return { parsedData: corrected, correctedFields };
+}
+
+function normalizeItems(items) {
+  return items.map(item => ({
+    ...(item && item.kind ? { kind: item.kind } : {}),
+    name: item ? item.name : undefined,
+    price: formatAmount(item ? item.price : undefined),
+    quantity: String(item?.quantity ?? '1')
+  }));
+}
+
+// Numbers become "12.50"; anything else is left for the schema to reject
+function formatAmount(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value.toFixed(2);
+  }
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return parseFloat(value).toFixed(2);
+  }
+  return value;
+}
+
+module.exports = {
+  REVIEW_CONFIDENCE_THRESHOLD,
+  assessReview,
+  applyCorrections
+};
@@ -1,6 +1,8 @@
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
-const { DynamoDBDocumentClient, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand, GetCommand } = require("@aws-sdk/lib-dynamodb");
 const { SFNClient, DescribeExecutionCommand } = require("@aws-sdk/client-sfn");
+const { getCallerIdentity } = require("./auth");
+const { PROCESSING_STATES, getProcessingStatus, describeStages } = require("./processing-status");
 
 // Initialize AWS clients
 const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
@@ -8,6 +10,17 @@ const docClient = DynamoDBDocumentClient.from(dynamoClient);
 const sfnClient = new SFNClient({ region: 'us-east-1' });
 
 const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+const REVIEW_QUEUE_TABLE = process.env.REVIEW_QUEUE_TABLE || 'SnapTally-ReviewQueue';
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, OPTIONS"
+};
+
+// Step Functions states of an execution that ended without saving the receipt
+const FAILED_EXECUTION_STATES = ['FAILED', 'TIMED_OUT', 'ABORTED'];
 
 exports.handler = async (event) => {
   try {
@@ -24,6 +37,20 @@ exports.handler = async (event) => {
       };
     }
 
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return {
+        statusCode: 401,
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Methods": "GET, OPTIONS"
+        },
+        body: JSON.stringify({ error: "Unauthorized" })
+      };
+    }
+
     const receiptId = event.pathParameters?.receiptId;
     const executionArn = event.queryStringParameters?.executionArn;
 
@@ -42,6 +69,16 @@ exports.handler = async (event) => {
 
     console.log(`Checking status for receipt: ${receiptId}`);
 
+    // Read before the receipt itself: a receipt saved in between is then
+    // found as saved rather than reported as missing
+    let processingStatus = null;
+    try {
+      processingStatus = await getProcessingStatus(receiptId);
+    } catch (statusError) {
+      console.error('❌ Processing status lookup error:', statusError);
+    }
+    const processing = processingStatus ? toProcessingResponse(processingStatus) : null;
+
     // First, try to get the completed result from DynamoDB using Query (not Get)
     try {
       console.log(`Querying DynamoDB for receiptId: ${receiptId}`);
@@ -53,48 +90,134 @@ exports.handler = async (event) => {
           ':receiptId': receiptId
         },
         ScanIndexForward: false, // Get most recent first
-        Limit: 1
+        Limit: 1,
+        ConsistentRead: true
       });
 
       const dynamoResult = await docClient.send(queryCommand);
       
       if (dynamoResult.Items && dynamoResult.Items.length > 0) {
         const item = dynamoResult.Items[0];
+
+        // Receipts are only visible to the user who uploaded them
+        if (item.userId !== identity.userId) {
+          console.warn(`🚫 User ${identity.userId} denied access to receipt ${receiptId}`);
+          return {
+            statusCode: 403,
+            headers: {
+              "Content-Type": "application/json",
+              "Access-Control-Allow-Origin": "*",
+              "Access-Control-Allow-Headers": "Content-Type",
+              "Access-Control-Allow-Methods": "GET, OPTIONS"
+            },
+            body: JSON.stringify({ success: false, error: "Access denied", receiptId })
+          };
+        }
+
+        // A photo with several receipts: return every child receipt
+        if (item.recordType === 'group') {
+          const receipts = await getGroupReceipts(item.childReceiptIds || []);
+          console.log(`✅ Found completed receipt group in DynamoDB: ${receiptId} (${receipts.length} receipts)`);
+
+          return {
+            statusCode: 200,
+            headers: {
+              "Content-Type": "application/json",
+              "Access-Control-Allow-Origin": "*",
+              "Access-Control-Allow-Headers": "Content-Type",
+              "Access-Control-Allow-Methods": "GET, OPTIONS"
+            },
+            body: JSON.stringify({
+              success: true,
+              receiptId,
+              status: 'COMPLETED',
+              message: `Found ${receipts.length} receipts in the image`,
+              isGroup: true,
+              receipts: receipts,
+              data: null,
+              metadata: {
+                receiptId: item.receiptId,
+                timestamp: item.timestamp,
+                processingMethod: item.processingMethod,
+                childCount: receipts.length,
+                failedChildReceiptIds: item.failedChildReceiptIds || [],
+                s3Location: item.s3Location || ''
+              }
+            })
+          };
+        }
+
+        // Processing failed: the state machine saved which stage failed and why
+        if (item.recordType === 'failure') {
+          console.log(`❌ Found failure record in DynamoDB: ${receiptId} (stage ${item.failedStage})`);
+
+          return {
+            statusCode: 200,
+            headers: {
+              "Content-Type": "application/json",
+              "Access-Control-Allow-Origin": "*",
+              "Access-Control-Allow-Headers": "Content-Type",
+              "Access-Control-Allow-Methods": "GET, OPTIONS"
+            },
+            body: JSON.stringify({
+              success: false,
+              receiptId,
+              status: 'FAILED',
+              message: `Receipt processing failed at stage '${item.failedStage}'`,
+              failedStage: item.failedStage,
+              error: item.errorMessage,
+              errorType: item.errorType,
+              retryable: item.retryable,
+              processing,
+              data: null,
+              metadata: {
+                receiptId: item.receiptId,
+                timestamp: item.timestamp,
+                executionArn: item.executionArn,
+                failedAt: item.createdAt,
+                s3Location: item.s3Location || ''
+              }
+            })
+          };
+        }
+
+        // Rejected by DUPLICATE_POLICY=reject: the same purchase is already saved
+        if (item.recordType === 'duplicate') {
+          console.log(`🚫 Found rejected duplicate in DynamoDB: ${receiptId}`);
+
+          return {
+            statusCode: 200,
+            headers: {
+              "Content-Type": "application/json",
+              "Access-Control-Allow-Origin": "*",
+              "Access-Control-Allow-Headers": "Content-Type",
+              "Access-Control-Allow-Methods": "GET, OPTIONS"
+            },
+            body: JSON.stringify({
+              success: false,
+              receiptId,
+              status: 'DUPLICATE',
+              message: 'Receipt was not saved, it duplicates a receipt that was already submitted',
+              duplicates: item.duplicates || [],
+              data: null,
+              metadata: {
+                receiptId: item.receiptId,
+                timestamp: item.timestamp,
+                vendor: item.vendor,
+                date: item.date,
+                total: item.totalFormatted,
+                s3Location: item.s3Location || ''
+              }
+            })
+          };
+        }
+
         console.log(`✅ Found completed receipt in DynamoDB: ${receiptId}`);
         console.log(`   - Vendor: ${item.vendor}`);
         console.log(`   - Total: $${item.totalFormatted || item.total}`);
         console.log(`   - Items: ${item.itemCount || 0}`);
         
-        // Transform DynamoDB item to API response format with COMPLETE data
-        const receiptData = {
-          vendor: item.vendor || item.merchant,
-          merchant: item.vendor || item.merchant,
-          date: item.date,
-          total: item.totalFormatted || item.total,
-          subtotal: item.subtotalFormatted || item.subtotal,
-          tax: item.taxFormatted || item.tax,
-          items: (item.items || []).map(dbItem => ({
-            name: dbItem.name,
-            price: dbItem.priceFormatted || dbItem.price,
-            quantity: dbItem.quantityFormatted || dbItem.quantity,
-            lineTotal: dbItem.lineTotalFormatted || dbItem.lineTotal
-          })),
-          itemCount: item.itemCount || 0,
-          totalItems: item.totalItems || 0,
-          confidence: item.confidence || 0.85,
-          category: item.category || 'Other'
-        };
-
-        const responseMetadata = {
-          receiptId: item.receiptId,
-          timestamp: item.timestamp,
-          processingMethod: item.processingMethod || 'textract-bedrock-nova',
-          confidence: Math.round((item.confidence || 0.85) * 100),
-          category: item.category || 'Other',
-          s3Location: item.s3Location || '',
-          isValid: item.isValid !== false,
-          hasItems: (item.items || []).length > 0
-        };
+        const { data: receiptData, metadata: responseMetadata } = toReceiptResponse(item);
 
         return {
           statusCode: 200,
@@ -109,6 +232,7 @@ exports.handler = async (event) => {
             receiptId,
             status: 'COMPLETED',
             message: 'Receipt processing completed',
+            processing,
             data: receiptData,
             metadata: responseMetadata
           })
@@ -121,7 +245,54 @@ exports.handler = async (event) => {
       console.error('❌ DynamoDB query error:', dynamoError);
     }
 
-    // If not found in DynamoDB, check Step Function execution status
+    // Not saved yet: the receipt may be paused in the review queue
+    try {
+      const reviewResult = await docClient.send(new GetCommand({
+        TableName: REVIEW_QUEUE_TABLE,
+        Key: { receiptId }
+      }));
+      const queued = reviewResult.Item;
+
+      if (queued && queued.userId === identity.userId) {
+        console.log(`⏸️ Receipt ${receiptId} is waiting for review`);
+
+        return {
+          statusCode: 200,
+          headers: {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Headers": "Content-Type",
+            "Access-Control-Allow-Methods": "GET, OPTIONS"
+          },
+          body: JSON.stringify({
+            success: true,
+            receiptId,
+            status: 'IN_REVIEW',
+            message: 'Receipt is waiting for review',
+            reasons: queued.reasons || [],
+            data: null,
+            metadata: {
+              queuedAt: queued.queuedAt,
+              confidence: queued.confidence
+            }
+          })
+        };
+      }
+    } catch (reviewError) {
+      console.error('❌ Review queue lookup error:', reviewError);
+    }
+
+    // Not saved and not in review: the processing status record tells which
+    // stage the receipt is in or where it failed, without an executionArn
+    if (processingStatus) {
+      if (processingStatus.userId !== identity.userId) {
+        console.warn(`🚫 User ${identity.userId} denied access to receipt ${receiptId}`);
+        return buildResponse(403, { success: false, error: "Access denied", receiptId });
+      }
+      return buildResponse(200, await statusFromProcessingRecord(processingStatus, processing));
+    }
+
+    // Receipts submitted before status tracking: check the Step Function execution
     if (executionArn) {
       try {
         console.log(`Checking Step Function execution: ${executionArn}`);
@@ -133,6 +304,28 @@ exports.handler = async (event) => {
         const executionResult = await sfnClient.send(describeCommand);
         console.log(`Step Function status: ${executionResult.status}`);
 
+        // The execution input records which receipt and user it belongs to
+        let executionInput = {};
+        try {
+          executionInput = JSON.parse(executionResult.input || '{}');
+        } catch (parseError) {
+          console.error('Failed to parse Step Function input:', parseError);
+        }
+
+        if (executionInput.receiptId !== receiptId || executionInput.userId !== identity.userId) {
+          console.warn(`🚫 User ${identity.userId} denied access to execution ${executionArn}`);
+          return {
+            statusCode: 403,
+            headers: {
+              "Content-Type": "application/json",
+              "Access-Control-Allow-Origin": "*",
+              "Access-Control-Allow-Headers": "Content-Type",
+              "Access-Control-Allow-Methods": "GET, OPTIONS"
+            },
+            body: JSON.stringify({ success: false, error: "Access denied", receiptId })
+          };
+        }
+
         if (executionResult.status === 'SUCCEEDED') {
           // Parse the output to get the final result
           let finalOutput = null;
@@ -145,6 +338,11 @@ exports.handler = async (event) => {
             console.error('Failed to parse Step Function output:', parseError);
           }
 
+          // Succeeded without a saved receipt (see the DynamoDB lookup above)
+          if (!finalOutput?.savedData) {
+            return buildResponse(200, notSavedResponse(receiptId, { executionArn }));
+          }
+
           return {
             statusCode: 200,
             headers: {
@@ -158,7 +356,7 @@ exports.handler = async (event) => {
               receiptId,
               status: 'COMPLETED',
               message: 'Receipt processing completed',
-              data: finalOutput?.savedData || null,
+              data: finalOutput.savedData,
               metadata: {
                 executionArn: executionArn,
                 stepFunctionStatus: executionResult.status,
@@ -215,23 +413,14 @@ exports.handler = async (event) => {
       }
     }
 
-    // Default response if no execution ARN provided and not found in DB
-    return {
-      statusCode: 200,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type",
-        "Access-Control-Allow-Methods": "GET, OPTIONS"
-      },
-      body: JSON.stringify({
-        success: true,
-        receiptId,
-        status: 'PROCESSING',
-        message: 'Receipt processing in progress',
-        data: null
-      })
-    };
+    // Never submitted, erased, or older than the status records are kept
+    return buildResponse(404, {
+      success: false,
+      receiptId,
+      status: 'NOT_FOUND',
+      message: 'No receipt or processing found for this receipt ID',
+      data: null
+    });
 
   } catch (error) {
     console.error('❌ Status check error:', error);
@@ -251,4 +440,196 @@ exports.handler = async (event) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+// Response for a receipt that is not saved (yet), from its processing status
+// record. Records that still look in progress are checked against their
+// execution, which may have ended without reaching the failure handler.
+async function statusFromProcessingRecord(status, processing) {
+  const { receiptId } = status;
+  let state = status.state;
+  let failure = status.error;
+
+  if (state !== PROCESSING_STATES.FAILED && state !== PROCESSING_STATES.COMPLETED && status.executionArn) {
+    try {
+      const execution = await sfnClient.send(new DescribeExecutionCommand({ executionArn: status.executionArn }));
+
+      if (execution.status === 'SUCCEEDED') {
+        state = PROCESSING_STATES.COMPLETED;
+      } else if (FAILED_EXECUTION_STATES.includes(execution.status)) {
+        state = PROCESSING_STATES.FAILED;
+        failure = {
+          stage: status.stage,
+          errorType: execution.error || `Execution${execution.status}`,
+          message: execution.cause || `Processing ${execution.status.toLowerCase().replace('_', ' ')}`,
+          retryable: execution.status === 'TIMED_OUT'
+        };
+      }
+    } catch (stepFunctionError) {
+      console.error('❌ Step Function status check error:', stepFunctionError);
+    }
+  }
+
+  if (state === PROCESSING_STATES.FAILED) {
+    console.log(`❌ Receipt ${receiptId} failed at stage '${failure?.stage}'`);
+    return {
+      success: false,
+      receiptId,
+      status: 'FAILED',
+      message: `Receipt processing failed at stage '${failure?.stage || 'unknown'}'`,
+      failedStage: failure?.stage || 'unknown',
+      error: failure?.message || 'Unknown error',
+      errorType: failure?.errorType || 'Error',
+      retryable: failure?.retryable === true,
+      processing,
+      data: null,
+      metadata: {
+        receiptId,
+        timestamp: status.submittedAt,
+        executionArn: status.executionArn || null,
+        failedAt: status.finishedAt || status.updatedAt
+      }
+    };
+  }
+
+  // Finished, but the receipt lookup above found nothing
+  if (state === PROCESSING_STATES.COMPLETED) {
+    console.warn(`⚠️ Receipt ${receiptId} finished processing but was not saved`);
+    return notSavedResponse(receiptId, { executionArn: status.executionArn || null, processing });
+  }
+
+  // IN_REVIEW without a review queue entry: the review just ended
+  return {
+    success: true,
+    receiptId,
+    status: 'PROCESSING',
+    message: `Receipt processing in progress (${status.stage})`,
+    processing,
+    data: null,
+    metadata: {
+      receiptId,
+      timestamp: status.submittedAt,
+      executionArn: status.executionArn || null
+    }
+  };
+}
+
+function notSavedResponse(receiptId, { executionArn, processing = null }) {
+  return {
+    success: false,
+    receiptId,
+    status: 'FAILED',
+    message: 'Receipt processing finished but the receipt was not saved',
+    failedStage: 'dynamodb',
+    error: 'The receipt was not saved',
+    errorType: 'ReceiptNotSaved',
+    retryable: true,
+    processing,
+    data: null,
+    metadata: { receiptId, executionArn }
+  };
+}
+
+function toProcessingResponse(status) {
+  return {
+    state: status.state,
+    stage: status.stage,
+    submittedAt: status.submittedAt,
+    updatedAt: status.updatedAt,
+    finishedAt: status.finishedAt || null,
+    attemptCount: status.attemptCount || 0,
+    stages: describeStages(status),
+    reached: status.reached || {},
+    error: status.error || null
+  };
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+// Transform DynamoDB item to API response format with COMPLETE data
+function toReceiptResponse(item) {
+  const data = {
+    vendor: item.vendor || item.merchant,
+    merchant: item.vendor || item.merchant,
+    date: item.date,
+    time: item.time || null,
+    total: item.totalFormatted || item.total,
+    subtotal: item.subtotalFormatted || item.subtotal,
+    tax: item.taxFormatted || item.tax,
+    tip: item.tipFormatted || item.tip || '0.00',
+    fees: item.feesFormatted || item.fees || '0.00',
+    currency: item.currency || 'USD',
+    homeCurrency: item.homeCurrency || item.currency || 'USD',
+    homeTotal: item.homeTotalFormatted ?? null,
+    exchangeRate: item.exchangeRate ?? null,
+    exchangeRateDate: item.exchangeRateDate ?? null,
+    items: (item.items || []).map(dbItem => ({
+      kind: dbItem.kind || 'item',
+      name: dbItem.name,
+      price: dbItem.priceFormatted || dbItem.price,
+      quantity: dbItem.quantityFormatted || dbItem.quantity,
+      lineTotal: dbItem.lineTotalFormatted || dbItem.lineTotal,
+      confidence: dbItem.confidence ?? null,
+      provenance: dbItem.provenance || null,
+      fieldConfidence: dbItem.fieldConfidence || null,
+      conflict: dbItem.conflict || false
+    })),
+    itemCount: item.itemCount || 0,
+    totalItems: item.totalItems || 0,
+    confidence: item.confidence || 0.85,
+    category: item.category || 'Other',
+    reconciliation: item.reconciliation || null,
+    fieldConfidence: item.fieldConfidence || null,
+    duplicates: item.duplicates || [],
+    duplicateStatus: item.duplicateStatus || null
+  };
+
+  const metadata = {
+    receiptId: item.receiptId,
+    timestamp: item.timestamp,
+    processingMethod: item.processingMethod || 'textract-bedrock-nova',
+    modelProvider: item.modelProvider || 'nova-lite',
+    confidence: Math.round((item.confidence || 0.85) * 100),
+    category: item.category || 'Other',
+    s3Location: item.s3Location || '',
+    isValid: item.isValid !== false,
+    dateResolution: item.dateResolution || null,
+    hasDiscrepancies: item.hasDiscrepancies === true,
+    review: item.review || null,
+    hasItems: (item.items || []).length > 0,
+    revision: item.revision || 1,
+    updatedAt: item.updatedAt,
+    parentReceiptId: item.parentReceiptId
+  };
+
+  return { data, metadata };
+}
+
+// Latest record of each child receipt; children erased since are skipped
+async function getGroupReceipts(childReceiptIds) {
+  const receipts = [];
+
+  for (const childReceiptId of childReceiptIds) {
+    const result = await docClient.send(new QueryCommand({
+      TableName: RECEIPTS_TABLE,
+      KeyConditionExpression: 'receiptId = :receiptId',
+      ExpressionAttributeValues: {
+        ':receiptId': childReceiptId
+      },
+      ScanIndexForward: false,
+      Limit: 1
+    }));
+
+    if (result.Items && result.Items.length > 0) {
+      receipts.push({ receiptId: childReceiptId, ...toReceiptResponse(result.Items[0]) });
+    }
+  }
+
+  return receipts;
+}
@@ -0,0 +1,119 @@
+// Fixture tests for the accounting exports: the receipts in
+// fixtures/accounting/receipts.json are written in every format and compared
+// with the expected.* files next to them. Regenerate those only after
+// checking the new output imports into the accounting system.
+process.env.HOME_CURRENCY = 'USD';
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { ACCOUNTING_FORMATS, loadAccountMapping, mapCategory, createAccountingWriter } = require("../accounting-export");
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'accounting');
+const NOW = new Date('2024-04-01T12:00:00Z');
+
+const receipts = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'receipts.json'), 'utf8'));
+const mapping = loadAccountMapping(path.join(FIXTURES, 'chart-of-accounts.json'));
+
+async function exportReceipts(format) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const writer = createAccountingWriter(format, output, { mapping, now: NOW });
+  let transactions = 0;
+  for (const receipt of receipts) {
+    transactions += await writer.addReceipt(receipt);
+  }
+  await writer.finish();
+  await ended;
+
+  return { text: Buffer.concat(chunks).toString('utf8'), transactions };
+}
+
+function expected(fileName) {
+  return fs.readFileSync(path.join(FIXTURES, fileName), 'utf8');
+}
+
+const EXPECTED_FILES = { iif: 'expected.iif', qbo: 'expected.qbo', ofx: 'expected.ofx', xero: 'expected.xero.csv' };
+
+for (const [format, fileName] of Object.entries(EXPECTED_FILES)) {
+  test(`${format} export matches ${fileName}`, async () => {
+    const { text, transactions } = await exportReceipts(format);
+    assert.strictEqual(text, expected(fileName));
+    assert.strictEqual(transactions, receipts.length);
+  });
+}
+
+test('every accounting format has a fixture', () => {
+  assert.deepStrictEqual(Object.keys(ACCOUNTING_FORMATS).sort(), Object.keys(EXPECTED_FILES).sort());
+});
+
+test('iif transactions balance', async () => {
+  const { text } = await exportReceipts('iif');
+  const amounts = text.split('\r\n')
+    .filter(line => /^(TRNS|SPL)\t/.test(line))
+    .map(line => Number(line.split('\t')[6]));
+  const sum = amounts.reduce((total, amount) => total + Math.round(amount * 100), 0);
+  assert.strictEqual(sum, 0);
+});
+
+test('qbo differs from ofx only by the Intuit bank id', async () => {
+  const qbo = (await exportReceipts('qbo')).text;
+  const ofx = (await exportReceipts('ofx')).text;
+  assert.strictEqual(qbo.replace('<INTU.BID>3000\r\n', ''), ofx);
+});
+
+test('foreign receipts without an exchange rate are not booked in the home currency', async () => {
+  const unconverted = { ...receipts[2], receiptId: 'rcpt-0006', homeCurrency: null, homeTotalFormatted: null };
+
+  for (const format of ['iif', 'qbo', 'ofx']) {
+    const writer = createAccountingWriter(format, new PassThrough(), { mapping, now: NOW });
+    assert.strictEqual(await writer.addReceipt(unconverted), 0, format);
+    assert.strictEqual(await writer.addReceipt(receipts[2]), 1, format);
+    assert.strictEqual(writer.skippedCount(), 1, format);
+  }
+
+  // Xero bills are in the receipt currency
+  const xero = createAccountingWriter('xero', new PassThrough(), { mapping });
+  assert.strictEqual(await xero.addReceipt(unconverted), 1);
+  assert.strictEqual(xero.skippedCount(), 0);
+});
+
+test('xero text that looks like a formula is not evaluated', async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+
+  const writer = createAccountingWriter('xero', output, { mapping });
+  await writer.addReceipt({ ...receipts[4], vendor: '=HYPERLINK("http://x","y")' });
+  await writer.finish();
+
+  const line = Buffer.concat(chunks).toString('utf8').split('\r\n')[1];
+  assert.ok(line.startsWith(`"'=HYPERLINK(""http://x"",""y"")",`));
+  assert.match(line, /,1,-12\.99,/);
+});
+
+test('unmapped categories use the default account', () => {
+  assert.deepStrictEqual(mapCategory(mapping, 'Parking'), mapping.defaultAccount);
+  assert.strictEqual(mapCategory(mapping, 'Retail').name, 'Office Supplies');
+});
+
+test('the bundled chart of accounts maps every receipt category', () => {
+  const bundled = loadAccountMapping();
+  ['Grocery', 'Restaurant', 'Gas', 'Retail', 'Other'].forEach(category => {
+    assert.ok(bundled.categories[category], `${category} is not mapped`);
+  });
+});
+
+test('mappings without a payment account are rejected', () => {
+  const file = path.join(FIXTURES, 'receipts.json');
+  assert.throws(() => loadAccountMapping(file), /needs paymentAccount.name/);
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => createAccountingWriter('qif', new PassThrough(), { mapping }), /Unknown accounting format 'qif'/);
+});
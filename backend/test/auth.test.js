@@ -0,0 +1,108 @@
+// Tokens are signed with a key generated here and verified against a local
+// key set passed through JWKS_JSON, so no issuer is contacted.
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+const ISSUER = 'https://issuer.example.com';
+const AUDIENCE = 'snaptally-web';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.JWKS_JSON = JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+
+const { AuthError, verifyToken, claimsToIdentity } = require("../auth");
+
+const NOW = 1700000000;
+const options = { issuer: ISSUER, audience: AUDIENCE, now: NOW };
+
+function signToken(claims, { kid = 'key-1', key = privateKey } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), key).toString('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+function validClaims(overrides = {}) {
+  return {
+    sub: 'user-1',
+    iss: ISSUER,
+    aud: AUDIENCE,
+    exp: NOW + 3600,
+    email: 'ana@example.com',
+    email_verified: true,
+    'custom:organizationId': 'org-1',
+    'cognito:groups': ['reviewer'],
+    ...overrides
+  };
+}
+
+async function rejects(token, message) {
+  await assert.rejects(verifyToken(token, options), error => error instanceof AuthError && error.message === message);
+}
+
+test('accepts a token signed with a key of the key set', async () => {
+  const claims = await verifyToken(signToken(validClaims()), options);
+
+  assert.deepStrictEqual(claimsToIdentity(claims), {
+    userId: 'user-1',
+    organizationId: 'org-1',
+    email: 'ana@example.com',
+    emailVerified: true,
+    groups: ['reviewer']
+  });
+});
+
+test('accepts a Cognito access token by its client_id', async () => {
+  const claims = await verifyToken(signToken(validClaims({ aud: undefined, client_id: AUDIENCE })), options);
+  assert.strictEqual(claims.sub, 'user-1');
+});
+
+test('rejects expired tokens beyond the clock skew', async () => {
+  await verifyToken(signToken(validClaims({ exp: NOW - 30 })), options);
+  await rejects(signToken(validClaims({ exp: NOW - 120 })), 'Token expired');
+  await rejects(signToken(validClaims({ exp: undefined })), 'Token expired');
+});
+
+test('rejects tokens of another issuer or audience', async () => {
+  await rejects(signToken(validClaims({ iss: 'https://evil.example.com' })), 'Token issuer mismatch');
+  await rejects(signToken(validClaims({ aud: 'another-app' })), 'Token audience mismatch');
+});
+
+test('rejects tokens of an unknown key or with a bad signature', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await rejects(signToken(validClaims(), { kid: 'key-2' }), 'Token signed with an unknown key');
+  await rejects(signToken(validClaims(), { key: otherKey }), 'Invalid token signature');
+});
+
+test('rejects malformed tokens and unsupported algorithms', async () => {
+  await rejects('not-a-token', 'Malformed token');
+  await rejects(undefined, 'Missing token');
+
+  const [, payload, signature] = signToken(validClaims()).split('.');
+  const header = Buffer.from(JSON.stringify({ alg: 'none', kid: 'key-1' })).toString('base64url');
+  await rejects(`${header}.${payload}.${signature}`, 'Unsupported token algorithm: none');
+});
+
+test('refetches a remote key set for unknown kids at most once a minute', async (t) => {
+  const localKeySet = process.env.JWKS_JSON;
+  delete process.env.JWKS_JSON;
+  process.env.JWKS_URL = 'https://issuer.example.com/jwks.json';
+  let fetches = 0;
+  t.mock.method(global, 'fetch', async () => {
+    fetches++;
+    return { ok: true, json: async () => JSON.parse(localKeySet) };
+  });
+  t.after(() => {
+    process.env.JWKS_JSON = localKeySet;
+    delete process.env.JWKS_URL;
+  });
+
+  await verifyToken(signToken(validClaims()), options);
+  for (const kid of ['forged-1', 'forged-2', 'forged-3']) {
+    await rejects(signToken(validClaims(), { kid }), 'Token signed with an unknown key');
+  }
+
+  // The first load and a single forced refresh
+  assert.strictEqual(fetches, 2);
+});
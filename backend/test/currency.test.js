@@ -0,0 +1,48 @@
+// Tests for the evidence order of detectCurrency: Textract code, printed ISO
+// code, unique symbol, ambiguous symbol plus locale cue, model answer and
+// finally the home currency.
+process.env.HOME_CURRENCY = 'USD';
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { detectCurrency } = require("../currency");
+
+test('a Textract currency code wins over the text', () => {
+  assert.deepStrictEqual(
+    detectCurrency({ textractCurrencyCodes: ['xyz', 'gbp'], rawText: 'TOTAL EUR 12,50', modelCurrency: 'USD' }),
+    { currency: 'GBP', source: 'textract' }
+  );
+});
+
+test('an ISO code next to an amount wins over symbols', () => {
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Total € 12,50\nTOTAL CHF 12.50' }), { currency: 'CHF', source: 'code' });
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Summe 12,50 EUR' }), { currency: 'EUR', source: 'code' });
+});
+
+test('a symbol of one currency wins over locale cues', () => {
+  assert.deepStrictEqual(detectCurrency({ rawText: 'London\nTotal £4.20' }), { currency: 'GBP', source: 'symbol' });
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Toronto\nTotal C$4.20', modelCurrency: 'USD' }), { currency: 'CAD', source: 'symbol' });
+});
+
+test('an ambiguous symbol is settled by a locale cue before the model', () => {
+  assert.deepStrictEqual(
+    detectCurrency({ rawText: 'GST incl\nTotal $12.00', modelCurrency: 'USD' }),
+    { currency: 'AUD', source: 'locale' }
+  );
+});
+
+test('the model answer comes before the bare symbol guesses', () => {
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Total $12.00', modelCurrency: 'cad' }), { currency: 'CAD', source: 'model' });
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Total $12.00', modelCurrency: 'XXX' }), { currency: 'USD', source: 'symbol' });
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Total ¥1200' }), { currency: 'JPY', source: 'symbol' });
+});
+
+test('a locale cue alone is used after the model', () => {
+  assert.deepStrictEqual(detectCurrency({ rawText: 'MwSt 19%', modelCurrency: 'GBP' }), { currency: 'GBP', source: 'model' });
+  assert.deepStrictEqual(detectCurrency({ rawText: 'MwSt 19%' }), { currency: 'EUR', source: 'locale' });
+});
+
+test('without evidence the home currency is assumed', () => {
+  assert.deepStrictEqual(detectCurrency({ rawText: 'Total 12.00' }), { currency: 'USD', source: 'default' });
+  assert.deepStrictEqual(detectCurrency(), { currency: 'USD', source: 'default' });
+});
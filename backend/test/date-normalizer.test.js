@@ -0,0 +1,97 @@
+// Tests for the receipt date resolution order: text evidence, separator,
+// locale hint, model agreement and the home currency's default order.
+process.env.HOME_CURRENCY = 'USD';
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeReceiptDate, checkDateWindow, extractTime } = require("../date-normalizer");
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+
+test('ISO and month name dates are read as printed', () => {
+  assert.strictEqual(normalizeReceiptDate({ printedDate: '2024-03-04', now: NOW }).date, '2024-03-04');
+
+  const named = normalizeReceiptDate({ printedDate: '4 Mar 2024', now: NOW });
+  assert.strictEqual(named.date, '2024-03-04');
+  assert.strictEqual(named.dateResolution.method, 'month-name');
+});
+
+test('dates with only one valid reading are unambiguous', () => {
+  const result = normalizeReceiptDate({ printedDate: '25/03/2024', now: NOW });
+  assert.strictEqual(result.date, '2024-03-25');
+  assert.strictEqual(result.dateResolution.method, 'unambiguous');
+});
+
+test('another date on the receipt settles the order', () => {
+  const result = normalizeReceiptDate({
+    printedDate: '03/04/2024',
+    rawText: 'Member since 25/01/2020\nDate 03/04/2024',
+    currency: 'USD',
+    now: NOW
+  });
+  assert.strictEqual(result.date, '2024-04-03');
+  assert.strictEqual(result.dateResolution.method, 'text-evidence');
+});
+
+test('dotted dates are day first', () => {
+  const result = normalizeReceiptDate({ printedDate: '03.04.2024', currency: 'USD', now: NOW });
+  assert.strictEqual(result.date, '2024-04-03');
+  assert.strictEqual(result.dateResolution.method, 'separator');
+});
+
+test('an address beats the currency as locale hint', () => {
+  const result = normalizeReceiptDate({
+    printedDate: '03/04/2024',
+    rawText: '10 Downing St\nLondon SW1A 2AA',
+    currency: 'USD',
+    now: NOW
+  });
+  assert.strictEqual(result.date, '2024-04-03');
+  assert.strictEqual(result.dateResolution.method, 'locale-hint');
+  assert.strictEqual(result.dateResolution.localeHint.reason, 'UK postcode');
+});
+
+test('the receipt currency is a locale hint', () => {
+  assert.strictEqual(normalizeReceiptDate({ printedDate: '03/04/2024', currency: 'EUR', now: NOW }).date, '2024-04-03');
+  assert.strictEqual(normalizeReceiptDate({ printedDate: '03/04/2024', currency: 'USD', now: NOW }).date, '2024-03-04');
+});
+
+test('without a hint the model answer picks the reading', () => {
+  const result = normalizeReceiptDate({ printedDate: '03/04/2024', modelDate: '2024-04-03', now: NOW });
+  assert.strictEqual(result.date, '2024-04-03');
+  assert.strictEqual(result.dateResolution.method, 'model-agreement');
+  assert.deepStrictEqual(result.dateResolution.alternatives, ['2024-03-04']);
+});
+
+test('the default order follows the home currency', () => {
+  const cases = [['USD', '2024-03-04'], ['EUR', '2024-04-03'], ['GBP', '2024-04-03'], ['JPY', '2024-03-04']];
+  for (const [homeCurrency, expected] of cases) {
+    const result = normalizeReceiptDate({ printedDate: '03/04/2024', homeCurrency, now: NOW });
+    assert.strictEqual(result.date, expected, homeCurrency);
+    assert.strictEqual(result.dateResolution.method, 'default-order');
+  }
+  assert.strictEqual(normalizeReceiptDate({ printedDate: '03/04/2024', now: NOW }).date, '2024-03-04');
+});
+
+test('readings outside the retention window are rejected', () => {
+  const result = normalizeReceiptDate({ printedDate: '01/07/2024', now: NOW });
+  assert.strictEqual(result.date, '2024-01-07');
+  assert.strictEqual(result.dateResolution.method, 'unambiguous');
+  assert.deepStrictEqual(result.dateResolution.rejected.map(entry => entry.value), ['2024-07-01']);
+
+  assert.match(checkDateWindow('2010-01-01', NOW), /retention window/);
+  assert.strictEqual(checkDateWindow('2024-06-02', NOW), null);
+});
+
+test('no plausible date falls back to the processing date', () => {
+  const result = normalizeReceiptDate({ printedDate: '01/01/1999', now: NOW });
+  assert.strictEqual(result.date, '2024-06-01');
+  assert.strictEqual(result.dateResolution.source, 'fallback');
+  assert.deepStrictEqual(result.dateResolution.rejected.map(entry => entry.order), ['DMY', 'MDY']);
+});
+
+test('the time next to the date is read in 24-hour time', () => {
+  assert.strictEqual(extractTime('Total 12.50\n03/04/2024 2:05 PM', '03/04/2024'), '14:05');
+  assert.strictEqual(extractTime('14h32', null), '14:32');
+  assert.strictEqual(extractTime('Total 12.50', null), null);
+});
@@ -0,0 +1,40 @@
+// Tests for the duplicate signals that need no table: vendor normalization,
+// card numbers, transaction fingerprints and image hash distance.
+const test = require("node:test");
+const assert = require("node:assert");
+const { hammingDistance, normalizeVendor, extractCardLast4, buildFingerprint } = require("../duplicates");
+
+test('vendor names are reduced to their first two words', () => {
+  assert.strictEqual(normalizeVendor('The Home Depot #4521'), 'home depot');
+  assert.strictEqual(normalizeVendor('CAFÉ NOIR LLC'), 'cafe noir');
+  assert.strictEqual(normalizeVendor('Walgreens Store No. 1234'), 'walgreens');
+  assert.strictEqual(normalizeVendor(null), '');
+});
+
+test('the card last 4 is read from masked numbers', () => {
+  assert.strictEqual(extractCardLast4('VISA **** 1234'), '1234');
+  assert.strictEqual(extractCardLast4('XXXX5678 APPROVED'), '5678');
+  assert.strictEqual(extractCardLast4('Card ending in 9012'), '9012');
+  assert.strictEqual(extractCardLast4('Total 1234.00'), null);
+});
+
+test('fingerprints combine vendor, date, cents and card', () => {
+  assert.strictEqual(
+    buildFingerprint({ vendor: 'The Home Depot #4521', date: '2024-03-15', total: '45.99', cardLast4: '1234' }),
+    'home depot|2024-03-15|4599|1234'
+  );
+  // Refunds match their purchase amount
+  assert.strictEqual(buildFingerprint({ vendor: 'Target', date: '2024-03-15', total: -12.5 }), 'target|2024-03-15|1250|');
+});
+
+test('receipts without vendor, date or total have no fingerprint', () => {
+  assert.strictEqual(buildFingerprint({ vendor: 'Unknown', date: '2024-03-15', total: '5.00' }), null);
+  assert.strictEqual(buildFingerprint({ vendor: 'Target', date: '15/03/2024', total: '5.00' }), null);
+  assert.strictEqual(buildFingerprint({ vendor: 'Target', date: '2024-03-15', total: '0.00' }), null);
+});
+
+test('hash distance counts the differing bits', () => {
+  assert.strictEqual(hammingDistance('ffffffffffffffff', 'ffffffffffffffff'), 0);
+  assert.strictEqual(hammingDistance('0000000000000000', '000000000000000f'), 4);
+  assert.strictEqual(hammingDistance('8000000000000000', '0000000000000001'), 2);
+});
@@ -0,0 +1,42 @@
+// Tests for sniffing uploads from their magic bytes, in particular the HEIF
+// brands shared with AVIF and PDF headers that do not start the file.
+const test = require("node:test");
+const assert = require("node:assert");
+const { sniffMediaType, describeUnsupported } = require("../media-type");
+
+// ftyp box: size, "ftyp", major brand, minor version, compatible brands
+function ftyp(majorBrand, compatibleBrands) {
+  const brands = [majorBrand, '\u0000\u0000\u0000\u0000', ...compatibleBrands].join('');
+  const box = Buffer.alloc(8 + brands.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write('ftyp', 4, 'ascii');
+  box.write(brands, 8, 'ascii');
+  return Buffer.concat([box, Buffer.alloc(16)]);
+}
+
+test('images are recognised by their signatures', () => {
+  assert.strictEqual(sniffMediaType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0])), 'image/jpeg');
+  assert.strictEqual(sniffMediaType(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0])), 'image/png');
+  assert.strictEqual(sniffMediaType(Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 ', 'binary')), 'image/webp');
+});
+
+test('HEIC is recognised by an HEVC brand', () => {
+  assert.strictEqual(sniffMediaType(ftyp('heic', ['mif1', 'heic'])), 'image/heic');
+  assert.strictEqual(sniffMediaType(ftyp('mif1', ['mif1', 'heic'])), 'image/heic');
+});
+
+test('AVIF is not taken for HEIC', () => {
+  assert.strictEqual(sniffMediaType(ftyp('avif', ['avif', 'mif1', 'miaf'])), null);
+  assert.strictEqual(sniffMediaType(ftyp('mif1', ['mif1', 'avif', 'miaf'])), null);
+  assert.strictEqual(describeUnsupported(ftyp('avif', ['mif1'])), 'ftyp/avif');
+});
+
+test('PDFs start with their header', () => {
+  assert.strictEqual(sniffMediaType(Buffer.from('%PDF-1.7\n%âãÏÓ\n')), 'application/pdf');
+  assert.strictEqual(sniffMediaType(Buffer.from('\uFEFF\r\n%PDF-1.4\n')), 'application/pdf');
+});
+
+test('a PDF header inside another file is ignored', () => {
+  assert.strictEqual(sniffMediaType(Buffer.from('<html><body>%PDF-1.4</body></html>')), null);
+  assert.strictEqual(sniffMediaType(Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(10), Buffer.from('%PDF-1.4')])), null);
+});
@@ -0,0 +1,78 @@
+// The mock provider stands in for the model in local runs, so its answers
+// must pass the extraction schema as they are, without repair retries. The
+// deployment decides which providers requests may pick and which models the
+// Bedrock Lambda may invoke.
+const test = require("node:test");
+const assert = require("node:assert");
+const { getModelProvider } = require("../model-providers");
+const { parseExtraction, cleanPrice } = require("../extraction-schema");
+const { getAllowedProviders, bedrockModelArns } = require("../model-config");
+
+const textractResult = {
+  summaryFields: {
+    vendor_name: 'Green Valley Market',
+    invoice_receipt_date: '03/14/2024',
+    total: '$12.50',
+    subtotal: '$11.70',
+    tax: 'USD 0.80',
+    gratuity: '1,00 €'
+  },
+  lineItems: [
+    { item: 'Bananas', price: '$3.20', quantity: '2' },
+    { description: 'Coupon', amount: '(1.00)', quantity: '1 ea' },
+    { item: 'Bread', price: '9.50' }
+  ]
+};
+
+test('mock provider answers pass the extraction schema', async () => {
+  const provider = getModelProvider('mock');
+  const { text } = await provider.invoke({ prompt: '', image: null, textractResult });
+  const { data, errors } = parseExtraction(text);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(data.total, '12.50');
+  assert.strictEqual(data.tax, '0.80');
+  assert.strictEqual(data.tip, '1.00');
+  assert.strictEqual(data.fees, '0.00');
+  assert.deepStrictEqual(data.items.map(item => [item.price, item.quantity]), [['3.20', '2'], ['-1.00', '1'], ['9.50', '1']]);
+});
+
+test('mock provider answers pass the schema without Textract data', async () => {
+  const provider = getModelProvider('mock');
+  const { text } = await provider.invoke({ prompt: '', image: null, textractResult: {} });
+
+  assert.deepStrictEqual(parseExtraction(text).errors, []);
+});
+
+test('cleanPrice reads printed amounts and credits', () => {
+  assert.strictEqual(cleanPrice('$1,234.56'), '1234.56');
+  assert.strictEqual(cleanPrice('1.234,56'), '1234.56');
+  assert.strictEqual(cleanPrice('2.00-'), '-2.00');
+  assert.strictEqual(cleanPrice('2.00 CR'), '-2.00');
+  assert.strictEqual(cleanPrice(''), '0.00');
+  assert.strictEqual(cleanPrice('n/a'), '0.00');
+});
+
+test('the mock provider is only offered outside Lambda', () => {
+  assert.deepStrictEqual(getAllowedProviders({}), ['nova-lite', 'nova-pro', 'claude-sonnet', 'claude-haiku', 'mock']);
+  assert.deepStrictEqual(getAllowedProviders({ AWS_LAMBDA_FUNCTION_NAME: 'fn' }), ['nova-lite', 'nova-pro', 'claude-sonnet', 'claude-haiku']);
+  assert.deepStrictEqual(
+    getAllowedProviders({ AWS_LAMBDA_FUNCTION_NAME: 'fn', ALLOWED_MODEL_PROVIDERS: 'nova-lite, mock,unknown' }),
+    ['nova-lite']
+  );
+});
+
+test('inference profiles are granted with the models they route to', () => {
+  const env = { region: 'us-east-1', account: '123456789012' };
+  assert.deepStrictEqual(bedrockModelArns('amazon.nova-lite-v1:0', env), [
+    'arn:aws:bedrock:us-east-1::foundation-model/amazon.nova-lite-v1:0'
+  ]);
+  assert.deepStrictEqual(bedrockModelArns('us.anthropic.claude-3-haiku-20240307-v1:0', env), [
+    'arn:aws:bedrock:us-east-1:123456789012:inference-profile/us.anthropic.claude-3-haiku-20240307-v1:0',
+    'arn:aws:bedrock:*::foundation-model/anthropic.claude-3-haiku-20240307-v1:0'
+  ]);
+  assert.deepStrictEqual(bedrockModelArns('arn:aws:bedrock:us-east-1:123456789012:inference-profile/eu.amazon.nova-pro-v1:0', env), [
+    'arn:aws:bedrock:us-east-1:123456789012:inference-profile/eu.amazon.nova-pro-v1:0',
+    'arn:aws:bedrock:*::foundation-model/amazon.nova-pro-v1:0'
+  ]);
+});
@@ -0,0 +1,84 @@
+// Tests for the arithmetic checks on a receipt: tolerances and the signed
+// discount, coupon, tip and fee lines.
+const test = require("node:test");
+const assert = require("node:assert");
+const { reconcileReceipt, applyReconciliationPenalty } = require("../reconciliation");
+
+const line = (lineTotal, kind = 'item') => ({ kind, lineTotal });
+
+test('a receipt that adds up is reconciled', () => {
+  const result = reconcileReceipt({
+    items: [line('4.00'), line('6.00')],
+    subtotal: '10.00', tax: '0.80', total: '10.80'
+  });
+  assert.strictEqual(result.status, 'reconciled');
+  assert.deepStrictEqual(result.checks.map(check => check.code), ['ITEMS_SUBTOTAL_MISMATCH', 'TOTAL_MISMATCH']);
+  assert.ok(result.checks.every(check => check.passed));
+});
+
+test('discount and coupon lines are subtracted from the items', () => {
+  const result = reconcileReceipt({
+    items: [line('10.00'), line('5.00'), line('-2.00', 'discount'), line('-1.50', 'coupon')],
+    subtotal: '11.50', total: '11.50'
+  });
+  assert.strictEqual(result.status, 'reconciled');
+  assert.strictEqual(result.itemsSum, 11.5);
+});
+
+test('tip and fee lines stand in for missing summary amounts', () => {
+  const result = reconcileReceipt({
+    items: [line('20.00'), line('3.00', 'tip'), line('1.00', 'service_fee'), line('0.02', 'rounding')],
+    subtotal: '20.00', tax: '1.60', total: '25.62'
+  });
+  assert.strictEqual(result.status, 'reconciled');
+  assert.deepStrictEqual(result.adjustments, { tip: 3, fees: 1, rounding: 0.02 });
+});
+
+test('item sums get a cent of tolerance per line', () => {
+  const items = [line('1.00'), line('1.00'), line('1.00')];
+  // 0.02 base + 3 lines * 0.01
+  assert.strictEqual(reconcileReceipt({ items, subtotal: '3.05' }).status, 'reconciled');
+
+  const off = reconcileReceipt({ items, subtotal: '3.06' });
+  assert.strictEqual(off.status, 'discrepancies');
+  assert.strictEqual(off.findings[0].code, 'ITEMS_SUBTOTAL_MISMATCH');
+  assert.strictEqual(off.findings[0].severity, 'warning');
+  assert.strictEqual(off.findings[0].difference, 0.06);
+});
+
+test('the total only gets the base tolerance', () => {
+  assert.strictEqual(reconcileReceipt({ subtotal: '10.00', tax: '1.00', total: '11.02' }).status, 'reconciled');
+
+  const result = reconcileReceipt({ subtotal: '10.00', tax: '1.00', total: '11.03' });
+  assert.strictEqual(result.status, 'discrepancies');
+  assert.deepStrictEqual(result.findings.map(finding => [finding.code, finding.severity]), [['TOTAL_MISMATCH', 'error']]);
+  assert.match(result.findings[0].message, /\(\+0\.03\)/);
+});
+
+test('without a subtotal the lines are checked against the total', () => {
+  const result = reconcileReceipt({ items: [line('8.00'), line('-1.00', 'discount')], tax: '0.50', total: '8.00' });
+  assert.strictEqual(result.status, 'discrepancies');
+  assert.strictEqual(result.findings[0].code, 'ITEMS_TOTAL_MISMATCH');
+  assert.strictEqual(result.findings[0].expected, 7.5);
+});
+
+test('receipts without amounts to compare have insufficient data', () => {
+  assert.strictEqual(reconcileReceipt({ items: [line('5.00')] }).status, 'insufficient-data');
+  assert.strictEqual(reconcileReceipt({ total: '5.00' }).status, 'insufficient-data');
+});
+
+test('every failed check lowers the confidence down to a floor', () => {
+  const findings = [{ severity: 'error' }, { severity: 'warning' }];
+  assert.strictEqual(applyReconciliationPenalty(0.9, { findings }), 0.7);
+  assert.strictEqual(applyReconciliationPenalty(0.9, { findings: [] }), 0.9);
+  assert.strictEqual(applyReconciliationPenalty(0.2, { findings }), 0.1);
+});
+
+test('deposits count toward the subtotal and not the fees', () => {
+  const result = reconcileReceipt({
+    items: [line('2.00'), line('0.10', 'deposit')],
+    subtotal: '2.10', tax: '0.20', fees: '0.00', total: '2.30'
+  });
+  assert.strictEqual(result.status, 'reconciled');
+  assert.strictEqual(result.itemsSum, 2.1);
+});
@@ -0,0 +1,30 @@
+// Tests for the reasons a parsed receipt is held for human review.
+process.env.HOME_CURRENCY = 'USD';
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { assessReview } = require("../review");
+
+const parsedData = {
+  merchant: 'Corner Shop',
+  total: '2.30', subtotal: '2.10', tax: '0.20', currency: 'USD',
+  items: [{ kind: 'item', name: 'Water', price: '2.00', quantity: '1' }, { kind: 'deposit', name: 'Deposit', price: '0.10', quantity: '1' }]
+};
+
+test('a receipt dated from its printed date is not held for the date', () => {
+  const review = assessReview({
+    receiptId: 'r1',
+    parsedData: { ...parsedData, date: '2024-03-04', dateResolution: { source: 'textract', method: 'unambiguous' } }
+  });
+  assert.ok(!review.reasons.some(reason => reason.code === 'DATE_REJECTED'));
+});
+
+test('a receipt that fell back to the processing date is held for review', () => {
+  const review = assessReview({
+    receiptId: 'r1',
+    parsedData: { ...parsedData, date: '2024-06-01', dateResolution: { source: 'fallback', method: 'processing-date', printed: '01/01/1999' } }
+  });
+  assert.strictEqual(review.required, true);
+  const reason = review.reasons.find(entry => entry.code === 'DATE_REJECTED');
+  assert.match(reason.message, /"01\/01\/1999".*2024-06-01/);
+});
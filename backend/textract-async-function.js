@@ -0,0 +1,160 @@
+const { TextractClient, StartExpenseAnalysisCommand, GetExpenseAnalysisCommand } = require("@aws-sdk/client-textract");
+const { mergeExpenseDocuments, linesToText, buildTextractResult } = require("./textract-parsing");
+const { FatalError, classifyError } = require("./pipeline-errors");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { recordStageStart } = require("./processing-status");
+
+// Initialize AWS clients
+const textract = new TextractClient({ region: 'us-east-1' });
+
+// The state machine waits between polls, so this caps the total wait
+const MAX_POLLS = parseInt(process.env.TEXTRACT_MAX_POLLS || '60', 10);
+// Keeps the Step Functions payload well under its 256 KB limit
+const MAX_RAW_TEXT_CHARS = 100000;
+
+// Multi-page PDFs (hotel folios, order confirmations, invoices) cannot go
+// through the synchronous AnalyzeExpense call, so the state machine runs:
+//   StartPdfExpenseAnalysis -> [Wait -> PollPdfExpenseAnalysis]* -> Bedrock
+// Both handlers return status TEXTRACT_IN_PROGRESS while the job runs and the
+// same output as textract-function.js once it has finished, and throw typed
+// errors (pipeline-errors.js) when the job cannot be started or fails.
+
+exports.startHandler = async (event) => {
+  try {
+    const { receiptId, s3Bucket, s3Key } = event;
+
+    if (!receiptId || !s3Bucket || !s3Key) {
+      throw new Error('Missing required parameters: receiptId, s3Bucket, or s3Key');
+    }
+    // Polls are not counted as attempts, the job runs once
+    await recordStageStart(event, 'textract-pdf');
+
+    console.log(`Starting Textract StartExpenseAnalysis for receipt ${receiptId}: ${s3Bucket}/${s3Key}`);
+
+    // The receipt ID as client token makes a retried start return the same job
+    const result = await textract.send(new StartExpenseAnalysisCommand({
+      DocumentLocation: {
+        S3Object: {
+          Bucket: s3Bucket,
+          Name: s3Key
+        }
+      },
+      ClientRequestToken: receiptId.replace(/[^a-zA-Z0-9-_]/g, '').substring(0, 64),
+      JobTag: 'snaptally-receipt'
+    }));
+
+    console.log(`✅ Textract expense analysis job started: ${result.JobId}`);
+
+    return {
+      ...event,
+      textractJob: {
+        jobId: result.JobId,
+        startedAt: new Date().toISOString(),
+        polls: 0
+      },
+      status: 'TEXTRACT_IN_PROGRESS'
+    };
+
+  } catch (error) {
+    console.error('❌ Textract StartExpenseAnalysis failed:', error);
+    throw classifyError(error, 'textract-pdf');
+  }
+};
+
+exports.pollHandler = async (event) => {
+  try {
+    const { receiptId, s3Bucket, s3Key, timestamp, textractJob } = event;
+
+    if (!textractJob || !textractJob.jobId) {
+      throw new Error('Missing required parameter: textractJob.jobId');
+    }
+
+    const polls = (textractJob.polls || 0) + 1;
+    console.log(`Polling Textract job ${textractJob.jobId} for receipt ${receiptId} (attempt ${polls})`);
+
+    const pages = await getAllResultPages(textractJob.jobId);
+    const jobStatus = pages[0].JobStatus;
+
+    if (jobStatus === 'IN_PROGRESS') {
+      if (polls >= MAX_POLLS) {
+        throw new FatalError(`Textract job ${textractJob.jobId} still running after ${polls} polls`, { stage: 'textract-pdf' });
+      }
+      return {
+        ...event,
+        textractJob: { ...textractJob, polls },
+        status: 'TEXTRACT_IN_PROGRESS'
+      };
+    }
+
+    if (jobStatus === 'FAILED') {
+      throw new FatalError(`Textract job ${textractJob.jobId} failed: ${pages[0].StatusMessage || 'no reason given'}`, { stage: 'textract-pdf' });
+    }
+
+    if (jobStatus === 'PARTIAL_SUCCESS') {
+      console.warn(`⚠️ Textract job ${textractJob.jobId} only partially succeeded:`, JSON.stringify(pages[0].Warnings || []));
+    }
+
+    // Every page of the PDF comes back as one or more expense documents
+    const expenseDocs = pages.flatMap(page => page.ExpenseDocuments || []);
+    const parsed = mergeExpenseDocuments(expenseDocs);
+
+    let rawText = expenseDocs.map(expenseDoc => linesToText(expenseDoc.Blocks)).filter(Boolean).join('\n');
+    if (rawText.length > MAX_RAW_TEXT_CHARS) {
+      console.warn(`⚠️ Raw text truncated from ${rawText.length} to ${MAX_RAW_TEXT_CHARS} characters`);
+      rawText = rawText.substring(0, MAX_RAW_TEXT_CHARS);
+    }
+
+    const pageCount = pages[0].DocumentMetadata?.Pages || 0;
+
+    console.log(`✅ Textract expense analysis completed for receipt ${receiptId}`);
+    console.log(`   - Pages: ${pageCount}, expense documents: ${expenseDocs.length}`);
+    console.log(`   - Summary fields: ${Object.keys(parsed.summaryFields).length}`);
+    console.log(`   - Line items: ${parsed.lineItems.length}`);
+
+    await publishProgress(event, PROGRESS_STAGES.TEXTRACT_COMPLETED, { pageCount });
+
+    return {
+      receiptId,
+      textractResult: buildTextractResult(parsed, rawText, {
+        pageCount,
+        expenseDocumentCount: expenseDocs.length,
+        jobId: textractJob.jobId
+      }),
+      s3Bucket,
+      s3Key,
+      s3Location: `s3://${s3Bucket}/${s3Key}`,
+      mimeType: event.mimeType,
+      originalS3Key: s3Key,
+      originalMimeType: event.mimeType,
+      userId: event.userId,
+      organizationId: event.organizationId,
+      modelProvider: event.modelProvider,
+      status: 'TEXTRACT_COMPLETED',
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - new Date(timestamp).getTime()
+    };
+
+  } catch (error) {
+    console.error('❌ Textract expense analysis polling failed:', error);
+    throw classifyError(error, 'textract-pdf');
+  }
+};
+
+// GetExpenseAnalysis pages its results; while the job is running the first
+// page only carries the status.
+async function getAllResultPages(jobId) {
+  const pages = [];
+  let nextToken;
+
+  do {
+    const page = await textract.send(new GetExpenseAnalysisCommand({
+      JobId: jobId,
+      MaxResults: 20,
+      NextToken: nextToken
+    }));
+    pages.push(page);
+    nextToken = page.JobStatus === 'IN_PROGRESS' ? undefined : page.NextToken;
+  } while (nextToken);
+
+  return pages;
+}
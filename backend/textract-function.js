@@ -1,5 +1,20 @@
 const { TextractClient, AnalyzeExpenseCommand, DetectDocumentTextCommand } = require("@aws-sdk/client-textract");
-const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { S3Client, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const {
+  MEDIA_TYPES,
+  UnsupportedMediaTypeError,
+  sniffMediaType,
+  describeUnsupported,
+  getExtension,
+  convertHeicToJpeg,
+  toTextractBytes
+} = require("./media-type");
+const { mergeExpenseDocuments, linesToText, buildTextractResult } = require("./textract-parsing");
+const { isReceiptDocument, getDocumentBoundingBox, cropToBoundingBox } = require("./receipt-split");
+const { classifyError } = require("./pipeline-errors");
+const { computeImageHash } = require("./duplicates");
+const { PROGRESS_STAGES, publishProgress } = require("./progress");
+const { recordStageStart } = require("./processing-status");
 
 // Initialize AWS clients
 const textract = new TextractClient({ region: 'us-east-1' });
@@ -10,11 +25,12 @@ exports.handler = async (event) => {
     console.log('Textract Lambda received event:', JSON.stringify(event, null, 2));
 
     // Extract S3 information from event
-    const { receiptId, s3Bucket, s3Key, timestamp } = event;
+    const { receiptId, s3Bucket, s3Key, timestamp, userId, organizationId } = event;
 
     if (!receiptId || !s3Bucket || !s3Key) {
       throw new Error('Missing required parameters: receiptId, s3Bucket, or s3Key');
     }
+    await recordStageStart(event, 'textract');
 
     console.log(`Processing receipt ${receiptId} from S3: ${s3Bucket}/${s3Key}`);
 
@@ -40,100 +56,119 @@ exports.handler = async (event) => {
       
     } catch (s3Error) {
       console.error('❌ Failed to download image from S3:', s3Error);
-      throw new Error(`S3 download failed: ${s3Error.message}`);
+      throw classifyError(s3Error, 'textract');
     }
 
+    // Never trust the stored Content-Type, sniff the bytes again
+    const originalMimeType = sniffMediaType(imageBuffer);
+    if (!originalMimeType) {
+      throw new UnsupportedMediaTypeError(describeUnsupported(imageBuffer));
+    }
+
+    // HEIC is converted once and stored next to the original so every later
+    // stage (Bedrock, the UI) reads a format it understands
+    let mimeType = originalMimeType;
+    let workingKey = s3Key;
+    if (MEDIA_TYPES[originalMimeType].convertTo) {
+      mimeType = MEDIA_TYPES[originalMimeType].convertTo;
+      console.log(`Converting ${originalMimeType} to ${mimeType}...`);
+      imageBuffer = await convertHeicToJpeg(imageBuffer);
+      workingKey = `receipts/${receiptId}/converted.${getExtension(mimeType)}`;
+
+      await s3Client.send(new PutObjectCommand({
+        Bucket: s3Bucket,
+        Key: workingKey,
+        Body: imageBuffer,
+        ContentType: mimeType,
+        Metadata: {
+          receiptId: receiptId,
+          convertedFrom: s3Key
+        }
+      }));
+      console.log(`✅ Stored converted image: ${s3Bucket}/${workingKey} (${Math.round(imageBuffer.length / 1024)} KB)`);
+    }
+
+    const documentBytes = await toTextractBytes(imageBuffer, mimeType);
+    const imageHash = await hashImage(imageBuffer, receiptId);
+
     // Analyze expense using Textract
-    console.log('Starting Textract AnalyzeExpense...');
+    console.log(`Starting Textract AnalyzeExpense (${mimeType})...`);
     const command = new AnalyzeExpenseCommand({
       Document: {
-        Bytes: imageBuffer
+        Bytes: documentBytes
       }
     });
 
     const textractResult = await textract.send(command);
     console.log('✅ Textract AnalyzeExpense completed');
 
-    // Extract summary fields
-    const summaryFields = {};
-    const confidence = {};
-
-    if (textractResult.ExpenseDocuments && textractResult.ExpenseDocuments.length > 0) {
-      const expenseDoc = textractResult.ExpenseDocuments[0];
-      
-      // Extract summary fields (vendor, total, tax, etc.)
-      if (expenseDoc.SummaryFields) {
-        expenseDoc.SummaryFields.forEach(field => {
-          const fieldType = field.Type?.Text;
-          const fieldValue = field.ValueDetection?.Text;
-          const fieldConfidence = field.ValueDetection?.Confidence;
-          
-          if (fieldType && fieldValue) {
-            summaryFields[fieldType.toLowerCase()] = fieldValue;
-            confidence[fieldType.toLowerCase()] = fieldConfidence;
-          }
-        });
+    // Several receipts photographed together come back as several expense
+    // documents. Each one becomes its own child receipt.
+    const receiptDocs = (textractResult.ExpenseDocuments || []).filter(isReceiptDocument);
+    if (receiptDocs.length > 1) {
+      console.log(`Found ${receiptDocs.length} receipts in one image - splitting`);
+
+      const childReceipts = [];
+      for (const [index, expenseDoc] of receiptDocs.entries()) {
+        childReceipts.push(await createChildReceipt(event, expenseDoc, index, imageBuffer, {
+          s3Key: workingKey,
+          mimeType,
+          originalMimeType
+        }));
       }
-    }
 
-    // Extract line items
-    const lineItems = [];
-    if (textractResult.ExpenseDocuments && textractResult.ExpenseDocuments.length > 0) {
-      const expenseDoc = textractResult.ExpenseDocuments[0];
-      
-      if (expenseDoc.LineItemGroups) {
-        expenseDoc.LineItemGroups.forEach(group => {
-          if (group.LineItems) {
-            group.LineItems.forEach(item => {
-              const lineItem = {};
-              if (item.LineItemExpenseFields) {
-                item.LineItemExpenseFields.forEach(field => {
-                  const fieldType = field.Type?.Text;
-                  const fieldValue = field.ValueDetection?.Text;
-                  
-                  if (fieldType && fieldValue) {
-                    lineItem[fieldType.toLowerCase()] = fieldValue;
-                  }
-                });
-              }
-              if (Object.keys(lineItem).length > 0) {
-                lineItems.push(lineItem);
-              }
-            });
-          }
-        });
-      }
+      console.log(`✅ Textract processing completed for receipt group ${receiptId} (${childReceipts.length} receipts)`);
+      await publishProgress(event, PROGRESS_STAGES.TEXTRACT_COMPLETED, { receiptCount: childReceipts.length });
+
+      return {
+        receiptId,
+        childReceipts,
+        s3Bucket,
+        s3Key: workingKey,
+        s3Location: `s3://${s3Bucket}/${workingKey}`,
+        mimeType,
+        originalS3Key: s3Key,
+        originalMimeType,
+        userId,
+        organizationId,
+        modelProvider: event.modelProvider,
+        status: 'TEXTRACT_COMPLETED',
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - new Date(timestamp).getTime()
+      };
     }
 
+    // Extract summary fields and line items
+    const parsed = mergeExpenseDocuments(receiptDocs.length > 0 ? receiptDocs : (textractResult.ExpenseDocuments || []).slice(0, 1));
+    const { summaryFields, lineItems } = parsed;
+
     // Also get raw text for LLM processing
     console.log('Getting raw text with DetectDocumentText...');
     const detectCommand = new DetectDocumentTextCommand({
       Document: {
-        Bytes: imageBuffer
+        Bytes: documentBytes
       }
     });
 
     const detectResult = await textract.send(detectCommand);
-    const rawText = detectResult.Blocks
-      .filter(block => block.BlockType === 'LINE')
-      .map(block => block.Text)
-      .join('\n');
+    const rawText = linesToText(detectResult.Blocks);
 
     console.log('✅ Raw text extraction completed');
 
     // Prepare result
     const result = {
       receiptId,
-      textractResult: {
-        summaryFields,
-        lineItems,
-        rawText,
-        confidence: {
-          overall: Object.values(confidence).reduce((sum, conf) => sum + conf, 0) / Object.values(confidence).length || 0,
-          fields: confidence
-        }
-      },
-      s3Location: `s3://${s3Bucket}/${s3Key}`,
+      textractResult: buildTextractResult(parsed, rawText),
+      imageHash, // Perceptual hash for duplicate detection (see duplicates.js)
+      s3Bucket,
+      s3Key: workingKey,
+      s3Location: `s3://${s3Bucket}/${workingKey}`,
+      mimeType,
+      originalS3Key: s3Key,
+      originalMimeType,
+      userId,
+      organizationId,
+      modelProvider: event.modelProvider, // Extraction model chosen for this request
       status: 'TEXTRACT_COMPLETED',
       timestamp: new Date().toISOString(),
       processingTime: Date.now() - new Date(timestamp).getTime()
@@ -144,16 +179,73 @@ exports.handler = async (event) => {
     console.log(`   - Line items: ${lineItems.length}`);
     console.log(`   - Raw text length: ${rawText.length} characters`);
 
+    await publishProgress(event, PROGRESS_STAGES.TEXTRACT_COMPLETED, { receiptCount: 1 });
+
     return result;
 
   } catch (error) {
     console.error('❌ Textract processing failed:', error);
-    
-    return {
-      receiptId: event.receiptId || 'unknown',
-      status: 'TEXTRACT_FAILED',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
+
+    // Typed error for the state machine's Retry/Catch rules
+    throw classifyError(error, 'textract');
+  }
+};
+
+// Crops one receipt out of a multi-receipt photo and stores it under the
+// child's own receiptId, so the child can be viewed and erased on its own.
+// The id follows from the parent and the position of the receipt, so a
+// retried task overwrites the same crops instead of orphaning them.
+async function createChildReceipt(event, expenseDoc, index, imageBuffer, source) {
+  const childReceiptId = `${event.receiptId}-${index + 1}`;
+  const boundingBox = getDocumentBoundingBox(expenseDoc);
+  const cropBuffer = await cropToBoundingBox(imageBuffer, boundingBox);
+  const cropKey = `receipts/${childReceiptId}/crop.jpg`;
+
+  await s3Client.send(new PutObjectCommand({
+    Bucket: event.s3Bucket,
+    Key: cropKey,
+    Body: cropBuffer,
+    ContentType: 'image/jpeg',
+    Metadata: {
+      receiptId: childReceiptId,
+      parentReceiptId: event.receiptId,
+      userId: event.userId || 'anonymous',
+      croppedFrom: source.s3Key
+    }
+  }));
+
+  console.log(`   - Receipt ${index + 1}: ${childReceiptId} (${Math.round(cropBuffer.length / 1024)} KB crop)`);
+
+  const imageHash = await hashImage(cropBuffer, childReceiptId);
+
+  return {
+    receiptId: childReceiptId,
+    parentReceiptId: event.receiptId,
+    childIndex: index,
+    textractResult: buildTextractResult(mergeExpenseDocuments([expenseDoc]), linesToText(expenseDoc.Blocks), {
+      boundingBox
+    }),
+    imageHash,
+    s3Bucket: event.s3Bucket,
+    s3Key: cropKey,
+    s3Location: `s3://${event.s3Bucket}/${cropKey}`,
+    mimeType: 'image/jpeg',
+    originalS3Key: event.s3Key,
+    originalMimeType: source.originalMimeType,
+    userId: event.userId,
+    organizationId: event.organizationId,
+    modelProvider: event.modelProvider,
+    status: 'TEXTRACT_COMPLETED',
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Duplicate detection is best effort, an image sharp cannot read is still processed
+async function hashImage(imageBuffer, receiptId) {
+  try {
+    return await computeImageHash(imageBuffer);
+  } catch (error) {
+    console.warn(`⚠️ Could not hash image of receipt ${receiptId}: ${error.message}`);
+    return null;
   }
-};
\ No newline at end of file
+}
@@ -0,0 +1,120 @@
+// Turns Textract expense analysis output into the textractResult shape the
+// Bedrock step expects. Shared by the synchronous image path
+// (textract-function.js) and the asynchronous PDF path
+// (textract-async-function.js).
+
+// Summary fields (vendor, total, tax, etc.), their confidences and any
+// currency codes Textract recognised on amount fields
+function parseSummaryFields(expenseDoc) {
+  const summaryFields = {};
+  const confidence = {};
+  const currencyCodes = [];
+
+  (expenseDoc.SummaryFields || []).forEach(field => {
+    const fieldType = field.Type?.Text;
+    const fieldValue = field.ValueDetection?.Text;
+    const fieldConfidence = field.ValueDetection?.Confidence;
+
+    if (fieldType && fieldValue) {
+      summaryFields[fieldType.toLowerCase()] = fieldValue;
+      confidence[fieldType.toLowerCase()] = fieldConfidence;
+    }
+
+    if (field.Currency?.Code && !currencyCodes.includes(field.Currency.Code)) {
+      currencyCodes.push(field.Currency.Code);
+    }
+  });
+
+  return { summaryFields, confidence, currencyCodes };
+}
+
+// Line items and, at the same index, the confidence of each of their fields.
+// Confidences are kept apart so the line items sent to the model stay small.
+function parseLineItems(expenseDoc) {
+  const lineItems = [];
+  const confidence = [];
+
+  (expenseDoc.LineItemGroups || []).forEach(group => {
+    (group.LineItems || []).forEach(item => {
+      const lineItem = {};
+      const lineConfidence = {};
+      (item.LineItemExpenseFields || []).forEach(field => {
+        const fieldType = field.Type?.Text;
+        const fieldValue = field.ValueDetection?.Text;
+
+        if (fieldType && fieldValue) {
+          lineItem[fieldType.toLowerCase()] = fieldValue;
+          lineConfidence[fieldType.toLowerCase()] = field.ValueDetection?.Confidence;
+        }
+      });
+      if (Object.keys(lineItem).length > 0) {
+        lineItems.push(lineItem);
+        confidence.push(lineConfidence);
+      }
+    });
+  });
+
+  return { lineItems, confidence };
+}
+
+// Merges several expense documents (the pages of a PDF) into one result.
+// Line items are concatenated in page order; for summary fields found on
+// more than one page the most confident value wins.
+function mergeExpenseDocuments(expenseDocs) {
+  const summaryFields = {};
+  const confidence = {};
+  const lineItems = [];
+  const lineConfidence = [];
+  const currencyCodes = [];
+
+  expenseDocs.forEach(expenseDoc => {
+    const parsed = parseSummaryFields(expenseDoc);
+    parsed.currencyCodes.forEach(code => {
+      if (!currencyCodes.includes(code)) currencyCodes.push(code);
+    });
+    Object.keys(parsed.summaryFields).forEach(key => {
+      if (summaryFields[key] === undefined || (parsed.confidence[key] || 0) > (confidence[key] || 0)) {
+        summaryFields[key] = parsed.summaryFields[key];
+        confidence[key] = parsed.confidence[key];
+      }
+    });
+
+    const lines = parseLineItems(expenseDoc);
+    lineItems.push(...lines.lineItems);
+    lineConfidence.push(...lines.confidence);
+  });
+
+  return { summaryFields, lineItems, confidence, lineConfidence, currencyCodes };
+}
+
+function linesToText(blocks) {
+  return (blocks || [])
+    .filter(block => block.BlockType === 'LINE')
+    .map(block => block.Text)
+    .join('\n');
+}
+
+function buildTextractResult({ summaryFields, lineItems, confidence, lineConfidence, currencyCodes }, rawText, extra) {
+  const confidenceValues = Object.values(confidence);
+
+  return {
+    summaryFields,
+    lineItems,
+    rawText,
+    confidence: {
+      overall: confidenceValues.reduce((sum, conf) => sum + conf, 0) / confidenceValues.length || 0,
+      fields: confidence,
+      lineItems: lineConfidence || []
+    },
+    currencyCodes: currencyCodes || [],
+    ...extra
+  };
+}
+
+module.exports = {
+  parseSummaryFields,
+  parseLineItems,
+  mergeExpenseDocuments,
+  linesToText,
+  buildTextractResult
+};
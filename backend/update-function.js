@@ -0,0 +1,458 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, QueryCommand, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { LINE_KINDS, applyLineSign, buildReceiptItems, computeDerivedFields } = require("./receipt-record");
+const { getCallerIdentity } = require("./auth");
+const { isKnownCurrency, convertToHomeCurrency, toHomeCurrencyFields, HOME_CURRENCY } = require("./currency");
+const { applyReconciliationPenalty } = require("./reconciliation");
+const { checkDateWindow } = require("./date-normalizer");
+const { markManualFields, carryItemConfidence } = require("./field-confidence");
+const { buildFingerprint, updateDuplicateIndex } = require("./duplicates");
+
+// Initialize DynamoDB client
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const RECEIPTS_TABLE = process.env.RECEIPTS_TABLE || 'SnapTally-Receipts';
+
+// Top-level receipt fields a caller may edit directly
+const EDITABLE_AMOUNT_FIELDS = ['total', 'subtotal', 'tax', 'tip', 'fees'];
+const EDITABLE_TEXT_FIELDS = ['vendor', 'date', 'time', 'category', 'notes', 'currency'];
+
+// The revision history lives on the receipt item, which DynamoDB caps at
+// 400 KB: only the latest revisions are kept, within a size budget
+const MAX_REVISIONS = 20;
+const MAX_REVISIONS_BYTES = 64 * 1024;
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "PATCH, OPTIONS"
+};
+
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const receiptId = event.pathParameters?.receiptId;
+    if (!receiptId) {
+      return buildResponse(400, { success: false, error: "Receipt ID is required" });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return buildResponse(400, { success: false, error: "Request body must be valid JSON" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    const changedBy = identity.userId;
+    console.log(`Updating receipt ${receiptId} on behalf of ${changedBy}`);
+
+    const current = await getLatestReceipt(receiptId);
+    if (!current) {
+      return buildResponse(404, { success: false, error: "Receipt not found", receiptId });
+    }
+
+    if (current.userId !== identity.userId) {
+      console.warn(`🚫 User ${identity.userId} denied edit of receipt ${receiptId}`);
+      return buildResponse(403, { success: false, error: "Access denied", receiptId });
+    }
+
+    if (current.recordType === 'group') {
+      return buildResponse(400, {
+        success: false,
+        error: "Receipt groups cannot be edited",
+        details: "Edit the individual receipts listed in childReceiptIds",
+        childReceiptIds: current.childReceiptIds || []
+      });
+    }
+
+    if (current.recordType === 'failure') {
+      return buildResponse(400, {
+        success: false,
+        error: "Receipt processing failed, there is nothing to edit",
+        failedStage: current.failedStage
+      });
+    }
+
+    if (current.recordType === 'duplicate') {
+      return buildResponse(400, {
+        success: false,
+        error: "Receipt was rejected as a duplicate, there is nothing to edit",
+        duplicateOf: (current.duplicates || []).map(match => match.receiptId)
+      });
+    }
+
+    const currentRevision = current.revision || 1;
+    if (body.expectedRevision !== undefined && body.expectedRevision !== currentRevision) {
+      return buildResponse(409, {
+        success: false,
+        error: "Receipt was modified by someone else",
+        details: `Expected revision ${body.expectedRevision} but the current revision is ${currentRevision}`,
+        currentRevision
+      });
+    }
+
+    let edited;
+    try {
+      edited = applyEdits(toEditableFields(current), body);
+    } catch (validationError) {
+      return buildResponse(400, {
+        success: false,
+        error: "Invalid receipt changes",
+        details: validationError.message
+      });
+    }
+
+    const changedFields = diffEditableFields(toEditableFields(current), edited);
+    if (changedFields.length === 0) {
+      return buildResponse(400, { success: false, error: "No changes supplied", receiptId });
+    }
+
+    // The home currency amount depends on the total, currency and date
+    let currencyFields = {};
+    if (['total', 'currency', 'date'].some(field => changedFields.includes(field))) {
+      currencyFields = toHomeCurrencyFields(await convertToHomeCurrency(edited.total, edited.currency, edited.date));
+    }
+
+    const now = new Date().toISOString();
+    // Lines and fields changed by hand are certain, the rest keep their score
+    const items = buildReceiptItems(carryItemConfidence(edited.items, current.items), receiptId);
+    const derived = computeDerivedFields({
+      vendor: edited.vendor,
+      date: edited.date,
+      total: edited.total,
+      subtotal: edited.subtotal,
+      tax: edited.tax,
+      tip: edited.tip,
+      fees: edited.fees,
+      items: items,
+      category: edited.categorySource === 'manual' ? edited.category : undefined
+    });
+    const updatedRecord = {
+      ...current,
+      vendor: edited.vendor,
+      merchant: edited.vendor,
+      date: edited.date,
+      time: edited.time || null,
+      dateResolution: changedFields.includes('date') ? { source: 'manual', method: 'manual' } : (current.dateResolution || null),
+      total: parseFloat(edited.total),
+      totalFormatted: edited.total,
+      subtotal: parseFloat(edited.subtotal),
+      subtotalFormatted: edited.subtotal,
+      tax: parseFloat(edited.tax),
+      taxFormatted: edited.tax,
+      tip: parseFloat(edited.tip),
+      tipFormatted: edited.tip,
+      fees: parseFloat(edited.fees),
+      feesFormatted: edited.fees,
+      items: items,
+      notes: edited.notes,
+      tags: edited.tags,
+      categorySource: edited.categorySource,
+      currency: edited.currency,
+      currencySource: changedFields.includes('currency') ? 'manual' : (current.currencySource || 'default'),
+      fieldConfidence: markManualFields(current.fieldConfidence, changedFields),
+      fingerprint: buildFingerprint({ vendor: edited.vendor, date: edited.date, total: edited.total, cardLast4: current.cardLast4 }),
+      ...currencyFields,
+      ...derived,
+      // Re-scored against the edited amounts
+      confidence: applyReconciliationPenalty(current.extractionConfidence ?? current.confidence ?? 0.85, derived.reconciliation),
+      revision: currentRevision + 1,
+      revisions: appendRevision(current.revisions, {
+        revision: currentRevision,
+        changedBy: changedBy,
+        changedAt: now,
+        changedFields: changedFields,
+        previous: pickFields(toEditableFields(current), changedFields)
+      }),
+      updatedAt: now,
+      updatedBy: changedBy,
+      manuallyEdited: true
+    };
+
+    // Optimistic locking: only replace the revision we read
+    try {
+      await docClient.send(new PutCommand({
+        TableName: RECEIPTS_TABLE,
+        Item: updatedRecord,
+        ConditionExpression: 'attribute_exists(receiptId) AND (attribute_not_exists(revision) OR revision = :currentRevision)',
+        ExpressionAttributeValues: {
+          ':currentRevision': currentRevision
+        }
+      }));
+    } catch (putError) {
+      if (putError.name === 'ConditionalCheckFailedException') {
+        return buildResponse(409, {
+          success: false,
+          error: "Receipt was modified by someone else",
+          details: "Reload the receipt and apply your changes again"
+        });
+      }
+      throw putError;
+    }
+
+    // Keep duplicate detection in step with the corrected vendor, date and total
+    if (['vendor', 'date', 'total'].some(field => changedFields.includes(field))) {
+      await updateDuplicateIndex(updatedRecord, current);
+    }
+
+    console.log(`✅ Receipt ${receiptId} updated to revision ${updatedRecord.revision} (${changedFields.join(', ')})`);
+
+    return buildResponse(200, {
+      success: true,
+      receiptId,
+      revision: updatedRecord.revision,
+      changedFields,
+      data: {
+        vendor: updatedRecord.vendor,
+        merchant: updatedRecord.merchant,
+        date: updatedRecord.date,
+        time: updatedRecord.time,
+        total: updatedRecord.totalFormatted,
+        subtotal: updatedRecord.subtotalFormatted,
+        tax: updatedRecord.taxFormatted,
+        tip: updatedRecord.tipFormatted,
+        fees: updatedRecord.feesFormatted,
+        currency: updatedRecord.currency,
+        homeCurrency: updatedRecord.homeCurrency,
+        homeTotal: updatedRecord.homeTotalFormatted,
+        items: updatedRecord.items.map(item => ({
+          itemId: item.itemId,
+          kind: item.kind || 'item',
+          name: item.name,
+          price: item.priceFormatted,
+          quantity: item.quantityFormatted,
+          lineTotal: item.lineTotalFormatted
+        })),
+        itemCount: updatedRecord.itemCount,
+        totalItems: updatedRecord.totalItems,
+        averageItemPrice: updatedRecord.averageItemPrice,
+        category: updatedRecord.category,
+        monthYear: updatedRecord.monthYear,
+        isValid: updatedRecord.isValid,
+        validationErrors: updatedRecord.validationErrors,
+        reconciliation: updatedRecord.reconciliation,
+        confidence: updatedRecord.confidence,
+        notes: updatedRecord.notes,
+        tags: updatedRecord.tags
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Receipt update error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to update receipt',
+      details: error.message
+    });
+  }
+};
+
+async function getLatestReceipt(receiptId) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: RECEIPTS_TABLE,
+    KeyConditionExpression: 'receiptId = :receiptId',
+    ExpressionAttributeValues: {
+      ':receiptId': receiptId
+    },
+    ScanIndexForward: false, // Get most recent first
+    Limit: 1
+  }));
+
+  return result.Items && result.Items.length > 0 ? result.Items[0] : null;
+}
+
+// Snapshot of the user-editable part of a stored record. The revision
+// history keeps the changed fields of it.
+function toEditableFields(record) {
+  return {
+    vendor: record.vendor || record.merchant || 'Unknown',
+    date: record.date,
+    time: record.time || '',
+    total: record.totalFormatted || '0.00',
+    subtotal: record.subtotalFormatted || '0.00',
+    tax: record.taxFormatted || '0.00',
+    tip: record.tipFormatted || '0.00',
+    fees: record.feesFormatted || '0.00',
+    category: record.category || 'Other',
+    categorySource: record.categorySource || 'auto',
+    currency: record.currency || HOME_CURRENCY,
+    notes: record.notes || '',
+    tags: record.tags || [],
+    items: (record.items || []).map(item => ({
+      itemId: item.itemId,
+      kind: item.kind || 'item',
+      name: item.name,
+      price: item.priceFormatted || Number(item.price || 0).toFixed(2),
+      quantity: item.quantityFormatted || String(item.quantity || 1)
+    }))
+  };
+}
+
+// Applies a PATCH body to the editable fields. Supports top-level field
+// edits, a full `items` replacement, or incremental `itemChanges`
+// ({ add: [...], update: [{ itemId, ... }], remove: [itemId] }).
+function applyEdits(fields, body) {
+  const edited = { ...fields, items: fields.items.map(item => ({ ...item })) };
+
+  EDITABLE_TEXT_FIELDS.forEach(key => {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'string') {
+        throw new Error(`'${key}' must be a string`);
+      }
+      edited[key] = body[key].trim();
+    }
+  });
+
+  if (body.vendor !== undefined && !edited.vendor) {
+    throw new Error("'vendor' must not be empty");
+  }
+
+  if (body.date !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(edited.date) || isNaN(Date.parse(edited.date))) {
+      throw new Error("'date' must be in YYYY-MM-DD format");
+    }
+    const dateProblem = checkDateWindow(edited.date);
+    if (dateProblem) {
+      throw new Error(`'date' is not a valid receipt date: ${dateProblem}`);
+    }
+  }
+
+  if (body.time !== undefined && edited.time && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(edited.time)) {
+    throw new Error("'time' must be in 24-hour HH:MM format");
+  }
+
+  if (body.category !== undefined) {
+    edited.categorySource = edited.category ? 'manual' : 'auto';
+  }
+
+  if (body.currency !== undefined) {
+    edited.currency = edited.currency.toUpperCase();
+    if (!isKnownCurrency(edited.currency)) {
+      throw new Error("'currency' must be a supported ISO 4217 code");
+    }
+  }
+
+  EDITABLE_AMOUNT_FIELDS.forEach(key => {
+    if (body[key] !== undefined) {
+      edited[key] = normalizeAmount(body[key], key);
+    }
+  });
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      throw new Error("'tags' must be an array of strings");
+    }
+    edited.tags = body.tags;
+  }
+
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) {
+      throw new Error("'items' must be an array");
+    }
+    edited.items = body.items.map((item, index) => normalizeItem(item, `items[${index}]`));
+  }
+
+  if (body.itemChanges !== undefined) {
+    const { add = [], update = [], remove = [] } = body.itemChanges;
+
+    remove.forEach(itemId => {
+      if (!edited.items.some(item => item.itemId === itemId)) {
+        throw new Error(`Cannot remove unknown item '${itemId}'`);
+      }
+      edited.items = edited.items.filter(item => item.itemId !== itemId);
+    });
+
+    update.forEach((change, index) => {
+      const target = edited.items.find(item => item.itemId === change.itemId);
+      if (!target) {
+        throw new Error(`Cannot update unknown item '${change.itemId}'`);
+      }
+      Object.assign(target, normalizeItem({ ...target, ...change }, `itemChanges.update[${index}]`));
+    });
+
+    add.forEach((item, index) => {
+      const { itemId, ...newItem } = normalizeItem(item, `itemChanges.add[${index}]`);
+      edited.items.push(newItem);
+    });
+  }
+
+  return edited;
+}
+
+function normalizeItem(item, label) {
+  if (!item || typeof item !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!item.name || typeof item.name !== 'string') {
+    throw new Error(`${label}.name is required`);
+  }
+
+  const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error(`${label}.quantity must be a positive integer`);
+  }
+
+  const kind = item.kind === undefined ? 'item' : item.kind;
+  if (!LINE_KINDS.includes(kind)) {
+    throw new Error(`${label}.kind must be one of ${LINE_KINDS.join(', ')}`);
+  }
+
+  // Discount and coupon prices may be sent either way round
+  const price = normalizeAmount(item.price === undefined ? '0' : item.price, `${label}.price`, true);
+
+  return {
+    itemId: item.itemId,
+    kind: kind,
+    name: item.name.trim(),
+    price: applyLineSign(parseFloat(price), kind).toFixed(2),
+    quantity: String(quantity)
+  };
+}
+
+function normalizeAmount(value, label, allowNegative = false) {
+  const amount = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(amount) || (amount < 0 && !allowNegative)) {
+    throw new Error(`'${label}' must be a non-negative amount`);
+  }
+  return amount.toFixed(2);
+}
+
+function pickFields(fields, keys) {
+  return Object.fromEntries(keys.map(key => [key, fields[key]]));
+}
+
+// Appends a revision and drops the oldest ones beyond MAX_REVISIONS or
+// MAX_REVISIONS_BYTES. Older records may hold full snapshots, those go first.
+function appendRevision(revisions, revision) {
+  const kept = [...(revisions || []), revision].slice(-MAX_REVISIONS);
+  while (kept.length > 1 && Buffer.byteLength(JSON.stringify(kept)) > MAX_REVISIONS_BYTES) {
+    kept.shift();
+  }
+  return kept;
+}
+
+function diffEditableFields(before, after) {
+  return Object.keys(after).filter(key =>
+    key !== 'categorySource' && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+function buildResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
@@ -0,0 +1,324 @@
+const { S3Client, PutObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { v4: uuidv4 } = require("uuid");
+const { getCallerIdentity } = require("./auth");
+const { startReceiptProcessing, buildInputFromUpload } = require("./processing");
+const { MEDIA_TYPES, UnsupportedMediaTypeError, normalizeDeclaredType, getExtension, sniffS3Object } = require("./media-type");
+const { ALLOWED_PROVIDERS, isAllowedProvider } = require("./model-providers");
+const {
+  IdempotencyKeyError,
+  getIdempotencyKey,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require("./idempotency");
+
+// Initialize AWS clients. Checksums are only calculated when required,
+// otherwise presigned URLs would carry the checksum of an empty body.
+const s3Client = new S3Client({
+  region: 'us-east-1',
+  requestChecksumCalculation: 'WHEN_REQUIRED'
+});
+
+const S3_BUCKET = process.env.S3_BUCKET || 'snaptally-receipts';
+const UPLOAD_URL_EXPIRY_SECONDS = 300;
+const MAX_SIZE_MB = 10;
+const MAX_SIZE_BYTES = MAX_SIZE_MB * 1024 * 1024;
+
+const REPLAY_HEADERS = {
+  "Access-Control-Expose-Headers": "Idempotent-Replayed",
+  "Idempotent-Replayed": "true"
+};
+
+const CORS_HEADERS = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+  "Access-Control-Allow-Methods": "POST, OPTIONS"
+};
+
+// Two-step upload flow:
+//   POST /receipt/upload-url           -> presigned PUT URL + receiptId
+//   PUT  <uploadUrl>                   -> browser uploads straight to S3
+//   POST /receipt/{receiptId}/confirm  -> starts processing (optional, the
+//                                         S3 ObjectCreated event does too)
+// Both POSTs honor the same Idempotency-Key (one per file): a retried
+// upload-url gets the first receiptId back, a retried confirm the first
+// response.
+exports.handler = async (event) => {
+  try {
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return buildResponse(200, { message: "CORS preflight" });
+    }
+
+    const identity = getCallerIdentity(event);
+    if (!identity) {
+      return buildResponse(401, { success: false, error: "Unauthorized" });
+    }
+
+    let idempotencyKey;
+    try {
+      idempotencyKey = getIdempotencyKey(event.headers);
+    } catch (keyError) {
+      if (!(keyError instanceof IdempotencyKeyError)) throw keyError;
+      return buildResponse(400, { success: false, error: keyError.message });
+    }
+
+    const receiptId = event.pathParameters?.receiptId;
+    if (receiptId) {
+      const idempotency = idempotencyKey ? { key: idempotencyKey, userId: identity.userId, operation: 'confirm' } : null;
+      return await confirmUpload(receiptId, identity, idempotency);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return buildResponse(400, { success: false, error: "Request body must be valid JSON" });
+    }
+
+    const idempotency = idempotencyKey ? { key: idempotencyKey, userId: identity.userId, operation: 'upload-url' } : null;
+    return await createUploadUrl(body, identity, event.requestContext?.requestId, idempotency, hashRequest(event.body));
+
+  } catch (error) {
+    console.error('❌ Upload request error:', error);
+
+    return buildResponse(500, {
+      success: false,
+      error: 'Failed to handle upload request',
+      details: error.message,
+      errorType: error.name || 'Unknown'
+    });
+  }
+};
+
+async function createUploadUrl(body, identity, requestId, idempotency, requestHash) {
+  const contentType = normalizeDeclaredType(body.contentType);
+  const contentLength = Number(body.contentLength);
+
+  if (!contentType) {
+    return buildResponse(415, {
+      success: false,
+      error: "Unsupported media type",
+      details: new UnsupportedMediaTypeError(body.contentType).message,
+      supportedTypes: Object.keys(MEDIA_TYPES)
+    });
+  }
+
+  if (body.modelProvider !== undefined && !isAllowedProvider(body.modelProvider)) {
+    return buildResponse(400, {
+      success: false,
+      error: `Model provider '${body.modelProvider}' is not available`,
+      supportedProviders: ALLOWED_PROVIDERS
+    });
+  }
+
+  if (!Number.isInteger(contentLength) || contentLength <= 0) {
+    return buildResponse(400, { success: false, error: "contentLength must be the file size in bytes" });
+  }
+
+  if (contentLength > MAX_SIZE_BYTES) {
+    return buildResponse(400, {
+      success: false,
+      error: "Image too large",
+      details: `Image size is ${Math.round(contentLength / 1024)} KB. Maximum allowed is ${MAX_SIZE_MB} MB.`,
+      maxSizeMB: MAX_SIZE_MB
+    });
+  }
+
+  let receiptId = uuidv4();
+  let timestamp = new Date().toISOString();
+  let replayed = false;
+
+  // Claimed after validation: rejected requests can be fixed and resent with the same key
+  if (idempotency) {
+    const claim = await claimIdempotencyKey({ ...idempotency, requestHash, receiptId, timestamp });
+    const conflict = idempotencyConflict(claim);
+    if (conflict) return conflict;
+
+    // A replay signs a fresh URL for the first receiptId, the first one may have expired
+    receiptId = claim.receiptId;
+    timestamp = claim.timestamp;
+    replayed = claim.outcome === 'replay';
+  }
+
+  const s3Key = `uploads/${receiptId}/${timestamp.replace(/[:.]/g, '-')}.${getExtension(contentType)}`;
+
+  // Size, type and ownership metadata are part of the signature, so S3
+  // rejects an upload that does not match what we approved here
+  const command = new PutObjectCommand({
+    Bucket: S3_BUCKET,
+    Key: s3Key,
+    ContentType: contentType,
+    ContentLength: contentLength,
+    Metadata: {
+      'receipt-id': receiptId,
+      'user-id': identity.userId,
+      'organization-id': identity.organizationId,
+      'upload-timestamp': timestamp,
+      'request-id': requestId || 'local-test',
+      ...(body.modelProvider ? { 'model-provider': body.modelProvider } : {})
+    }
+  });
+
+  const uploadUrl = await getSignedUrl(s3Client, command, {
+    expiresIn: UPLOAD_URL_EXPIRY_SECONDS,
+    signableHeaders: new Set(['content-type', 'content-length'])
+  });
+
+  console.log(`✅ Issued upload URL for receipt ${receiptId} (${contentType}, ${Math.round(contentLength / 1024)} KB)${replayed ? ' - Idempotency-Key replay' : ''}`);
+
+  if (idempotency && !replayed) {
+    try {
+      await completeIdempotencyKey(idempotency, { statusCode: 200, receiptId });
+    } catch (idempotencyError) {
+      // A retry takes the claim over and gets the same receiptId
+      console.error('⚠️ Failed to complete the Idempotency-Key:', idempotencyError);
+    }
+  }
+
+  return buildResponse(200, {
+    success: true,
+    receiptId,
+    uploadUrl,
+    method: 'PUT',
+    uploadHeaders: {
+      'Content-Type': contentType
+    },
+    s3Key,
+    expiresIn: UPLOAD_URL_EXPIRY_SECONDS,
+    maxSizeMB: MAX_SIZE_MB
+  }, replayed ? REPLAY_HEADERS : {});
+}
+
+async function confirmUpload(receiptId, identity, idempotency) {
+  const s3Key = await findUploadKey(receiptId);
+  if (!s3Key) {
+    return buildResponse(404, {
+      success: false,
+      error: "Upload not found",
+      details: "Upload the file to the presigned URL before confirming",
+      receiptId
+    });
+  }
+
+  const head = await s3Client.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: s3Key }));
+  const { mimeType, detected } = await sniffS3Object(s3Client, S3_BUCKET, s3Key);
+  const input = buildInputFromUpload(S3_BUCKET, s3Key, head, mimeType);
+
+  if (input.userId !== identity.userId) {
+    console.warn(`🚫 User ${identity.userId} denied confirm of receipt ${receiptId}`);
+    return buildResponse(403, { success: false, error: "Access denied", receiptId });
+  }
+
+  // The declared type was signed, but the bytes are what count
+  if (!mimeType) {
+    console.warn(`🚫 Deleting upload ${s3Key}: unsupported file type (${detected})`);
+    await s3Client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: s3Key }));
+    return buildResponse(415, {
+      success: false,
+      error: "Unsupported media type",
+      details: new UnsupportedMediaTypeError(detected).message,
+      receiptId
+    });
+  }
+
+  // Claimed once the upload checks out: a confirm sent before the upload
+  // finished can be retried with the same key
+  if (idempotency) {
+    const claim = await claimIdempotencyKey({ ...idempotency, requestHash: hashRequest(receiptId), receiptId, timestamp: input.timestamp });
+    if (claim.outcome === 'replay') {
+      console.log(`ℹ️ Idempotency-Key replay - returning the original confirm response for receipt ${receiptId}`);
+      return {
+        statusCode: claim.response.statusCode,
+        headers: { ...CORS_HEADERS, ...REPLAY_HEADERS },
+        body: claim.response.body
+      };
+    }
+    const conflict = idempotencyConflict(claim);
+    if (conflict) return conflict;
+  }
+
+  let result;
+  try {
+    result = await startReceiptProcessing(input);
+  } catch (error) {
+    await releaseIdempotency(idempotency);
+    throw error;
+  }
+
+  const response = buildResponse(202, {
+    success: true,
+    receiptId,
+    message: result.alreadyStarted ? "Receipt processing already started" : "Receipt processing started",
+    executionArn: result.executionArn,
+    status: "PROCESSING",
+    s3Location: `s3://${S3_BUCKET}/${s3Key}`,
+    imageSizeKB: input.imageSizeKB,
+    mimeType
+  });
+
+  // Retries with the same Idempotency-Key get this response
+  if (idempotency) {
+    try {
+      await completeIdempotencyKey(idempotency, { statusCode: response.statusCode, body: response.body });
+    } catch (idempotencyError) {
+      // A retry takes the claim over and finds the execution already started
+      console.error('⚠️ Failed to store the Idempotency-Key response:', idempotencyError);
+    }
+  }
+
+  return response;
+}
+
+// 422 for a key reused with another request, 409 while the first one runs;
+// null when the claim may go ahead
+function idempotencyConflict(claim) {
+  if (claim.outcome === 'mismatch') {
+    return buildResponse(422, {
+      success: false,
+      error: "Idempotency-Key was already used for a different request",
+      details: "Use a new key for a new receipt"
+    });
+  }
+
+  if (claim.outcome === 'in-progress') {
+    return buildResponse(409, {
+      success: false,
+      error: "A request with this Idempotency-Key is still in progress",
+      details: "Retry in a few seconds to get its result"
+    }, { "Retry-After": "5" });
+  }
+
+  return null;
+}
+
+// A failed request leaves nothing to replay, the client may retry with its key
+async function releaseIdempotency(idempotency) {
+  if (!idempotency) return;
+  try {
+    await releaseIdempotencyKey(idempotency);
+  } catch (releaseError) {
+    console.error('Failed to release Idempotency-Key:', releaseError);
+  }
+}
+
+async function findUploadKey(receiptId) {
+  const result = await s3Client.send(new ListObjectsV2Command({
+    Bucket: S3_BUCKET,
+    Prefix: `uploads/${receiptId}/`,
+    MaxKeys: 1
+  }));
+
+  return result.Contents && result.Contents.length > 0 ? result.Contents[0].Key : null;
+}
+
+function buildResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, ...headers },
+    body: JSON.stringify(body)
+  };
+}
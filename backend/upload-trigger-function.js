@@ -0,0 +1,40 @@
+const { S3Client, HeadObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const { startReceiptProcessing, buildInputFromUpload } = require("./processing");
+const { sniffS3Object } = require("./media-type");
+
+// Initialize AWS clients
+const s3Client = new S3Client({ region: 'us-east-1' });
+
+// Invoked by S3 ObjectCreated events under uploads/ and starts processing
+// for receipts uploaded through a presigned URL (see upload-function.js).
+exports.handler = async (event) => {
+  const records = event.Records || [];
+  console.log(`Upload trigger received ${records.length} S3 event(s)`);
+
+  for (const record of records) {
+    const bucket = record.s3.bucket.name;
+    // S3 event keys are URL-encoded with '+' for spaces
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+
+    const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    const { mimeType, detected } = await sniffS3Object(s3Client, bucket, key);
+    const input = buildInputFromUpload(bucket, key, head, mimeType);
+
+    if (!input.receiptId || !input.userId) {
+      console.warn(`⚠️ Skipping ${key}: object was not uploaded through a presigned upload URL`);
+      continue;
+    }
+
+    // The signed Content-Type only proves what the client claimed
+    if (!mimeType) {
+      console.warn(`🚫 Deleting ${key}: unsupported file type (${detected})`);
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      continue;
+    }
+
+    console.log(`Processing uploaded receipt ${input.receiptId} from ${bucket}/${key}`);
+    await startReceiptProcessing(input);
+  }
+
+  return { processed: records.length };
+};
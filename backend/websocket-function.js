@@ -0,0 +1,115 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand, GetCommand, DeleteCommand } = require("@aws-sdk/lib-dynamodb");
+const { CONNECTION_ITEM, sendToConnection, removeConnection } = require("./progress");
+
+// Initialize DynamoDB client
+const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const WEBSOCKET_CONNECTIONS_TABLE = process.env.WEBSOCKET_CONNECTIONS_TABLE || 'SnapTally-WebSocketConnections';
+
+// API Gateway closes WebSocket connections after 2 hours
+const CONNECTION_TTL_SECONDS = 2 * 60 * 60;
+
+// WebSocket API routes:
+//   $connect     -> wss://...?token=<JWT>, verified by the authorizer
+//   subscribe    -> { action: 'subscribe', receiptId }   progress of one receipt
+//   unsubscribe  -> { action: 'unsubscribe', receiptId }
+//   $disconnect  -> drops the connection's subscriptions
+// Progress messages are sent by the pipeline stages (see progress.js).
+exports.handler = async (event) => {
+  const { routeKey, connectionId } = event.requestContext;
+
+  try {
+    if (routeKey === '$connect') {
+      return await connect(connectionId, event.requestContext.authorizer || {});
+    }
+
+    if (routeKey === '$disconnect') {
+      const removed = await removeConnection(connectionId);
+      console.log(`✅ Connection ${connectionId} closed (${removed} item(s) removed)`);
+      return { statusCode: 200 };
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      await sendToConnection(connectionId, { type: 'error', error: 'Messages must be valid JSON' });
+      return { statusCode: 400 };
+    }
+
+    if (routeKey === 'subscribe' || routeKey === 'unsubscribe') {
+      return await updateSubscription(routeKey, connectionId, body.receiptId);
+    }
+
+    await sendToConnection(connectionId, { type: 'error', error: "Unknown action, use 'subscribe' or 'unsubscribe'" });
+    return { statusCode: 400 };
+
+  } catch (error) {
+    console.error(`❌ WebSocket ${routeKey} failed:`, error);
+    return { statusCode: 500 };
+  }
+};
+
+async function connect(connectionId, authorizer) {
+  if (!authorizer.userId) {
+    return { statusCode: 401 };
+  }
+
+  await docClient.send(new PutCommand({
+    TableName: WEBSOCKET_CONNECTIONS_TABLE,
+    Item: {
+      connectionId,
+      receiptId: CONNECTION_ITEM,
+      userId: authorizer.userId,
+      organizationId: authorizer.organizationId || 'default',
+      connectedAt: new Date().toISOString(),
+      ttl: Math.floor(Date.now() / 1000) + CONNECTION_TTL_SECONDS
+    }
+  }));
+
+  console.log(`✅ Connection ${connectionId} opened for user ${authorizer.userId}`);
+  return { statusCode: 200 };
+}
+
+// Anyone may subscribe to any receiptId: progress.js only sends a receipt's
+// events to connections of the user who uploaded it
+async function updateSubscription(action, connectionId, receiptId) {
+  if (typeof receiptId !== 'string' || !receiptId || receiptId === CONNECTION_ITEM) {
+    await sendToConnection(connectionId, { type: 'error', error: "'receiptId' is required" });
+    return { statusCode: 400 };
+  }
+
+  const connection = (await docClient.send(new GetCommand({
+    TableName: WEBSOCKET_CONNECTIONS_TABLE,
+    Key: { connectionId, receiptId: CONNECTION_ITEM }
+  }))).Item;
+
+  if (!connection) {
+    await sendToConnection(connectionId, { type: 'error', error: 'Connection is not registered, reconnect' });
+    return { statusCode: 401 };
+  }
+
+  if (action === 'unsubscribe') {
+    await docClient.send(new DeleteCommand({
+      TableName: WEBSOCKET_CONNECTIONS_TABLE,
+      Key: { connectionId, receiptId }
+    }));
+  } else {
+    await docClient.send(new PutCommand({
+      TableName: WEBSOCKET_CONNECTIONS_TABLE,
+      Item: {
+        connectionId,
+        receiptId,
+        userId: connection.userId,
+        subscribedAt: new Date().toISOString(),
+        ttl: connection.ttl
+      }
+    }));
+  }
+
+  await sendToConnection(connectionId, { type: `${action}d`, receiptId });
+  console.log(`✅ Connection ${connectionId} ${action}d ${receiptId}`);
+  return { statusCode: 200 };
+}
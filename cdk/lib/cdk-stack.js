@@ -1,12 +1,24 @@
 const { Stack, Duration, RemovalPolicy } = require("aws-cdk-lib");
 const lambda = require("aws-cdk-lib/aws-lambda");
+const lambdaEventSources = require("aws-cdk-lib/aws-lambda-event-sources");
 const apigateway = require("aws-cdk-lib/aws-apigateway");
+const apigatewayv2 = require("aws-cdk-lib/aws-apigatewayv2");
+const apigatewayv2Integrations = require("aws-cdk-lib/aws-apigatewayv2-integrations");
+const apigatewayv2Authorizers = require("aws-cdk-lib/aws-apigatewayv2-authorizers");
 const iam = require("aws-cdk-lib/aws-iam");
+const cognito = require("aws-cdk-lib/aws-cognito");
 const dynamodb = require("aws-cdk-lib/aws-dynamodb");
 const s3 = require("aws-cdk-lib/aws-s3");
+const s3n = require("aws-cdk-lib/aws-s3-notifications");
+const events = require("aws-cdk-lib/aws-events");
+const eventsTargets = require("aws-cdk-lib/aws-events-targets");
+const sns = require("aws-cdk-lib/aws-sns");
+const sqs = require("aws-cdk-lib/aws-sqs");
+const snsSubscriptions = require("aws-cdk-lib/aws-sns-subscriptions");
 const stepfunctions = require("aws-cdk-lib/aws-stepfunctions");
 const sfnTasks = require("aws-cdk-lib/aws-stepfunctions-tasks");
 const path = require("path");
+const { BEDROCK_MODELS, bedrockModelArns } = require("../../backend/model-config");
 
 class CdkStack extends Stack {
   /**
@@ -26,33 +38,178 @@ class CdkStack extends Stack {
       removalPolicy: RemovalPolicy.RETAIN, // Keep data when stack is deleted
       pointInTimeRecovery: true, // Enable backup
       timeToLiveAttribute: "ttl", // Enable TTL for compliance
+      stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES, // Feeds the analytics aggregates
     });
 
-    // TEMPORARILY REMOVING ALL GSIs TO FIX DEPLOYMENT CONFLICT
-    // GSIs will be added manually after clean deployment
-    
-    // Uncomment these ONE AT A TIME after initial deployment:
-    
-    // STEP 1: After initial deployment, uncomment this first:
-    // receiptsTable.addGlobalSecondaryIndex({
-    //   indexName: "VendorLowerIndex",
-    //   partitionKey: { name: "vendorLower", type: dynamodb.AttributeType.STRING },
-    //   sortKey: { name: "timestamp", type: dynamodb.AttributeType.STRING },
-    // });
-    
-    // STEP 2: After Step 1 deploys successfully, uncomment this:
-    // receiptsTable.addGlobalSecondaryIndex({
-    //   indexName: "CategoryTimestampIndex",
-    //   partitionKey: { name: "category", type: dynamodb.AttributeType.STRING },
-    //   sortKey: { name: "timestamp", type: dynamodb.AttributeType.STRING },
-    // });
-    
-    // STEP 3: After Step 2 deploys successfully, uncomment this:
-    // receiptsTable.addGlobalSecondaryIndex({
-    //   indexName: "UserTimestampIndex",
-    //   partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
-    //   sortKey: { name: "timestamp", type: dynamodb.AttributeType.STRING },
-    // });
+    // 👇 GSIs backing the GET /receipts listing endpoint
+    // DynamoDB only allows one GSI operation per table update. A new table
+    // gets all of them at once; when upgrading an existing table, deploy with
+    // `-c receiptIndexStage=1`, then 2, then 3 (see deployment-stages.md),
+    // waiting for each index to become ACTIVE.
+    const receiptIndexes = [
+      { indexName: "VendorLowerIndex", partitionKey: { name: "vendorLower", type: dynamodb.AttributeType.STRING } },
+      { indexName: "CategoryTimestampIndex", partitionKey: { name: "category", type: dynamodb.AttributeType.STRING } },
+      { indexName: "UserTimestampIndex", partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING } },
+    ];
+    const receiptIndexStage = Number(this.node.tryGetContext("receiptIndexStage") || receiptIndexes.length);
+    if (!Number.isInteger(receiptIndexStage) || receiptIndexStage < 1 || receiptIndexStage > receiptIndexes.length) {
+      throw new Error(`receiptIndexStage must be a whole number from 1 to ${receiptIndexes.length}`);
+    }
+    receiptIndexes.slice(0, receiptIndexStage).forEach((index) => {
+      receiptsTable.addGlobalSecondaryIndex({
+        ...index,
+        sortKey: { name: "timestamp", type: dynamodb.AttributeType.STRING },
+      });
+    });
+
+    // 👇 DynamoDB table for receipts paused for human review. Entries hold
+    // the state machine task token and are removed once reviewed.
+    const reviewQueueTable = new dynamodb.Table(this, "ReviewQueueTable", {
+      tableName: "SnapTally-ReviewQueue",
+      partitionKey: { name: "receiptId", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY, // Only in-flight reviews, nothing to keep
+      timeToLiveAttribute: "ttl", // Expired reviews go away with their execution
+    });
+
+    reviewQueueTable.addGlobalSecondaryIndex({
+      indexName: "OrganizationQueueIndex",
+      partitionKey: { name: "organizationId", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "queuedAt", type: dynamodb.AttributeType.STRING },
+    });
+
+    // Queued receipts of a user, erased with the user's data
+    reviewQueueTable.addGlobalSecondaryIndex({
+      indexName: "UserQueueIndex",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY,
+    });
+
+    // 👇 DynamoDB table of image hashes and transaction fingerprints used to
+    // spot receipts submitted twice (see backend/duplicates.js)
+    const duplicateIndexTable = new dynamodb.Table(this, "DuplicateIndexTable", {
+      tableName: "SnapTally-DuplicateIndex",
+      partitionKey: { name: "lookupKey", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "receiptId", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN, // Lives as long as the receipts it indexes
+    });
+
+    // 👇 What happens to a likely duplicate: warn, reject or off (`-c duplicatePolicy=reject`)
+    const duplicatePolicy = this.node.tryGetContext("duplicatePolicy") || "warn";
+
+    // 👇 DynamoDB table of Idempotency-Key headers sent to POST /receipt and
+    // the upload flow, with the response to replay (see backend/idempotency.js)
+    const idempotencyTable = new dynamodb.Table(this, "IdempotencyTable", {
+      tableName: "SnapTally-Idempotency",
+      partitionKey: { name: "idempotencyKey", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY, // Short-lived, nothing to keep
+      timeToLiveAttribute: "ttl",
+    });
+
+    // Keys of a user, deleted with the user's data
+    idempotencyTable.addGlobalSecondaryIndex({
+      indexName: "UserKeysIndex",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY,
+    });
+
+    // 👇 DynamoDB table of export jobs, whose inserts start the export
+    // worker (see backend/export-jobs.js)
+    const exportJobsTable = new dynamodb.Table(this, "ExportJobsTable", {
+      tableName: "SnapTally-ExportJobs",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "jobId", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY, // Gone after a day, like the files
+      timeToLiveAttribute: "ttl",
+      stream: dynamodb.StreamViewType.NEW_IMAGE,
+    });
+
+    // 👇 DynamoDB table tracking the stage, attempts and errors of every
+    // submitted receipt, read by GET /status (see backend/processing-status.js)
+    const processingStatusTable = new dynamodb.Table(this, "ProcessingStatusTable", {
+      tableName: "SnapTally-ProcessingStatus",
+      partitionKey: { name: "receiptId", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY, // Saved receipts live in the receipts table
+      timeToLiveAttribute: "ttl",
+    });
+
+    // Submitted receipts of a user, so receipts still processing are erased
+    // with the user's data
+    processingStatusTable.addGlobalSecondaryIndex({
+      indexName: "UserStatusIndex",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY,
+    });
+
+    // 👇 DynamoDB table of open WebSocket connections and the receipts they
+    // follow (see backend/progress.js)
+    const webSocketConnectionsTable = new dynamodb.Table(this, "WebSocketConnectionsTable", {
+      tableName: "SnapTally-WebSocketConnections",
+      partitionKey: { name: "connectionId", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "receiptId", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY, // Connections last 2 hours at most
+      timeToLiveAttribute: "ttl",
+    });
+
+    // Subscribers of a receipt
+    webSocketConnectionsTable.addGlobalSecondaryIndex({
+      indexName: "ReceiptSubscriptionsIndex",
+      partitionKey: { name: "receiptId", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "connectionId", type: dynamodb.AttributeType.STRING },
+    });
+
+    // Connections and subscriptions of a user, deleted with the user's data
+    webSocketConnectionsTable.addGlobalSecondaryIndex({
+      indexName: "UserConnectionsIndex",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY,
+    });
+
+    // 👇 DynamoDB table of monthly spending per user, month, category and
+    // vendor, kept up to date from the receipts stream (see backend/analytics.js)
+    const analyticsTable = new dynamodb.Table(this, "AnalyticsTable", {
+      tableName: "SnapTally-Analytics",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "bucket", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN, // Only rebuilt by replaying every receipt
+    });
+
+    // 👇 DynamoDB table of monthly category budgets and the alerts sent for
+    // them (see backend/budgets.js)
+    const budgetsTable = new dynamodb.Table(this, "BudgetsTable", {
+      tableName: "SnapTally-Budgets",
+      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "category", type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN, // User settings
+    });
+
+    // 👇 Where budget alerts go (see backend/budget-notifiers.js):
+    // `-c budgetNotifiers=sns,email -c budgetAlertEmailFrom=alerts@example.com`.
+    // `-c budgetAlertEmail=you@example.com` subscribes an address to the topic.
+    const budgetNotifiers = this.node.tryGetContext("budgetNotifiers") || "sns";
+    const budgetAlertEmailFrom = this.node.tryGetContext("budgetAlertEmailFrom") || "";
+    const budgetAlertsTopic = new sns.Topic(this, "BudgetAlertsTopic", {
+      topicName: "SnapTally-BudgetAlerts",
+      displayName: "SnapTally budget alerts",
+    });
+    const budgetAlertEmail = this.node.tryGetContext("budgetAlertEmail");
+    if (budgetAlertEmail) {
+      budgetAlertsTopic.addSubscription(new snsSubscriptions.EmailSubscription(budgetAlertEmail));
+    }
+
+    // 👇 How long an Idempotency-Key is remembered (`-c idempotencyTtlHours=48`)
+    const idempotencyTtlHours = this.node.tryGetContext("idempotencyTtlHours") || "24";
+
+    // 👇 Review settings (`-c reviewConfidenceThreshold=0.8 -c reviewTimeoutDays=3`)
+    const reviewConfidenceThreshold = this.node.tryGetContext("reviewConfidenceThreshold") || "0.7";
+    const reviewTimeoutDays = Number(this.node.tryGetContext("reviewTimeoutDays") || 7);
 
     // 👇 S3 Bucket for receipt images
     const receiptsBucket = new s3.Bucket(this, "ReceiptsBucket", {
@@ -61,15 +218,102 @@ class CdkStack extends Stack {
       versioned: false,
       publicReadAccess: false,
       blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      // Browsers upload straight to the bucket with presigned PUT URLs
+      cors: [
+        {
+          allowedMethods: [s3.HttpMethods.PUT],
+          allowedOrigins: ["*"],
+          allowedHeaders: ["*"],
+          maxAge: 3000,
+        }
+      ],
       lifecycleRules: [
         {
           id: "DeleteOldReceipts",
           enabled: true,
           expiration: Duration.days(365) // Delete images after 1 year
+        },
+        {
+          id: "DeleteOldExports",
+          enabled: true,
+          prefix: "exports/",
+          expiration: Duration.days(1) // Spreadsheets from GET /receipts/export
         }
       ]
     });
 
+    // 👇 Identity provider for the JWT authorizer
+    // Pass `-c authIssuer=... -c authAudience=...` (and optionally
+    // `-c authJwksUrl=...`) to use any OIDC issuer instead of Cognito.
+    let authIssuer = this.node.tryGetContext("authIssuer");
+    let authAudience = this.node.tryGetContext("authAudience");
+    const authJwksUrl = this.node.tryGetContext("authJwksUrl");
+
+    if (!authIssuer) {
+      const userPool = new cognito.UserPool(this, "SnapTallyUserPool", {
+        userPoolName: "SnapTally-Users",
+        selfSignUpEnabled: false,
+        signInAliases: { email: true },
+        // Mutable so admins can move users (AdminUpdateUserAttributes); the
+        // web client below cannot write it
+        customAttributes: {
+          organizationId: new cognito.StringAttribute({ mutable: true }),
+        },
+        removalPolicy: RemovalPolicy.RETAIN,
+      });
+
+      const userPoolClient = userPool.addClient("SnapTallyWebClient", {
+        authFlows: { userSrp: true },
+        oAuth: {
+          flows: { implicitCodeGrant: true },
+          scopes: [cognito.OAuthScope.OPENID, cognito.OAuthScope.EMAIL],
+        },
+        // Standard attributes only: a user who could set custom:organizationId
+        // would join another organization and review its receipts
+        writeAttributes: new cognito.ClientAttributes().withStandardAttributes({ email: true, fullname: true }),
+      });
+
+      new cognito.CfnUserPoolGroup(this, "SnapTallyAdminGroup", {
+        userPoolId: userPool.userPoolId,
+        groupName: "admin",
+        description: "Can run erasure requests for any user",
+      });
+
+      authIssuer = `https://cognito-idp.${this.region}.amazonaws.com/${userPool.userPoolId}`;
+      authAudience = userPoolClient.userPoolClientId;
+
+      new (require("aws-cdk-lib").CfnOutput)(this, "UserPoolId", {
+        value: userPool.userPoolId,
+        description: "Cognito User Pool ID",
+      });
+
+      new (require("aws-cdk-lib").CfnOutput)(this, "UserPoolClientId", {
+        value: userPoolClient.userPoolClientId,
+        description: "Cognito User Pool Client ID",
+      });
+    }
+
+    // 👇 Lambda function for verifying JWTs on every API request
+    const authorizerLambda = new lambda.Function(this, "AuthorizerLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "authorizer-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(10),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        AUTH_ISSUER: authIssuer,
+        ...(authAudience ? { AUTH_AUDIENCE: authAudience } : {}),
+        ...(authJwksUrl ? { JWKS_URL: authJwksUrl } : {}),
+      },
+    });
+
+    const authorizer = new apigateway.TokenAuthorizer(this, "JwtAuthorizer", {
+      handler: authorizerLambda,
+      identitySource: apigateway.IdentitySource.header("Authorization"),
+      resultsCacheTtl: Duration.minutes(5),
+    });
+
     // 👇 Lambda function for API Gateway entry point
     const apiLambda = new lambda.Function(this, "ApiLambda", {
       runtime: lambda.Runtime.NODEJS_18_X,
@@ -81,10 +325,14 @@ class CdkStack extends Stack {
         AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
         RECEIPTS_TABLE: receiptsTable.tableName,
         S3_BUCKET: receiptsBucket.bucketName,
+        IDEMPOTENCY_TABLE: idempotencyTable.tableName,
+        IDEMPOTENCY_TTL_HOURS: String(idempotencyTtlHours),
       },
     });
 
     // 👇 Lambda function for Textract AnalyzeExpense processing
+    // (converts HEIC/WEBP with sharp, whose native binary must match the
+    // Lambda platform: install backend deps with --os=linux --cpu=x64)
     const textractLambda = new lambda.Function(this, "TextractLambda", {
       runtime: lambda.Runtime.NODEJS_18_X,
       handler: "textract-function.handler",
@@ -96,7 +344,65 @@ class CdkStack extends Stack {
       },
     });
 
-    // 👇 Lambda function for Bedrock Claude processing
+    // 👇 Lambda functions for multi-page PDFs (asynchronous Textract expense analysis)
+    const textractPdfStartLambda = new lambda.Function(this, "TextractPdfStartLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "textract-async-function.startHandler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+      },
+    });
+
+    const textractPdfPollLambda = new lambda.Function(this, "TextractPdfPollLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "textract-async-function.pollHandler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(60), // Collecting results of long PDFs takes several calls
+      memorySize: 512,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        TEXTRACT_MAX_POLLS: '60',
+      },
+    });
+
+    // 👇 Currency conversion settings (`-c homeCurrency=EUR -c fxRateSource=file`)
+    const currencyEnvironment = {
+      HOME_CURRENCY: this.node.tryGetContext("homeCurrency") || "USD",
+      FX_RATE_SOURCE: this.node.tryGetContext("fxRateSource") || "frankfurter",
+    };
+
+    // 👇 Extraction model for the Bedrock step (see backend/model-providers.js).
+    // Requests may pick another provider with "modelProvider", but only one of
+    // allowedModelProviders (default: every Bedrock model). The local mock is
+    // never deployed. Model ids come from backend/model-config.js and can be
+    // replaced, e.g. -c novaLiteModelId=us.amazon.nova-lite-v1:0 for an
+    // inference profile; the Bedrock Lambda may invoke exactly these.
+    const modelProvider = this.node.tryGetContext("modelProvider") || "nova-lite";
+    const allowedModelProviders = String(this.node.tryGetContext("allowedModelProviders") || Object.keys(BEDROCK_MODELS).join(","))
+      .split(",")
+      .map(name => name.trim())
+      .filter(Boolean);
+    allowedModelProviders.forEach(name => {
+      if (!BEDROCK_MODELS[name]) {
+        throw new Error(`allowedModelProviders: '${name}' is not a Bedrock model provider (${Object.keys(BEDROCK_MODELS).join(", ")})`);
+      }
+    });
+    if (!allowedModelProviders.includes(modelProvider)) {
+      throw new Error(`modelProvider '${modelProvider}' must be one of allowedModelProviders (${allowedModelProviders.join(", ")})`);
+    }
+    const modelIds = Object.fromEntries(allowedModelProviders.map(name => [
+      name,
+      this.node.tryGetContext(BEDROCK_MODELS[name].contextKey) || BEDROCK_MODELS[name].defaultModelId
+    ]));
+    const modelEnvironment = {
+      ALLOWED_MODEL_PROVIDERS: allowedModelProviders.join(","),
+      ...Object.fromEntries(allowedModelProviders.map(name => [BEDROCK_MODELS[name].modelIdEnv, modelIds[name]])),
+    };
+
+    // 👇 Lambda function for Bedrock model processing
     const bedrockLambda = new lambda.Function(this, "BedrockLambda", {
       runtime: lambda.Runtime.NODEJS_18_X,
       handler: "bedrock-function.handler",
@@ -105,6 +411,10 @@ class CdkStack extends Stack {
       memorySize: 512,
       environment: {
         AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        MODEL_PROVIDER: modelProvider,
+        ...modelEnvironment,
+        REVIEW_CONFIDENCE_THRESHOLD: String(reviewConfidenceThreshold),
+        ...currencyEnvironment,
       },
     });
 
@@ -118,6 +428,63 @@ class CdkStack extends Stack {
       environment: {
         AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
         RECEIPTS_TABLE: receiptsTable.tableName,
+        DUPLICATE_INDEX_TABLE: duplicateIndexTable.tableName,
+        DUPLICATE_POLICY: duplicatePolicy,
+        ...currencyEnvironment,
+      },
+    });
+
+    // 👇 Lambda function that saves the group record for a photo with several receipts
+    const receiptGroupLambda = new lambda.Function(this, "ReceiptGroupLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "receipt-group-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        RECEIPTS_TABLE: receiptsTable.tableName,
+      },
+    });
+
+    // 👇 Lambda function that records a failed execution (dead-letter path)
+    const failureHandlerLambda = new lambda.Function(this, "FailureHandlerLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "failure-handler-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        RECEIPTS_TABLE: receiptsTable.tableName,
+      },
+    });
+
+    // 👇 Lambda function that puts a receipt in the review queue (waitForTaskToken)
+    const reviewRequestLambda = new lambda.Function(this, "ReviewRequestLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "review-request-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        REVIEW_QUEUE_TABLE: reviewQueueTable.tableName,
+        REVIEW_TIMEOUT_DAYS: String(reviewTimeoutDays),
+      },
+    });
+
+    // 👇 Lambda function for the review queue and review decisions
+    const reviewLambda = new lambda.Function(this, "ReviewLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "review-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        REVIEW_QUEUE_TABLE: reviewQueueTable.tableName,
+        ...currencyEnvironment,
       },
     });
 
@@ -131,6 +498,209 @@ class CdkStack extends Stack {
       environment: {
         AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
         RECEIPTS_TABLE: receiptsTable.tableName,
+        REVIEW_QUEUE_TABLE: reviewQueueTable.tableName,
+      },
+    });
+
+    // 👇 Lambda function for listing receipts
+    const listLambda = new lambda.Function(this, "ListLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "list-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        RECEIPTS_TABLE: receiptsTable.tableName,
+      },
+    });
+
+    // 👇 Lambda function maintaining the analytics aggregates from the
+    // receipts stream and checking budgets against them
+    const analyticsAggregatorLambda = new lambda.Function(this, "AnalyticsAggregatorLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "analytics-aggregator-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(60),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        ANALYTICS_TABLE: analyticsTable.tableName,
+        BUDGETS_TABLE: budgetsTable.tableName,
+        HOME_CURRENCY: currencyEnvironment.HOME_CURRENCY,
+        BUDGET_NOTIFIERS: budgetNotifiers,
+        BUDGET_ALERT_TOPIC_ARN: budgetAlertsTopic.topicArn,
+        BUDGET_ALERT_EMAIL_FROM: budgetAlertEmailFrom,
+      },
+    });
+
+    // Batches still failing after the retries are described (shard and
+    // sequence numbers) in this queue; their users need an aggregate rebuild
+    // with backend/analytics-backfill.js
+    const analyticsStreamFailuresQueue = new sqs.Queue(this, "AnalyticsStreamFailuresQueue", {
+      queueName: "SnapTally-AnalyticsStreamFailures",
+      retentionPeriod: Duration.days(14),
+    });
+
+    // Failed records are retried from where they failed, splitting the batch
+    // to isolate them; each one is counted once (see applyReceiptChange)
+    analyticsAggregatorLambda.addEventSource(new lambdaEventSources.DynamoEventSource(receiptsTable, {
+      startingPosition: lambda.StartingPosition.TRIM_HORIZON,
+      batchSize: 100,
+      maxBatchingWindow: Duration.seconds(5),
+      retryAttempts: 10,
+      bisectBatchOnError: true,
+      reportBatchItemFailures: true,
+      onFailure: new lambdaEventSources.SqsDlq(analyticsStreamFailuresQueue),
+    }));
+
+    // 👇 Lambda function delivering the budget alerts no notifier took at first
+    const budgetAlertsRetryLambda = new lambda.Function(this, "BudgetAlertsRetryLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "budget-alerts-retry-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.minutes(2),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        BUDGETS_TABLE: budgetsTable.tableName,
+        BUDGET_NOTIFIERS: budgetNotifiers,
+        BUDGET_ALERT_TOPIC_ARN: budgetAlertsTopic.topicArn,
+        BUDGET_ALERT_EMAIL_FROM: budgetAlertEmailFrom,
+      },
+    });
+
+    new events.Rule(this, "BudgetAlertsRetrySchedule", {
+      schedule: events.Schedule.rate(Duration.minutes(15)),
+      targets: [new eventsTargets.LambdaFunction(budgetAlertsRetryLambda)],
+    });
+
+    // 👇 Lambda function for GET /analytics/summary
+    const analyticsLambda = new lambda.Function(this, "AnalyticsLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "analytics-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        ANALYTICS_TABLE: analyticsTable.tableName,
+        HOME_CURRENCY: currencyEnvironment.HOME_CURRENCY,
+      },
+    });
+
+    // 👇 Lambda function for the budgets API
+    const budgetsLambda = new lambda.Function(this, "BudgetsLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "budgets-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        BUDGETS_TABLE: budgetsTable.tableName,
+        ANALYTICS_TABLE: analyticsTable.tableName,
+        HOME_CURRENCY: currencyEnvironment.HOME_CURRENCY,
+      },
+    });
+
+    // 👇 Lambda function starting spreadsheet and accounting exports and
+    // handing out their download links
+    const exportLambda = new lambda.Function(this, "ExportLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "export-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        EXPORT_JOBS_TABLE: exportJobsTable.tableName,
+        S3_BUCKET: receiptsBucket.bucketName,
+      },
+    });
+
+    // 👇 Lambda function writing the export files (streams the file to S3).
+    // Accounting exports book categories to the ledger accounts of
+    // backend/chart-of-accounts.json, or of `-c accountMappingFile=<file in backend/>`
+    const exportWorkerLambda = new lambda.Function(this, "ExportWorkerLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "export-worker-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.minutes(10),
+      memorySize: 1024,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        RECEIPTS_TABLE: receiptsTable.tableName,
+        EXPORT_JOBS_TABLE: exportJobsTable.tableName,
+        S3_BUCKET: receiptsBucket.bucketName,
+        HOME_CURRENCY: currencyEnvironment.HOME_CURRENCY,
+        ACCOUNT_MAPPING_FILE: this.node.tryGetContext("accountMappingFile") || "chart-of-accounts.json",
+      },
+    });
+
+    // One export per invocation, only new jobs start one
+    exportWorkerLambda.addEventSource(new lambdaEventSources.DynamoEventSource(exportJobsTable, {
+      startingPosition: lambda.StartingPosition.LATEST,
+      batchSize: 1,
+      retryAttempts: 2,
+      filters: [lambda.FilterCriteria.filter({ eventName: lambda.FilterRule.isEqual("INSERT") })],
+    }));
+
+    // 👇 Lambda function for editing processed receipts
+    const updateLambda = new lambda.Function(this, "UpdateLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "update-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        RECEIPTS_TABLE: receiptsTable.tableName,
+        DUPLICATE_INDEX_TABLE: duplicateIndexTable.tableName,
+        ...currencyEnvironment,
+      },
+    });
+
+    // 👇 Lambda function for receipt deletion and right-to-erasure requests
+    const erasureLambda = new lambda.Function(this, "ErasureLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "erasure-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.minutes(5), // Bulk user erasure walks many receipts
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        RECEIPTS_TABLE: receiptsTable.tableName,
+        REVIEW_QUEUE_TABLE: reviewQueueTable.tableName,
+        DUPLICATE_INDEX_TABLE: duplicateIndexTable.tableName,
+        S3_BUCKET: receiptsBucket.bucketName,
+      },
+    });
+
+    // 👇 Lambda function for presigned uploads and upload confirmation
+    const uploadLambda = new lambda.Function(this, "UploadLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "upload-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        S3_BUCKET: receiptsBucket.bucketName,
+        IDEMPOTENCY_TABLE: idempotencyTable.tableName,
+        IDEMPOTENCY_TTL_HOURS: String(idempotencyTtlHours),
+      },
+    });
+
+    // 👇 Lambda function started by S3 when a presigned upload lands
+    const uploadTriggerLambda = new lambda.Function(this, "UploadTriggerLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "upload-trigger-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
       },
     });
 
@@ -140,6 +710,16 @@ class CdkStack extends Stack {
       outputPath: "$.Payload",
     });
 
+    const textractPdfStartTask = new sfnTasks.LambdaInvoke(this, "TextractPdfStartTask", {
+      lambdaFunction: textractPdfStartLambda,
+      outputPath: "$.Payload",
+    });
+
+    const textractPdfPollTask = new sfnTasks.LambdaInvoke(this, "TextractPdfPollTask", {
+      lambdaFunction: textractPdfPollLambda,
+      outputPath: "$.Payload",
+    });
+
     const bedrockTask = new sfnTasks.LambdaInvoke(this, "BedrockTask", {
       lambdaFunction: bedrockLambda,
       outputPath: "$.Payload",
@@ -150,24 +730,237 @@ class CdkStack extends Stack {
       outputPath: "$.Payload",
     });
 
+    // 👇 Tasks for photos with several receipts: each child receipt goes
+    // through Bedrock and DynamoDB on its own, then the group is saved
+    const childBedrockTask = new sfnTasks.LambdaInvoke(this, "ChildBedrockTask", {
+      lambdaFunction: bedrockLambda,
+      outputPath: "$.Payload",
+    });
+
+    const childDynamoTask = new sfnTasks.LambdaInvoke(this, "ChildDynamoTask", {
+      lambdaFunction: dynamoLambda,
+      outputPath: "$.Payload",
+    });
+
+    const receiptGroupTask = new sfnTasks.LambdaInvoke(this, "ReceiptGroupTask", {
+      lambdaFunction: receiptGroupLambda,
+      outputPath: "$.Payload",
+    });
+
+    // 👇 Review stage: receipts the Bedrock step flagged (low confidence,
+    // validation errors, amounts that don't add up) wait in the review queue
+    // until POST /review/{receiptId} sends the task token back
+    const createReviewTask = (id) => new sfnTasks.LambdaInvoke(this, id, {
+      lambdaFunction: reviewRequestLambda,
+      integrationPattern: stepfunctions.IntegrationPattern.WAIT_FOR_TASK_TOKEN,
+      payload: stepfunctions.TaskInput.fromObject({
+        taskToken: stepfunctions.JsonPath.taskToken,
+        "receipt.$": "$",
+      }),
+      taskTimeout: stepfunctions.Timeout.duration(Duration.days(reviewTimeoutDays)),
+    });
+
+    const reviewTask = createReviewTask("ReviewTask");
+    const childReviewTask = createReviewTask("ChildReviewTask");
+
+    const needsReview = stepfunctions.Condition.and(
+      stepfunctions.Condition.isPresent("$.review.required"),
+      stepfunctions.Condition.booleanEquals("$.review.required", true)
+    );
+
+    // 👇 Retries: the Lambdas throw typed errors (backend/pipeline-errors.js).
+    // Throttling backs off for up to a few minutes, other transient errors are
+    // retried a few times, FatalError is never retried.
+    const addRetries = (task) => {
+      task.addRetry({
+        errors: ["ThrottlingError"],
+        interval: Duration.seconds(5),
+        maxAttempts: 6,
+        backoffRate: 2,
+        maxDelay: Duration.seconds(60),
+        jitterStrategy: stepfunctions.JitterType.FULL,
+      });
+      task.addRetry({
+        errors: ["TransientError"],
+        interval: Duration.seconds(2),
+        maxAttempts: 3,
+        backoffRate: 2,
+      });
+      return task;
+    };
+
+    [
+      textractTask, textractPdfStartTask, textractPdfPollTask, bedrockTask, dynamoTask,
+      childBedrockTask, childDynamoTask, receiptGroupTask, reviewTask, childReviewTask,
+    ].forEach(addRetries);
+
+    // 👇 Dead-letter path: whatever is left after the retries is caught, the
+    // failed stage and error are saved as a failure record and the execution fails
+    const processingFailed = new stepfunctions.Fail(this, "ProcessingFailed", {
+      error: "ReceiptProcessingFailed",
+      cause: "A processing stage failed, see the failure record for the receipt",
+    });
+
+    const recordFailureTask = new sfnTasks.LambdaInvoke(this, "RecordFailureTask", {
+      lambdaFunction: failureHandlerLambda,
+      payload: stepfunctions.TaskInput.fromObject({
+        "execution.$": "$$.Execution.Input",
+        "executionArn.$": "$$.Execution.Id",
+        "stage.$": "$.failedStage.stage",
+        "error.$": "$.error",
+      }),
+      resultPath: stepfunctions.JsonPath.DISCARD,
+    });
+    recordFailureTask.next(processingFailed);
+
+    // One Pass state per stage names the stage for the failure record
+    const failAt = (stage, id) => new stepfunctions.Pass(this, `${id}Failed`, {
+      result: stepfunctions.Result.fromObject({ stage }),
+      resultPath: "$.failedStage",
+    }).next(recordFailureTask);
+
+    const catchFailure = (state, stage, id) => state.addCatch(failAt(stage, id), {
+      errors: [stepfunctions.Errors.ALL],
+      resultPath: "$.error",
+    });
+
+    catchFailure(textractTask, "textract", "Textract");
+    catchFailure(textractPdfStartTask, "textract-pdf", "TextractPdfStart");
+    catchFailure(textractPdfPollTask, "textract-pdf", "TextractPdfPoll");
+    catchFailure(bedrockTask, "bedrock", "Bedrock");
+    catchFailure(reviewTask, "review", "Review");
+    catchFailure(dynamoTask, "dynamodb", "Dynamo");
+    catchFailure(receiptGroupTask, "receipt-group", "ReceiptGroup");
+
+    // Inside the Map a failed child receipt does not stop its siblings, it is
+    // reported to the group step as CHILD_FAILED
+    const childFailed = new stepfunctions.Pass(this, "ChildReceiptFailed", {
+      parameters: {
+        "receiptId.$": "$.receiptId",
+        status: "CHILD_FAILED",
+        "error.$": "$.error",
+      },
+    });
+    childBedrockTask.addCatch(childFailed, { errors: [stepfunctions.Errors.ALL], resultPath: "$.error" });
+    childReviewTask.addCatch(childFailed, { errors: [stepfunctions.Errors.ALL], resultPath: "$.error" });
+    childDynamoTask.addCatch(childFailed, { errors: [stepfunctions.Errors.ALL], resultPath: "$.error" });
+
+    const processChildReceipts = new stepfunctions.Map(this, "ProcessChildReceipts", {
+      itemsPath: "$.childReceipts",
+      resultPath: "$.childResults",
+      maxConcurrency: 5,
+    });
+    processChildReceipts.itemProcessor(childBedrockTask.next(
+      new stepfunctions.Choice(this, "ChildNeedsReview?")
+        .when(needsReview, childReviewTask.next(childDynamoTask))
+        .otherwise(childDynamoTask)
+    ));
+    catchFailure(processChildReceipts, "receipt-split", "ProcessChildReceipts");
+
+    // A group where no receipt could be saved is a failure, not an empty result
+    const noReceiptSaved = new stepfunctions.Pass(this, "NoReceiptSaved", {
+      parameters: {
+        Error: "FatalError",
+        Cause: "None of the receipts found in the image could be processed",
+      },
+      resultPath: "$.error",
+    });
+    processChildReceipts.next(receiptGroupTask).next(
+      new stepfunctions.Choice(this, "AnyReceiptSaved?")
+        .when(stepfunctions.Condition.numberGreaterThan("$.savedData.childCount", 0), new stepfunctions.Succeed(this, "ReceiptGroupSaved"))
+        .otherwise(noReceiptSaved.next(failAt("receipt-split", "ReceiptSplit")))
+    );
+
     // 👇 Step Function definition
-    const definition = textractTask
-      .next(bedrockTask)
-      .next(dynamoTask);
+    // PDFs may have many pages, which only the asynchronous Textract API
+    // handles: start the job, then wait and poll until it has finished
+    bedrockTask.next(
+      new stepfunctions.Choice(this, "NeedsReview?")
+        .when(needsReview, reviewTask.next(dynamoTask))
+        .otherwise(dynamoTask)
+    );
+
+    const waitForPdfAnalysis = new stepfunctions.Wait(this, "WaitForPdfAnalysis", {
+      time: stepfunctions.WaitTime.duration(Duration.seconds(5)),
+    });
+
+    const pdfAnalysisDone = new stepfunctions.Choice(this, "PdfAnalysisDone?")
+      .when(
+        stepfunctions.Condition.stringEquals("$.status", "TEXTRACT_IN_PROGRESS"),
+        waitForPdfAnalysis.next(textractPdfPollTask)
+      )
+      .otherwise(bedrockTask);
+
+    textractPdfPollTask.next(pdfAnalysisDone);
+
+    const isPdf = new stepfunctions.Choice(this, "IsPdf?")
+      .when(
+        stepfunctions.Condition.and(
+          stepfunctions.Condition.isPresent("$.mimeType"),
+          stepfunctions.Condition.stringEquals("$.mimeType", "application/pdf")
+        ),
+        textractPdfStartTask.next(pdfAnalysisDone)
+      )
+      .otherwise(
+        textractTask.next(
+          new stepfunctions.Choice(this, "MultipleReceipts?")
+            .when(stepfunctions.Condition.isPresent("$.childReceipts"), processChildReceipts)
+            .otherwise(bedrockTask)
+        )
+      );
+
+    // Executions without a receipt or an object to read stop right away
+    const definition = new stepfunctions.Choice(this, "ValidInput?")
+      .when(
+        stepfunctions.Condition.and(
+          stepfunctions.Condition.isPresent("$.receiptId"),
+          stepfunctions.Condition.isPresent("$.s3Key")
+        ),
+        isPdf
+      )
+      .otherwise(new stepfunctions.Fail(this, "InvalidInput", {
+        error: "FatalError",
+        cause: "Execution input needs receiptId and s3Key",
+      }));
 
     // 👇 Create Step Function
     const receiptProcessingStateMachine = new stepfunctions.StateMachine(this, "ReceiptProcessingStateMachine", {
       definition,
-      timeout: Duration.minutes(10),
+      timeout: Duration.days(reviewTimeoutDays + 1), // Receipts may wait for review
       stateMachineName: "SnapTally-ReceiptProcessing",
     });
 
     // 👇 Add Step Function ARN to API Lambda environment
     apiLambda.addEnvironment("STEP_FUNCTION_ARN", receiptProcessingStateMachine.stateMachineArn);
+    erasureLambda.addEnvironment("STEP_FUNCTION_ARN", receiptProcessingStateMachine.stateMachineArn);
+    uploadLambda.addEnvironment("STEP_FUNCTION_ARN", receiptProcessingStateMachine.stateMachineArn);
+    uploadTriggerLambda.addEnvironment("STEP_FUNCTION_ARN", receiptProcessingStateMachine.stateMachineArn);
+    // Both entry points reject providers the deployment does not offer
+    apiLambda.addEnvironment("ALLOWED_MODEL_PROVIDERS", modelEnvironment.ALLOWED_MODEL_PROVIDERS);
+    uploadLambda.addEnvironment("ALLOWED_MODEL_PROVIDERS", modelEnvironment.ALLOWED_MODEL_PROVIDERS);
 
     // 👇 Permissions for API Lambda
     receiptProcessingStateMachine.grantStartExecution(apiLambda);
     receiptsBucket.grantReadWrite(apiLambda);
+    idempotencyTable.grantReadWriteData(apiLambda);
+
+    // 👇 Permissions for the presigned upload flow
+    receiptProcessingStateMachine.grantStartExecution(uploadLambda);
+    receiptProcessingStateMachine.grantStartExecution(uploadTriggerLambda);
+    receiptsBucket.grantPut(uploadLambda);
+    receiptsBucket.grantRead(uploadLambda);
+    receiptsBucket.grantRead(uploadTriggerLambda);
+    // Uploads whose bytes are not a supported file type are deleted
+    receiptsBucket.grantDelete(uploadLambda);
+    receiptsBucket.grantDelete(uploadTriggerLambda);
+    idempotencyTable.grantReadWriteData(uploadLambda);
+
+    // 👇 Start processing as soon as a presigned upload lands in the bucket
+    receiptsBucket.addEventNotification(
+      s3.EventType.OBJECT_CREATED,
+      new s3n.LambdaDestination(uploadTriggerLambda),
+      { prefix: "uploads/" }
+    );
 
     // 👇 Permissions for Textract Lambda
     textractLambda.addToRolePolicy(
@@ -181,23 +974,52 @@ class CdkStack extends Stack {
       })
     );
     receiptsBucket.grantRead(textractLambda);
+    receiptsBucket.grantPut(textractLambda); // HEIC uploads are stored again as JPEG
+
+    // 👇 Permissions for the PDF Lambdas (Textract reads the PDF from S3 with the caller's permissions)
+    textractPdfStartLambda.addToRolePolicy(
+      new iam.PolicyStatement({
+        effect: iam.Effect.ALLOW,
+        actions: ["textract:StartExpenseAnalysis"],
+        resources: ["*"],
+      })
+    );
+    textractPdfPollLambda.addToRolePolicy(
+      new iam.PolicyStatement({
+        effect: iam.Effect.ALLOW,
+        actions: ["textract:GetExpenseAnalysis"],
+        resources: ["*"],
+      })
+    );
+    receiptsBucket.grantRead(textractPdfStartLambda);
 
-    // 👇 Permissions for Bedrock Lambda (Nova Lite)
+    // 👇 Permissions for Bedrock Lambda (the allowed models, with their inference profiles)
     bedrockLambda.addToRolePolicy(
       new iam.PolicyStatement({
         effect: iam.Effect.ALLOW,
         actions: [
           "bedrock:InvokeModel"
         ],
-        resources: [
-          "arn:aws:bedrock:us-east-1::foundation-model/amazon.nova-lite-v1:0"
-        ],
+        resources: [...new Set(Object.values(modelIds).flatMap(modelId =>
+          bedrockModelArns(modelId, { region: "us-east-1", account: this.account })
+        ))],
       })
     );
     receiptsBucket.grantRead(bedrockLambda);
 
     // 👇 Permissions for DynamoDB Lambda
     receiptsTable.grantWriteData(dynamoLambda);
+    receiptsTable.grantWriteData(receiptGroupLambda);
+    receiptsTable.grantWriteData(failureHandlerLambda);
+    duplicateIndexTable.grantReadWriteData(dynamoLambda);
+
+    // 👇 Permissions for the review queue
+    reviewQueueTable.grantWriteData(reviewRequestLambda);
+    reviewQueueTable.grantReadWriteData(reviewLambda);
+    reviewQueueTable.grantReadData(statusLambda);
+    reviewQueueTable.grantReadWriteData(erasureLambda);
+    receiptsBucket.grantRead(reviewLambda); // Presigned image links for reviewers
+    receiptProcessingStateMachine.grantTaskResponse(reviewLambda);
 
     // 👇 Permissions for Status Lambda
     receiptsTable.grantReadData(statusLambda);
@@ -211,32 +1033,237 @@ class CdkStack extends Stack {
       })
     );
 
+    // 👇 Permissions for List Lambda
+    receiptsTable.grantReadData(listLambda);
+
+    // 👇 Permissions for Export Lambdas (the stream read is granted by the event source)
+    exportJobsTable.grantReadWriteData(exportLambda);
+    receiptsBucket.grantRead(exportLambda); // Presigned download links
+    receiptsTable.grantReadData(exportWorkerLambda);
+    exportJobsTable.grantWriteData(exportWorkerLambda);
+    receiptsBucket.grantPut(exportWorkerLambda);
+
+    // 👇 Permissions for Analytics Lambdas (the stream read is granted by the event source)
+    analyticsTable.grantReadWriteData(analyticsAggregatorLambda);
+    analyticsTable.grantReadData(analyticsLambda);
+
+    // 👇 Permissions for budgets and their alerts
+    [analyticsAggregatorLambda, budgetAlertsRetryLambda].forEach((alertingLambda) => {
+      budgetsTable.grantReadWriteData(alertingLambda);
+      budgetAlertsTopic.grantPublish(alertingLambda);
+      if (budgetNotifiers.split(",").includes("email")) {
+        alertingLambda.addToRolePolicy(
+          new iam.PolicyStatement({
+            effect: iam.Effect.ALLOW,
+            actions: ["ses:SendEmail"],
+            resources: ["*"],
+          })
+        );
+      }
+    });
+    budgetsTable.grantReadWriteData(budgetsLambda);
+    analyticsTable.grantReadData(budgetsLambda);
+
+    // 👇 Permissions for Update Lambda
+    receiptsTable.grantReadWriteData(updateLambda);
+    duplicateIndexTable.grantWriteData(updateLambda);
+
+    // 👇 Permissions for Erasure Lambda
+    receiptsTable.grantReadWriteData(erasureLambda);
+    duplicateIndexTable.grantWriteData(erasureLambda);
+    receiptsBucket.grantRead(erasureLambda);
+    receiptsBucket.grantDelete(erasureLambda);
+    erasureLambda.addToRolePolicy(
+      new iam.PolicyStatement({
+        effect: iam.Effect.ALLOW,
+        actions: [
+          "states:DescribeExecution",
+          "states:StopExecution"
+        ],
+        resources: ["*"],
+      })
+    );
+
+    // 👇 WebSocket API pushing processing progress to the browser
+    const webSocketLambda = new lambda.Function(this, "WebSocketLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      handler: "websocket-function.handler",
+      code: lambda.Code.fromAsset(path.join(__dirname, "../../backend")),
+      timeout: Duration.seconds(10),
+      memorySize: 256,
+      environment: {
+        AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        WEBSOCKET_CONNECTIONS_TABLE: webSocketConnectionsTable.tableName,
+      },
+    });
+
+    // Browsers cannot set headers on a WebSocket, the JWT comes as ?token=
+    const webSocketAuthorizer = new apigatewayv2Authorizers.WebSocketLambdaAuthorizer("WebSocketJwtAuthorizer", authorizerLambda, {
+      identitySource: ["route.request.querystring.token"],
+    });
+
+    const webSocketIntegration = (name) => new apigatewayv2Integrations.WebSocketLambdaIntegration(name, webSocketLambda);
+
+    const webSocketApi = new apigatewayv2.WebSocketApi(this, "SnapTallyWebSocketAPI", {
+      apiName: "SnapTally Progress",
+      description: "Receipt processing progress",
+      connectRouteOptions: { integration: webSocketIntegration("ConnectIntegration"), authorizer: webSocketAuthorizer },
+      disconnectRouteOptions: { integration: webSocketIntegration("DisconnectIntegration") },
+      defaultRouteOptions: { integration: webSocketIntegration("DefaultIntegration") },
+    });
+    webSocketApi.addRoute("subscribe", { integration: webSocketIntegration("SubscribeIntegration") });
+    webSocketApi.addRoute("unsubscribe", { integration: webSocketIntegration("UnsubscribeIntegration") });
+
+    const webSocketStage = new apigatewayv2.WebSocketStage(this, "SnapTallyWebSocketStage", {
+      webSocketApi,
+      stageName: "prod",
+      autoDeploy: true,
+    });
+
+    // 👇 Lambdas that report progress (the frontend still polls GET /status as a fallback)
+    const progressLambdas = [
+      apiLambda,
+      uploadLambda,
+      uploadTriggerLambda,
+      textractLambda,
+      textractPdfPollLambda,
+      bedrockLambda,
+      reviewRequestLambda,
+      dynamoLambda,
+      receiptGroupLambda,
+      failureHandlerLambda,
+    ];
+    progressLambdas.forEach((progressLambda) => {
+      progressLambda.addEnvironment("WEBSOCKET_CONNECTIONS_TABLE", webSocketConnectionsTable.tableName);
+    });
+    [...progressLambdas, webSocketLambda].forEach((progressLambda) => {
+      progressLambda.addEnvironment("WEBSOCKET_ENDPOINT", webSocketStage.callbackUrl);
+      webSocketApi.grantManageConnections(progressLambda);
+      webSocketConnectionsTable.grantReadWriteData(progressLambda);
+    });
+
+    // 👇 The same Lambdas (and the PDF start, which counts attempts) keep the processing status
+    [...progressLambdas, textractPdfStartLambda].forEach((stageLambda) => {
+      stageLambda.addEnvironment("PROCESSING_STATUS_TABLE", processingStatusTable.tableName);
+      processingStatusTable.grantWriteData(stageLambda);
+    });
+    [statusLambda, erasureLambda].forEach((readerLambda) => {
+      readerLambda.addEnvironment("PROCESSING_STATUS_TABLE", processingStatusTable.tableName);
+    });
+    processingStatusTable.grantReadData(statusLambda);
+    processingStatusTable.grantReadWriteData(erasureLambda); // Finds the receipts still processing
+
+    // 👇 Erasing a user also deletes their budgets, Idempotency-Keys, WebSocket
+    // connections and exports
+    erasureLambda.addEnvironment("BUDGETS_TABLE", budgetsTable.tableName);
+    budgetsTable.grantReadWriteData(erasureLambda);
+    erasureLambda.addEnvironment("IDEMPOTENCY_TABLE", idempotencyTable.tableName);
+    idempotencyTable.grantReadWriteData(erasureLambda);
+    erasureLambda.addEnvironment("WEBSOCKET_CONNECTIONS_TABLE", webSocketConnectionsTable.tableName);
+    webSocketConnectionsTable.grantReadWriteData(erasureLambda);
+    erasureLambda.addEnvironment("EXPORT_JOBS_TABLE", exportJobsTable.tableName);
+    exportJobsTable.grantReadWriteData(erasureLambda);
+
     // 👇 API Gateway with enhanced routes
     const api = new apigateway.RestApi(this, "SnapTallyAPI", {
       restApiName: "SnapTally Service",
-      description: "Advanced Receipt Processing API with Textract and Nova Lite",
+      description: "Advanced Receipt Processing API with Textract and Bedrock",
       defaultCorsPreflightOptions: {
         allowOrigins: apigateway.Cors.ALL_ORIGINS,
         allowMethods: apigateway.Cors.ALL_METHODS,
-        allowHeaders: ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key'],
+        allowHeaders: ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key', 'Idempotency-Key'],
+      },
+      // Every route requires a valid JWT; CORS preflight stays unauthenticated
+      defaultMethodOptions: {
+        authorizer,
+        authorizationType: apigateway.AuthorizationType.CUSTOM,
       },
     });
 
+    // 👇 Let browsers read 401/403 responses produced by the authorizer
+    [apigateway.ResponseType.UNAUTHORIZED, apigateway.ResponseType.ACCESS_DENIED].forEach((type) => {
+      api.addGatewayResponse(`${type.responseType}Response`, {
+        type,
+        responseHeaders: {
+          "Access-Control-Allow-Origin": "'*'",
+          "Access-Control-Allow-Headers": "'Content-Type,Authorization'",
+        },
+      });
+    });
+
     // 👇 Receipt processing endpoint
     const receipt = api.root.addResource("receipt");
     receipt.addMethod("POST", new apigateway.LambdaIntegration(apiLambda));
 
+    // 👇 Direct-to-S3 upload endpoints
+    const uploadUrl = receipt.addResource("upload-url");
+    uploadUrl.addMethod("POST", new apigateway.LambdaIntegration(uploadLambda));
+    const confirmUpload = receipt.addResource("{receiptId}").addResource("confirm");
+    confirmUpload.addMethod("POST", new apigateway.LambdaIntegration(uploadLambda));
+
     // 👇 Status checking endpoint
     const status = api.root.addResource("status");
     const statusWithId = status.addResource("{receiptId}");
     statusWithId.addMethod("GET", new apigateway.LambdaIntegration(statusLambda));
 
+    // 👇 Receipt listing endpoint
+    const receipts = api.root.addResource("receipts");
+    receipts.addMethod("GET", new apigateway.LambdaIntegration(listLambda));
+
+    // 👇 Spreadsheet export endpoints (start an export, then poll it)
+    const receiptsExport = receipts.addResource("export");
+    receiptsExport.addMethod("GET", new apigateway.LambdaIntegration(exportLambda));
+    const receiptsExportJob = receiptsExport.addResource("{jobId}");
+    receiptsExportJob.addMethod("GET", new apigateway.LambdaIntegration(exportLambda));
+
+    // 👇 Receipt correction endpoint
+    const receiptById = receipts.addResource("{receiptId}");
+    receiptById.addMethod("PATCH", new apigateway.LambdaIntegration(updateLambda));
+    receiptById.addMethod("DELETE", new apigateway.LambdaIntegration(erasureLambda));
+
+    // 👇 Spending analytics endpoint
+    const analytics = api.root.addResource("analytics");
+    analytics.addResource("summary").addMethod("GET", new apigateway.LambdaIntegration(analyticsLambda));
+
+    // 👇 Budget endpoints
+    const budgets = api.root.addResource("budgets");
+    budgets.addMethod("GET", new apigateway.LambdaIntegration(budgetsLambda));
+    const budgetByCategory = budgets.addResource("{category}");
+    budgetByCategory.addMethod("PUT", new apigateway.LambdaIntegration(budgetsLambda));
+    budgetByCategory.addMethod("DELETE", new apigateway.LambdaIntegration(budgetsLambda));
+
+    // 👇 Human review endpoints
+    const reviewQueue = api.root.addResource("review-queue");
+    reviewQueue.addMethod("GET", new apigateway.LambdaIntegration(reviewLambda));
+    const reviewById = api.root.addResource("review").addResource("{receiptId}");
+    reviewById.addMethod("POST", new apigateway.LambdaIntegration(reviewLambda));
+
+    // 👇 Right-to-erasure endpoint for everything belonging to a user
+    const users = api.root.addResource("users");
+    const userReceipts = users.addResource("{userId}").addResource("receipts");
+    userReceipts.addMethod("DELETE", new apigateway.LambdaIntegration(erasureLambda));
+
     // 👇 Output important values
     new (require("aws-cdk-lib").CfnOutput)(this, "ApiGatewayUrl", {
       value: api.url,
       description: "API Gateway URL",
     });
 
+    new (require("aws-cdk-lib").CfnOutput)(this, "WebSocketUrl", {
+      value: webSocketStage.url,
+      description: "WebSocket URL for processing progress",
+    });
+
+    new (require("aws-cdk-lib").CfnOutput)(this, "BudgetAlertsTopicArn", {
+      value: budgetAlertsTopic.topicArn,
+      description: "SNS topic receiving budget alerts",
+    });
+
+    new (require("aws-cdk-lib").CfnOutput)(this, "AnalyticsStreamFailuresQueueUrl", {
+      value: analyticsStreamFailuresQueue.queueUrl,
+      description: "Receipt stream batches the analytics aggregates missed",
+    });
+
     new (require("aws-cdk-lib").CfnOutput)(this, "DynamoDBTableName", {
       value: receiptsTable.tableName,
       description: "DynamoDB Table Name",
@@ -1,4 +1,31 @@
 // Advanced Receipt processing using AWS Textract AnalyzeExpense + Bedrock Claude
+const API_BASE_URL = "https://vppubumnr7.execute-api.us-east-1.amazonaws.com/prod";
+// WebSocketUrl output of the stack. Empty: poll GET /status for progress.
+const WEBSOCKET_URL = "";
+
+// The API requires a JWT. After signing in through the Cognito hosted UI (or
+// any OIDC provider) the browser is redirected back with #id_token=... which
+// we keep for subsequent API calls.
+const TOKEN_STORAGE_KEY = "snaptallyIdToken";
+captureTokenFromRedirect();
+
+function captureTokenFromRedirect() {
+  const params = new URLSearchParams(window.location.hash.substring(1));
+  const idToken = params.get("id_token");
+  if (idToken) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, idToken);
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+}
+
+function authHeaders() {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  if (!token) {
+    throw new Error("Please sign in before scanning receipts.");
+  }
+  return { Authorization: `Bearer ${token}` };
+}
+
 document.getElementById("processBtn").addEventListener("click", async () => {
   const fileInput = document.getElementById("imageUpload");
   const file = fileInput.files[0];
@@ -14,7 +41,7 @@ document.getElementById("processBtn").addEventListener("click", async () => {
     <div class="processing-container">
       <div class="processing-header">
         <h2>🚀 Advanced Receipt Processing</h2>
-        <p>Using AWS Textract AnalyzeExpense + Bedrock Nova Lite</p>
+        <p>Using AWS Textract AnalyzeExpense + Amazon Bedrock</p>
       </div>
       <div class="processing-steps">
         <div class="step active" id="step-upload">
@@ -41,54 +68,46 @@ document.getElementById("processBtn").addEventListener("click", async () => {
     </div>
   `;
 
+  let progress;
   try {
-    // Convert file to base64
-    updateProgress(25, "Preparing image data...");
-    const base64Image = await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
+    // Ask the API for a presigned upload URL
+    updateProgress(5, "Preparing upload...");
+    const idempotencyKey = getIdempotencyKey(file);
+    const upload = await postJson("/receipt/upload-url", {
+      contentType: getContentType(file),
+      contentLength: file.size,
+      fileName: file.name
+    }, { idempotencyKey });
+
+    // Follow progress over the WebSocket before S3 starts the pipeline
+    progress = watchProgress(upload.receiptId);
+    await progress.ready;
+
+    // Upload the file straight to S3 (no base64, no API Gateway size cap)
+    await uploadFileToS3(upload.uploadUrl, file, upload.uploadHeaders, (fraction) => {
+      updateProgress(5 + Math.round(fraction * 45), `Uploading image... ${Math.round(fraction * 100)}%`);
     });
 
     // Start processing
     updateProgress(50, "Starting advanced processing...");
     activateStep("step-textract");
-    
-    const response = await fetch(
-      "https://vppubumnr7.execute-api.us-east-1.amazonaws.com/prod/receipt",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          image: base64Image
-        }),
-      }
-    );
 
-    const result = await response.json();
-
-    if (!response.ok) {
-      throw new Error(result.error || "Error starting receipt processing.");
-    }
+    const result = await postJson(`/receipt/${upload.receiptId}/confirm`, {}, { idempotencyKey });
 
     if (result.success && result.receiptId) {
-      // Start polling for results
-      updateProgress(75, "Processing with AI...");
-      activateStep("step-bedrock");
-      
-      await pollForResults(result.receiptId, result.executionArn);
+      if (!progress.isOpen()) {
+        updateProgress(75, "Processing with AI...");
+        activateStep("step-bedrock");
+      }
+
+      trackProcessing(result.receiptId, progress);
     } else {
       throw new Error("Failed to start receipt processing");
     }
 
   } catch (error) {
     console.error("Error:", error);
+    if (progress) progress.close();
     output.innerHTML = `
       <div class="error-container">
         <h2>❌ Processing Failed</h2>
@@ -102,59 +121,343 @@ document.getElementById("processBtn").addEventListener("click", async () => {
   }
 });
 
-async function pollForResults(receiptId, executionArn) {
-  const maxAttempts = 30; // 5 minutes max (10 second intervals)
+// Pipeline stages pushed over the WebSocket (backend/progress.js)
+const PROGRESS_STEPS = {
+  uploaded: { step: "step-textract", percentage: 55, message: "Extracting data with Textract..." },
+  textract_completed: { step: "step-bedrock", percentage: 70, message: "AI parsing in progress..." },
+  model_completed: { step: "step-save", percentage: 90, message: "Saving to database..." }
+};
+const FINAL_PROGRESS_STAGES = ["saved", "failed", "in_review"];
+// Stage GET /status reports while processing -> progress step
+const STATUS_STAGE_STEPS = {
+  textract: "uploaded",
+  "textract-pdf": "uploaded",
+  bedrock: "textract_completed",
+  review: "model_completed",
+  dynamodb: "model_completed",
+  "receipt-group": "model_completed"
+};
+
+// Opens the progress WebSocket and subscribes to the receipt. `ready`
+// resolves once subscribed, or after 2 seconds so a slow or blocked socket
+// never holds the upload up. Without a socket the caller only polls.
+function watchProgress(receiptId) {
+  const watcher = { ready: Promise.resolve(), isOpen: () => false, close: () => {}, onFinal: () => {} };
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  if (!WEBSOCKET_URL || !token || !("WebSocket" in window)) {
+    return watcher;
+  }
+
+  const socket = new WebSocket(`${WEBSOCKET_URL}?token=${encodeURIComponent(token)}`);
+  watcher.isOpen = () => socket.readyState === WebSocket.OPEN;
+  watcher.close = () => socket.close();
+
+  watcher.ready = new Promise((resolve) => {
+    setTimeout(resolve, 2000);
+    socket.addEventListener("open", () => {
+      socket.send(JSON.stringify({ action: "subscribe", receiptId }));
+    });
+    socket.addEventListener("error", () => {
+      console.warn("Progress updates unavailable, polling for results");
+      resolve();
+    });
+    socket.addEventListener("close", resolve);
+
+    socket.addEventListener("message", (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (message.type === "subscribed") {
+        resolve();
+      } else if (message.type === "progress" && message.receiptId === receiptId) {
+        showProgressStage(message);
+        // Receipts of a group photo report with a childReceiptId; only the
+        // photo's own saved/failed event ends processing
+        if (!message.childReceiptId && FINAL_PROGRESS_STAGES.includes(message.stage)) {
+          watcher.onFinal(message);
+        }
+      }
+    });
+  });
+
+  return watcher;
+}
+
+function showProgressStage(message) {
+  const progressStep = PROGRESS_STEPS[message.stage];
+  if (!progressStep) return;
+
+  activateStep(progressStep.step);
+  const receiptCount = message.stage === "textract_completed" && message.receiptCount > 1
+    ? ` (${message.receiptCount} receipts found)`
+    : "";
+  updateProgress(progressStep.percentage, `${progressStep.message}${receiptCount}`);
+}
+
+// Fetches the result once the WebSocket reports the end of processing.
+// GET /status is still polled: every 10 seconds without a socket, once a
+// minute as a safety net while the socket is open.
+function trackProcessing(receiptId, progress) {
+  const deadline = Date.now() + 5 * 60 * 1000; // 5 minutes max
   let attempts = 0;
+  let timer;
+  let finished = false;
+
+  const finish = () => {
+    finished = true;
+    clearTimeout(timer);
+    progress.close();
+  };
 
   const poll = async () => {
+    if (finished) return;
+    clearTimeout(timer);
     attempts++;
-    
+
     try {
-      const statusUrl = `https://vppubumnr7.execute-api.us-east-1.amazonaws.com/prod/status/${receiptId}?executionArn=${encodeURIComponent(executionArn)}`;
-      const statusResponse = await fetch(statusUrl);
+      const statusUrl = `${API_BASE_URL}/status/${receiptId}`;
+      const statusResponse = await fetch(statusUrl, { headers: authHeaders() });
       const statusResult = await statusResponse.json();
 
-      console.log(`Polling attempt ${attempts}:`, statusResult);
-
-      if (statusResult.status === 'COMPLETED' && statusResult.data) {
-        // Processing complete!
-        updateProgress(100, "Processing complete!");
-        activateStep("step-save");
-        
-        setTimeout(() => {
-          displayReceiptData(statusResult.data, receiptId, statusResult.metadata);
-        }, 1000);
-        
-      } else if (statusResult.status === 'FAILED') {
-        throw new Error(statusResult.message || 'Processing failed');
-        
-      } else if (statusResult.status === 'PROCESSING' && attempts < maxAttempts) {
-        // Still processing, continue polling
-        updateProgress(75 + (attempts * 2), "AI processing in progress...");
-        setTimeout(poll, 10000); // Poll every 10 seconds
-        
-      } else if (attempts >= maxAttempts) {
-        throw new Error('Processing timeout - please try again');
-        
-      } else {
-        // Continue polling
-        setTimeout(poll, 10000);
+      console.log(`Status check ${attempts}:`, statusResult);
+
+      if (finished) return;
+      if (renderStatusResult(statusResult, receiptId)) {
+        finish();
+        return;
+      }
+
+      if (statusResult.status === 'PROCESSING' && !progress.isOpen()) {
+        const stage = STATUS_STAGE_STEPS[statusResult.processing?.stage];
+        if (stage) {
+          showProgressStage({ stage });
+        } else {
+          updateProgress(Math.min(75 + (attempts * 2), 95), "AI processing in progress...");
+        }
       }
 
     } catch (error) {
       console.error('Polling error:', error);
-      
-      if (attempts < maxAttempts) {
-        // Retry polling
-        setTimeout(poll, 10000);
-      } else {
-        throw error;
-      }
     }
+
+    if (Date.now() >= deadline) {
+      finish();
+      showProcessingTimeout();
+      return;
+    }
+    timer = setTimeout(poll, progress.isOpen() ? 60000 : 10000);
   };
 
-  // Start polling after a short delay
-  setTimeout(poll, 5000);
+  progress.onFinal = poll;
+
+  // First check after a short delay
+  timer = setTimeout(poll, 5000);
+}
+
+// Shows a finished status. Returns false while the receipt is still processing.
+function renderStatusResult(statusResult, receiptId) {
+  if (statusResult.status === 'COMPLETED' && statusResult.isGroup) {
+    // Several receipts were found in the photo
+    updateProgress(100, "Processing complete!");
+    activateStep("step-save");
+
+    setTimeout(() => {
+      displayReceiptGroup(statusResult.receipts || [], receiptId);
+    }, 1000);
+    return true;
+  }
+
+  if (statusResult.status === 'COMPLETED' && statusResult.data) {
+    // Processing complete!
+    updateProgress(100, "Processing complete!");
+    activateStep("step-save");
+
+    setTimeout(() => {
+      displayReceiptData(statusResult.data, receiptId, statusResult.metadata);
+    }, 1000);
+    return true;
+  }
+
+  if (statusResult.status === 'IN_REVIEW') {
+    // Held for a reviewer, it is saved once approved or corrected
+    showAwaitingReview(statusResult);
+    return true;
+  }
+
+  if (statusResult.status === 'DUPLICATE') {
+    // Rejected: the same purchase was already submitted
+    showDuplicateRejection(statusResult);
+    return true;
+  }
+
+  if (statusResult.status === 'FAILED' || statusResult.status === 'NOT_FOUND') {
+    // Final: the pipeline recorded which stage failed
+    showProcessingFailure(statusResult);
+    return true;
+  }
+
+  return false;
+}
+
+function showProcessingTimeout() {
+  const output = document.getElementById("receiptInfo");
+
+  output.innerHTML = `
+    <div class="error-container">
+      <h2>⌛ Still Processing</h2>
+      <p>This receipt is taking longer than expected. It will appear in your receipts once it is done.</p>
+      <button onclick="processAnotherReceipt()" class="retry-btn">
+        Process Another Receipt
+      </button>
+    </div>
+  `;
+}
+
+function showProcessingFailure(statusResult) {
+  const output = document.getElementById("receiptInfo");
+  const stage = statusResult.failedStage ? ` during ${escapeHTML(statusResult.failedStage)}` : "";
+
+  output.innerHTML = `
+    <div class="error-container">
+      <h2>❌ Processing Failed${stage}</h2>
+      <p><strong>Error:</strong> ${escapeHTML(statusResult.error || statusResult.message || "Processing failed")}</p>
+      <p>${statusResult.retryable ? "This looks like a temporary problem, please try again in a few minutes." : "Please try again with a clear receipt image."}</p>
+      <button onclick="processAnotherReceipt()" class="retry-btn">
+        Try Again
+      </button>
+    </div>
+  `;
+}
+
+function showDuplicateRejection(statusResult) {
+  const output = document.getElementById("receiptInfo");
+
+  output.innerHTML = `
+    <div class="error-container">
+      <h2>🚫 Duplicate Receipt</h2>
+      <p>This receipt was not saved because it was already submitted:</p>
+      ${buildDuplicateListHTML(statusResult.duplicates || [])}
+      <button onclick="processAnotherReceipt()" class="retry-btn">
+        Process Another Receipt
+      </button>
+    </div>
+  `;
+}
+
+function showAwaitingReview(statusResult) {
+  const output = document.getElementById("receiptInfo");
+
+  output.innerHTML = `
+    <div class="review-pending">
+      <h2>⏸️ Waiting for Review</h2>
+      <p>This receipt needs a second look before it is saved:</p>
+      <ul>
+        ${(statusResult.reasons || []).map(reason => `<li>${escapeHTML(reason.message)}</li>`).join('')}
+      </ul>
+      <p>It will appear in your receipts once a reviewer has approved or corrected it.</p>
+    </div>
+  `;
+}
+
+// One Idempotency-Key per selected file: submitting the same file again
+// (or a retry below) gets the first receipt back instead of a second one
+const idempotencyKeys = new WeakMap();
+
+function getIdempotencyKey(file) {
+  if (!idempotencyKeys.has(file)) {
+    idempotencyKeys.set(file, crypto.randomUUID());
+  }
+  return idempotencyKeys.get(file);
+}
+
+const IDEMPOTENT_RETRIES = 2;
+
+// Requests sent with an Idempotency-Key are retried after network errors,
+// 409 (the first attempt is still running) and 5xx responses
+async function postJson(path, body, { idempotencyKey } = {}) {
+  const retries = idempotencyKey ? IDEMPOTENT_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+          ...authHeaders(),
+        },
+        body: JSON.stringify(body),
+      });
+    } catch (networkError) {
+      if (attempt < retries) {
+        await delay(1000 * (attempt + 1));
+        continue;
+      }
+      throw networkError;
+    }
+
+    if (response.status === 401) {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      throw new Error("Your session has expired. Please sign in again.");
+    }
+
+    if ((response.status === 409 || response.status >= 500) && attempt < retries) {
+      const retryAfter = Number(response.headers.get("Retry-After")) || attempt + 1;
+      await delay(retryAfter * 1000);
+      continue;
+    }
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.details || result.error || "Error starting receipt processing.");
+    }
+
+    return result;
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// fetch() cannot report upload progress, so the S3 PUT uses XMLHttpRequest
+function uploadFileToS3(uploadUrl, file, headers, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", uploadUrl);
+    Object.entries(headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(event.loaded / event.total);
+      }
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        onProgress(1);
+        resolve();
+      } else {
+        reject(new Error(`Upload failed (HTTP ${xhr.status})`));
+      }
+    };
+    xhr.onerror = () => reject(new Error("Upload failed - check your connection"));
+    xhr.send(file);
+  });
+}
+
+// Some browsers leave file.type empty for HEIC photos
+function getContentType(file) {
+  if (file.type) {
+    return file.type;
+  }
+  const extension = file.name.split(".").pop().toLowerCase();
+  return { heic: "image/heic", heif: "image/heif", pdf: "application/pdf" }[extension] || "application/octet-stream";
 }
 
 function updateProgress(percentage, message) {
@@ -187,14 +490,191 @@ function activateStep(stepId) {
 
 function displayReceiptData(data, receiptId, metadata) {
   const output = document.getElementById("receiptInfo");
-  
+
+  output.innerHTML = `
+    <div class="receipt-container enhanced">
+      <div class="receipt-header">
+        <h2>✅ Receipt Processed Successfully</h2>
+        ${buildReceiptMetaHTML(data, receiptId)}
+      </div>
+      
+      ${buildDuplicateWarningHTML(data)}
+
+      ${buildReceiptDetailsHTML(data, metadata)}
+      
+      ${buildActionsHTML(receiptId)}
+    </div>
+  `;
+}
+
+// A photo with several receipts: one section per receipt found
+function displayReceiptGroup(receipts, groupId) {
+  const output = document.getElementById("receiptInfo");
+
+  output.innerHTML = `
+    <div class="receipt-container enhanced">
+      <div class="receipt-header">
+        <h2>✅ Found ${receipts.length} Receipts in Your Photo</h2>
+      </div>
+      ${receipts.map((receipt, index) => `
+        <div class="receipt-group-item">
+          <h3>🧾 Receipt ${index + 1} of ${receipts.length}</h3>
+          ${buildReceiptMetaHTML(receipt.data, receipt.receiptId)}
+          ${buildDuplicateWarningHTML(receipt.data)}
+          ${buildReceiptDetailsHTML(receipt.data, receipt.metadata)}
+        </div>
+      `).join('')}
+      
+      ${buildActionsHTML(groupId)}
+    </div>
+  `;
+}
+
+function buildReceiptMetaHTML(data, receiptId) {
+  const fields = (data.fieldConfidence && data.fieldConfidence.fields) || {};
+
+  return `
+    <div class="receipt-meta">
+      <p><strong>🏪 Merchant:</strong> <span class="field-value${uncertainClass(fields.merchant)}"${confidenceTitle(fields.merchant)}>${escapeHTML(data.vendor || data.merchant)}</span></p>
+      <p><strong>📅 Date:</strong> <span class="field-value${uncertainClass(fields.date)}"${confidenceTitle(fields.date)}>${escapeHTML(data.date)}</span>${data.time ? ` <span class="receipt-time">🕒 ${escapeHTML(data.time)}</span>` : ''}</p>
+      <p><strong>🆔 Receipt ID:</strong> <code>${receiptId}</code></p>
+      <p><small>🤖 Processed with Amazon Bedrock multimodal AI</small></p>
+    </div>
+  `;
+}
+
+// Saved, but it looks like a receipt that was already submitted
+function buildDuplicateWarningHTML(data) {
+  if (!data.duplicates || data.duplicates.length === 0) return "";
+
+  return `
+    <div class="duplicate-warning">
+      <h4>⚠️ Possible duplicate</h4>
+      <p>This receipt looks like one that was already submitted:</p>
+      ${buildDuplicateListHTML(data.duplicates)}
+    </div>
+  `;
+}
+
+const DUPLICATE_SIGNAL_LABELS = {
+  image: "same image",
+  fingerprint: "same vendor, date and total"
+};
+
+function buildDuplicateListHTML(duplicates) {
+  return `
+    <ul class="duplicate-list">
+      ${duplicates.map(match => `
+        <li>
+          <a href="#" data-receipt-link="${escapeHTML(match.receiptId)}">${escapeHTML(match.vendor || "Receipt")} · ${escapeHTML(match.date || "")} · ${escapeHTML(match.total || "")}</a>
+          <small>(${match.matchedOn.map(signal => DUPLICATE_SIGNAL_LABELS[signal] || signal).join(", ")})</small>
+        </li>
+      `).join("")}
+    </ul>
+  `;
+}
+
+// Links to matching receipts open them in place
+document.getElementById("receiptInfo").addEventListener("click", (event) => {
+  const link = event.target.closest("[data-receipt-link]");
+  if (!link) return;
+
+  event.preventDefault();
+  openReceipt(link.dataset.receiptLink);
+});
+
+async function openReceipt(receiptId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/status/${receiptId}`, { headers: authHeaders() });
+    const statusResult = await response.json();
+
+    if (response.status === 403) {
+      alert("That receipt was submitted by someone else in your organization.");
+    } else if (statusResult.status === "COMPLETED" && statusResult.data) {
+      displayReceiptData(statusResult.data, receiptId, statusResult.metadata);
+    } else {
+      alert(statusResult.message || statusResult.error || "Receipt is not available");
+    }
+  } catch (error) {
+    console.error("Failed to open receipt:", error);
+    alert(`Could not open the receipt: ${error.message}`);
+  }
+}
+
+function buildActionsHTML(receiptId) {
+  return `
+    <div class="actions-section">
+      <button onclick="processAnotherReceipt()" class="primary-btn">
+        📸 Process Another Receipt
+      </button>
+      <button onclick="viewRawData('${receiptId}')" class="secondary-btn">
+        🔍 View Processing Details
+      </button>
+    </div>
+  `;
+}
+
+// Display names for the extraction models (backend/model-providers.js)
+const MODEL_PROVIDER_LABELS = {
+  "nova-lite": "Nova Lite",
+  "nova-pro": "Nova Pro",
+  "claude-sonnet": "Claude 3.5 Sonnet",
+  "claude-haiku": "Claude 3 Haiku",
+  mock: "Local mock"
+};
+
+// Labels for receipt lines that are not products
+const LINE_KIND_LABELS = {
+  discount: "Discount",
+  coupon: "Coupon",
+  tip: "Tip",
+  service_fee: "Service fee",
+  deposit: "Deposit",
+  rounding: "Rounding"
+};
+
+// Fields and line items scored below this are highlighted (backend/field-confidence.js)
+const UNCERTAIN_CONFIDENCE = 0.6;
+
+const PROVENANCE_LABELS = {
+  both: "Textract and model agree",
+  textract: "Textract only",
+  model: "model only",
+  default: "not found, default value",
+  manual: "edited by hand"
+};
+
+function uncertainClass(result) {
+  return result && typeof result.confidence === "number" && result.confidence < UNCERTAIN_CONFIDENCE ? " uncertain" : "";
+}
+
+// Tooltip such as "55% confidence · model only"
+function confidenceTitle(result) {
+  if (!result || typeof result.confidence !== "number") return "";
+
+  const parts = [`${Math.round(result.confidence * 100)}% confidence`, PROVENANCE_LABELS[result.provenance] || result.provenance];
+  if (result.conflict && result.textractValue) {
+    parts.push(`Textract read "${result.textractValue}"`);
+  }
+  return ` title="${escapeHTML(parts.join(" · "))}"`;
+}
+
+function buildReceiptDetailsHTML(data, metadata) {
+  // Fields named in a reconciliation finding get highlighted below
+  const findings = (data.reconciliation && data.reconciliation.findings) || [];
+  const mismatchClass = (field) => findings.some(finding => finding.fields.includes(field)) ? ' mismatch' : '';
+
+  // Fields the pipeline is unsure of get highlighted too
+  const fields = (data.fieldConfidence && data.fieldConfidence.fields) || {};
+  const totalRowAttrs = (field) => `class="total-row${mismatchClass(field)}${uncertainClass(fields[field])}"${confidenceTitle(fields[field])}`;
+
   // Create the enhanced receipt display
   let itemsTableHTML = '';
   
   if (data.items && data.items.length > 0) {
     itemsTableHTML = `
       <div class="items-section">
-        <h3>📋 Items Detected</h3>
+        <h3 class="items-heading${mismatchClass('items')}">📋 Items Detected</h3>
         <div class="table-container">
           <table class="items-table">
             <thead>
@@ -206,14 +686,17 @@ function displayReceiptData(data, receiptId, metadata) {
               </tr>
             </thead>
             <tbody>
-              ${data.items.map(item => `
-                <tr>
-                  <td class="item-name">${item.name || 'Unknown Item'}</td>
-                  <td class="item-qty">${item.quantity || 1}</td>
-                  <td class="item-price">$${item.price || '0.00'}</td>
-                  <td class="item-total">$${item.lineTotal || item.price || '0.00'}</td>
+              ${data.items.map(item => {
+                const itemFields = item.fieldConfidence || {};
+                return `
+                <tr class="line-${item.kind || 'item'}">
+                  <td class="item-name${uncertainClass(itemFields.name)}"${confidenceTitle(itemFields.name)}>${escapeHTML(item.name || 'Unknown Item')}${item.kind && item.kind !== 'item' ? ` <span class="line-kind">${LINE_KIND_LABELS[item.kind] || escapeHTML(item.kind)}</span>` : ''}</td>
+                  <td class="item-qty${uncertainClass(itemFields.quantity)}"${confidenceTitle(itemFields.quantity)}>${escapeHTML(item.quantity || 1)}</td>
+                  <td class="item-price${uncertainClass(itemFields.price)}"${confidenceTitle(itemFields.price)}>${formatMoney(item.price || '0.00', data.currency)}</td>
+                  <td class="item-total">${formatMoney(item.lineTotal || item.price || '0.00', data.currency)}</td>
                 </tr>
-              `).join('')}
+              `;
+              }).join('')}
             </tbody>
           </table>
         </div>
@@ -228,10 +711,24 @@ function displayReceiptData(data, receiptId, metadata) {
       <div class="totals-section">
         <h3>💰 Financial Summary</h3>
         <div class="totals-grid">
-          ${data.subtotal ? `<div class="total-row"><span>Subtotal:</span><span>$${data.subtotal}</span></div>` : ''}
-          ${data.tax ? `<div class="total-row"><span>Tax:</span><span>$${data.tax}</span></div>` : ''}
-          <div class="total-row final-total"><span>Total:</span><span>$${data.total || '0.00'}</span></div>
+          ${data.subtotal ? `<div ${totalRowAttrs('subtotal')}><span>Subtotal:</span><span>${formatMoney(data.subtotal, data.currency)}</span></div>` : ''}
+          ${data.tax ? `<div ${totalRowAttrs('tax')}><span>Tax:</span><span>${formatMoney(data.tax, data.currency)}</span></div>` : ''}
+          ${parseFloat(data.tip) > 0 ? `<div ${totalRowAttrs('tip')}><span>Tip:</span><span>${formatMoney(data.tip, data.currency)}</span></div>` : ''}
+          ${parseFloat(data.fees) > 0 ? `<div ${totalRowAttrs('fees')}><span>Fees:</span><span>${formatMoney(data.fees, data.currency)}</span></div>` : ''}
+          <div class="total-row final-total${mismatchClass('total')}${uncertainClass(fields.total)}"${confidenceTitle(fields.total)}><span>Total:</span><span>${formatMoney(data.total || '0.00', data.currency)}</span></div>
+          ${data.homeTotal && data.homeCurrency && data.homeCurrency !== data.currency ? `
+            <div class="total-row home-total">
+              <span>In ${data.homeCurrency}:</span>
+              <span title="Rate ${data.exchangeRate} on ${data.exchangeRateDate}">≈ ${formatMoney(data.homeTotal, data.homeCurrency)}</span>
+            </div>` : ''}
         </div>
+        ${findings.length > 0 ? `
+          <div class="reconciliation-findings">
+            <h4>⚠️ These amounts don't add up</h4>
+            <ul>
+              ${findings.map(finding => `<li class="finding-${finding.severity}">${finding.message}</li>`).join('')}
+            </ul>
+          </div>` : ''}
       </div>
     `;
   }
@@ -253,41 +750,33 @@ function displayReceiptData(data, receiptId, metadata) {
           </div>
           <div class="metadata-item">
             <span class="metadata-label">Method:</span>
-            <span class="metadata-value">Textract + Nova Lite</span>
+            <span class="metadata-value">Textract + ${MODEL_PROVIDER_LABELS[metadata.modelProvider] || metadata.modelProvider || 'Nova Lite'}</span>
           </div>
         </div>
       </div>
     `;
   }
 
-  output.innerHTML = `
-    <div class="receipt-container enhanced">
-      <div class="receipt-header">
-        <h2>✅ Receipt Processed Successfully</h2>
-        <div class="receipt-meta">
-          <p><strong>🏪 Merchant:</strong> ${data.vendor || data.merchant}</p>
-          <p><strong>📅 Date:</strong> ${data.date}</p>
-          <p><strong>🆔 Receipt ID:</strong> <code>${receiptId}</code></p>
-          <p><small>🤖 Processed with AWS Nova Lite multimodal AI</small></p>
-        </div>
-      </div>
-      
-      ${itemsTableHTML}
-      ${totalsHTML}
-      ${metadataHTML}
-      
-      <div class="actions-section">
-        <button onclick="processAnotherReceipt()" class="primary-btn">
-          📸 Process Another Receipt
-        </button>
-        <button onclick="viewRawData('${receiptId}')" class="secondary-btn">
-          🔍 View Processing Details
-        </button>
-      </div>
-    </div>
+  return `
+    ${itemsTableHTML}
+    ${totalsHTML}
+    ${metadataHTML}
   `;
 }
 
+// Formats an amount in its ISO 4217 currency for the browser's locale
+function formatMoney(amount, currency) {
+  const value = parseFloat(amount);
+  if (isNaN(value)) {
+    return amount;
+  }
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: currency || "USD" }).format(value);
+  } catch (error) {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
 function processAnotherReceipt() {
   document.getElementById("imageUpload").value = '';
   document.getElementById("receiptInfo").innerHTML = '';
@@ -299,3 +788,457 @@ function viewRawData(receiptId) {
 }
 
 
+
+// --- Spending dashboard -----------------------------------------------------
+// Totals, receipts and average ticket over whole months with the change
+// against the period before, a chart of the spending per month, category or
+// vendor and the top vendors (GET /analytics/summary).
+
+const DASHBOARD_GROUP_TITLES = {
+  month: "Spending per month",
+  category: "Spending per category",
+  vendor: "Spending per vendor"
+};
+
+document.getElementById("dashboardForm").addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadDashboard(event.currentTarget);
+});
+
+async function loadDashboard(form) {
+  const result = document.getElementById("dashboardResult");
+  const button = form.querySelector("button[type=submit]");
+
+  const params = new URLSearchParams();
+  ["from", "to", "groupBy"].forEach((name) => {
+    const value = form.elements[name].value.trim();
+    if (value) params.set(name, value);
+  });
+
+  button.disabled = true;
+  result.innerHTML = `<p>Loading spending...</p>`;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/analytics/summary?${params}`, { headers: authHeaders() });
+    const summary = await response.json();
+    if (!response.ok) {
+      throw new Error(summary.details || summary.error || "Could not load spending.");
+    }
+    result.innerHTML = buildDashboardHTML(summary);
+
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    result.innerHTML = `<div class="error-container"><p><strong>Error:</strong> ${escapeHTML(error.message)}</p></div>`;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function buildDashboardHTML(summary) {
+  const { totals, currency } = summary;
+  const money = (amount) => formatMoney(amount, currency);
+  const previous = `${summary.previousPeriod.from} – ${summary.previousPeriod.to}`;
+
+  return `
+    <p class="dashboard-note">${summary.period.from} – ${summary.period.to}, compared with ${previous}</p>
+    <div class="dashboard-cards">
+      ${buildDashboardCardHTML("Total spent", money(totals.total), buildDeltaHTML(totals.delta.total, totals.delta.totalPercent, money))}
+      ${buildDashboardCardHTML("Receipts", totals.count, buildDeltaHTML(totals.delta.count, null, (value) => value))}
+      ${buildDashboardCardHTML("Average ticket", totals.averageTicket !== null ? money(totals.averageTicket) : "–",
+        totals.delta.averageTicket !== null ? buildDeltaHTML(totals.delta.averageTicket, null, money) : "")}
+    </div>
+    <div class="dashboard-chart">
+      <h3>${DASHBOARD_GROUP_TITLES[summary.groupBy]}</h3>
+      ${summary.groups.length === 0 ? `<p class="dashboard-note">No receipts in this period.</p>`
+        : summary.groupBy === "month" ? buildColumnChartHTML(summary.groups, money)
+        : buildBarChartHTML(summary.groups, money)}
+    </div>
+    ${summary.groupBy !== "vendor" && summary.topVendors.length > 0 ? `
+      <div class="dashboard-chart">
+        <h3>Top vendors</h3>
+        ${buildBarChartHTML(summary.topVendors, money)}
+      </div>` : ""}
+    ${totals.unconvertedCount > 0 ? `
+      <p class="dashboard-note">⚠️ ${totals.unconvertedCount} receipts in other currencies could not be converted to ${escapeHTML(currency)} and are not included.</p>` : ""}
+  `;
+}
+
+function buildDashboardCardHTML(label, value, deltaHTML) {
+  return `
+    <div class="dashboard-card">
+      <span class="dashboard-card-label">${label}</span>
+      <span class="dashboard-card-value">${escapeHTML(value)}</span>
+      ${deltaHTML}
+    </div>
+  `;
+}
+
+// More spending shows as up (red), less as down (green)
+function buildDeltaHTML(change, percent, format) {
+  const direction = change > 0 ? "up" : change < 0 ? "down" : "";
+  const arrow = change > 0 ? "▲" : change < 0 ? "▼" : "=";
+  const amount = change > 0 ? `+${format(change)}` : format(change);
+  return `<span class="dashboard-delta ${direction}">${arrow} ${escapeHTML(amount)}${percent !== null ? ` (${percent > 0 ? "+" : ""}${percent}%)` : ""}</span>`;
+}
+
+function buildColumnChartHTML(groups, money) {
+  const max = Math.max(...groups.map((group) => group.total), 0);
+  return `
+    <div class="column-chart">
+      ${groups.map((group) => `
+        <div class="column-chart-bar" title="${escapeHTML(`${group.label}: ${money(group.total)}, ${group.count} receipts`)}">
+          <span class="column-chart-value">${escapeHTML(money(group.total))}</span>
+          <div class="column-chart-fill" style="height: ${max > 0 ? Math.max(0, (group.total / max) * 100) : 0}%"></div>
+        </div>`).join("")}
+    </div>
+    <div class="column-chart-labels">
+      ${groups.map((group) => `<span>${escapeHTML(group.label)}</span>`).join("")}
+    </div>
+  `;
+}
+
+function buildBarChartHTML(groups, money) {
+  const max = Math.max(...groups.map((group) => group.total), 0);
+  return `
+    <ul class="bar-chart">
+      ${groups.map((group) => `
+        <li title="${escapeHTML(`${group.count} receipts, average ${group.averageTicket !== null ? money(group.averageTicket) : "–"}`)}">
+          <span class="bar-chart-label">${escapeHTML(group.label)}</span>
+          <span class="bar-chart-track"><span class="bar-chart-fill" style="width: ${max > 0 ? Math.max(0, (group.total / max) * 100) : 0}%"></span></span>
+          <span class="bar-chart-value">${escapeHTML(money(group.total))}</span>
+        </li>`).join("")}
+    </ul>
+  `;
+}
+
+// --- Budgets ----------------------------------------------------------------
+// Monthly limits per category with this month's spending so far. Alerts when
+// a budget reaches 80% and 100% are sent by the backend (see backend/budgets.js).
+
+const BUDGET_STATUS_ICONS = { ok: "✅", warning: "⚠️", exceeded: "🚨" };
+
+document.getElementById("loadBudgetsBtn").addEventListener("click", loadBudgets);
+
+document.getElementById("budgetForm").addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const button = form.querySelector("button[type=submit]");
+  const category = form.elements.category.value.trim();
+
+  button.disabled = true;
+  try {
+    await sendBudgetRequest("PUT", category, { monthlyLimit: Number(form.elements.monthlyLimit.value) });
+    form.reset();
+    await loadBudgets();
+  } catch (error) {
+    console.error("Budget error:", error);
+    alert(`Could not save the budget: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+document.getElementById("budgetList").addEventListener("click", async (event) => {
+  const button = event.target.closest("button[data-delete-budget]");
+  if (!button) return;
+
+  const category = button.dataset.deleteBudget;
+  if (!confirm(`Delete the ${category} budget?`)) return;
+
+  try {
+    await sendBudgetRequest("DELETE", category);
+    await loadBudgets();
+  } catch (error) {
+    console.error("Budget error:", error);
+    alert(`Could not delete the budget: ${error.message}`);
+  }
+});
+
+async function sendBudgetRequest(method, category, body) {
+  const response = await fetch(`${API_BASE_URL}/budgets/${encodeURIComponent(category)}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.details || result.error || "Budget request failed");
+  }
+  return result;
+}
+
+async function loadBudgets() {
+  const container = document.getElementById("budgetList");
+  container.innerHTML = `<p>Loading...</p>`;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/budgets`, { headers: authHeaders() });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.details || result.error || "Could not load budgets.");
+    }
+
+    container.innerHTML = result.budgets.length > 0
+      ? result.budgets.map(buildBudgetHTML).join("")
+      : `<p class="dashboard-note">No budgets yet. Set a monthly limit for a category above.</p>`;
+
+  } catch (error) {
+    console.error("Budgets error:", error);
+    container.innerHTML = `<div class="error-container"><p><strong>Error:</strong> ${escapeHTML(error.message)}</p></div>`;
+  }
+}
+
+// A bar of this month's spending with marks at the alert thresholds
+function buildBudgetHTML(budget) {
+  const money = (amount) => formatMoney(amount, budget.currency);
+  const fill = Math.min(100, budget.percentUsed ?? 0);
+  const marks = budget.thresholds.filter((threshold) => threshold < 100);
+
+  return `
+    <div class="budget ${budget.status}">
+      <div class="budget-header">
+        <span>${BUDGET_STATUS_ICONS[budget.status] || ""} <strong>${escapeHTML(budget.category)}</strong></span>
+        <span>${escapeHTML(money(budget.spent))} of ${escapeHTML(money(budget.monthlyLimit))} (${budget.percentUsed ?? 0}%)</span>
+      </div>
+      <div class="budget-bar" title="Alerts at ${budget.thresholds.join("%, ")}%">
+        <span class="budget-bar-fill" style="width: ${fill}%"></span>
+        ${marks.map((threshold) => `<span class="budget-threshold" style="left: ${threshold}%"></span>`).join("")}
+      </div>
+      <div class="budget-header">
+        <span class="dashboard-note">${budget.remaining >= 0 ? `${escapeHTML(money(budget.remaining))} left` : `${escapeHTML(money(-budget.remaining))} over`}</span>
+        <button type="button" class="budget-delete" data-delete-budget="${escapeHTML(budget.category)}">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+// --- Export -----------------------------------------------------------------
+// CSV or Excel file of the receipts in a date range. The API starts an
+// export job that writes the file to S3; the job is polled until it hands out
+// a short-lived download link.
+
+// Accounting formats have one transaction per receipt and fixed columns
+const SPREADSHEET_EXPORT_FORMATS = ["csv", "xlsx"];
+const EXPORT_POLL_INTERVAL_MS = 2000;
+const EXPORT_POLL_LIMIT_MS = 15 * 60 * 1000;
+
+document.getElementById("exportForm").elements.format.addEventListener("change", (event) => {
+  const spreadsheet = SPREADSHEET_EXPORT_FORMATS.includes(event.target.value);
+  const { rows, columns } = event.target.form.elements;
+  rows.disabled = !spreadsheet;
+  columns.disabled = !spreadsheet;
+});
+
+document.getElementById("exportForm").addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const result = document.getElementById("exportResult");
+  const button = form.querySelector("button[type=submit]");
+
+  const params = new URLSearchParams();
+  ["format", "rows", "from", "to", "columns"].forEach((name) => {
+    if (form.elements[name].disabled) return;
+    const value = form.elements[name].value.trim();
+    if (value) params.set(name, value);
+  });
+
+  button.disabled = true;
+  result.innerHTML = `<p>Preparing export...</p>`;
+
+  try {
+    const started = await getExportJson(`${API_BASE_URL}/receipts/export?${params}`);
+    const exported = await waitForExport(started.jobId);
+    const skipped = exported.skippedCount > 0
+      ? `<p>⚠️ ${exported.skippedCount} foreign receipts were left out: they have no exchange rate to your home currency.</p>`
+      : "";
+
+    result.innerHTML = `
+      <p>✅ ${exported.rowCount} ${exported.rows ? "rows" : "transactions"} from ${exported.receiptCount} receipts.
+        <a href="${escapeHTML(exported.downloadUrl)}">Download ${escapeHTML(exported.fileName)}</a>
+        (link valid until ${new Date(exported.expiresAt).toLocaleTimeString()})</p>
+      ${skipped}
+    `;
+    window.location.assign(exported.downloadUrl);
+
+  } catch (error) {
+    console.error("Export error:", error);
+    result.innerHTML = `<div class="error-container"><p><strong>Error:</strong> ${escapeHTML(error.message)}</p></div>`;
+  } finally {
+    button.disabled = false;
+  }
+});
+
+// Polls GET /receipts/export/{jobId} until the file is written
+async function waitForExport(jobId) {
+  const deadline = Date.now() + EXPORT_POLL_LIMIT_MS;
+  while (Date.now() < deadline) {
+    await delay(EXPORT_POLL_INTERVAL_MS);
+    const job = await getExportJson(`${API_BASE_URL}/receipts/export/${encodeURIComponent(jobId)}`);
+    if (job.status === "COMPLETED") return job;
+    if (job.status === "FAILED") throw new Error(job.error || "Export failed");
+  }
+  throw new Error("Export is taking too long, try a shorter date range");
+}
+
+async function getExportJson(url) {
+  const response = await fetch(url, { headers: authHeaders() });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.details || body.error || "Export failed");
+  }
+  return body;
+}
+
+// --- Review queue -----------------------------------------------------------
+// Receipts the pipeline held back (low confidence, validation errors or
+// amounts that don't add up). Reviewers see the image next to the extracted
+// fields and approve or correct them; the workflow then saves the receipt.
+
+const REVIEW_AMOUNT_FIELDS = ["subtotal", "tax", "tip", "fees", "total"];
+let reviewQueueItems = [];
+
+document.getElementById("loadReviewQueueBtn").addEventListener("click", loadReviewQueue);
+
+document.getElementById("reviewQueue").addEventListener("click", (event) => {
+  const button = event.target.closest("button[data-review-action]");
+  if (!button) return;
+
+  const card = button.closest(".review-card");
+  const action = button.dataset.reviewAction;
+
+  if (action === "add-item") {
+    card.querySelector(".review-items tbody").insertAdjacentHTML("beforeend", buildReviewItemRowHTML({ name: "", price: "0.00", quantity: "1" }));
+  } else if (action === "remove-item") {
+    button.closest("tr").remove();
+  } else {
+    submitReview(card, action);
+  }
+});
+
+async function loadReviewQueue() {
+  const container = document.getElementById("reviewQueue");
+  container.innerHTML = `<p class="review-loading">Loading...</p>`;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/review-queue`, { headers: authHeaders() });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.details || result.error || "Could not load the review queue.");
+    }
+
+    reviewQueueItems = result.reviews || [];
+    container.innerHTML = reviewQueueItems.length > 0
+      ? reviewQueueItems.map(buildReviewCardHTML).join("")
+      : `<p class="review-empty">🎉 Nothing to review.</p>`;
+
+  } catch (error) {
+    console.error("Review queue error:", error);
+    container.innerHTML = `<div class="error-container"><p><strong>Error:</strong> ${escapeHTML(error.message)}</p></div>`;
+  }
+}
+
+function buildReviewCardHTML(review) {
+  const data = review.extracted;
+  const isPdf = review.mimeType === "application/pdf";
+
+  return `
+    <div class="review-card" data-receipt-id="${review.receiptId}">
+      <div class="review-image">
+        ${!review.imageUrl ? `<p>No image available</p>`
+          : isPdf ? `<iframe src="${review.imageUrl}" title="Receipt ${review.receiptId}"></iframe>`
+          : `<a href="${review.imageUrl}" target="_blank" rel="noopener"><img src="${review.imageUrl}" alt="Receipt ${review.receiptId}" /></a>`}
+      </div>
+      <div class="review-fields">
+        <p class="review-meta">
+          <code>${review.receiptId}</code> · queued ${new Date(review.queuedAt).toLocaleString()}
+          ${review.confidence !== null && review.confidence !== undefined ? ` · ${Math.round(review.confidence * 100)}% confidence` : ""}
+        </p>
+        <ul class="review-reasons">
+          ${review.reasons.map(reason => `<li>⚠️ ${escapeHTML(reason.message)}</li>`).join("")}
+        </ul>
+        <div class="review-form">
+          <label>Merchant <input name="merchant" value="${escapeHTML(data.merchant)}" /></label>
+          <label>Date <input name="date" type="date" value="${data.date || ""}" /></label>
+          <label>Time <input name="time" type="time" value="${data.time || ""}" /></label>
+          <label>Currency <input name="currency" maxlength="3" value="${data.currency || ""}" /></label>
+          ${REVIEW_AMOUNT_FIELDS.map(field => `
+            <label>${field.charAt(0).toUpperCase() + field.slice(1)} <input name="${field}" type="number" step="0.01" value="${data[field]}" /></label>
+          `).join("")}
+        </div>
+        <table class="items-table review-items">
+          <thead><tr><th>Item</th><th>Qty</th><th>Price</th><th></th></tr></thead>
+          <tbody>${data.items.map(buildReviewItemRowHTML).join("")}</tbody>
+        </table>
+        <div class="review-actions">
+          <button data-review-action="add-item" class="secondary-btn">➕ Add line</button>
+          <button data-review-action="correct" class="secondary-btn">💾 Save corrections</button>
+          <button data-review-action="approve" class="primary-btn">✅ Approve</button>
+        </div>
+        <p class="review-result"></p>
+      </div>
+    </div>
+  `;
+}
+
+function buildReviewItemRowHTML(item) {
+  return `
+    <tr data-kind="${item.kind || ""}">
+      <td><input name="name" value="${escapeHTML(item.name || "")}" /></td>
+      <td><input name="quantity" type="number" min="1" step="1" value="${item.quantity || "1"}" /></td>
+      <td><input name="price" type="number" step="0.01" value="${item.price || "0.00"}" /></td>
+      <td><button data-review-action="remove-item" class="secondary-btn" title="Remove line">✖</button></td>
+    </tr>
+  `;
+}
+
+// Reads the form back into the shape POST /review/{receiptId} expects
+function readReviewCorrections(card) {
+  const value = (name) => card.querySelector(`.review-form [name="${name}"]`).value.trim();
+  const corrections = {
+    merchant: value("merchant"),
+    date: value("date") || null,
+    time: value("time") || null,
+    currency: value("currency").toUpperCase() || null
+  };
+  REVIEW_AMOUNT_FIELDS.forEach(field => {
+    corrections[field] = value(field) || "0.00";
+  });
+  corrections.items = [...card.querySelectorAll(".review-items tbody tr")].map(row => ({
+    ...(row.dataset.kind ? { kind: row.dataset.kind } : {}),
+    name: row.querySelector('[name="name"]').value.trim(),
+    quantity: row.querySelector('[name="quantity"]').value || "1",
+    price: row.querySelector('[name="price"]').value || "0.00"
+  }));
+  return corrections;
+}
+
+async function submitReview(card, action) {
+  const receiptId = card.dataset.receiptId;
+  const resultLine = card.querySelector(".review-result");
+  card.querySelectorAll("button").forEach(button => { button.disabled = true; });
+
+  try {
+    const body = action === "correct"
+      ? { action, corrections: readReviewCorrections(card) }
+      : { action };
+    const result = await postJson(`/review/${receiptId}`, body);
+
+    card.classList.add("reviewed");
+    resultLine.textContent = result.status === "corrected"
+      ? `✅ Saved with corrections to ${result.correctedFields.join(", ")}`
+      : "✅ Approved";
+
+  } catch (error) {
+    console.error("Review error:", error);
+    resultLine.textContent = `❌ ${error.message}`;
+    card.querySelectorAll("button").forEach(button => { button.disabled = false; });
+  }
+}
+
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
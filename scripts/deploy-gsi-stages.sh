@@ -48,12 +48,13 @@ wait_for_gsi_active() {
     done
 }
 
-# Function to deploy CDK
+# Function to deploy CDK with the receipt GSIs of a stage
 deploy_cdk() {
-    echo "🚀 Deploying CDK stack..."
+    local stage=$1
+    echo "🚀 Deploying CDK stack (receiptIndexStage=$stage)..."
     cd $CDK_PATH
     
-    if cdk deploy --require-approval never; then
+    if cdk deploy --require-approval never -c receiptIndexStage=$stage; then
         echo "✅ CDK deployment successful"
         cd ..
         return 0
@@ -78,12 +79,12 @@ if [[ ! $REPLY =~ ^[Yy]$ ]]; then
     exit 0
 fi
 
-# Stage 1: Deploy VendorLowerIndex (should already be in the code)
+# Stage 1: Deploy VendorLowerIndex
 echo ""
 echo "🎯 Stage 1: Deploying VendorLowerIndex"
 echo "======================================"
 
-if ! deploy_cdk; then
+if ! deploy_cdk 1; then
     echo "❌ Stage 1 failed. Exiting."
     exit 1
 fi
@@ -95,17 +96,8 @@ echo ""
 echo "🎯 Stage 2: Adding CategoryTimestampIndex"
 echo "========================================="
 
-# Add CategoryTimestampIndex to the stack file
-sed -i.bak '/\/\/ Stage 2: CategoryTimestampIndex (deploy separately)/a\
-    receiptsTable.addGlobalSecondaryIndex({\
-      indexName: "CategoryTimestampIndex",\
-      partitionKey: { name: "category", type: dynamodb.AttributeType.STRING },\
-      sortKey: { name: "timestamp", type: dynamodb.AttributeType.STRING },\
-    });' "$STACK_FILE"
-
-if ! deploy_cdk; then
-    echo "❌ Stage 2 failed. Restoring backup."
-    mv "$STACK_FILE.bak" "$STACK_FILE"
+if ! deploy_cdk 2; then
+    echo "❌ Stage 2 failed. Exiting."
     exit 1
 fi
 
@@ -116,25 +108,13 @@ echo ""
 echo "🎯 Stage 3: Adding UserTimestampIndex"
 echo "====================================="
 
-# Add UserTimestampIndex to the stack file
-sed -i.bak2 '/\/\/ Stage 3: UserTimestampIndex (deploy separately)/a\
-    receiptsTable.addGlobalSecondaryIndex({\
-      indexName: "UserTimestampIndex",\
-      partitionKey: { name: "userId", type: dynamodb.AttributeType.STRING },\
-      sortKey: { name: "timestamp", type: dynamodb.AttributeType.STRING },\
-    });' "$STACK_FILE"
-
-if ! deploy_cdk; then
-    echo "❌ Stage 3 failed. Restoring backup."
-    mv "$STACK_FILE.bak2" "$STACK_FILE"
+if ! deploy_cdk 3; then
+    echo "❌ Stage 3 failed. Exiting."
     exit 1
 fi
 
 wait_for_gsi_active "UserTimestampIndex"
 
-# Clean up backup files
-rm -f "$STACK_FILE.bak" "$STACK_FILE.bak2"
-
 echo ""
 echo "🎉 All GSI stages deployed successfully!"
 echo "======================================"
@@ -74,7 +74,7 @@ rm "$FRONTEND_FILE.tmp" 2>/dev/null
 # Verify changes
 UPDATED_COUNT=$(grep -c "$API_URL" "$FRONTEND_FILE")
 
-if [ "$UPDATED_COUNT" -ge 2 ]; then
+if [ "$UPDATED_COUNT" -ge 1 ]; then
     echo "✅ Successfully updated $UPDATED_COUNT URL(s) in frontend"
     echo ""
     echo "🚀 Next steps:"